@@ -0,0 +1,565 @@
+// Back Office
+
+// Staff page for the bookings held by the server: search, filter and sort them, move them
+// on from confirmed to paid to delivered (or cancel them) with notes, review KYC details and
+// see each day's totals per metal. The server does the querying and checks every change
+// (see server/admin.js). Exports hold every booking matching the search and filters, not just
+// the page shown, and are built by the server (see spreadsheet.js).
+// Staff sign in with an account made with server/users.js. The session is kept in
+// sessionStorage under "adminSession", so it ends with the tab:
+//   { token, expiresAt, user: { username, role } }
+// and sent as a bearer token. A 401 from any request signs the page out. Viewers get the
+// lists and totals only; the server checks the role again on every request. The status
+// changes offered come from GET /admin/me, so they follow the server's rules.
+// The page is served by the API server, so requests go to the same origin. Like receipts it
+// is English-only.
+
+const ADMIN_CONFIG = {
+  api: {
+    baseUrl: "",
+    timeout: 10000,
+    retryAttempts: 2,
+    retryDelay: 1000,
+  },
+  sessionKey: "adminSession",
+  searchDelay: 300, // Wait for typing to pause before searching
+}
+
+const adminState = {
+  session: null,
+  statusTransitions: {}, // STATUS_TRANSITIONS in server/bookings.js, from GET /admin/me
+  query: { q: "", status: "", metal: "", side: "", from: "", to: "", sort: "timestamp", order: "desc", page: 1 },
+  result: { bookings: [], total: 0, page: 1, pageSize: 50 },
+  selectedId: null,
+  searchTimer: null,
+}
+
+const adminAmountFormat = new Intl.NumberFormat("en-IN", { style: "currency", currency: "INR", minimumFractionDigits: 2 })
+const adminTimeFormat = new Intl.DateTimeFormat("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium", timeStyle: "short" })
+
+const formatAdminAmount = (amount) => adminAmountFormat.format(amount)
+const formatAdminTime = (time) => `${adminTimeFormat.format(new Date(time))} IST`
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+/**
+ * Build the query string for GET /admin/bookings, leaving out empty filters
+ * @param {object} query - adminState.query
+ * @returns {string} e.g. "?q=rao&status=paid&sort=timestamp&order=desc&page=1"
+ */
+function buildAdminQuery(query) {
+  const params = new URLSearchParams()
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== "" && value !== null && value !== undefined) params.set(key, value)
+  })
+  return `?${params}`
+}
+
+/**
+ * Get the statuses staff may move a booking to
+ */
+function getNextStatuses(status, transitions = adminState.statusTransitions) {
+  return transitions[status] || []
+}
+
+/**
+ * Get the saved session, if it has not expired
+ */
+function getAdminSession(now = Date.now()) {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(ADMIN_CONFIG.sessionKey))
+    return session && session.expiresAt > now ? session : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Call the admin API with the session token
+ * Only reads are retried; a retried update could add its note twice.
+ * @param {string} path - Path under the server origin, e.g. "/admin/bookings"
+ * @param {object} options - fetch() options
+ * @returns {Promise<object>} Parsed JSON body
+ */
+async function adminRequest(path, options = {}) {
+  const headers = { Accept: "application/json", "Content-Type": "application/json" }
+  if (adminState.session) headers.Authorization = `Bearer ${adminState.session.token}`
+
+  const apiConfig = options.method ? { ...ADMIN_CONFIG.api, retryAttempts: 0 } : ADMIN_CONFIG.api
+
+  try {
+    return await fetchJsonWithRetry(path, { ...options, headers }, apiConfig)
+  } catch (error) {
+    if (error.status === 401 && adminState.session) {
+      signOutAdmin()
+      showAdminMessage("Your session has ended. Please sign in again.", "error")
+    }
+    throw error
+  }
+}
+
+/**
+ * Show a message above the page; empty text hides it
+ */
+function showAdminMessage(message, type = "info") {
+  const element = document.getElementById("adminMessage")
+  if (!element) return
+
+  element.textContent = message
+  element.className = `admin-message ${type}`
+  element.hidden = !message
+}
+
+/**
+ * Sign in with the login form
+ */
+async function handleAdminLogin(e) {
+  e.preventDefault()
+
+  const errorElement = document.getElementById("adminLoginError")
+  const submitButton = document.getElementById("adminLoginSubmit")
+  const username = document.getElementById("adminUsername").value.trim()
+  const password = document.getElementById("adminPassword").value
+
+  errorElement.textContent = ""
+  submitButton.disabled = true
+
+  try {
+    const session = await adminRequest("/admin/login", { method: "POST", body: JSON.stringify({ username, password }) })
+    sessionStorage.setItem(ADMIN_CONFIG.sessionKey, JSON.stringify(session))
+    adminState.session = session
+    await loadAdminAccount()
+    document.getElementById("adminLoginForm").reset()
+    showAdminMessage("")
+    showAdminApp()
+  } catch (error) {
+    console.error("Sign-in failed:", error)
+    if (error.status === 429) {
+      errorElement.textContent = `Too many failed sign-ins. Try again in ${Math.ceil(error.body.retryAfter / 60000)} minutes.`
+    } else if (error.status === 401) {
+      errorElement.textContent = "Incorrect username or password."
+    } else {
+      errorElement.textContent = "Could not sign in. Please try again."
+    }
+  } finally {
+    submitButton.disabled = false
+  }
+}
+
+/**
+ * Fetch the signed-in account, whose role may have changed since the session was saved, and
+ * the status changes the server allows
+ */
+async function loadAdminAccount() {
+  const { statusTransitions, ...user } = await adminRequest("/admin/me")
+  adminState.session.user = user
+  adminState.statusTransitions = statusTransitions
+}
+
+/**
+ * Forget the session and go back to the login form
+ */
+function signOutAdmin() {
+  sessionStorage.removeItem(ADMIN_CONFIG.sessionKey)
+  adminState.session = null
+  closeAdminBooking()
+
+  document.getElementById("adminApp").hidden = true
+  document.getElementById("adminAccount").hidden = true
+  document.getElementById("adminLogin").hidden = false
+}
+
+/**
+ * Show the bookings and totals for the signed-in account
+ */
+function showAdminApp() {
+  const { user } = adminState.session
+
+  document.getElementById("adminLogin").hidden = true
+  document.getElementById("adminApp").hidden = false
+  document.getElementById("adminAccount").hidden = false
+  document.getElementById("adminUser").textContent = `${user.username} (${user.role})`
+
+  loadAdminSummary()
+  loadAdminBookings()
+}
+
+/**
+ * Fetch and show a day's totals; the metal filter is filled from the metals listed
+ */
+async function loadAdminSummary() {
+  const dateInput = document.getElementById("summaryDate")
+  const rows = document.getElementById("summaryRows")
+  const date = dateInput.value
+
+  try {
+    const summary = await adminRequest(`/admin/summary${date ? `?date=${date}` : ""}`)
+    dateInput.value = summary.date
+
+    rows.innerHTML = summary.metals
+      .map(
+        (entry) => `
+        <tr>
+          <td>${escapeHtml(entry.name)}</td>
+          <td>${entry.buy.count}</td>
+          <td>${entry.buy.grams} g</td>
+          <td>${formatAdminAmount(entry.buy.amount)}</td>
+          <td>${entry.sell.count}</td>
+          <td>${entry.sell.grams} g</td>
+          <td>${formatAdminAmount(entry.sell.amount)}</td>
+          <td>${entry.cancelled}</td>
+        </tr>
+      `,
+      )
+      .join("")
+
+    const metalSelect = document.getElementById("adminMetal")
+    if (metalSelect.options.length === 1) {
+      summary.metals.forEach((entry) => metalSelect.add(new Option(entry.name, entry.metal)))
+    }
+  } catch (error) {
+    console.error("Daily totals failed to load:", error)
+    if (adminState.session) showAdminMessage("Daily totals could not be loaded.", "error")
+  }
+}
+
+/**
+ * Fetch the bookings matching the current search, filters, sort and page
+ */
+async function loadAdminBookings() {
+  try {
+    adminState.result = await adminRequest(`/admin/bookings${buildAdminQuery(adminState.query)}`)
+    renderAdminBookings()
+  } catch (error) {
+    console.error("Bookings failed to load:", error)
+    if (adminState.session) showAdminMessage("Bookings could not be loaded.", "error")
+  }
+}
+
+/**
+ * Render the bookings table, sort markers and pager
+ */
+function renderAdminBookings() {
+  const { bookings, total, page, pageSize } = adminState.result
+  const rows = document.getElementById("adminRows")
+
+  rows.innerHTML = bookings.length
+    ? bookings
+        .map(
+          (booking) => `
+        <tr class="admin-row" onclick="openAdminBooking('${booking.id}')">
+          <td>${formatAdminTime(booking.timestamp)}</td>
+          <td>${escapeHtml(booking.id)}</td>
+          <td>${escapeHtml(booking.fullName)}<span class="admin-row-meta">${escapeHtml(booking.phone)}</span></td>
+          <td>${booking.side === "sell" ? "Buy-back" : "Purchase"}</td>
+          <td>${escapeHtml(`${booking.purity} ${booking.metalType}`)}</td>
+          <td>${booking.quantity} ${escapeHtml(booking.unit)}</td>
+          <td>${formatAdminAmount(booking.grandTotal ?? booking.totalValue)}</td>
+          <td><span class="status-badge status-${booking.status}">${booking.status}</span></td>
+        </tr>
+      `,
+        )
+        .join("")
+    : `<tr><td colspan="8" class="portfolio-empty">No bookings match.</td></tr>`
+
+  const first = total ? (page - 1) * pageSize + 1 : 0
+  const last = Math.min(page * pageSize, total)
+  document.getElementById("adminCount").textContent = `${total} booking${total === 1 ? "" : "s"}`
+  document.getElementById("adminPage").textContent = `${first}–${last} of ${total}`
+  document.getElementById("adminPrev").disabled = page <= 1
+  document.getElementById("adminNext").disabled = last >= total
+
+  document.querySelectorAll(".admin-sort").forEach((button) => {
+    const active = button.dataset.sort === adminState.query.sort
+    button.classList.toggle("active", active)
+    button.dataset.order = active ? adminState.query.order : ""
+  })
+}
+
+/**
+ * Read the filter controls and fetch the first page
+ */
+function applyAdminFilters() {
+  Object.assign(adminState.query, {
+    q: document.getElementById("adminSearch").value.trim(),
+    status: document.getElementById("adminStatus").value,
+    metal: document.getElementById("adminMetal").value,
+    side: document.getElementById("adminSide").value,
+    from: document.getElementById("adminFrom").value,
+    to: document.getElementById("adminTo").value,
+    page: 1,
+  })
+  loadAdminBookings()
+}
+
+/**
+ * Sort by a column; choosing the sorted column again reverses it
+ */
+function sortAdminBookings(field) {
+  const { query } = adminState
+  query.order = query.sort === field && query.order === "desc" ? "asc" : "desc"
+  query.sort = field
+  query.page = 1
+  loadAdminBookings()
+}
+
+function changeAdminPage(step) {
+  adminState.query.page = Math.max(adminState.query.page + step, 1)
+  loadAdminBookings()
+}
+
+/**
+ * Download the bookings matching the current search and filters in the chosen format
+ */
+async function exportAdminBookings() {
+  const { page, ...query } = adminState.query
+  const format = document.getElementById("adminExportFormat").value
+  const button = document.getElementById("adminExportSubmit")
+  button.disabled = true
+
+  try {
+    const response = await fetchWithTimeout(
+      `${ADMIN_CONFIG.api.baseUrl}/admin/export${buildAdminQuery({ ...query, format })}`,
+      { headers: { Authorization: `Bearer ${adminState.session.token}` } },
+      ADMIN_CONFIG.api.timeout,
+    )
+    if (response.status === 401) {
+      signOutAdmin()
+      showAdminMessage("Your session has ended. Please sign in again.", "error")
+      return
+    }
+    if (!response.ok) throw new Error(`Export failed with status ${response.status}`)
+
+    const fileName = response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || `bookings.${format}`
+    const url = URL.createObjectURL(await response.blob())
+    const link = document.createElement("a")
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  } catch (error) {
+    console.error("Export failed:", error)
+    showAdminMessage("The bookings could not be exported.", "error")
+  } finally {
+    button.disabled = false
+  }
+}
+
+/**
+ * Open the detail dialog for a booking on the current page
+ */
+function openAdminBooking(id) {
+  const booking = adminState.result.bookings.find((item) => item.id === id)
+  const modal = document.getElementById("adminDetailModal")
+  if (!booking || !modal) return
+
+  adminState.selectedId = id
+  renderAdminBooking(booking)
+  modal.classList.add("active")
+  modal.style.display = "flex"
+}
+
+function closeAdminBooking() {
+  const modal = document.getElementById("adminDetailModal")
+  if (!modal) return
+
+  adminState.selectedId = null
+  modal.classList.remove("active")
+  modal.style.display = "none"
+}
+
+/**
+ * Render a booking's details, its history and messages, and the update form
+ */
+function renderAdminBooking(booking) {
+  const total = booking.grandTotal ?? booking.totalValue
+  const rows = [
+    ["Status", `<span class="status-badge status-${booking.status}">${booking.status}</span>`],
+    ["Booked", formatAdminTime(booking.timestamp)],
+    ["Type", booking.side === "sell" ? "Buy-back" : "Purchase"],
+    ["Customer", escapeHtml(booking.fullName)],
+    ["Phone", escapeHtml(booking.phone)],
+    ["Email", escapeHtml(booking.email)],
+    ["Metal", escapeHtml(`${booking.purity} ${booking.metalType}`)],
+    ["Quantity", `${booking.quantity} ${escapeHtml(booking.unit)} (${booking.grams} g)`],
+    ["Rate", formatAdminAmount(booking.currentPrice)],
+    ...(booking.lineItems || []).map((item) => [escapeHtml(item.label), formatAdminAmount(item.amount)]),
+    [booking.side === "sell" ? "Payout" : "Total", `<strong>${formatAdminAmount(total)}</strong>`],
+    booking.session === "next" && booking.sessionOpensAt ? ["Processed", formatAdminTime(booking.sessionOpensAt)] : null,
+    booking.kyc?.pan ? ["PAN", escapeHtml(booking.kyc.pan)] : null,
+    booking.kyc?.aadhaar ? ["Aadhaar", escapeHtml(booking.kyc.aadhaar)] : null,
+    booking.kyc && booking.kyc.status !== "none" ? ["KYC", capitalize(booking.kyc.status)] : null,
+    booking.kyc?.required ? ["PAN required", "Yes"] : null,
+  ].filter(Boolean)
+
+  document.getElementById("adminDetailTitle").textContent = `Booking ${booking.id}`
+  document.getElementById("adminDetails").innerHTML = rows
+    .map(([label, value]) => `<div class="summary-row"><span>${label}</span><span>${value}</span></div>`)
+    .join("")
+
+  const history = booking.history || []
+  document.getElementById("adminHistory").innerHTML = history.length
+    ? history
+        .map((entry) => {
+          const changes = [
+            entry.status ? `Status → ${entry.status}` : null,
+            entry.kycStatus ? `KYC → ${entry.kycStatus}` : null,
+          ].filter(Boolean)
+          return `
+          <li>
+            <span class="admin-history-meta">${formatAdminTime(entry.at)} · ${escapeHtml(entry.by)}</span>
+            ${changes.length ? `<strong>${changes.join(", ")}</strong>` : ""}
+            ${entry.note ? `<span>${escapeHtml(entry.note)}</span>` : ""}
+          </li>
+        `
+        })
+        .join("")
+    : `<li class="portfolio-empty">No changes yet.</li>`
+
+  const notifications = booking.notifications || []
+  document.getElementById("adminNotifications").innerHTML = notifications.length
+    ? notifications
+        .map(
+          (item) => `
+          <li>
+            <span class="admin-history-meta">${capitalize(item.type)} ${item.channel === "sms" ? "SMS" : "email"} to ${escapeHtml(item.to)}</span>
+            <span class="status-badge status-${item.status}">${item.status}</span>
+            ${item.status === "sent" ? formatAdminTime(item.sentAt) : item.error ? escapeHtml(item.error) : ""}
+          </li>
+        `,
+        )
+        .join("")
+    : `<li class="portfolio-empty">No messages.</li>`
+
+  renderAdminUpdateForm(booking)
+}
+
+/**
+ * Fill the update form with the statuses the booking can move to; hidden for viewers
+ */
+function renderAdminUpdateForm(booking) {
+  const form = document.getElementById("adminUpdateForm")
+  form.hidden = adminState.session?.user.role !== "staff"
+  form.reset()
+  document.getElementById("adminUpdateError").textContent = ""
+
+  const statusSelect = document.getElementById("adminNewStatus")
+  statusSelect.innerHTML = [booking.status, ...getNextStatuses(booking.status)]
+    .map((status) => {
+      const label = status === booking.status ? `${capitalize(status)} (unchanged)` : capitalize(status)
+      return `<option value="${status}">${label}</option>`
+    })
+    .join("")
+
+  // Only details the customer gave can be checked
+  const hasKyc = booking.kyc && booking.kyc.status !== "none"
+  document.getElementById("adminKycGroup").hidden = !hasKyc
+  if (hasKyc) document.getElementById("adminKycStatus").value = booking.kyc.status
+}
+
+/**
+ * Save a status change, KYC review or note for the open booking
+ */
+async function handleAdminUpdate(e) {
+  e.preventDefault()
+
+  const booking = adminState.result.bookings.find((item) => item.id === adminState.selectedId)
+  if (!booking) return
+
+  const status = document.getElementById("adminNewStatus").value
+  const kycStatus = document.getElementById("adminKycGroup").hidden ? "" : document.getElementById("adminKycStatus").value
+  const note = document.getElementById("adminNote").value.trim()
+  const errorElement = document.getElementById("adminUpdateError")
+  const submitButton = document.getElementById("adminUpdateSubmit")
+
+  if (status === "cancelled" && !window.confirm(`Cancel booking ${booking.id}? The customer will be told.`)) return
+
+  const body = { note }
+  if (status !== booking.status) body.status = status
+  if (kycStatus && kycStatus !== booking.kyc?.status) body.kycStatus = kycStatus
+
+  errorElement.textContent = ""
+  submitButton.disabled = true
+
+  try {
+    const updated = await adminRequest(`/admin/bookings/${encodeURIComponent(booking.id)}`, {
+      method: "PATCH",
+      body: JSON.stringify(body),
+    })
+    adminState.result.bookings = adminState.result.bookings.map((item) => (item.id === updated.id ? updated : item))
+    renderAdminBookings()
+    renderAdminBooking(updated)
+    showAdminMessage(`Booking ${updated.id} updated.`, "success")
+
+    // Totals leave out cancelled bookings
+    if (body.status === "cancelled") loadAdminSummary()
+  } catch (error) {
+    console.error("Booking update failed:", error)
+    errorElement.textContent = error.body?.errors
+      ? Object.values(error.body.errors).join(" ")
+      : error.body?.error || "The booking could not be updated."
+  } finally {
+    submitButton.disabled = false
+  }
+}
+
+/**
+ * Wire up the page and resume a saved session
+ */
+function initializeAdmin() {
+  document.getElementById("adminLoginForm").addEventListener("submit", handleAdminLogin)
+  document.getElementById("adminUpdateForm").addEventListener("submit", handleAdminUpdate)
+  document.getElementById("summaryDate").addEventListener("change", loadAdminSummary)
+
+  document.getElementById("adminSearch").addEventListener("input", () => {
+    clearTimeout(adminState.searchTimer)
+    adminState.searchTimer = setTimeout(applyAdminFilters, ADMIN_CONFIG.searchDelay)
+  })
+  ;["adminStatus", "adminMetal", "adminSide", "adminFrom", "adminTo"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", applyAdminFilters)
+  })
+  document.querySelectorAll(".admin-sort").forEach((button) => {
+    button.addEventListener("click", () => sortAdminBookings(button.dataset.sort))
+  })
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeAdminBooking()
+  })
+
+  adminState.session = getAdminSession()
+  if (!adminState.session) {
+    signOutAdmin()
+    return
+  }
+
+  loadAdminAccount()
+    .then(showAdminApp)
+    .catch((error) => {
+      // A 401 has already signed the page out; otherwise the server may just be unreachable
+      console.error("Session check failed:", error)
+      if (adminState.session) showAdminApp()
+    })
+}
+
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", initializeAdmin)
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    buildAdminQuery,
+    getNextStatuses,
+    getAdminSession,
+  }
+}
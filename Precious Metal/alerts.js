@@ -0,0 +1,368 @@
+// Price Alerts
+
+// Alerts are saved in storage under "priceAlerts" and evaluated on every tick from applyRates().
+// Conditions:
+//   above / below      - price crosses an absolute level
+//   changeUp / changeDown - price moves the given percent away from the session's open
+// One-shot alerts deactivate after firing; repeating alerts fire again once their cooldown passes.
+
+// Condition words are translated from "alerts.cond.<condition>"
+const ALERT_CONDITIONS = {
+  above: { isPercent: false },
+  below: { isPercent: false },
+  changeUp: { isPercent: true },
+  changeDown: { isPercent: true },
+}
+
+let editingAlertId = null
+
+/**
+ * Check whether an alert's condition holds for the given rate
+ * @param {object} alert - Alert
+ * @param {object} rate - Rate from currentRates
+ * @returns {boolean} True if the condition is met
+ */
+function isAlertConditionMet(alert, rate) {
+  const open = rate.open ?? rate.price - rate.change
+
+  switch (alert.condition) {
+    case "above":
+      return rate.price >= alert.value
+    case "below":
+      return rate.price <= alert.value
+    case "changeUp":
+      return calculatePercentageChange(open, rate.price) >= alert.value
+    case "changeDown":
+      return calculatePercentageChange(open, rate.price) <= -alert.value
+    default:
+      return false
+  }
+}
+
+/**
+ * Find the alerts that should fire now
+ * @param {Array<object>} alerts - Saved alerts
+ * @param {object} rates - currentRates
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<object>} Alerts to fire
+ */
+function findTriggeredAlerts(alerts, rates, now = Date.now()) {
+  return alerts.filter((alert) => {
+    if (!alert.active || !rates[alert.metal]) return false
+
+    if (alert.lastTriggeredAt) {
+      const cooldownEnds = new Date(alert.lastTriggeredAt).getTime() + alert.cooldownMinutes * 60 * 1000
+      if (now < cooldownEnds) return false
+    }
+
+    return isAlertConditionMet(alert, rates[alert.metal])
+  })
+}
+
+/**
+ * Describe an alert in words, e.g. "Gold rises above ₹1,00,000/10g"
+ */
+function describeAlert(alert) {
+  const metal = translateMetal(alert.metal)
+  const condition = translate(`alerts.cond.${alert.condition}`)
+
+  switch (alert.condition) {
+    case "above":
+    case "below":
+      return translate("alerts.describePrice", {
+        metal,
+        condition,
+        price: formatCurrency(alert.value),
+        unit: getRateUnitLabel(alert.metal, CONFIG.metals),
+      })
+    case "changeUp":
+    case "changeDown":
+      return translate("alerts.describePercent", { metal, condition, value: alert.value })
+    default:
+      return metal
+  }
+}
+
+/**
+ * Show an alert through the Notification API, falling back to a toast
+ */
+function notifyAlert(alert, rate) {
+  const message = translate("alerts.now", {
+    description: describeAlert(alert),
+    price: formatCurrency(rate.price),
+    unit: getRateUnitLabel(alert.metal, CONFIG.metals),
+  })
+
+  if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+    new Notification(translate("alerts.notificationTitle"), { body: message, tag: alert.id })
+  } else {
+    showToast(message, "info")
+  }
+}
+
+/**
+ * Evaluate saved alerts against the latest rates and fire any that are due
+ * @param {object} rates - currentRates
+ */
+function checkPriceAlerts(rates) {
+  const alerts = storage.get("priceAlerts", [])
+  const triggered = findTriggeredAlerts(alerts, rates)
+  if (triggered.length === 0) return
+
+  const now = new Date().toISOString()
+  triggered.forEach((alert) => {
+    notifyAlert(alert, rates[alert.metal])
+    alert.lastTriggeredAt = now
+    if (alert.mode === "once") alert.active = false
+  })
+
+  storage.set("priceAlerts", alerts)
+  renderAlertList()
+}
+
+/**
+ * Ask for notification permission; alerts still work as toasts if it is refused
+ */
+function requestAlertPermission() {
+  if (typeof Notification !== "undefined" && Notification.permission === "default") {
+    Notification.requestPermission().catch((error) => console.warn("Notification permission request failed:", error))
+  }
+}
+
+/**
+ * Validate the alert form values
+ * @returns {object} Validation result with isValid and errors
+ */
+function validateAlertForm(values) {
+  const errors = {}
+
+  if (!CONFIG.metals[values.metal]) {
+    errors.alertMetal = translate("alerts.error.metal")
+  }
+  if (!ALERT_CONDITIONS[values.condition]) {
+    errors.alertCondition = translate("alerts.error.condition")
+  }
+  if (!Number.isFinite(values.value) || values.value <= 0) {
+    errors.alertValue = translate("alerts.error.value")
+  } else if (ALERT_CONDITIONS[values.condition]?.isPercent && values.value >= 100) {
+    errors.alertValue = translate("alerts.error.percent")
+  }
+  if (!Number.isFinite(values.cooldownMinutes) || values.cooldownMinutes < 0) {
+    errors.alertCooldown = translate("alerts.error.cooldown")
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Open the alerts modal, preselecting a metal
+ */
+function openAlertsModal(metal) {
+  const modal = document.getElementById("alertsModal")
+  if (!modal) return
+
+  resetAlertForm()
+  const metalField = document.getElementById("alertMetal")
+  if (metalField && metal) metalField.value = metal
+
+  renderAlertList()
+  updateAlertValueHint()
+
+  modal.classList.add("active")
+  modal.style.display = "flex"
+  document.body.style.overflow = "hidden"
+}
+
+/**
+ * Close the alerts modal
+ */
+function closeAlertsModal() {
+  const modal = document.getElementById("alertsModal")
+  if (!modal) return
+
+  modal.classList.remove("active")
+  modal.style.display = "none"
+  document.body.style.overflow = "auto"
+}
+
+/**
+ * Clear the alert form and leave edit mode
+ */
+function resetAlertForm() {
+  const form = document.getElementById("alertForm")
+  if (form) form.reset()
+
+  editingAlertId = null
+  const submit = document.getElementById("alertSubmit")
+  if (submit) {
+    submit.dataset.i18n = "alerts.add"
+    submit.textContent = translate(submit.dataset.i18n)
+  }
+
+  clearAlertFormErrors()
+}
+
+/**
+ * Clear alert form errors
+ */
+function clearAlertFormErrors() {
+  document.querySelectorAll("#alertForm .form-error").forEach((el) => {
+    el.textContent = ""
+    el.style.display = "none"
+  })
+}
+
+/**
+ * Show whether the value is a price or a percentage for the chosen condition
+ */
+function updateAlertValueHint() {
+  const condition = document.getElementById("alertCondition")?.value
+  const metal = document.getElementById("alertMetal")?.value
+  const hint = document.getElementById("alertValueHelper")
+  if (!hint) return
+
+  hint.textContent = ALERT_CONDITIONS[condition]?.isPercent
+    ? translate("alerts.valueHintPercent")
+    : translate("alerts.valueHintPrice", { unit: getRateUnitLabel(metal, CONFIG.metals) || "unit" })
+}
+
+/**
+ * Save the alert form as a new alert or over the one being edited
+ */
+function handleAlertSubmission(e) {
+  e.preventDefault()
+
+  const values = {
+    metal: document.getElementById("alertMetal").value,
+    condition: document.getElementById("alertCondition").value,
+    value: Number.parseFloat(document.getElementById("alertValue").value),
+    mode: document.getElementById("alertMode").value,
+    cooldownMinutes: Number.parseFloat(document.getElementById("alertCooldown").value),
+  }
+
+  clearAlertFormErrors()
+
+  const validation = validateAlertForm(values)
+  if (!validation.isValid) {
+    Object.keys(validation.errors).forEach((fieldName) => {
+      const errorElement = document.getElementById(`${fieldName}Error`)
+      if (errorElement) {
+        errorElement.textContent = validation.errors[fieldName]
+        errorElement.style.display = "block"
+      }
+    })
+    return
+  }
+
+  const alerts = storage.get("priceAlerts", [])
+  const existing = alerts.find((alert) => alert.id === editingAlertId)
+
+  if (existing) {
+    // Editing re-arms the alert
+    Object.assign(existing, values, { active: true, lastTriggeredAt: null })
+  } else {
+    alerts.push({
+      id: `AL${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`.toUpperCase(),
+      ...values,
+      active: true,
+      lastTriggeredAt: null,
+      createdAt: new Date().toISOString(),
+    })
+  }
+
+  storage.set("priceAlerts", alerts)
+  requestAlertPermission()
+  showToast(translate(existing ? "alerts.updated" : "alerts.created"), "success")
+
+  resetAlertForm()
+  renderAlertList()
+}
+
+/**
+ * Load an alert into the form for editing
+ */
+function editAlert(id) {
+  const alert = storage.get("priceAlerts", []).find((item) => item.id === id)
+  if (!alert) return
+
+  document.getElementById("alertMetal").value = alert.metal
+  document.getElementById("alertCondition").value = alert.condition
+  document.getElementById("alertValue").value = alert.value
+  document.getElementById("alertMode").value = alert.mode
+  document.getElementById("alertCooldown").value = alert.cooldownMinutes
+
+  editingAlertId = id
+  const submit = document.getElementById("alertSubmit")
+  submit.dataset.i18n = "alerts.update"
+  submit.textContent = translate(submit.dataset.i18n)
+  updateAlertValueHint()
+}
+
+/**
+ * Delete an alert
+ */
+function deleteAlert(id) {
+  storage.set(
+    "priceAlerts",
+    storage.get("priceAlerts", []).filter((alert) => alert.id !== id),
+  )
+
+  if (editingAlertId === id) resetAlertForm()
+  renderAlertList()
+}
+
+/**
+ * Render the saved alerts list
+ */
+function renderAlertList() {
+  const list = document.getElementById("alertList")
+  if (!list) return
+
+  const alerts = storage.get("priceAlerts", [])
+  if (alerts.length === 0) {
+    list.innerHTML = `<p class="alert-empty">${translate("alerts.empty")}</p>`
+    return
+  }
+
+  list.innerHTML = alerts
+    .map(
+      (alert) => `
+      <div class="alert-item ${alert.active ? "" : "inactive"}">
+        <div class="alert-info">
+          <span class="alert-description">${describeAlert(alert)}</span>
+          <span class="alert-meta">
+            ${alert.mode === "once" ? translate("alerts.oneShot") : translate("alerts.repeats", { minutes: alert.cooldownMinutes })}
+            ${alert.active ? "" : ` · ${translate("alerts.triggered")}`}
+          </span>
+        </div>
+        <div class="alert-actions">
+          <button type="button" class="btn-link" onclick="editAlert('${alert.id}')">${translate("alerts.edit")}</button>
+          <button type="button" class="btn-link danger" onclick="deleteAlert('${alert.id}')">${translate("alerts.delete")}</button>
+        </div>
+      </div>
+    `,
+    )
+    .join("")
+}
+
+/**
+ * Wire up the alert form
+ */
+function initializeAlerts() {
+  const form = document.getElementById("alertForm")
+  if (form) form.addEventListener("submit", handleAlertSubmission)
+
+  ;["alertMetal", "alertCondition"].forEach((id) => {
+    const field = document.getElementById(id)
+    if (field) field.addEventListener("change", updateAlertValueHint)
+  })
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    isAlertConditionMet,
+    findTriggeredAlerts,
+    validateAlertForm,
+  }
+}
@@ -0,0 +1,136 @@
+// Booking API Client
+
+// Talks to the booking endpoints under CONFIG.api.baseUrl (see server/index.js).
+// Bookings carry the client-generated ID, so a retried POST returns the original booking
+// instead of creating a second one. They also carry a phone verification token from
+// verifyOtp() (see otp.js), and a booking can only be fetched or cancelled with a token for
+// its phone.
+
+/**
+ * Text a verification code to a phone
+ * Not retried: a repeat would be refused by the server's resend throttle.
+ * @param {string} phone - 10-digit phone number
+ * @param {object} config - Application configuration
+ * @returns {Promise<object>} { expiresAt, resendAt } in milliseconds
+ */
+function requestOtp(phone, config) {
+  return fetchJsonWithRetry(
+    "/otp",
+    {
+      method: "POST",
+      headers: { Accept: "application/json", "Content-Type": "application/json" },
+      body: JSON.stringify({ phone }),
+    },
+    { ...config.api, retryAttempts: 0 },
+  )
+}
+
+/**
+ * Exchange a verification code for a phone verification token
+ * Not retried: a repeat would find the code already used, or spend another attempt.
+ * @param {string} phone - Phone the code was sent to
+ * @param {string} code - Code the customer entered
+ * @param {object} config - Application configuration
+ * @returns {Promise<object>} { token, expiresAt }
+ */
+function verifyOtp(phone, code, config) {
+  return fetchJsonWithRetry(
+    "/otp/verify",
+    {
+      method: "POST",
+      headers: { Accept: "application/json", "Content-Type": "application/json" },
+      body: JSON.stringify({ phone, code }),
+    },
+    { ...config.api, retryAttempts: 0 },
+  )
+}
+
+/**
+ * Lock the server's rate for a booking
+ * @param {string} metalType - Metal type (Gold/Silver)
+ * @param {object} config - Application configuration
+ * @returns {Promise<object>} Quote as { id, metalType, price, issuedAt, expiresAt }
+ */
+function requestQuote(metalType, config) {
+  return fetchJsonWithRetry(
+    "/quotes",
+    {
+      method: "POST",
+      headers: { Accept: "application/json", "Content-Type": "application/json" },
+      body: JSON.stringify({ metalType }),
+    },
+    config.api,
+  )
+}
+
+/**
+ * Submit a booking to the server
+ * The server prices it at the rate of its quoteId. It answers a quote that has expired, or
+ * moved past its tolerance, with 409 and a fresh quote, and bookings without a valid
+ * phoneVerification token with 403.
+ * @param {object} bookingData - Booking from processBooking()
+ * @param {object} config - Application configuration
+ * @returns {Promise<object>} Booking as stored by the server
+ */
+function submitBooking(bookingData, config) {
+  return fetchJsonWithRetry(
+    "/bookings",
+    {
+      method: "POST",
+      headers: { Accept: "application/json", "Content-Type": "application/json" },
+      body: JSON.stringify(bookingData),
+    },
+    config.api,
+  )
+}
+
+/**
+ * Fetch a booking from the server
+ * @param {string} id - Booking ID
+ * @param {string} phoneVerification - Verification token for the booking's phone
+ * @param {object} config - Application configuration
+ * @returns {Promise<object>} Booking
+ */
+function fetchBooking(id, phoneVerification, config) {
+  return fetchJsonWithRetry(
+    `/bookings/${encodeURIComponent(id)}`,
+    { headers: { Accept: "application/json", "X-Phone-Verification": phoneVerification } },
+    config.api,
+  )
+}
+
+/**
+ * Change a booking's status on the server
+ * @param {string} id - Booking ID
+ * @param {string} status - New status
+ * @param {string} phoneVerification - Verification token for the booking's phone
+ * @param {object} config - Application configuration
+ * @returns {Promise<object>} Updated booking
+ */
+function updateBookingStatus(id, status, phoneVerification, config) {
+  return fetchJsonWithRetry(
+    `/bookings/${encodeURIComponent(id)}`,
+    {
+      method: "PATCH",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        "X-Phone-Verification": phoneVerification,
+      },
+      body: JSON.stringify({ status }),
+    },
+    config.api,
+  )
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    requestOtp,
+    verifyOtp,
+    requestQuote,
+    submitBooking,
+    fetchBooking,
+    updateBookingStatus,
+  }
+}
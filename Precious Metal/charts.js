@@ -0,0 +1,304 @@
+// Price Charts
+
+// Sparklines and the expandable chart on each metal card, drawn on <canvas> from priceHistory.
+
+const CHART_RANGES = {
+  "1H": { duration: 60 * 60 * 1000, candle: 60 * 1000 },
+  "1D": { duration: 24 * 60 * 60 * 1000, candle: 15 * 60 * 1000 },
+  "1W": { duration: 7 * 24 * 60 * 60 * 1000, candle: 60 * 60 * 1000 },
+}
+
+const CHART_PADDING = { top: 12, right: 72, bottom: 24, left: 8 }
+
+const chartState = {}
+
+/**
+ * Read a color from the stylesheet's custom properties
+ */
+function getThemeColor(name) {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim()
+}
+
+/**
+ * Size a canvas for the device pixel ratio and return its 2D context
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @returns {object} Context with CSS width and height
+ */
+function prepareCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1
+  const width = canvas.clientWidth
+  const height = canvas.clientHeight
+
+  canvas.width = width * ratio
+  canvas.height = height * ratio
+
+  const ctx = canvas.getContext("2d")
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  ctx.clearRect(0, 0, width, height)
+
+  return { ctx, width, height }
+}
+
+/**
+ * Draw a sparkline of closing prices
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Array} samples - Samples from priceHistory.getSamples()
+ */
+function drawSparkline(canvas, samples) {
+  const { ctx, width, height } = prepareCanvas(canvas)
+  if (samples.length < 2) return
+
+  const closes = samples.map((sample) => sample[SAMPLE_CLOSE])
+  const min = Math.min(...closes)
+  const max = Math.max(...closes)
+  const span = max - min || 1
+
+  ctx.beginPath()
+  closes.forEach((price, index) => {
+    const x = (index / (closes.length - 1)) * width
+    const y = height - 2 - ((price - min) / span) * (height - 4)
+    if (index === 0) ctx.moveTo(x, y)
+    else ctx.lineTo(x, y)
+  })
+
+  ctx.strokeStyle = closes[closes.length - 1] >= closes[0] ? getThemeColor("--success") : getThemeColor("--error")
+  ctx.lineWidth = 1.5
+  ctx.stroke()
+}
+
+/**
+ * Draw the expanded chart as a line or as OHLC candles
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Array<object>} candles - Candles from aggregateCandles()
+ * @param {string} mode - "line" or "candles"
+ * @param {number|null} hoverIndex - Candle under the crosshair
+ * @returns {object|null} Geometry used to map pointer positions back to candles
+ */
+function drawPriceChart(canvas, candles, mode, hoverIndex = null) {
+  const { ctx, width, height } = prepareCanvas(canvas)
+  const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right
+  const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom
+
+  ctx.font = `11px ${getThemeColor("--font-family") || "sans-serif"}`
+  ctx.fillStyle = getThemeColor("--text-tertiary")
+
+  if (candles.length === 0) {
+    ctx.textAlign = "center"
+    ctx.fillText(translate("chart.collecting"), width / 2, height / 2)
+    return null
+  }
+
+  const min = Math.min(...candles.map((candle) => candle.low))
+  const max = Math.max(...candles.map((candle) => candle.high))
+  const span = max - min || 1
+  const step = plotWidth / candles.length
+  const xAt = (index) => CHART_PADDING.left + step * (index + 0.5)
+  const yAt = (price) => CHART_PADDING.top + (1 - (price - min) / span) * plotHeight
+
+  // Grid and price axis
+  ctx.strokeStyle = getThemeColor("--gray-200")
+  ctx.lineWidth = 1
+  ctx.textAlign = "left"
+  for (let i = 0; i <= 4; i++) {
+    const price = min + (span * i) / 4
+    const y = Math.round(yAt(price)) + 0.5
+    ctx.beginPath()
+    ctx.moveTo(CHART_PADDING.left, y)
+    ctx.lineTo(CHART_PADDING.left + plotWidth, y)
+    ctx.stroke()
+    ctx.fillText(formatDisplayPrice(price, false), CHART_PADDING.left + plotWidth + 6, y + 4)
+  }
+
+  // Time axis: first and last candle
+  ctx.textAlign = "left"
+  ctx.fillText(formatChartTime(candles[0].time), CHART_PADDING.left, height - 6)
+  ctx.textAlign = "right"
+  ctx.fillText(formatChartTime(candles[candles.length - 1].time), CHART_PADDING.left + plotWidth, height - 6)
+
+  const upColor = getThemeColor("--success")
+  const downColor = getThemeColor("--error")
+
+  if (mode === "candles") {
+    const bodyWidth = Math.max(1, step * 0.6)
+    candles.forEach((candle, index) => {
+      const x = xAt(index)
+      ctx.strokeStyle = ctx.fillStyle = candle.close >= candle.open ? upColor : downColor
+      ctx.beginPath()
+      ctx.moveTo(x, yAt(candle.high))
+      ctx.lineTo(x, yAt(candle.low))
+      ctx.stroke()
+
+      const top = yAt(Math.max(candle.open, candle.close))
+      const bottom = yAt(Math.min(candle.open, candle.close))
+      ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top))
+    })
+  } else {
+    ctx.beginPath()
+    candles.forEach((candle, index) => {
+      if (index === 0) ctx.moveTo(xAt(index), yAt(candle.close))
+      else ctx.lineTo(xAt(index), yAt(candle.close))
+    })
+    ctx.strokeStyle = candles[candles.length - 1].close >= candles[0].open ? upColor : downColor
+    ctx.lineWidth = 2
+    ctx.stroke()
+  }
+
+  // Crosshair
+  if (hoverIndex !== null && candles[hoverIndex]) {
+    const x = Math.round(xAt(hoverIndex)) + 0.5
+    const y = Math.round(yAt(candles[hoverIndex].close)) + 0.5
+    ctx.strokeStyle = getThemeColor("--gray-400")
+    ctx.lineWidth = 1
+    ctx.setLineDash([4, 4])
+    ctx.beginPath()
+    ctx.moveTo(x, CHART_PADDING.top)
+    ctx.lineTo(x, CHART_PADDING.top + plotHeight)
+    ctx.moveTo(CHART_PADDING.left, y)
+    ctx.lineTo(CHART_PADDING.left + plotWidth, y)
+    ctx.stroke()
+    ctx.setLineDash([])
+  }
+
+  return { step, left: CHART_PADDING.left, count: candles.length }
+}
+
+/**
+ * Format a chart timestamp in IST
+ */
+function formatChartTime(time) {
+  return new Intl.DateTimeFormat(getLocale(), {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true,
+    timeZone: "Asia/Kolkata",
+  }).format(new Date(time))
+}
+
+/**
+ * Get the candles for a metal's current chart range
+ */
+function getChartCandles(metal) {
+  const range = CHART_RANGES[chartState[metal].range]
+  return aggregateCandles(priceHistory.getSamples(metal, range.duration), range.candle)
+}
+
+/**
+ * Redraw a metal's expanded chart and its tooltip
+ */
+function renderMetalChart(metal) {
+  const state = chartState[metal]
+  const canvas = document.getElementById(`${metal}Chart`)
+  const tooltip = document.getElementById(`${metal}ChartTooltip`)
+  if (!state?.expanded || !canvas) return
+
+  const candles = getChartCandles(metal)
+  state.geometry = drawPriceChart(canvas, candles, state.mode, state.hoverIndex)
+
+  const candle = candles[state.hoverIndex]
+  if (!tooltip) return
+  if (!candle) {
+    tooltip.hidden = true
+    return
+  }
+
+  tooltip.hidden = false
+  tooltip.innerHTML =
+    state.mode === "candles"
+      ? `<strong>${formatChartTime(candle.time)}</strong>
+         <span>O ${formatDisplayPrice(candle.open)}</span>
+         <span>H ${formatDisplayPrice(candle.high)}</span>
+         <span>L ${formatDisplayPrice(candle.low)}</span>
+         <span>C ${formatDisplayPrice(candle.close)}</span>`
+      : `<strong>${formatChartTime(candle.time)}</strong>
+         <span>${formatDisplayPrice(candle.close)}</span>`
+}
+
+/**
+ * Redraw all sparklines and any expanded charts
+ */
+function updateCharts() {
+  Object.keys(chartState).forEach((metal) => {
+    const sparkline = document.getElementById(`${metal}Sparkline`)
+    if (sparkline) drawSparkline(sparkline, priceHistory.getSamples(metal, CHART_RANGES["1D"].duration))
+    renderMetalChart(metal)
+  })
+}
+
+/**
+ * Set up chart state and crosshair handlers for each metal card
+ * @param {Array<string>} metals - Metal keys
+ */
+function initializeCharts(metals) {
+  metals.forEach((metal) => {
+    chartState[metal] = { expanded: false, range: "1D", mode: "line", hoverIndex: null, geometry: null }
+
+    const canvas = document.getElementById(`${metal}Chart`)
+    if (!canvas) return
+
+    canvas.addEventListener("mousemove", (e) => {
+      const state = chartState[metal]
+      if (!state.geometry) return
+
+      const x = e.clientX - canvas.getBoundingClientRect().left
+      const index = Math.floor((x - state.geometry.left) / state.geometry.step)
+      state.hoverIndex = Math.min(state.geometry.count - 1, Math.max(0, index))
+      renderMetalChart(metal)
+    })
+
+    canvas.addEventListener("mouseleave", () => {
+      chartState[metal].hoverIndex = null
+      renderMetalChart(metal)
+    })
+  })
+
+  window.addEventListener("resize", debounce(updateCharts, 200))
+  updateCharts()
+}
+
+/**
+ * Expand or collapse a metal's chart
+ */
+function toggleChart(metal) {
+  const state = chartState[metal]
+  const panel = document.getElementById(`${metal}ChartPanel`)
+  const toggle = document.getElementById(`${metal}ChartToggle`)
+  if (!state || !panel) return
+
+  state.expanded = !state.expanded
+  panel.hidden = !state.expanded
+  if (toggle) {
+    toggle.dataset.i18n = state.expanded ? "chart.hide" : "chart.show"
+    toggle.textContent = translate(toggle.dataset.i18n)
+    toggle.setAttribute("aria-expanded", String(state.expanded))
+  }
+
+  renderMetalChart(metal)
+}
+
+/**
+ * Change a chart's range (1H/1D/1W) or mode (line/candles)
+ */
+function setChartOption(metal, option, value) {
+  const state = chartState[metal]
+  if (!state) return
+
+  state[option] = value
+  state.hoverIndex = null
+
+  document.querySelectorAll(`#${metal}ChartPanel [data-${option}]`).forEach((button) => {
+    button.classList.toggle("active", button.dataset[option] === value)
+  })
+
+  renderMetalChart(metal)
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CHART_RANGES,
+    drawSparkline,
+    drawPriceChart,
+  }
+}
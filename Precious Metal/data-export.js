@@ -0,0 +1,292 @@
+// Export and Import
+
+// The Export & Import dialog (#dataModal) downloads the bookings saved on this device, or the
+// recorded price history, as CSV, JSON or XLSX (see spreadsheet.js), filtered by metal and
+// IST booking or sample date. Price history is the one-minute samples kept by history.js.
+// A bookings JSON export restores them on another device. Files must be a bookings export,
+// or a bare list of bookings, and every booking is checked against BOOKING_IMPORT_SCHEMA;
+// bookings that fail are reported and left out. The schema covers every field My Bookings and
+// the receipt show, down to line items and KYC, so an imported file cannot smuggle in markup.
+// Bookings are matched by id: ones already saved here, or repeated in the file, are skipped,
+// so importing the same file twice adds nothing.
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024 // About what localStorage holds
+
+// Statuses bookings saved in the browser can have
+const BOOKING_IMPORT_STATUSES = ["confirmed", "paid", "delivered", "cancelled"]
+
+const isPositiveNumber = (value) => typeof value === "number" && Number.isFinite(value) && value > 0
+const isAmount = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0
+const isRecord = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value)
+const isDateTime = (value) => typeof value === "string" && !Number.isNaN(Date.parse(value))
+
+// Line items as calculatePriceBreakdown() makes them; the metal value row has no rate
+const isLineItem = (item) =>
+  isRecord(item) &&
+  typeof item.code === "string" &&
+  typeof item.label === "string" &&
+  typeof item.amount === "number" &&
+  Number.isFinite(item.amount) &&
+  (item.type === undefined || (["percent", "perGram"].includes(item.type) && isAmount(item.rate)))
+
+// KYC records as buildKyc() makes them; PANs saved before masking are ten characters too
+const isKycRecord = (kyc) =>
+  isRecord(kyc) &&
+  typeof kyc.required === "boolean" &&
+  KYC_STATUSES.includes(kyc.status) &&
+  (kyc.pan === null || (typeof kyc.pan === "string" && /^[A-Z0-9]{10}$/.test(kyc.pan))) &&
+  (kyc.aadhaar === null || isMaskedAadhaar(kyc.aadhaar))
+
+// Each check returns true if the field is acceptable; the rules follow validateBookingForm()
+const BOOKING_IMPORT_SCHEMA = {
+  id: (value) => typeof value === "string" && /^[A-Za-z0-9_-]{1,40}$/.test(value),
+  side: (value) => value === undefined || BOOKING_SIDES.includes(value),
+  fullName: (value) => typeof value === "string" && /^[a-zA-Z\s]{2,50}$/.test(value),
+  phone: (value) => typeof value === "string" && /^\d{10}$/.test(value),
+  email: (value) => typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  metalType: (value, metalsConfig) => Boolean(findMetalKey(value, metalsConfig)),
+  purity: (value, metalsConfig, booking) =>
+    getPurityOptions(findMetalKey(booking.metalType, metalsConfig), metalsConfig).some((purity) => purity.code === value),
+  quantity: isPositiveNumber,
+  unit: (value) => Boolean(WEIGHT_UNITS[value]),
+  // Bookings made before quantity units were selectable have no grams
+  grams: (value) => value === undefined || isPositiveNumber(value),
+  currentPrice: isPositiveNumber,
+  totalValue: isAmount,
+  grandTotal: (value) => value === undefined || isAmount(value),
+  lineItems: (value) => value === undefined || (Array.isArray(value) && value.every(isLineItem)),
+  kyc: (value) => value === undefined || isKycRecord(value),
+  fx: (value) => value == null || (isRecord(value) && /^[A-Z]{3}$/.test(value.currency) && isPositiveNumber(value.rate)),
+  session: (value) => value === undefined || value === "current" || value === "next",
+  sessionOpensAt: (value) => value == null || isDateTime(value),
+  sip: (value) =>
+    value == null ||
+    (isRecord(value) &&
+      (value.planId === null || typeof value.planId === "string") &&
+      (value.dueDate === null || (typeof value.dueDate === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value.dueDate)))),
+  timestamp: isDateTime,
+  status: (value) => BOOKING_IMPORT_STATUSES.includes(value),
+}
+
+/**
+ * Find the first field of an imported booking that fails the schema
+ * @param {object} booking - Imported record
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {string|null} Field name, or null if the booking is valid
+ */
+function validateImportedBooking(booking, metalsConfig) {
+  if (!booking || typeof booking !== "object" || Array.isArray(booking)) return "record"
+  return Object.keys(BOOKING_IMPORT_SCHEMA).find((field) => !BOOKING_IMPORT_SCHEMA[field](booking[field], metalsConfig, booking)) || null
+}
+
+/**
+ * Read the bookings from an import file
+ * @param {string} text - File contents
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {object} { bookings, invalid } with invalid as [{ index, id, field }], index from 1
+ * @throws {Error} With reason "parse", "type" or "version" if the file cannot be imported
+ */
+function parseBookingImport(text, metalsConfig) {
+  const fail = (reason) => Object.assign(new Error(`Bookings cannot be imported: ${reason}`), { reason })
+
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw fail("parse")
+  }
+
+  if (!Array.isArray(data)) {
+    if (data?.type !== "bookings" || !Array.isArray(data.records)) throw fail("type")
+    if (!(data.version <= EXPORT_VERSION)) throw fail("version")
+  }
+
+  const bookings = []
+  const invalid = []
+  ;(Array.isArray(data) ? data : data.records).forEach((booking, index) => {
+    const field = validateImportedBooking(booking, metalsConfig)
+    if (field) invalid.push({ index: index + 1, id: typeof booking?.id === "string" ? booking.id : "", field })
+    else bookings.push(booking)
+  })
+
+  return { bookings, invalid }
+}
+
+/**
+ * Add imported bookings to the saved ones, skipping any whose id is already there
+ * @param {Array<object>} saved - Bookings saved on this device
+ * @param {Array<object>} imported - Valid bookings from parseBookingImport()
+ * @returns {object} { bookings, added, skipped }
+ */
+function mergeImportedBookings(saved, imported) {
+  const ids = new Set(saved.map((booking) => booking.id))
+  const added = imported.filter((booking) => {
+    if (ids.has(booking.id)) return false
+    ids.add(booking.id)
+    return true
+  })
+
+  return { bookings: [...saved, ...added], added: added.length, skipped: imported.length - added.length }
+}
+
+/**
+ * Collect recorded price samples for export
+ * @param {object} history - From createPriceHistory()
+ * @param {object} filters - { metal, from, to } with a metal key and dates as YYYY-MM-DD
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {Array<object>} Rows { time, metal, rateUnit, open, high, low, close }, oldest first
+ */
+function getPriceRows(history, filters, metalsConfig) {
+  const toDateKey = (time) => new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Kolkata" }).format(new Date(time))
+
+  return getMetalKeys(metalsConfig)
+    .filter((metal) => !filters.metal || metal === filters.metal)
+    .flatMap((metal) =>
+      history.getSamples(metal, Infinity).map(([time, open, high, low, close]) => ({
+        time,
+        metal: metalsConfig[metal].name,
+        rateUnit: metalsConfig[metal].rateUnit,
+        open,
+        high,
+        low,
+        close,
+      })),
+    )
+    .filter((row) => !filters.from || toDateKey(row.time) >= filters.from)
+    .filter((row) => !filters.to || toDateKey(row.time) <= filters.to)
+    .sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Save an export file through a temporary link
+ */
+function downloadExportFile(file, baseName) {
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.type }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = `${baseName}.${file.extension}`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Export what the form asks for
+ */
+function handleDataExport(e) {
+  e.preventDefault()
+
+  const kind = document.getElementById("dataKind").value
+  const format = document.getElementById("dataFormat").value
+  const filters = {
+    metal: document.getElementById("dataMetal").value,
+    from: document.getElementById("dataFrom").value,
+    to: document.getElementById("dataTo").value,
+  }
+  const errorElement = document.getElementById("dataExportError")
+
+  errorElement.textContent = filters.from && filters.to && filters.from > filters.to ? translate("data.error.range") : ""
+  if (errorElement.textContent) return
+
+  // filterBookings() matches bookings on the metal name
+  const records =
+    kind === "bookings"
+      ? filterBookings(storage.get("bookings", []), { ...filters, metal: CONFIG.metals[filters.metal]?.name || "", status: "" })
+      : getPriceRows(priceHistory, filters, CONFIG.metals)
+  if (records.length === 0) {
+    showToast(translate("data.empty"), "info")
+    return
+  }
+
+  const today = new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Kolkata" }).format(new Date())
+  const baseName = `preciousmetals-${kind === "bookings" ? "bookings" : "price-history"}-${today}`
+  downloadExportFile(createExportFile(kind, format, records), baseName)
+  showToast(translate("data.exported", { count: records.length }), "success")
+}
+
+/**
+ * Import the bookings in the chosen file
+ */
+async function handleDataImport() {
+  const input = document.getElementById("dataImportFile")
+  const result = document.getElementById("dataImportResult")
+  const file = input.files?.[0]
+  if (!file) return
+
+  // The same file may be chosen again
+  input.value = ""
+
+  let parsed
+  try {
+    if (file.size > MAX_IMPORT_BYTES) throw Object.assign(new Error("Import file too large"), { reason: "tooLarge" })
+    parsed = parseBookingImport(await file.text(), CONFIG.metals)
+  } catch (error) {
+    console.error("Booking import failed:", error)
+    result.innerHTML = `<p class="form-error">${translate(`data.error.${error.reason || "parse"}`)}</p>`
+    return
+  }
+
+  const merged = mergeImportedBookings(storage.get("bookings", []), parsed.bookings)
+  if (merged.added) storage.set("bookings", merged.bookings)
+
+  // A few invalid entries are listed so the file can be fixed
+  result.innerHTML = `
+    <p>${translate("data.imported", { added: merged.added, skipped: merged.skipped, invalid: parsed.invalid.length })}</p>
+    ${parsed.invalid
+      .slice(0, 5)
+      .map(
+        (entry) =>
+          `<p class="form-error">${translate("data.invalidRecord", { index: entry.index, field: entry.field })}</p>`,
+      )
+      .join("")}
+  `
+  showToast(translate("data.importDone"), merged.added ? "success" : "info")
+  renderMyBookings()
+}
+
+function chooseImportFile() {
+  document.getElementById("dataImportFile")?.click()
+}
+
+/**
+ * Open the Export & Import dialog
+ */
+function openDataModal() {
+  const modal = document.getElementById("dataModal")
+  if (!modal) return
+
+  document.getElementById("dataExportError").textContent = ""
+  document.getElementById("dataImportResult").innerHTML = ""
+  modal.classList.add("active")
+  modal.style.display = "flex"
+  document.body.style.overflow = "hidden"
+}
+
+function closeDataModal() {
+  const modal = document.getElementById("dataModal")
+  if (!modal) return
+
+  modal.classList.remove("active")
+  modal.style.display = "none"
+  document.body.style.overflow = "auto"
+}
+
+/**
+ * Wire up the export form and import file picker
+ */
+function initializeDataExport() {
+  document.getElementById("dataExportForm")?.addEventListener("submit", handleDataExport)
+  document.getElementById("dataImportFile")?.addEventListener("change", handleDataImport)
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    BOOKING_IMPORT_SCHEMA,
+    validateImportedBooking,
+    parseBookingImport,
+    mergeImportedBookings,
+    getPriceRows,
+  }
+}
@@ -0,0 +1,186 @@
+// Local stand-in for the rate streaming API
+//
+// Serves simulated quotes so the stream client in stream.js can be exercised without the real backend:
+//   GET /rates        JSON snapshot used by the "http" provider and for resyncs
+//   GET /stream       WebSocket ticks
+//   GET /stream/sse   Server-Sent Events ticks
+//
+// Usage:
+//   node dev/stream-server.js
+//   PORT=8787 TICK_INTERVAL=1000 DROP_AFTER=10 node dev/stream-server.js
+//
+// DROP_AFTER closes every stream connection after that many ticks to exercise reconnects.
+// Point the app at it by setting in CONFIG:
+//   api.baseUrl: "http://localhost:8787"
+//   stream: { enabled: true, websocketUrl: "ws://localhost:8787/stream", sseUrl: "http://localhost:8787/stream/sse" }
+
+const http = require("http")
+const crypto = require("crypto")
+
+const PORT = Number(process.env.PORT) || 8787
+const TICK_INTERVAL = Number(process.env.TICK_INTERVAL) || 1000
+const DROP_AFTER = Number(process.env.DROP_AFTER) || 0
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+
+// One entry per metal in CONFIG.metals
+const rates = {
+  gold: { price: 99320, maxFluctuation: 50 },
+  silver: { price: 106780, maxFluctuation: 80 },
+  platinum: { price: 45210, maxFluctuation: 40 },
+  palladium: { price: 38940, maxFluctuation: 60 },
+}
+
+const clients = new Set()
+
+/**
+ * Build a WebSocket text frame (server frames are never masked)
+ */
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text)
+  let header
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length])
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x81
+    header[1] = 126
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x81
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(payload.length), 2)
+  }
+
+  return Buffer.concat([header, payload])
+}
+
+/**
+ * Register a stream client and drop it after DROP_AFTER ticks if configured
+ */
+function addClient(client) {
+  client.sent = 0
+  clients.add(client)
+  console.log(`${client.kind} client connected (${clients.size} total)`)
+}
+
+function removeClient(client) {
+  if (clients.delete(client)) {
+    console.log(`${client.kind} client disconnected (${clients.size} total)`)
+  }
+}
+
+function broadcast(message) {
+  const data = JSON.stringify(message)
+
+  clients.forEach((client) => {
+    client.send(data)
+    client.sent++
+
+    if (DROP_AFTER && client.sent >= DROP_AFTER) {
+      client.close()
+      removeClient(client)
+    }
+  })
+}
+
+function handleSse(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  })
+  res.write(": connected\n\n")
+
+  const client = {
+    kind: "SSE",
+    send: (data) => res.write(`data: ${data}\n\n`),
+    close: () => res.end(),
+  }
+
+  addClient(client)
+  req.on("close", () => removeClient(client))
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"]
+
+  if (req.url !== "/stream" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n")
+    return
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64")
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+  )
+
+  const client = {
+    kind: "WebSocket",
+    send: (data) => socket.write(encodeTextFrame(data)),
+    close: () => socket.end(Buffer.from([0x88, 0x00])),
+  }
+
+  addClient(client)
+
+  // Only the close opcode matters for this stand-in; other client frames are ignored
+  socket.on("data", (chunk) => {
+    if ((chunk[0] & 0x0f) === 0x08) {
+      socket.end(Buffer.from([0x88, 0x00]))
+    }
+  })
+  socket.on("close", () => removeClient(client))
+  socket.on("error", () => removeClient(client))
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Headers": "Accept" })
+    res.end()
+    return
+  }
+
+  if (req.method === "GET" && req.url === "/rates") {
+    res.writeHead(200, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" })
+    const snapshot = { timestamp: new Date().toISOString() }
+    Object.keys(rates).forEach((metal) => {
+      snapshot[metal] = { price: rates[metal].price }
+    })
+    res.end(JSON.stringify(snapshot))
+    return
+  }
+
+  if (req.method === "GET" && req.url === "/stream/sse") {
+    handleSse(req, res)
+    return
+  }
+
+  res.writeHead(404, { "Access-Control-Allow-Origin": "*" })
+  res.end()
+})
+
+server.on("upgrade", handleUpgrade)
+
+setInterval(() => {
+  Object.keys(rates).forEach((metal) => {
+    const rate = rates[metal]
+    rate.price = Math.max(0, rate.price + (Math.random() - 0.5) * rate.maxFluctuation)
+
+    broadcast({
+      type: "tick",
+      metal,
+      price: Math.round(rate.price * 100) / 100,
+      timestamp: new Date().toISOString(),
+    })
+  })
+}, TICK_INTERVAL)
+
+server.listen(PORT, () => {
+  console.log(`Rate stream stand-in listening on http://localhost:${PORT}`)
+})
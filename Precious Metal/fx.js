@@ -0,0 +1,163 @@
+// Currency Conversion
+
+// Prices, bookings and receipts stay in INR; other currencies are applied only when a
+// price is displayed. FX providers share one interface:
+//   name: string
+//   fetchRates(): Promise<{ rates: { USD, AED, … }, timestamp }>
+// where each rate is units of that currency per rupee. If the configured provider fails,
+// the last rates saved in storage are used, then CONFIG.fx.fallbackRates.
+
+/**
+ * Check and normalise an FX rate table, which must cover every configured currency
+ * @param {object} rates - Rates keyed by currency code
+ * @param {object} fxConfig - CONFIG.fx
+ * @returns {object} Rates including INR at 1
+ */
+function parseFxRates(rates, fxConfig) {
+  const parsed = { INR: 1 }
+
+  Object.keys(fxConfig.currencies)
+    .filter((code) => code !== "INR")
+    .forEach((code) => {
+      const rate = Number(rates?.[code])
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`Invalid FX rate for ${code}`)
+      }
+      parsed[code] = rate
+    })
+
+  return parsed
+}
+
+/**
+ * Create the static provider, which always returns CONFIG.fx.fallbackRates
+ * @param {object} config - Application configuration
+ * @returns {object} FX provider
+ */
+function createStaticFxProvider(config) {
+  return {
+    name: "static",
+    async fetchRates() {
+      return { rates: parseFxRates(config.fx.fallbackRates, config.fx), timestamp: null }
+    },
+  }
+}
+
+/**
+ * Create the HTTP provider, which reads rates from GET {CONFIG.api.baseUrl}/fx
+ * @param {object} config - Application configuration
+ * @returns {object} FX provider
+ */
+function createHttpFxProvider(config) {
+  return {
+    name: "http",
+    async fetchRates() {
+      const data = await fetchJsonWithRetry("/fx", { headers: { Accept: "application/json" } }, config.api)
+
+      return {
+        rates: parseFxRates(data.rates, config.fx),
+        timestamp: data.timestamp || new Date().toISOString(),
+      }
+    },
+  }
+}
+
+const fxProviderFactories = {
+  static: createStaticFxProvider,
+  http: createHttpFxProvider,
+}
+
+/**
+ * Create the FX provider named in CONFIG.fx.provider
+ * @param {object} config - Application configuration
+ * @returns {object} FX provider
+ */
+function createFxProvider(config) {
+  const name = config.fx.provider || "static"
+  const factory = fxProviderFactories[name]
+
+  if (!factory) {
+    throw new Error(`Unknown FX provider: ${name}`)
+  }
+
+  return factory(config)
+}
+
+/**
+ * Convert a rupee amount into another currency
+ * @param {number} amount - Amount in INR
+ * @param {string} currency - Currency code
+ * @param {object} rates - Rates from parseFxRates()
+ * @returns {number} Converted amount
+ */
+function convertFromInr(amount, currency, rates) {
+  return amount * (rates[currency] ?? 1)
+}
+
+/**
+ * Format an amount in a currency using that currency's locale
+ * @param {number} amount - Amount in the given currency
+ * @param {string} currency - Currency code
+ * @param {object} fxConfig - CONFIG.fx
+ * @param {boolean} showSymbol - Whether to show the currency symbol
+ * @returns {string} Formatted amount
+ */
+function formatMoney(amount, currency, fxConfig, showSymbol = true) {
+  return new Intl.NumberFormat(fxConfig.currencies[currency]?.locale || "en-IN", {
+    style: showSymbol ? "currency" : "decimal",
+    currency,
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(amount)
+}
+
+/**
+ * Get the symbol a currency is shown with in its locale, e.g. "₹", "$" or "AED"
+ */
+function getCurrencySymbol(currency, fxConfig) {
+  return (
+    new Intl.NumberFormat(fxConfig.currencies[currency]?.locale || "en-IN", { style: "currency", currency })
+      .formatToParts(0)
+      .find((part) => part.type === "currency")?.value || currency
+  )
+}
+
+/**
+ * Load FX rates from the provider, falling back to saved then static rates
+ * @param {object} provider - FX provider
+ * @param {object} config - Application configuration
+ * @returns {Promise<object>} { rates, timestamp, source } where source is the provider name, "saved" or "static"
+ */
+async function loadFxRates(provider, config) {
+  try {
+    const result = await provider.fetchRates()
+    const fx = { ...result, source: provider.name }
+    storage.set("fxRates", fx)
+    return fx
+  } catch (error) {
+    console.warn("FX rates unavailable, using fallback:", error.message)
+  }
+
+  try {
+    const saved = storage.get("fxRates")
+    if (saved) return { ...saved, rates: parseFxRates(saved.rates, config.fx), source: "saved" }
+  } catch (error) {
+    console.warn("Saved FX rates are invalid:", error.message)
+  }
+
+  return { rates: parseFxRates(config.fx.fallbackRates, config.fx), timestamp: null, source: "static" }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseFxRates,
+    createStaticFxProvider,
+    createHttpFxProvider,
+    createFxProvider,
+    convertFromInr,
+    formatMoney,
+    getCurrencySymbol,
+    loadFxRates,
+  }
+}
@@ -0,0 +1,147 @@
+// Price History
+
+// Ticks are folded into fixed-width samples so a week of history fits in localStorage.
+// Each sample is stored as [timestamp, open, high, low, close]; the timestamp is the
+// start of the sample interval. Samples live in a bounded ring buffer per metal.
+
+const SAMPLE_TIME = 0
+const SAMPLE_OPEN = 1
+const SAMPLE_HIGH = 2
+const SAMPLE_LOW = 3
+const SAMPLE_CLOSE = 4
+
+/**
+ * Create a fixed-capacity ring buffer that drops the oldest item when full
+ * @param {number} capacity - Maximum number of items
+ * @param {Array} initialItems - Items to preload, oldest first
+ * @returns {object} Ring buffer
+ */
+function createRingBuffer(capacity, initialItems = []) {
+  const items = new Array(capacity)
+  let start = 0
+  let length = 0
+
+  const buffer = {
+    push(item) {
+      if (length < capacity) {
+        items[(start + length) % capacity] = item
+        length++
+      } else {
+        items[start] = item
+        start = (start + 1) % capacity
+      }
+    },
+
+    last() {
+      return length ? items[(start + length - 1) % capacity] : null
+    },
+
+    toArray() {
+      const result = []
+      for (let i = 0; i < length; i++) {
+        result.push(items[(start + i) % capacity])
+      }
+      return result
+    },
+
+    get size() {
+      return length
+    },
+  }
+
+  initialItems.slice(-capacity).forEach((item) => buffer.push(item))
+  return buffer
+}
+
+/**
+ * Create the per-metal price history, restoring any saved samples
+ * @param {object} historyConfig - CONFIG.history
+ * @param {Array<string>} metals - Metal keys to track
+ * @returns {object} Price history
+ */
+function createPriceHistory(historyConfig, metals) {
+  const saved = storage.get("priceHistory", {})
+  const buffers = {}
+
+  metals.forEach((metal) => {
+    buffers[metal] = createRingBuffer(historyConfig.capacity, Array.isArray(saved[metal]) ? saved[metal] : [])
+  })
+
+  function save() {
+    const data = {}
+    metals.forEach((metal) => {
+      data[metal] = buffers[metal].toArray()
+    })
+    storage.set("priceHistory", data)
+  }
+
+  /**
+   * Record a tick, returning true if it started a new sample
+   */
+  function record(metal, price, time = Date.now()) {
+    const buffer = buffers[metal]
+    if (!buffer) return false
+
+    const rounded = Math.round(price * 100) / 100
+    const sampleStart = time - (time % historyConfig.sampleInterval)
+    const last = buffer.last()
+
+    if (last && last[SAMPLE_TIME] === sampleStart) {
+      last[SAMPLE_HIGH] = Math.max(last[SAMPLE_HIGH], rounded)
+      last[SAMPLE_LOW] = Math.min(last[SAMPLE_LOW], rounded)
+      last[SAMPLE_CLOSE] = rounded
+      return false
+    }
+
+    buffer.push([sampleStart, rounded, rounded, rounded, rounded])
+    return true
+  }
+
+  function getSamples(metal, rangeMs, now = Date.now()) {
+    const buffer = buffers[metal]
+    if (!buffer) return []
+    return buffer.toArray().filter((sample) => sample[SAMPLE_TIME] >= now - rangeMs)
+  }
+
+  return { record, getSamples, save }
+}
+
+/**
+ * Merge samples into candles of the given width
+ * @param {Array} samples - Samples, oldest first
+ * @param {number} candleMs - Candle width in milliseconds
+ * @returns {Array<object>} Candles with time, open, high, low and close
+ */
+function aggregateCandles(samples, candleMs) {
+  const candles = []
+
+  samples.forEach((sample) => {
+    const candleStart = sample[SAMPLE_TIME] - (sample[SAMPLE_TIME] % candleMs)
+    const current = candles[candles.length - 1]
+
+    if (current && current.time === candleStart) {
+      current.high = Math.max(current.high, sample[SAMPLE_HIGH])
+      current.low = Math.min(current.low, sample[SAMPLE_LOW])
+      current.close = sample[SAMPLE_CLOSE]
+    } else {
+      candles.push({
+        time: candleStart,
+        open: sample[SAMPLE_OPEN],
+        high: sample[SAMPLE_HIGH],
+        low: sample[SAMPLE_LOW],
+        close: sample[SAMPLE_CLOSE],
+      })
+    }
+  })
+
+  return candles
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createRingBuffer,
+    createPriceHistory,
+    aggregateCandles,
+  }
+}
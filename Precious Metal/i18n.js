@@ -0,0 +1,91 @@
+// Localization
+
+// UI text comes from MESSAGES (messages.js) in the language chosen in the header, which is
+// saved in storage under "language". Static markup names its message with data-i18n (text),
+// data-i18n-placeholder or data-i18n-aria-label; text built in scripts calls translate().
+// Elements naming a message the catalogue lacks, such as a metal added only in CONFIG.metals,
+// keep their text.
+// Numbers and dates follow the language's locale through getLocale(). Receipts are tax
+// invoices and stay in English.
+
+// Marathi keeps Latin digits so amounts match what customers type into the forms
+const LANGUAGES = {
+  en: { name: "English", locale: "en-IN" },
+  hi: { name: "हिन्दी", locale: "hi-IN" },
+  mr: { name: "मराठी", locale: "mr-IN-u-nu-latn" },
+  gu: { name: "ગુજરાતી", locale: "gu-IN" },
+}
+
+let currentLanguage = "en"
+
+/**
+ * Look up a message in the current language, falling back to English and then the key
+ * @param {string} key - Message ID
+ * @param {object} params - Values for {placeholders} in the message
+ * @returns {string} Translated text
+ */
+function translate(key, params = {}) {
+  const message = MESSAGES[currentLanguage]?.[key] ?? MESSAGES.en[key] ?? key
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder))
+}
+
+/**
+ * Check whether the catalogue has a message, e.g. for a configured pricing rule
+ */
+function hasTranslation(key) {
+  return MESSAGES.en[key] !== undefined
+}
+
+/**
+ * Get the Intl locale for the current language
+ */
+function getLocale() {
+  return LANGUAGES[currentLanguage]?.locale || "en-IN"
+}
+
+/**
+ * Get the translated name of a weight unit, e.g. "grams"
+ */
+function translateWeightUnit(unit) {
+  return hasTranslation(`weight.${unit}`) ? translate(`weight.${unit}`) : getUnitLabel(unit)
+}
+
+/**
+ * Get the translated name of a metal, falling back to its CONFIG.metals name
+ */
+function translateMetal(metal) {
+  return hasTranslation(`metal.${metal}`) ? translate(`metal.${metal}`) : CONFIG.metals[metal]?.name || metal
+}
+
+/**
+ * Get the translated name of a booking's metalType, e.g. "Gold"
+ */
+function translateMetalType(metalType) {
+  const metal = findMetalKey(metalType, CONFIG.metals)
+  return metal ? translateMetal(metal) : metalType
+}
+
+/**
+ * Translate every element under root that names a message
+ * @param {Element|Document} root - Subtree to translate
+ */
+function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    if (hasTranslation(element.dataset.i18n)) element.textContent = translate(element.dataset.i18n)
+  })
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+    element.placeholder = translate(element.dataset.i18nPlaceholder)
+  })
+  root.querySelectorAll("[data-i18n-aria-label]").forEach((element) => {
+    element.setAttribute("aria-label", translate(element.dataset.i18nAriaLabel))
+  })
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LANGUAGES,
+    translate,
+    hasTranslation,
+  }
+}
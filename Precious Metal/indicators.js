@@ -0,0 +1,172 @@
+// Market Indicators
+
+// The market summary is computed from the 1-minute price history (see history.js). Samples
+// from the last CONFIG.indicators.lookback are merged into candles of candleInterval and the
+// indicators below run on the candle closes:
+//   trend      - fast average crossing the slow one (SMA or EMA, CONFIG.indicators.trend)
+//   RSI        - Wilder's relative strength index over rsiPeriod candles
+//   momentum   - percent change over momentumPeriod candles
+//   volatility - standard deviation of candle-to-candle returns, in percent
+// Until there are enough candles for the crossover, the trend follows the day's change.
+
+/**
+ * Simple moving average of the last values
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - Number of values to average
+ * @returns {number|null} Average, or null if there are fewer values than the period
+ */
+function calculateSma(values, period) {
+  if (values.length < period) return null
+  return values.slice(-period).reduce((sum, value) => sum + value, 0) / period
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first period values
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - Smoothing period
+ * @returns {number|null} Latest average, or null if there are fewer values than the period
+ */
+function calculateEma(values, period) {
+  if (values.length < period) return null
+
+  const weight = 2 / (period + 1)
+  let average = calculateSma(values.slice(0, period), period)
+  for (let i = period; i < values.length; i++) {
+    average = values[i] * weight + average * (1 - weight)
+  }
+  return average
+}
+
+/**
+ * Relative strength index using Wilder's smoothing
+ * @param {Array<number>} values - Values, oldest first
+ * @param {number} period - RSI period
+ * @returns {number|null} RSI from 0 to 100, or null without period + 1 values
+ */
+function calculateRsi(values, period) {
+  if (values.length <= period) return null
+
+  let averageGain = 0
+  let averageLoss = 0
+
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1]
+    const gain = Math.max(change, 0)
+    const loss = Math.max(-change, 0)
+
+    if (i <= period) {
+      averageGain += gain / period
+      averageLoss += loss / period
+    } else {
+      averageGain = (averageGain * (period - 1) + gain) / period
+      averageLoss = (averageLoss * (period - 1) + loss) / period
+    }
+  }
+
+  if (averageLoss === 0) return averageGain === 0 ? 50 : 100
+  return 100 - 100 / (1 + averageGain / averageLoss)
+}
+
+/**
+ * Percent change between the latest value and the one period values earlier
+ * @returns {number|null} Percent change, or null without period + 1 values
+ */
+function calculateMomentum(values, period) {
+  if (values.length <= period) return null
+
+  const earlier = values[values.length - 1 - period]
+  return earlier ? ((values[values.length - 1] - earlier) / earlier) * 100 : null
+}
+
+/**
+ * Standard deviation of the percent returns between consecutive values
+ * @returns {number|null} Volatility in percent, or null with fewer than three values
+ */
+function calculateVolatility(values) {
+  if (values.length < 3) return null
+
+  const returns = []
+  for (let i = 1; i < values.length; i++) {
+    if (values[i - 1]) returns.push(((values[i] - values[i - 1]) / values[i - 1]) * 100)
+  }
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / returns.length
+  return Math.sqrt(variance)
+}
+
+/**
+ * Classify the trend from the fast/slow average crossover
+ * @param {Array<number>} closes - Candle closes, oldest first
+ * @param {object} trendConfig - CONFIG.indicators.trend
+ * @param {number} changePercent - The day's change, used until there are enough candles
+ * @returns {string} "bullish", "bearish" or "neutral"
+ */
+function classifyTrend(closes, trendConfig, changePercent = 0) {
+  const average = trendConfig.type === "sma" ? calculateSma : calculateEma
+  const fast = average(closes, trendConfig.fast)
+  const slow = average(closes, trendConfig.slow)
+  const spread = fast !== null && slow ? ((fast - slow) / slow) * 100 : changePercent
+
+  if (spread > trendConfig.neutralBand) return "bullish"
+  if (spread < -trendConfig.neutralBand) return "bearish"
+  return "neutral"
+}
+
+/**
+ * Classify volatility against CONFIG.indicators.volatility thresholds
+ * @returns {string|null} "low", "moderate" or "high", or null if unknown
+ */
+function classifyVolatility(volatility, thresholds) {
+  if (volatility === null) return null
+  if (volatility >= thresholds.high) return "high"
+  if (volatility >= thresholds.moderate) return "moderate"
+  return "low"
+}
+
+/**
+ * Compute every summary indicator for one metal
+ * @param {Array<number>} closes - Candle closes, oldest first
+ * @param {object} indicatorsConfig - CONFIG.indicators
+ * @param {number} changePercent - The day's change
+ * @returns {object} { trend, rsi, momentum, volatility, volatilityLevel }; values without
+ *   enough history are null
+ */
+function calculateIndicators(closes, indicatorsConfig, changePercent) {
+  const volatility = calculateVolatility(closes)
+
+  return {
+    trend: classifyTrend(closes, indicatorsConfig.trend, changePercent),
+    rsi: calculateRsi(closes, indicatorsConfig.rsiPeriod),
+    momentum: calculateMomentum(closes, indicatorsConfig.momentumPeriod),
+    volatility,
+    volatilityLevel: classifyVolatility(volatility, indicatorsConfig.volatility),
+  }
+}
+
+/**
+ * Gold/silver ratio: how many grams of silver buy one gram of gold
+ * @param {number} goldPrice - Gold rate on its CONFIG.metals basis
+ * @param {number} silverPrice - Silver rate on its CONFIG.metals basis
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number|null} Ratio, or null without a silver price
+ */
+function calculateGoldSilverRatio(goldPrice, silverPrice, metalsConfig) {
+  if (!silverPrice) return null
+  return getPricePerGram("gold", goldPrice, metalsConfig) / getPricePerGram("silver", silverPrice, metalsConfig)
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    calculateSma,
+    calculateEma,
+    calculateRsi,
+    calculateMomentum,
+    calculateVolatility,
+    classifyTrend,
+    classifyVolatility,
+    calculateIndicators,
+    calculateGoldSilverRatio,
+  }
+}
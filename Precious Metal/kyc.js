@@ -0,0 +1,171 @@
+// KYC Details
+
+// A PAN is required once a booking's total, either side, reaches CONFIG.kyc.panThreshold;
+// the booking form only asks for it from there. An Aadhaar number may be given with any
+// booking. It is checked in the browser and only its masked form, "XXXX XXXX 1234", is sent
+// and stored.
+// PANs are checked for shape (AAAAA9999A) and for a known holder type in the fourth letter.
+// The last letter is a check character, but its algorithm is not published. Aadhaar numbers
+// carry a Verhoeff check digit, which is checked in full. A PAN is sent in full so the server
+// can check it, and the server masks it to its last four characters, "XXXXXX234F", when it
+// stores the booking, so it never comes back out of the API or an export; staff see the full
+// card at the store.
+// Bookings record
+//   kyc: { required, status, pan, aadhaar }
+// where status is "none" without details and "pending" until they are checked at the store.
+// The server reuses these helpers through the CommonJS export.
+
+// Fourth letter of a PAN
+const PAN_HOLDER_TYPES = {
+  P: "Individual",
+  C: "Company",
+  H: "Hindu Undivided Family",
+  F: "Firm",
+  A: "Association of Persons",
+  T: "Trust",
+  B: "Body of Individuals",
+  L: "Local Authority",
+  J: "Artificial Juridical Person",
+  G: "Government",
+}
+
+const KYC_STATUSES = ["none", "pending", "verified", "rejected"]
+
+// Verhoeff dihedral group multiplication and position permutation tables
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+]
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+]
+
+/**
+ * Tidy a PAN as typed: no spaces, upper case
+ */
+function normalizePan(value) {
+  return String(value || "")
+    .replace(/\s/g, "")
+    .toUpperCase()
+}
+
+/**
+ * Check a normalized PAN
+ * @returns {string|null} null if valid, otherwise "format" or "holderType"
+ */
+function checkPan(pan) {
+  if (!/^[A-Z]{5}\d{4}[A-Z]$/.test(pan)) return "format"
+  if (!PAN_HOLDER_TYPES[pan[3]]) return "holderType"
+  return null
+}
+
+/**
+ * Check whether a booking total needs a PAN
+ */
+function isPanRequired(grandTotal, kycConfig) {
+  return grandTotal >= kycConfig.panThreshold
+}
+
+/**
+ * Check the PAN given for a booking, if any
+ * @returns {string|null} null if acceptable, otherwise "required", "format" or "holderType"
+ */
+function checkBookingPan(pan, grandTotal, kycConfig) {
+  if (!pan) return isPanRequired(grandTotal, kycConfig) ? "required" : null
+  return checkPan(pan)
+}
+
+/**
+ * Tidy an Aadhaar number as typed to its digits
+ */
+function normalizeAadhaar(value) {
+  return String(value || "").replace(/[\s-]/g, "")
+}
+
+/**
+ * Check a normalized Aadhaar number: 12 digits, not starting with 0 or 1, with a valid
+ * Verhoeff check digit
+ * @returns {string|null} null if valid, otherwise "format" or "checksum"
+ */
+function checkAadhaar(aadhaar) {
+  if (!/^[2-9]\d{11}$/.test(aadhaar)) return "format"
+
+  const check = aadhaar
+    .split("")
+    .reverse()
+    .reduce((sum, digit, index) => VERHOEFF_MULTIPLY[sum][VERHOEFF_PERMUTE[index % 8][Number(digit)]], 0)
+  return check === 0 ? null : "checksum"
+}
+
+/**
+ * Mask an Aadhaar number to its last four digits
+ */
+function maskAadhaar(aadhaar) {
+  return `XXXX XXXX ${normalizeAadhaar(aadhaar).slice(-4)}`
+}
+
+/**
+ * Mask a PAN to its last four characters
+ */
+function maskPan(pan) {
+  return `XXXXXX${normalizePan(pan).slice(-4)}`
+}
+
+/**
+ * Check that an Aadhaar number was masked before it was sent
+ */
+function isMaskedAadhaar(value) {
+  return /^XXXX XXXX \d{4}$/.test(value)
+}
+
+/**
+ * Build a booking's KYC record
+ * @param {object} details - { pan, aadhaar } with aadhaar already masked
+ * @param {number} grandTotal - Booking total
+ * @param {object} kycConfig - CONFIG.kyc
+ * @returns {object} { required, status, pan, aadhaar }
+ */
+function buildKyc(details, grandTotal, kycConfig) {
+  const pan = normalizePan(details?.pan) || null
+  const aadhaar = details?.aadhaar || null
+
+  return {
+    required: isPanRequired(grandTotal, kycConfig),
+    status: pan || aadhaar ? "pending" : "none",
+    pan,
+    aadhaar,
+  }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PAN_HOLDER_TYPES,
+    KYC_STATUSES,
+    normalizePan,
+    checkPan,
+    isPanRequired,
+    checkBookingPan,
+    normalizeAadhaar,
+    checkAadhaar,
+    maskAadhaar,
+    isMaskedAadhaar,
+    maskPan,
+    buildKyc,
+  }
+}
@@ -0,0 +1,143 @@
+// Market Calendar
+
+// Decides whether the market is open in India Standard Time, whatever the browser's time zone.
+// Regular sessions come from CONFIG.business.workingHours:
+//   weekdays / saturday / sunday: { open: "HH:MM", close: "HH:MM" }, or null when closed
+// CONFIG.market adds dated exceptions (dates are IST calendar days, YYYY-MM-DD):
+//   holidays:        [{ date, name }]                - no regular session that day
+//   specialSessions: [{ date, name, open, close }]   - replace that day's hours, e.g. Muhurat trading
+// IST has no daylight saving, so a calendar day and time map to one fixed UTC instant.
+// The server reuses these helpers through the CommonJS export.
+
+const MARKET_TIME_ZONE = "Asia/Kolkata"
+const IST_OFFSET = "+05:30"
+const MARKET_LOOKAHEAD_DAYS = 14 // How far ahead to look for the next session
+
+/**
+ * Get the IST calendar day and weekday of an instant
+ * @param {Date} date - Instant
+ * @returns {object} { dateKey: "YYYY-MM-DD", day: 0 (Sunday) to 6 }
+ */
+function getIstDay(date) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone: MARKET_TIME_ZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+  }).formatToParts(date)
+  const part = (type) => parts.find((item) => item.type === type).value
+
+  return {
+    dateKey: `${part("year")}-${part("month")}-${part("day")}`,
+    day: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(part("weekday")),
+  }
+}
+
+/**
+ * Convert an IST calendar day and "HH:MM" time to an instant
+ */
+function istTimeToDate(dateKey, time) {
+  return new Date(`${dateKey}T${time}:00${IST_OFFSET}`)
+}
+
+/**
+ * Get the trading sessions on an IST calendar day
+ * @param {string} dateKey - Day as YYYY-MM-DD
+ * @param {number} day - Weekday, 0 (Sunday) to 6
+ * @param {object} workingHours - CONFIG.business.workingHours
+ * @param {object} market - CONFIG.market
+ * @returns {Array<object>} Sessions as { name, special, opensAt, closesAt }
+ */
+function getSessionsForDay(dateKey, day, workingHours, market) {
+  const toSession = (hours, name, special) => ({
+    name,
+    special,
+    opensAt: istTimeToDate(dateKey, hours.open),
+    closesAt: istTimeToDate(dateKey, hours.close),
+  })
+
+  const special = (market.specialSessions || []).filter((session) => session.date === dateKey)
+  if (special.length > 0) return special.map((session) => toSession(session, session.name, true))
+
+  if ((market.holidays || []).some((holiday) => holiday.date === dateKey)) return []
+
+  const hours = day === 0 ? workingHours.sunday : day === 6 ? workingHours.saturday : workingHours.weekdays
+  return hours ? [toSession(hours, null, false)] : []
+}
+
+/**
+ * Work out whether the market is open and when it next opens or closes
+ * @param {Date} now - Current time
+ * @param {object} workingHours - CONFIG.business.workingHours
+ * @param {object} market - CONFIG.market
+ * @returns {object} { isOpen, session, nextSession, holiday } where session is the one in
+ *   progress (or null), nextSession the next to open (or null if none within two weeks) and
+ *   holiday today's holiday entry, if any
+ */
+function getMarketStatus(now, workingHours, market) {
+  const today = getIstDay(now)
+  const todayStart = istTimeToDate(today.dateKey, "00:00").getTime()
+  let session = null
+  let nextSession = null
+
+  for (let offset = 0; offset <= MARKET_LOOKAHEAD_DAYS && !nextSession; offset++) {
+    // Noon avoids any ambiguity about which calendar day the offset lands on
+    const { dateKey, day } = getIstDay(new Date(todayStart + offset * 86400000 + 12 * 3600000))
+
+    getSessionsForDay(dateKey, day, workingHours, market).forEach((candidate) => {
+      if (candidate.opensAt <= now && now < candidate.closesAt) session = candidate
+      else if (candidate.opensAt > now && !nextSession) nextSession = candidate
+    })
+  }
+
+  return {
+    isOpen: Boolean(session),
+    session,
+    nextSession,
+    holiday: (market.holidays || []).find((holiday) => holiday.date === today.dateKey) || null,
+  }
+}
+
+/**
+ * Format the time until a session opens or closes, e.g. "2h 05m" or "4m 09s"
+ */
+function formatMarketCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000))
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`
+  if (hours > 0) return `${hours}h ${minutes.toString().padStart(2, "0")}m`
+  return `${minutes}m ${seconds.toString().padStart(2, "0")}s`
+}
+
+/**
+ * Format a session time in IST, e.g. "Mon, 9:00 am"
+ * @param {Date} date - Instant
+ * @param {string} locale - Intl locale
+ * @param {boolean} includeDay - Whether to include the weekday
+ * @returns {string} Formatted time
+ */
+function formatMarketTime(date, locale = "en-IN", includeDay = true) {
+  return new Intl.DateTimeFormat(locale, {
+    weekday: includeDay ? "short" : undefined,
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+    timeZone: MARKET_TIME_ZONE,
+  }).format(date)
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getIstDay,
+    istTimeToDate,
+    getSessionsForDay,
+    getMarketStatus,
+    formatMarketCountdown,
+    formatMarketTime,
+  }
+}
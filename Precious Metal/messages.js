@@ -0,0 +1,1500 @@
+// Message Catalogue
+
+// UI strings for every supported language, keyed by message ID. Placeholders in braces are
+// filled in by translate(). English is complete; a key missing from another language falls
+// back to English. Static markup refers to these keys through data-i18n attributes.
+
+const MESSAGES = {
+  en: {
+    "loading.title": "Loading Live Rates...",
+    "loading.subtitle": "Fetching latest precious metal prices",
+
+    "header.tagline": "Live Indian Rates",
+    "header.marketOpen": "Market Open",
+    "header.marketClosed": "Market Closed",
+    "header.lastUpdated": "Last Updated:",
+    "header.myBookings": "My Bookings",
+    "header.portfolio": "Portfolio",
+    "header.sip": "SIP Plans",
+    "header.data": "Export & Import",
+    "header.language": "Language",
+
+    "market.opensIn": "Opens in {time}",
+    "market.closesIn": "Closes in {time}",
+    "market.holiday": "Closed for {name}",
+    "market.specialOpen": "{name} open",
+    "market.nextSessionNotice": "The market is closed. This booking will be settled when the next session opens ({time}).",
+    "market.bookingBlocked": "The market is closed. Bookings open again {time}.",
+
+    "summary.title": "Today's Market Summary",
+    "summary.trend": "{metal} Trend",
+    "summary.bullish": "↗ Bullish",
+    "summary.bearish": "↘ Bearish",
+    "summary.volatility": "Intraday Volatility",
+    "summary.ratio": "Gold/Silver Ratio",
+    "summary.ratioDetail": "Grams of silver per gram of gold",
+    "summary.neutral": "→ Neutral",
+    "summary.indicators": "RSI {rsi} · Momentum {momentum}",
+    "summary.volatility.low": "Low",
+    "summary.volatility.moderate": "Moderate",
+    "summary.volatility.high": "High",
+
+    "rates.title": "Live Precious Metal Rates",
+    "rates.subtitle": "Real-time prices updated every 30 seconds",
+    "rates.showPer": "Show rates per",
+    "rates.currency": "Currency",
+    "rates.lastUpdated": "Last updated:",
+    "rates.disclaimer": "*Rates are indicative and subject to market fluctuations. Final rates confirmed at booking.",
+
+    "metal.gold": "Gold",
+    "metal.silver": "Silver",
+    "metal.platinum": "Platinum",
+    "metal.palladium": "Palladium",
+
+    "units.standard": "Standard (10g / kg)",
+    "units.g": "Gram",
+    "units.10g": "10 Grams",
+    "units.kg": "Kilogram",
+    "units.tola": "Tola",
+    "units.ozt": "Troy Ounce",
+    "units.per.g": "Per Gram",
+    "units.per.10g": "Per 10 Grams",
+    "units.per.kg": "Per Kilogram",
+    "units.per.tola": "Per Tola",
+    "units.per.ozt": "Per Troy Ounce",
+
+    "weight.g": "grams",
+    "weight.kg": "kg",
+    "weight.tola": "tola",
+    "weight.ozt": "troy oz",
+
+    "card.pure": "{percent}% Pure",
+    "card.purity": "{metal} purity",
+    "card.todaysLow": "Today's Low",
+    "card.todaysHigh": "Today's High",
+    "card.setAlert": "Set Price Alert",
+    "card.bookRate": "Book This Rate",
+    "card.buyPrice": "Buy",
+    "card.sellPrice": "Sell",
+    "card.sellToUs": "Sell to Us",
+
+    "chart.show": "Show chart",
+    "chart.hide": "Hide chart",
+    "chart.line": "Line",
+    "chart.candles": "Candles",
+    "chart.collecting": "Collecting price history…",
+
+    "booking.title": "Book Current Rate",
+    "booking.sellTitle": "Sell to Us",
+    "booking.side": "Booking type",
+    "booking.sellNote": "Buy-backs pay for the metal content at our buying rate, with no charges or taxes. The payout is confirmed once your metal is tested at our store.",
+    "side.buy": "Buy",
+    "side.sell": "Sell",
+    "form.fullName": "Full Name *",
+    "form.phone": "Phone Number *",
+    "form.email": "Email Address *",
+    "form.pan": "PAN",
+    "form.panRequired": "PAN is required for bookings of {amount} and above",
+    "form.panOptional": "PAN is only required for bookings of {amount} and above",
+    "form.aadhaarOptional": "Add Aadhaar for KYC (optional)",
+    "form.aadhaar": "Aadhaar Number",
+    "form.aadhaarHelper": "Only the last 4 digits are kept with your booking",
+    "form.metalType": "Metal Type *",
+    "form.selectMetal": "Select Metal",
+    "form.quantity": "Quantity *",
+    "form.quantityUnit": "Quantity unit",
+    "form.enterQuantity": "Enter quantity",
+    "form.upTo": "Up to {amount} {unit}",
+    "form.sellRange": "{min} to {max} {unit}",
+    "form.purity": "Purity *",
+    "form.selectMetalFirst": "Select metal first",
+
+    "bookingSummary.currentRate": "Current Rate:",
+    "bookingSummary.quantity": "Quantity:",
+    "bookingSummary.metalValue": "Metal Value:",
+    "bookingSummary.estimatedTotal": "Estimated Total:",
+    "bookingSummary.estimatedPayout": "Estimated Payout:",
+    "bookingSummary.payableInInr": "Payable in INR: {amount} · {rate}",
+
+    "charge.wastage": "Wastage",
+    "charge.making": "Making Charges",
+    "charge.gst": "GST",
+    "charge.tcs": "TCS",
+
+    "quote.id": "Quote {id}",
+    "quote.locked": "Locked for {time}",
+    "quote.expired": "Quote expired",
+    "quote.expiredIntro": "Your locked rate has expired.",
+    "quote.movedIntro": "The market has moved since your rate was locked.",
+    "quote.newRate": "{intro} New rate: {price}/{unit} (was {oldPrice}/{unit}).",
+
+    "action.cancel": "Cancel",
+    "action.close": "Close",
+    "action.acceptNewRate": "Accept New Rate",
+    "action.confirmBooking": "Confirm Booking",
+    "action.confirmSale": "Confirm Sale",
+
+    "success.title": "Booking Confirmed!",
+    "success.message": "You will receive a confirmation email and SMS shortly. Our team will contact you within 30 minutes.",
+
+    "details.bookingId": "Booking ID:",
+    "details.type": "Type:",
+    "details.name": "Name:",
+    "details.kyc": "KYC:",
+    "kyc.status.none": "Not provided",
+    "kyc.status.pending": "Pending check",
+    "kyc.status.verified": "Verified",
+    "kyc.status.rejected": "Rejected",
+    "details.metal": "Metal:",
+    "details.quantity": "Quantity:",
+    "details.rate": "Rate:",
+    "details.metalValue": "Metal Value:",
+    "details.totalPayable": "Total Payable:",
+    "details.totalPayout": "Payout:",
+    "details.shownIn": "Shown in {currency} at:",
+    "details.booked": "Booked:",
+    "details.status": "Status:",
+    "details.session": "Session:",
+    "details.nextSession": "Next session · opens {time}",
+
+    "status.confirmed": "Confirmed",
+    "status.paid": "Paid",
+    "status.delivered": "Delivered",
+    "status.cancelled": "Cancelled",
+
+    "receipt.print": "Print Receipt",
+    "receipt.download": "Download PDF",
+    "receipt.unavailable": "Receipt not available for this booking",
+
+    "validation.required": "This field is required",
+    "validation.name": "Name must contain only letters and spaces",
+    "validation.phone": "Phone number must be 10 digits",
+    "validation.email": "Invalid email address",
+    "validation.quantity": "Quantity must be a positive number",
+    "validation.maxQuantity": "Maximum quantity for {metal} is {amount} {unit}",
+    "validation.minBuyQuantity": "Minimum purchase of {metal} is {amount} {unit}",
+    "validation.minSellQuantity": "Minimum sale of {metal} is {amount} {unit}",
+    "validation.pan.required": "PAN is required for bookings of {amount} and above",
+    "validation.pan.format": "Enter a valid PAN, e.g. ABCDE1234F",
+    "validation.pan.holderType": "The fourth letter of a PAN must be a valid holder type",
+    "validation.aadhaar.format": "Aadhaar number must be 12 digits",
+    "validation.aadhaar.checksum": "This Aadhaar number is not valid",
+
+    "toast.pricesFailed": "Failed to update prices",
+    "toast.bookingConfirmed": "Booking confirmed successfully!",
+    "toast.bookingFailed": "Failed to process booking. Please try again.",
+
+    "alerts.title": "Price Alerts",
+    "alerts.metal": "Metal *",
+    "alerts.condition": "Condition *",
+    "alerts.option.above": "Price rises above",
+    "alerts.option.below": "Price falls below",
+    "alerts.option.changeUp": "Up % from open",
+    "alerts.option.changeDown": "Down % from open",
+    "alerts.value": "Value *",
+    "alerts.valueHintPrice": "Price in ₹ per {unit}",
+    "alerts.valueHintPercent": "Percentage change from today's open",
+    "alerts.repeat": "Repeat",
+    "alerts.once": "Once",
+    "alerts.everyTime": "Every time",
+    "alerts.cooldown": "Cooldown (minutes)",
+    "alerts.cooldownHint": "Minimum time between repeated notifications",
+    "alerts.clear": "Clear",
+    "alerts.add": "Add Alert",
+    "alerts.update": "Update Alert",
+    "alerts.yourAlerts": "Your Alerts",
+    "alerts.empty": "No alerts yet.",
+    "alerts.oneShot": "One-shot",
+    "alerts.repeats": "Repeats, {minutes} min cooldown",
+    "alerts.triggered": "Triggered",
+    "alerts.edit": "Edit",
+    "alerts.delete": "Delete",
+    "alerts.created": "Alert created",
+    "alerts.updated": "Alert updated",
+    "alerts.cond.above": "rises above",
+    "alerts.cond.below": "falls below",
+    "alerts.cond.changeUp": "up",
+    "alerts.cond.changeDown": "down",
+    "alerts.describePrice": "{metal} {condition} {price}/{unit}",
+    "alerts.describePercent": "{metal} {condition} {value}% from open",
+    "alerts.now": "{description} — now {price}/{unit}",
+    "alerts.notificationTitle": "PreciousMetals Pro price alert",
+    "alerts.error.metal": "Select a metal",
+    "alerts.error.condition": "Select a condition",
+    "alerts.error.value": "Enter a positive number",
+    "alerts.error.percent": "Percentage must be below 100",
+    "alerts.error.cooldown": "Cooldown cannot be negative",
+
+    "myBookings.title": "My Bookings",
+    "myBookings.metal": "Metal",
+    "myBookings.status": "Status",
+    "myBookings.from": "From",
+    "myBookings.to": "To",
+    "myBookings.all": "All",
+    "myBookings.empty": "No bookings match these filters.",
+    "myBookings.details": "Booking Details",
+    "myBookings.cancel": "Cancel Booking",
+    "myBookings.rebook": "Rebook at Current Rate",
+    "myBookings.cancelHint": "Bookings can only be cancelled within {minutes} minutes.",
+    "myBookings.periodEnded": "The cancellation period for this booking has ended",
+    "myBookings.confirmCancel": "Cancel booking {id}?",
+    "myBookings.cancelled": "Booking cancelled",
+    "myBookings.cancelFailed": "Failed to cancel booking. Please try again.",
+    "data.title": "Export & Import",
+    "data.export": "Export",
+    "data.kind": "Data",
+    "data.kind.bookings": "Bookings",
+    "data.kind.priceHistory": "Price History",
+    "data.format": "Format",
+    "data.exportHint": "Exports are in English, with times in IST.",
+    "data.download": "Download",
+    "data.empty": "Nothing to export for these filters.",
+    "data.exported": "Exported {count} rows",
+    "data.import": "Import Bookings",
+    "data.importHint": "Restore bookings from a JSON export made on another device. Bookings already saved here are kept.",
+    "data.chooseFile": "Choose JSON File",
+    "data.imported": "Added {added} bookings. {skipped} were already saved and {invalid} were not valid.",
+    "data.invalidRecord": "Entry {index}: {field} is not valid",
+    "data.importDone": "Import finished",
+    "data.error.range": "The From date must be on or before the To date.",
+    "data.error.parse": "This file is not valid JSON.",
+    "data.error.type": "This file is not a bookings export.",
+    "data.error.version": "This file was made by a newer version of the app.",
+    "data.error.tooLarge": "This file is too large to import.",
+
+    "portfolio.title": "My Portfolio",
+    "portfolio.value": "Current Value",
+    "portfolio.invested": "Invested",
+    "portfolio.pnl": "Unrealized P&L",
+    "portfolio.valueOverTime": "Value Over Time",
+    "portfolio.allocation": "Allocation",
+    "portfolio.positions": "Positions",
+    "portfolio.empty": "No holdings yet. Confirmed bookings and holdings you add appear here.",
+    "portfolio.col.holding": "Holding",
+    "portfolio.col.quantity": "Quantity",
+    "portfolio.col.avgCost": "Avg Cost/g",
+    "portfolio.col.price": "Price/g",
+    "portfolio.col.value": "Value",
+    "portfolio.col.pnl": "P&L",
+    "portfolio.addHolding": "Add a Holding",
+    "portfolio.addHint": "Metal bought elsewhere is valued alongside your bookings",
+    "portfolio.metal": "Metal *",
+    "portfolio.purity": "Purity *",
+    "portfolio.quantity": "Quantity *",
+    "portfolio.unit": "Unit",
+    "portfolio.cost": "Amount Paid (₹) *",
+    "portfolio.date": "Purchase Date *",
+    "portfolio.add": "Add Holding",
+    "portfolio.yourHoldings": "Added Holdings",
+    "portfolio.noHoldings": "No holdings added.",
+    "portfolio.paid": "Paid {amount} on {date}",
+    "portfolio.delete": "Delete",
+    "portfolio.added": "Holding added",
+    "portfolio.error.metal": "Select a metal",
+    "portfolio.error.quantity": "Enter a positive quantity",
+    "portfolio.error.cost": "Enter the amount paid",
+    "portfolio.error.date": "Enter a purchase date that is not in the future",
+
+    "sip.title": "Systematic Investment Plans",
+    "sip.intro": "Invest a fixed amount every week or month. Each instalment is booked at the live rate when it falls due; charges and taxes are added as for any booking.",
+    "sip.metal": "Metal *",
+    "sip.purity": "Purity *",
+    "sip.amount": "Amount per Instalment (₹) *",
+    "sip.frequency": "Frequency *",
+    "sip.weekly": "weekly",
+    "sip.monthly": "monthly",
+    "sip.startDate": "First Instalment *",
+    "sip.projection": "Projection",
+    "sip.mode.history": "Past Prices",
+    "sip.mode.simulated": "Simulated",
+    "sip.projectionEmpty": "Enter an amount to see how the plan would build up.",
+    "sip.noHistory": "Not enough price history yet. Try the simulated projection.",
+    "sip.hint.history": "Had this plan run for the last {count} instalments, valued at today's rate",
+    "sip.hint.simulated": "The next {count} instalments at simulated prices trending {growth}% a year",
+    "sip.invested": "Invested",
+    "sip.accumulated": "Accumulated",
+    "sip.averageCost": "Average Cost/g",
+    "sip.value": "Value",
+    "sip.col.date": "Date",
+    "sip.col.price": "Price/g",
+    "sip.col.grams": "Bought",
+    "sip.col.total": "Total",
+    "sip.start": "Start Plan",
+    "sip.yourPlans": "Your Plans",
+    "sip.empty": "No plans yet.",
+    "sip.describe": "{metal} ({purity}) · {amount} {frequency}",
+    "sip.next": "Next instalment {date}",
+    "sip.progress": "{booked} booked · {skipped} skipped",
+    "sip.status.active": "Active",
+    "sip.status.paused": "Paused",
+    "sip.status.cancelled": "Cancelled",
+    "sip.pause": "Pause",
+    "sip.resume": "Resume",
+    "sip.skip": "Skip Next",
+    "sip.cancel": "Cancel Plan",
+    "sip.verifyPhone": "Verify Phone",
+    "sip.needsVerification": "Waiting for phone verification",
+    "sip.confirmCancel": "Cancel this plan? Instalments already booked are kept.",
+    "sip.created": "Plan started",
+    "sip.skippedToast": "Next instalment skipped",
+    "sip.missedToast": "{count} missed instalments were skipped; only the latest is booked",
+    "sip.verifyToast": "Verify {phone} in SIP Plans; its instalments are on hold until you do",
+    "sip.booked": "SIP instalment booked: {id}",
+    "sip.error.metal": "Select a metal",
+    "sip.error.amount": "Enter an amount from {min} to {max}",
+    "sip.error.frequency": "Select a frequency",
+    "sip.error.date": "The first instalment cannot be in the past",
+
+    "otp.title": "Verify Your Phone",
+    "otp.intro": "Enter the {length}-digit code we sent by SMS to {phone}.",
+    "otp.code": "Verification Code *",
+    "otp.verify": "Verify",
+    "otp.resend": "Resend Code",
+    "otp.resendIn": "Resend in {time}",
+    "otp.expiresIn": "Code expires in {time}",
+    "otp.codeExpired": "Code expired, request a new one",
+    "otp.verified": "Phone number verified",
+    "otp.required": "Please verify your phone number again",
+    "otp.error.throttled": "Too many codes requested. Try again in {time}",
+    "otp.error.sendFailed": "Could not send the code. Please try again",
+    "otp.error.invalid": "Incorrect code, {attempts} attempts left",
+    "otp.error.expired": "This code has expired. Request a new one",
+    "otp.error.locked": "Too many incorrect attempts. Request a new code",
+    "otp.error.verifyFailed": "Could not verify the code. Please try again",
+    "otp.error.format": "Enter the {length}-digit code",
+
+    "footer.tagline": "Your trusted precious metals partner since 2020",
+    "footer.contact": "Contact Information",
+    "footer.hours": "Business Hours",
+    "footer.weekdays": "Monday - Friday",
+    "footer.saturday": "Saturday",
+    "footer.sunday": "Sunday",
+    "footer.closed": "Closed",
+    "footer.certifications": "Certifications",
+    "footer.rights": "© 2024 PreciousMetals Pro. All rights reserved.",
+    "footer.privacy": "Privacy Policy",
+    "footer.terms": "Terms of Service",
+    "footer.refund": "Refund Policy",
+  },
+
+  hi: {
+    "loading.title": "लाइव भाव लोड हो रहे हैं...",
+    "loading.subtitle": "कीमती धातुओं के ताज़ा भाव लाए जा रहे हैं",
+
+    "header.tagline": "भारत के लाइव भाव",
+    "header.marketOpen": "बाज़ार खुला है",
+    "header.marketClosed": "बाज़ार बंद है",
+    "header.lastUpdated": "अंतिम अपडेट:",
+    "header.myBookings": "मेरी बुकिंग",
+    "header.portfolio": "पोर्टफ़ोलियो",
+    "header.sip": "SIP योजनाएँ",
+    "header.data": "निर्यात/आयात",
+    "header.language": "भाषा",
+
+    "market.opensIn": "{time} में खुलेगा",
+    "market.closesIn": "{time} में बंद होगा",
+    "market.holiday": "{name} के कारण बंद",
+    "market.specialOpen": "{name} चालू",
+    "market.nextSessionNotice": "बाज़ार बंद है। यह बुकिंग अगला सत्र खुलने पर ({time}) निपटाई जाएगी।",
+    "market.bookingBlocked": "बाज़ार बंद है। बुकिंग फिर से {time} पर शुरू होगी।",
+
+    "summary.title": "आज का बाज़ार सारांश",
+    "summary.trend": "रुझान: {metal}",
+    "summary.bullish": "↗ तेज़ी",
+    "summary.bearish": "↘ मंदी",
+    "summary.volatility": "दिन की अस्थिरता",
+    "summary.ratio": "सोना/चांदी अनुपात",
+    "summary.ratioDetail": "एक ग्राम सोने के बदले चांदी (ग्राम)",
+    "summary.neutral": "→ स्थिर",
+    "summary.indicators": "RSI {rsi} · गति {momentum}",
+    "summary.volatility.low": "कम",
+    "summary.volatility.moderate": "मध्यम",
+    "summary.volatility.high": "अधिक",
+
+    "rates.title": "कीमती धातुओं के लाइव भाव",
+    "rates.subtitle": "हर 30 सेकंड में अपडेट होने वाले रियल-टाइम भाव",
+    "rates.showPer": "भाव दिखाएँ प्रति",
+    "rates.currency": "मुद्रा",
+    "rates.lastUpdated": "अंतिम अपडेट:",
+    "rates.disclaimer": "*भाव सांकेतिक हैं और बाज़ार के उतार-चढ़ाव पर निर्भर हैं। अंतिम भाव बुकिंग के समय तय होगा।",
+
+    "metal.gold": "सोना",
+    "metal.silver": "चांदी",
+    "metal.platinum": "प्लैटिनम",
+    "metal.palladium": "पैलेडियम",
+
+    "units.standard": "मानक (10 ग्राम / किलो)",
+    "units.g": "ग्राम",
+    "units.10g": "10 ग्राम",
+    "units.kg": "किलोग्राम",
+    "units.tola": "तोला",
+    "units.ozt": "ट्रॉय औंस",
+    "units.per.g": "प्रति ग्राम",
+    "units.per.10g": "प्रति 10 ग्राम",
+    "units.per.kg": "प्रति किलोग्राम",
+    "units.per.tola": "प्रति तोला",
+    "units.per.ozt": "प्रति ट्रॉय औंस",
+
+    "weight.g": "ग्राम",
+    "weight.kg": "किलो",
+    "weight.tola": "तोला",
+    "weight.ozt": "ट्रॉय औंस",
+
+    "card.pure": "{percent}% शुद्ध",
+    "card.purity": "{metal} की शुद्धता",
+    "card.todaysLow": "आज का न्यूनतम",
+    "card.todaysHigh": "आज का अधिकतम",
+    "card.setAlert": "भाव अलर्ट सेट करें",
+    "card.bookRate": "यह भाव बुक करें",
+    "card.buyPrice": "खरीद",
+    "card.sellPrice": "बिक्री",
+    "card.sellToUs": "हमें बेचें",
+
+    "chart.show": "चार्ट दिखाएँ",
+    "chart.hide": "चार्ट छिपाएँ",
+    "chart.line": "लाइन",
+    "chart.candles": "कैंडल",
+    "chart.collecting": "भाव का इतिहास जुटाया जा रहा है…",
+
+    "booking.title": "मौजूदा भाव बुक करें",
+    "booking.sellTitle": "हमें बेचें",
+    "booking.side": "बुकिंग का प्रकार",
+    "booking.sellNote": "वापस खरीद में धातु की मात्रा का भुगतान हमारे खरीद भाव पर होता है, बिना किसी शुल्क या कर के। आपकी धातु की हमारे स्टोर पर जाँच के बाद भुगतान तय होता है।",
+    "side.buy": "खरीद",
+    "side.sell": "बिक्री",
+    "form.fullName": "पूरा नाम *",
+    "form.phone": "फ़ोन नंबर *",
+    "form.email": "ईमेल पता *",
+    "form.pan": "PAN",
+    "form.panRequired": "{amount} और उससे अधिक की बुकिंग के लिए PAN आवश्यक है",
+    "form.panOptional": "PAN केवल {amount} और उससे अधिक की बुकिंग के लिए आवश्यक है",
+    "form.aadhaarOptional": "KYC के लिए आधार जोड़ें (वैकल्पिक)",
+    "form.aadhaar": "आधार नंबर",
+    "form.aadhaarHelper": "आपकी बुकिंग के साथ केवल अंतिम 4 अंक रखे जाते हैं",
+    "form.metalType": "धातु *",
+    "form.selectMetal": "धातु चुनें",
+    "form.quantity": "मात्रा *",
+    "form.quantityUnit": "मात्रा की इकाई",
+    "form.enterQuantity": "मात्रा दर्ज करें",
+    "form.upTo": "अधिकतम {amount} {unit}",
+    "form.sellRange": "{min} से {max} {unit}",
+    "form.purity": "शुद्धता *",
+    "form.selectMetalFirst": "पहले धातु चुनें",
+
+    "bookingSummary.currentRate": "मौजूदा भाव:",
+    "bookingSummary.quantity": "मात्रा:",
+    "bookingSummary.metalValue": "धातु का मूल्य:",
+    "bookingSummary.estimatedTotal": "अनुमानित कुल:",
+    "bookingSummary.estimatedPayout": "अनुमानित भुगतान:",
+    "bookingSummary.payableInInr": "INR में देय: {amount} · {rate}",
+
+    "charge.wastage": "वेस्टेज",
+    "charge.making": "मेकिंग चार्ज",
+    "charge.gst": "जीएसटी",
+    "charge.tcs": "टीसीएस",
+
+    "quote.id": "कोट {id}",
+    "quote.locked": "{time} के लिए लॉक",
+    "quote.expired": "कोट की अवधि समाप्त",
+    "quote.expiredIntro": "आपके लॉक किए गए भाव की अवधि समाप्त हो गई है।",
+    "quote.movedIntro": "भाव लॉक होने के बाद बाज़ार बदल गया है।",
+    "quote.newRate": "{intro} नया भाव: {price}/{unit} (पहले {oldPrice}/{unit})।",
+
+    "action.cancel": "रद्द करें",
+    "action.close": "बंद करें",
+    "action.acceptNewRate": "नया भाव स्वीकार करें",
+    "action.confirmBooking": "बुकिंग की पुष्टि करें",
+    "action.confirmSale": "बिक्री की पुष्टि करें",
+
+    "success.title": "बुकिंग की पुष्टि हो गई!",
+    "success.message": "आपको जल्द ही पुष्टि का ईमेल और SMS मिलेगा। हमारी टीम 30 मिनट में आपसे संपर्क करेगी।",
+
+    "details.bookingId": "बुकिंग आईडी:",
+    "details.type": "प्रकार:",
+    "details.name": "नाम:",
+    "details.kyc": "KYC:",
+    "kyc.status.none": "नहीं दिया गया",
+    "kyc.status.pending": "जाँच बाकी",
+    "kyc.status.verified": "सत्यापित",
+    "kyc.status.rejected": "अस्वीकृत",
+    "details.metal": "धातु:",
+    "details.quantity": "मात्रा:",
+    "details.rate": "भाव:",
+    "details.metalValue": "धातु का मूल्य:",
+    "details.totalPayable": "कुल देय:",
+    "details.totalPayout": "भुगतान:",
+    "details.shownIn": "{currency} में दिखाया गया भाव:",
+    "details.booked": "बुकिंग का समय:",
+    "details.status": "स्थिति:",
+    "details.session": "सत्र:",
+    "details.nextSession": "अगला सत्र · {time} पर खुलेगा",
+
+    "status.confirmed": "पुष्टि हुई",
+    "status.paid": "भुगतान हुआ",
+    "status.delivered": "डिलीवर हुआ",
+    "status.cancelled": "रद्द",
+
+    "receipt.print": "रसीद प्रिंट करें",
+    "receipt.download": "PDF डाउनलोड करें",
+    "receipt.unavailable": "इस बुकिंग की रसीद उपलब्ध नहीं है",
+
+    "validation.required": "यह फ़ील्ड आवश्यक है",
+    "validation.name": "नाम में केवल अक्षर और स्पेस हो सकते हैं",
+    "validation.phone": "फ़ोन नंबर 10 अंकों का होना चाहिए",
+    "validation.email": "अमान्य ईमेल पता",
+    "validation.quantity": "मात्रा धनात्मक संख्या होनी चाहिए",
+    "validation.maxQuantity": "{metal} की अधिकतम मात्रा {amount} {unit} है",
+    "validation.minBuyQuantity": "{metal} की न्यूनतम खरीद {amount} {unit} है",
+    "validation.minSellQuantity": "{metal} की न्यूनतम बिक्री {amount} {unit} है",
+    "validation.pan.required": "{amount} और उससे अधिक की बुकिंग के लिए PAN आवश्यक है",
+    "validation.pan.format": "मान्य PAN दर्ज करें, जैसे ABCDE1234F",
+    "validation.pan.holderType": "PAN का चौथा अक्षर मान्य धारक प्रकार होना चाहिए",
+    "validation.aadhaar.format": "आधार नंबर 12 अंकों का होना चाहिए",
+    "validation.aadhaar.checksum": "यह आधार नंबर मान्य नहीं है",
+
+    "toast.pricesFailed": "भाव अपडेट नहीं हो सके",
+    "toast.bookingConfirmed": "बुकिंग सफलतापूर्वक पुष्ट हुई!",
+    "toast.bookingFailed": "बुकिंग पूरी नहीं हो सकी। कृपया फिर से प्रयास करें।",
+
+    "alerts.title": "भाव अलर्ट",
+    "alerts.metal": "धातु *",
+    "alerts.condition": "शर्त *",
+    "alerts.option.above": "भाव इससे ऊपर जाए",
+    "alerts.option.below": "भाव इससे नीचे आए",
+    "alerts.option.changeUp": "शुरुआती भाव से % ऊपर",
+    "alerts.option.changeDown": "शुरुआती भाव से % नीचे",
+    "alerts.value": "मान *",
+    "alerts.valueHintPrice": "₹ में भाव प्रति {unit}",
+    "alerts.valueHintPercent": "आज के शुरुआती भाव से प्रतिशत बदलाव",
+    "alerts.repeat": "दोहराएँ",
+    "alerts.once": "एक बार",
+    "alerts.everyTime": "हर बार",
+    "alerts.cooldown": "अंतराल (मिनट)",
+    "alerts.cooldownHint": "दोबारा सूचना के बीच न्यूनतम समय",
+    "alerts.clear": "साफ़ करें",
+    "alerts.add": "अलर्ट जोड़ें",
+    "alerts.update": "अलर्ट अपडेट करें",
+    "alerts.yourAlerts": "आपके अलर्ट",
+    "alerts.empty": "अभी कोई अलर्ट नहीं है।",
+    "alerts.oneShot": "एक बार",
+    "alerts.repeats": "दोहराता है, {minutes} मिनट अंतराल",
+    "alerts.triggered": "ट्रिगर हो चुका",
+    "alerts.edit": "बदलें",
+    "alerts.delete": "हटाएँ",
+    "alerts.created": "अलर्ट बनाया गया",
+    "alerts.updated": "अलर्ट अपडेट किया गया",
+    "alerts.cond.above": "ऊपर",
+    "alerts.cond.below": "नीचे",
+    "alerts.cond.changeUp": "ऊपर",
+    "alerts.cond.changeDown": "नीचे",
+    "alerts.describePrice": "{metal} {price}/{unit} से {condition}",
+    "alerts.describePercent": "{metal} शुरुआती भाव से {value}% {condition}",
+    "alerts.now": "{description} — अभी {price}/{unit}",
+    "alerts.notificationTitle": "PreciousMetals Pro भाव अलर्ट",
+    "alerts.error.metal": "धातु चुनें",
+    "alerts.error.condition": "शर्त चुनें",
+    "alerts.error.value": "धनात्मक संख्या दर्ज करें",
+    "alerts.error.percent": "प्रतिशत 100 से कम होना चाहिए",
+    "alerts.error.cooldown": "अंतराल ऋणात्मक नहीं हो सकता",
+
+    "myBookings.title": "मेरी बुकिंग",
+    "myBookings.metal": "धातु",
+    "myBookings.status": "स्थिति",
+    "myBookings.from": "से",
+    "myBookings.to": "तक",
+    "myBookings.all": "सभी",
+    "myBookings.empty": "इन फ़िल्टर से कोई बुकिंग नहीं मिली।",
+    "myBookings.details": "बुकिंग विवरण",
+    "myBookings.cancel": "बुकिंग रद्द करें",
+    "myBookings.rebook": "मौजूदा भाव पर फिर से बुक करें",
+    "myBookings.cancelHint": "बुकिंग केवल {minutes} मिनट के भीतर रद्द की जा सकती है।",
+    "myBookings.periodEnded": "इस बुकिंग को रद्द करने की अवधि समाप्त हो गई है",
+    "myBookings.confirmCancel": "बुकिंग {id} रद्द करें?",
+    "myBookings.cancelled": "बुकिंग रद्द की गई",
+    "myBookings.cancelFailed": "बुकिंग रद्द नहीं हो सकी। कृपया फिर से प्रयास करें।",
+    "data.title": "निर्यात और आयात",
+    "data.export": "निर्यात",
+    "data.kind": "डेटा",
+    "data.kind.bookings": "बुकिंग",
+    "data.kind.priceHistory": "मूल्य इतिहास",
+    "data.format": "फ़ॉर्मेट",
+    "data.exportHint": "निर्यात अंग्रेज़ी में होते हैं, समय IST में।",
+    "data.download": "डाउनलोड करें",
+    "data.empty": "इन फ़िल्टर के लिए निर्यात करने को कुछ नहीं है।",
+    "data.exported": "{count} पंक्तियाँ निर्यात की गईं",
+    "data.import": "बुकिंग आयात करें",
+    "data.importHint": "किसी दूसरे डिवाइस पर बने JSON निर्यात से बुकिंग वापस लाएँ। यहाँ पहले से सहेजी गई बुकिंग बनी रहती हैं।",
+    "data.chooseFile": "JSON फ़ाइल चुनें",
+    "data.imported": "{added} बुकिंग जोड़ी गईं। {skipped} पहले से सहेजी थीं और {invalid} मान्य नहीं थीं।",
+    "data.invalidRecord": "प्रविष्टि {index}: {field} मान्य नहीं है",
+    "data.importDone": "आयात पूरा हुआ",
+    "data.error.range": "'से' तारीख 'तक' तारीख के बराबर या उससे पहले होनी चाहिए।",
+    "data.error.parse": "यह फ़ाइल मान्य JSON नहीं है।",
+    "data.error.type": "यह फ़ाइल बुकिंग निर्यात नहीं है।",
+    "data.error.version": "यह फ़ाइल ऐप के नए संस्करण से बनी है।",
+    "data.error.tooLarge": "यह फ़ाइल आयात के लिए बहुत बड़ी है।",
+
+    "portfolio.title": "मेरा पोर्टफ़ोलियो",
+    "portfolio.value": "मौजूदा मूल्य",
+    "portfolio.invested": "निवेश",
+    "portfolio.pnl": "अप्राप्त लाभ/हानि",
+    "portfolio.valueOverTime": "समय के साथ मूल्य",
+    "portfolio.allocation": "आवंटन",
+    "portfolio.positions": "होल्डिंग विवरण",
+    "portfolio.empty": "अभी कोई होल्डिंग नहीं। पुष्ट बुकिंग और आपकी जोड़ी गई होल्डिंग यहाँ दिखेंगी।",
+    "portfolio.col.holding": "होल्डिंग",
+    "portfolio.col.quantity": "मात्रा",
+    "portfolio.col.avgCost": "औसत लागत/g",
+    "portfolio.col.price": "भाव/g",
+    "portfolio.col.value": "मूल्य",
+    "portfolio.col.pnl": "लाभ/हानि",
+    "portfolio.addHolding": "होल्डिंग जोड़ें",
+    "portfolio.addHint": "कहीं और से खरीदी गई धातु का मूल्य आपकी बुकिंग के साथ आँका जाता है",
+    "portfolio.metal": "धातु *",
+    "portfolio.purity": "शुद्धता *",
+    "portfolio.quantity": "मात्रा *",
+    "portfolio.unit": "इकाई",
+    "portfolio.cost": "चुकाई गई राशि (₹) *",
+    "portfolio.date": "खरीद की तारीख *",
+    "portfolio.add": "होल्डिंग जोड़ें",
+    "portfolio.yourHoldings": "जोड़ी गई होल्डिंग",
+    "portfolio.noHoldings": "कोई होल्डिंग नहीं जोड़ी गई।",
+    "portfolio.paid": "{date} को {amount} चुकाए",
+    "portfolio.delete": "हटाएँ",
+    "portfolio.added": "होल्डिंग जोड़ी गई",
+    "portfolio.error.metal": "धातु चुनें",
+    "portfolio.error.quantity": "धनात्मक मात्रा दर्ज करें",
+    "portfolio.error.cost": "चुकाई गई राशि दर्ज करें",
+    "portfolio.error.date": "ऐसी खरीद तारीख दर्ज करें जो भविष्य की न हो",
+
+    "sip.title": "व्यवस्थित निवेश योजनाएँ",
+    "sip.intro": "हर सप्ताह या महीने एक तय राशि निवेश करें। हर किस्त देय होने पर लाइव भाव पर बुक होती है; शुल्क और कर किसी भी बुकिंग की तरह जुड़ते हैं।",
+    "sip.metal": "धातु *",
+    "sip.purity": "शुद्धता *",
+    "sip.amount": "प्रति किस्त राशि (₹) *",
+    "sip.frequency": "आवृत्ति *",
+    "sip.weekly": "साप्ताहिक",
+    "sip.monthly": "मासिक",
+    "sip.startDate": "पहली किस्त *",
+    "sip.projection": "अनुमान",
+    "sip.mode.history": "पिछले भाव",
+    "sip.mode.simulated": "सिम्युलेटेड",
+    "sip.projectionEmpty": "योजना कैसे बढ़ेगी, यह देखने के लिए राशि दर्ज करें।",
+    "sip.noHistory": "अभी पर्याप्त भाव इतिहास नहीं है। सिम्युलेटेड अनुमान आज़माएँ।",
+    "sip.hint.history": "अगर यह योजना पिछली {count} किस्तों तक चलती, आज के भाव पर मूल्य",
+    "sip.hint.simulated": "अगली {count} किस्तें, {growth}% सालाना रुझान वाले सिम्युलेटेड भाव पर",
+    "sip.invested": "निवेश",
+    "sip.accumulated": "जमा धातु",
+    "sip.averageCost": "औसत लागत/g",
+    "sip.value": "मूल्य",
+    "sip.col.date": "तारीख",
+    "sip.col.price": "भाव/g",
+    "sip.col.grams": "खरीदा",
+    "sip.col.total": "कुल",
+    "sip.start": "योजना शुरू करें",
+    "sip.yourPlans": "आपकी योजनाएँ",
+    "sip.empty": "अभी कोई योजना नहीं।",
+    "sip.describe": "{metal} ({purity}) · {amount} {frequency}",
+    "sip.next": "अगली किस्त {date}",
+    "sip.progress": "{booked} बुक · {skipped} छोड़ी गईं",
+    "sip.status.active": "सक्रिय",
+    "sip.status.paused": "रुकी हुई",
+    "sip.status.cancelled": "रद्द",
+    "sip.pause": "रोकें",
+    "sip.resume": "फिर शुरू करें",
+    "sip.skip": "अगली छोड़ें",
+    "sip.cancel": "योजना रद्द करें",
+    "sip.verifyPhone": "फ़ोन सत्यापित करें",
+    "sip.needsVerification": "फ़ोन सत्यापन की प्रतीक्षा",
+    "sip.confirmCancel": "यह योजना रद्द करें? पहले से बुक की गई किस्तें बनी रहेंगी।",
+    "sip.created": "योजना शुरू हुई",
+    "sip.skippedToast": "अगली किस्त छोड़ दी गई",
+    "sip.missedToast": "{count} छूटी किस्तें छोड़ दी गईं; केवल नवीनतम बुक की जाती है",
+    "sip.verifyToast": "SIP योजनाओं में {phone} सत्यापित करें; तब तक इसकी किस्तें रुकी हैं",
+    "sip.booked": "SIP किस्त बुक हुई: {id}",
+    "sip.error.metal": "धातु चुनें",
+    "sip.error.amount": "{min} से {max} के बीच राशि दर्ज करें",
+    "sip.error.frequency": "आवृत्ति चुनें",
+    "sip.error.date": "पहली किस्त बीती तारीख की नहीं हो सकती",
+
+    "otp.title": "अपना फ़ोन सत्यापित करें",
+    "otp.intro": "{phone} पर SMS से भेजा गया {length} अंकों का कोड दर्ज करें।",
+    "otp.code": "सत्यापन कोड *",
+    "otp.verify": "सत्यापित करें",
+    "otp.resend": "कोड दोबारा भेजें",
+    "otp.resendIn": "{time} में दोबारा भेजें",
+    "otp.expiresIn": "कोड {time} में समाप्त होगा",
+    "otp.codeExpired": "कोड समाप्त हो गया, नया कोड मँगाएँ",
+    "otp.verified": "फ़ोन नंबर सत्यापित हुआ",
+    "otp.required": "कृपया अपना फ़ोन नंबर फिर से सत्यापित करें",
+    "otp.error.throttled": "बहुत अधिक कोड मँगाए गए। {time} बाद फिर कोशिश करें",
+    "otp.error.sendFailed": "कोड नहीं भेजा जा सका। कृपया फिर कोशिश करें",
+    "otp.error.invalid": "गलत कोड, {attempts} प्रयास शेष",
+    "otp.error.expired": "यह कोड समाप्त हो गया है। नया कोड मँगाएँ",
+    "otp.error.locked": "बहुत अधिक गलत प्रयास। नया कोड मँगाएँ",
+    "otp.error.verifyFailed": "कोड सत्यापित नहीं हो सका। कृपया फिर कोशिश करें",
+    "otp.error.format": "{length} अंकों का कोड दर्ज करें",
+
+    "footer.tagline": "2020 से कीमती धातुओं में आपका भरोसेमंद साथी",
+    "footer.contact": "संपर्क जानकारी",
+    "footer.hours": "कार्य समय",
+    "footer.weekdays": "सोमवार - शुक्रवार",
+    "footer.saturday": "शनिवार",
+    "footer.sunday": "रविवार",
+    "footer.closed": "बंद",
+    "footer.certifications": "प्रमाणपत्र",
+    "footer.rights": "© 2024 PreciousMetals Pro. सर्वाधिकार सुरक्षित।",
+    "footer.privacy": "गोपनीयता नीति",
+    "footer.terms": "सेवा की शर्तें",
+    "footer.refund": "रिफ़ंड नीति",
+  },
+
+  mr: {
+    "loading.title": "लाइव्ह दर लोड होत आहेत...",
+    "loading.subtitle": "मौल्यवान धातूंचे ताजे दर आणले जात आहेत",
+
+    "header.tagline": "भारतातील लाइव्ह दर",
+    "header.marketOpen": "बाजार सुरू आहे",
+    "header.marketClosed": "बाजार बंद आहे",
+    "header.lastUpdated": "शेवटचे अपडेट:",
+    "header.myBookings": "माझी बुकिंग",
+    "header.portfolio": "पोर्टफोलिओ",
+    "header.sip": "SIP योजना",
+    "header.data": "निर्यात/आयात",
+    "header.language": "भाषा",
+
+    "market.opensIn": "{time} मध्ये उघडेल",
+    "market.closesIn": "{time} मध्ये बंद होईल",
+    "market.holiday": "{name} निमित्त बंद",
+    "market.specialOpen": "{name} सुरू",
+    "market.nextSessionNotice": "बाजार बंद आहे. ही बुकिंग पुढील सत्र उघडल्यावर ({time}) पूर्ण होईल.",
+    "market.bookingBlocked": "बाजार बंद आहे. बुकिंग पुन्हा {time} ला सुरू होईल.",
+
+    "summary.title": "आजचा बाजार सारांश",
+    "summary.trend": "कल: {metal}",
+    "summary.bullish": "↗ तेजी",
+    "summary.bearish": "↘ मंदी",
+    "summary.volatility": "दिवसभरातील अस्थिरता",
+    "summary.ratio": "सोने/चांदी गुणोत्तर",
+    "summary.ratioDetail": "एक ग्रॅम सोन्यासाठी चांदी (ग्रॅम)",
+    "summary.neutral": "→ स्थिर",
+    "summary.indicators": "RSI {rsi} · गती {momentum}",
+    "summary.volatility.low": "कमी",
+    "summary.volatility.moderate": "मध्यम",
+    "summary.volatility.high": "जास्त",
+
+    "rates.title": "मौल्यवान धातूंचे लाइव्ह दर",
+    "rates.subtitle": "दर 30 सेकंदांनी अपडेट होणारे रिअल-टाइम दर",
+    "rates.showPer": "दर दाखवा प्रति",
+    "rates.currency": "चलन",
+    "rates.lastUpdated": "शेवटचे अपडेट:",
+    "rates.disclaimer": "*दर सूचक आहेत आणि बाजारातील चढउतारांवर अवलंबून आहेत. अंतिम दर बुकिंगच्या वेळी निश्चित होतील.",
+
+    "metal.gold": "सोने",
+    "metal.silver": "चांदी",
+    "metal.platinum": "प्लॅटिनम",
+    "metal.palladium": "पॅलेडियम",
+
+    "units.standard": "मानक (10 ग्रॅम / किलो)",
+    "units.g": "ग्रॅम",
+    "units.10g": "10 ग्रॅम",
+    "units.kg": "किलोग्रॅम",
+    "units.tola": "तोळा",
+    "units.ozt": "ट्रॉय औंस",
+    "units.per.g": "प्रति ग्रॅम",
+    "units.per.10g": "प्रति 10 ग्रॅम",
+    "units.per.kg": "प्रति किलोग्रॅम",
+    "units.per.tola": "प्रति तोळा",
+    "units.per.ozt": "प्रति ट्रॉय औंस",
+
+    "weight.g": "ग्रॅम",
+    "weight.kg": "किलो",
+    "weight.tola": "तोळा",
+    "weight.ozt": "ट्रॉय औंस",
+
+    "card.pure": "{percent}% शुद्ध",
+    "card.purity": "{metal} शुद्धता",
+    "card.todaysLow": "आजचा नीचांक",
+    "card.todaysHigh": "आजचा उच्चांक",
+    "card.setAlert": "दर अलर्ट सेट करा",
+    "card.bookRate": "हा दर बुक करा",
+    "card.buyPrice": "खरेदी",
+    "card.sellPrice": "विक्री",
+    "card.sellToUs": "आम्हाला विका",
+
+    "chart.show": "चार्ट दाखवा",
+    "chart.hide": "चार्ट लपवा",
+    "chart.line": "रेषा",
+    "chart.candles": "कँडल",
+    "chart.collecting": "दरांचा इतिहास गोळा केला जात आहे…",
+
+    "booking.title": "सध्याचा दर बुक करा",
+    "booking.sellTitle": "आम्हाला विका",
+    "booking.side": "बुकिंगचा प्रकार",
+    "booking.sellNote": "परत खरेदीत धातूच्या प्रमाणाचे पैसे आमच्या खरेदी दराने दिले जातात, कोणतेही शुल्क किंवा कर नाहीत. तुमच्या धातूची आमच्या दुकानात तपासणी झाल्यावर रक्कम निश्चित होते.",
+    "side.buy": "खरेदी",
+    "side.sell": "विक्री",
+    "form.fullName": "पूर्ण नाव *",
+    "form.phone": "फोन नंबर *",
+    "form.email": "ईमेल पत्ता *",
+    "form.pan": "PAN",
+    "form.panRequired": "{amount} आणि त्याहून अधिक बुकिंगसाठी PAN आवश्यक आहे",
+    "form.panOptional": "PAN फक्त {amount} आणि त्याहून अधिक बुकिंगसाठी आवश्यक आहे",
+    "form.aadhaarOptional": "KYC साठी आधार जोडा (पर्यायी)",
+    "form.aadhaar": "आधार क्रमांक",
+    "form.aadhaarHelper": "तुमच्या बुकिंगसोबत फक्त शेवटचे 4 अंक ठेवले जातात",
+    "form.metalType": "धातू *",
+    "form.selectMetal": "धातू निवडा",
+    "form.quantity": "प्रमाण *",
+    "form.quantityUnit": "प्रमाणाचे एकक",
+    "form.enterQuantity": "प्रमाण टाका",
+    "form.upTo": "कमाल {amount} {unit}",
+    "form.sellRange": "{min} ते {max} {unit}",
+    "form.purity": "शुद्धता *",
+    "form.selectMetalFirst": "आधी धातू निवडा",
+
+    "bookingSummary.currentRate": "सध्याचा दर:",
+    "bookingSummary.quantity": "प्रमाण:",
+    "bookingSummary.metalValue": "धातूचे मूल्य:",
+    "bookingSummary.estimatedTotal": "अंदाजे एकूण:",
+    "bookingSummary.estimatedPayout": "अंदाजे देय रक्कम:",
+    "bookingSummary.payableInInr": "INR मध्ये देय: {amount} · {rate}",
+
+    "charge.wastage": "घट",
+    "charge.making": "घडणावळ",
+    "charge.gst": "जीएसटी",
+    "charge.tcs": "टीसीएस",
+
+    "quote.id": "कोट {id}",
+    "quote.locked": "{time} साठी लॉक",
+    "quote.expired": "कोटची मुदत संपली",
+    "quote.expiredIntro": "तुमच्या लॉक केलेल्या दराची मुदत संपली आहे.",
+    "quote.movedIntro": "दर लॉक केल्यानंतर बाजार बदलला आहे.",
+    "quote.newRate": "{intro} नवीन दर: {price}/{unit} (आधी {oldPrice}/{unit}).",
+
+    "action.cancel": "रद्द करा",
+    "action.close": "बंद करा",
+    "action.acceptNewRate": "नवीन दर स्वीकारा",
+    "action.confirmBooking": "बुकिंग निश्चित करा",
+    "action.confirmSale": "विक्री निश्चित करा",
+
+    "success.title": "बुकिंग निश्चित झाली!",
+    "success.message": "तुम्हाला लवकरच पुष्टीचा ईमेल आणि SMS मिळेल. आमची टीम 30 मिनिटांत तुमच्याशी संपर्क साधेल.",
+
+    "details.bookingId": "बुकिंग आयडी:",
+    "details.type": "प्रकार:",
+    "details.name": "नाव:",
+    "details.kyc": "KYC:",
+    "kyc.status.none": "दिलेले नाही",
+    "kyc.status.pending": "तपासणी बाकी",
+    "kyc.status.verified": "सत्यापित",
+    "kyc.status.rejected": "नाकारले",
+    "details.metal": "धातू:",
+    "details.quantity": "प्रमाण:",
+    "details.rate": "दर:",
+    "details.metalValue": "धातूचे मूल्य:",
+    "details.totalPayable": "एकूण देय:",
+    "details.totalPayout": "देय रक्कम:",
+    "details.shownIn": "{currency} मध्ये दाखवलेला दर:",
+    "details.booked": "बुकिंगची वेळ:",
+    "details.status": "स्थिती:",
+    "details.session": "सत्र:",
+    "details.nextSession": "पुढील सत्र · {time} ला उघडेल",
+
+    "status.confirmed": "निश्चित",
+    "status.paid": "पैसे भरले",
+    "status.delivered": "सुपूर्द केले",
+    "status.cancelled": "रद्द",
+
+    "receipt.print": "पावती प्रिंट करा",
+    "receipt.download": "PDF डाउनलोड करा",
+    "receipt.unavailable": "या बुकिंगची पावती उपलब्ध नाही",
+
+    "validation.required": "हे फील्ड आवश्यक आहे",
+    "validation.name": "नावात फक्त अक्षरे आणि स्पेस असू शकतात",
+    "validation.phone": "फोन नंबर 10 अंकी असावा",
+    "validation.email": "अवैध ईमेल पत्ता",
+    "validation.quantity": "प्रमाण धन संख्या असावी",
+    "validation.maxQuantity": "{metal} साठी कमाल प्रमाण {amount} {unit} आहे",
+    "validation.minBuyQuantity": "{metal} ची किमान खरेदी {amount} {unit} आहे",
+    "validation.minSellQuantity": "{metal} ची किमान विक्री {amount} {unit} आहे",
+    "validation.pan.required": "{amount} आणि त्याहून अधिक बुकिंगसाठी PAN आवश्यक आहे",
+    "validation.pan.format": "वैध PAN टाका, उदा. ABCDE1234F",
+    "validation.pan.holderType": "PAN चे चौथे अक्षर वैध धारक प्रकार असावे",
+    "validation.aadhaar.format": "आधार क्रमांक 12 अंकी असावा",
+    "validation.aadhaar.checksum": "हा आधार क्रमांक वैध नाही",
+
+    "toast.pricesFailed": "दर अपडेट होऊ शकले नाहीत",
+    "toast.bookingConfirmed": "बुकिंग यशस्वीरीत्या निश्चित झाली!",
+    "toast.bookingFailed": "बुकिंग पूर्ण होऊ शकली नाही. कृपया पुन्हा प्रयत्न करा.",
+
+    "alerts.title": "दर अलर्ट",
+    "alerts.metal": "धातू *",
+    "alerts.condition": "अट *",
+    "alerts.option.above": "दर यापेक्षा वाढल्यास",
+    "alerts.option.below": "दर यापेक्षा घसरल्यास",
+    "alerts.option.changeUp": "सुरुवातीच्या दरापेक्षा % वर",
+    "alerts.option.changeDown": "सुरुवातीच्या दरापेक्षा % खाली",
+    "alerts.value": "मूल्य *",
+    "alerts.valueHintPrice": "₹ मध्ये दर प्रति {unit}",
+    "alerts.valueHintPercent": "आजच्या सुरुवातीच्या दरापासून टक्केवारी बदल",
+    "alerts.repeat": "पुनरावृत्ती",
+    "alerts.once": "एकदा",
+    "alerts.everyTime": "प्रत्येक वेळी",
+    "alerts.cooldown": "अंतर (मिनिटे)",
+    "alerts.cooldownHint": "पुन्हा सूचना देण्यामधील किमान वेळ",
+    "alerts.clear": "साफ करा",
+    "alerts.add": "अलर्ट जोडा",
+    "alerts.update": "अलर्ट अपडेट करा",
+    "alerts.yourAlerts": "तुमचे अलर्ट",
+    "alerts.empty": "अद्याप कोणतेही अलर्ट नाहीत.",
+    "alerts.oneShot": "एकदाच",
+    "alerts.repeats": "पुनरावृत्ती, {minutes} मिनिटे अंतर",
+    "alerts.triggered": "ट्रिगर झाला",
+    "alerts.edit": "बदला",
+    "alerts.delete": "हटवा",
+    "alerts.created": "अलर्ट तयार केला",
+    "alerts.updated": "अलर्ट अपडेट केला",
+    "alerts.cond.above": "पेक्षा जास्त",
+    "alerts.cond.below": "पेक्षा कमी",
+    "alerts.cond.changeUp": "वर",
+    "alerts.cond.changeDown": "खाली",
+    "alerts.describePrice": "{metal} {price}/{unit} {condition}",
+    "alerts.describePercent": "{metal} सुरुवातीच्या दरापासून {value}% {condition}",
+    "alerts.now": "{description} — सध्या {price}/{unit}",
+    "alerts.notificationTitle": "PreciousMetals Pro दर अलर्ट",
+    "alerts.error.metal": "धातू निवडा",
+    "alerts.error.condition": "अट निवडा",
+    "alerts.error.value": "धन संख्या टाका",
+    "alerts.error.percent": "टक्केवारी 100 पेक्षा कमी असावी",
+    "alerts.error.cooldown": "अंतर ऋण असू शकत नाही",
+
+    "myBookings.title": "माझी बुकिंग",
+    "myBookings.metal": "धातू",
+    "myBookings.status": "स्थिती",
+    "myBookings.from": "पासून",
+    "myBookings.to": "पर्यंत",
+    "myBookings.all": "सर्व",
+    "myBookings.empty": "या फिल्टरशी जुळणारी बुकिंग नाही.",
+    "myBookings.details": "बुकिंग तपशील",
+    "myBookings.cancel": "बुकिंग रद्द करा",
+    "myBookings.rebook": "सध्याच्या दराने पुन्हा बुक करा",
+    "myBookings.cancelHint": "बुकिंग फक्त {minutes} मिनिटांच्या आत रद्द करता येते.",
+    "myBookings.periodEnded": "या बुकिंगची रद्द करण्याची मुदत संपली आहे",
+    "myBookings.confirmCancel": "बुकिंग {id} रद्द करायची?",
+    "myBookings.cancelled": "बुकिंग रद्द केली",
+    "myBookings.cancelFailed": "बुकिंग रद्द होऊ शकली नाही. कृपया पुन्हा प्रयत्न करा.",
+    "data.title": "निर्यात आणि आयात",
+    "data.export": "निर्यात",
+    "data.kind": "डेटा",
+    "data.kind.bookings": "बुकिंग",
+    "data.kind.priceHistory": "किंमत इतिहास",
+    "data.format": "फॉरमॅट",
+    "data.exportHint": "निर्यात इंग्रजीत असतात, वेळ IST मध्ये.",
+    "data.download": "डाउनलोड करा",
+    "data.empty": "या फिल्टरसाठी निर्यात करण्यासारखे काही नाही.",
+    "data.exported": "{count} ओळी निर्यात केल्या",
+    "data.import": "बुकिंग आयात करा",
+    "data.importHint": "दुसऱ्या डिव्हाइसवर केलेल्या JSON निर्यातीतून बुकिंग परत आणा. येथे आधीच जतन केलेल्या बुकिंग कायम राहतात.",
+    "data.chooseFile": "JSON फाइल निवडा",
+    "data.imported": "{added} बुकिंग जोडल्या. {skipped} आधीच जतन होत्या आणि {invalid} वैध नव्हत्या.",
+    "data.invalidRecord": "नोंद {index}: {field} वैध नाही",
+    "data.importDone": "आयात पूर्ण झाली",
+    "data.error.range": "'पासून' तारीख 'पर्यंत' तारखेच्या आधीची किंवा तीच असावी.",
+    "data.error.parse": "ही फाइल वैध JSON नाही.",
+    "data.error.type": "ही फाइल बुकिंग निर्यात नाही.",
+    "data.error.version": "ही फाइल ॲपच्या नवीन आवृत्तीने बनवली आहे.",
+    "data.error.tooLarge": "ही फाइल आयात करण्यासाठी खूप मोठी आहे.",
+
+    "portfolio.title": "माझा पोर्टफोलिओ",
+    "portfolio.value": "सध्याचे मूल्य",
+    "portfolio.invested": "गुंतवणूक",
+    "portfolio.pnl": "अप्राप्त नफा/तोटा",
+    "portfolio.valueOverTime": "काळानुसार मूल्य",
+    "portfolio.allocation": "वाटप",
+    "portfolio.positions": "होल्डिंग तपशील",
+    "portfolio.empty": "अद्याप होल्डिंग नाही. पुष्टी झालेली बुकिंग आणि तुम्ही जोडलेली होल्डिंग येथे दिसतील.",
+    "portfolio.col.holding": "होल्डिंग",
+    "portfolio.col.quantity": "प्रमाण",
+    "portfolio.col.avgCost": "सरासरी खर्च/g",
+    "portfolio.col.price": "दर/g",
+    "portfolio.col.value": "मूल्य",
+    "portfolio.col.pnl": "नफा/तोटा",
+    "portfolio.addHolding": "होल्डिंग जोडा",
+    "portfolio.addHint": "इतरत्र खरेदी केलेल्या धातूचे मूल्य तुमच्या बुकिंगसोबत मोजले जाते",
+    "portfolio.metal": "धातू *",
+    "portfolio.purity": "शुद्धता *",
+    "portfolio.quantity": "प्रमाण *",
+    "portfolio.unit": "एकक",
+    "portfolio.cost": "भरलेली रक्कम (₹) *",
+    "portfolio.date": "खरेदीची तारीख *",
+    "portfolio.add": "होल्डिंग जोडा",
+    "portfolio.yourHoldings": "जोडलेली होल्डिंग",
+    "portfolio.noHoldings": "कोणतीही होल्डिंग जोडलेली नाही.",
+    "portfolio.paid": "{date} रोजी {amount} भरले",
+    "portfolio.delete": "हटवा",
+    "portfolio.added": "होल्डिंग जोडली",
+    "portfolio.error.metal": "धातू निवडा",
+    "portfolio.error.quantity": "धन प्रमाण प्रविष्ट करा",
+    "portfolio.error.cost": "भरलेली रक्कम प्रविष्ट करा",
+    "portfolio.error.date": "भविष्यातील नसलेली खरेदी तारीख प्रविष्ट करा",
+
+    "sip.title": "पद्धतशीर गुंतवणूक योजना",
+    "sip.intro": "दर आठवड्याला किंवा महिन्याला ठराविक रक्कम गुंतवा. प्रत्येक हप्ता देय झाल्यावर लाइव्ह दराने बुक होतो; शुल्क आणि कर कोणत्याही बुकिंगप्रमाणे जोडले जातात.",
+    "sip.metal": "धातू *",
+    "sip.purity": "शुद्धता *",
+    "sip.amount": "प्रति हप्ता रक्कम (₹) *",
+    "sip.frequency": "वारंवारता *",
+    "sip.weekly": "साप्ताहिक",
+    "sip.monthly": "मासिक",
+    "sip.startDate": "पहिला हप्ता *",
+    "sip.projection": "अंदाज",
+    "sip.mode.history": "मागील दर",
+    "sip.mode.simulated": "सिम्युलेटेड",
+    "sip.projectionEmpty": "योजना कशी वाढेल हे पाहण्यासाठी रक्कम प्रविष्ट करा.",
+    "sip.noHistory": "अद्याप पुरेसा दर इतिहास नाही. सिम्युलेटेड अंदाज वापरून पहा.",
+    "sip.hint.history": "ही योजना मागील {count} हप्त्यांसाठी चालली असती तर, आजच्या दराने मूल्य",
+    "sip.hint.simulated": "पुढील {count} हप्ते, वार्षिक {growth}% कल असलेल्या सिम्युलेटेड दराने",
+    "sip.invested": "गुंतवणूक",
+    "sip.accumulated": "जमा धातू",
+    "sip.averageCost": "सरासरी खर्च/g",
+    "sip.value": "मूल्य",
+    "sip.col.date": "तारीख",
+    "sip.col.price": "दर/g",
+    "sip.col.grams": "खरेदी",
+    "sip.col.total": "एकूण",
+    "sip.start": "योजना सुरू करा",
+    "sip.yourPlans": "तुमच्या योजना",
+    "sip.empty": "अद्याप योजना नाही.",
+    "sip.describe": "{metal} ({purity}) · {amount} {frequency}",
+    "sip.next": "पुढील हप्ता {date}",
+    "sip.progress": "{booked} बुक · {skipped} वगळले",
+    "sip.status.active": "सक्रिय",
+    "sip.status.paused": "थांबवलेली",
+    "sip.status.cancelled": "रद्द",
+    "sip.pause": "थांबवा",
+    "sip.resume": "पुन्हा सुरू करा",
+    "sip.skip": "पुढील वगळा",
+    "sip.cancel": "योजना रद्द करा",
+    "sip.verifyPhone": "फोन सत्यापित करा",
+    "sip.needsVerification": "फोन पडताळणीची प्रतीक्षा",
+    "sip.confirmCancel": "ही योजना रद्द करायची? आधी बुक झालेले हप्ते कायम राहतील.",
+    "sip.created": "योजना सुरू झाली",
+    "sip.skippedToast": "पुढील हप्ता वगळला",
+    "sip.missedToast": "{count} चुकलेले हप्ते वगळले; फक्त नवीनतम बुक केला जातो",
+    "sip.verifyToast": "SIP योजनांमध्ये {phone} सत्यापित करा; तोपर्यंत त्याचे हप्ते थांबले आहेत",
+    "sip.booked": "SIP हप्ता बुक झाला: {id}",
+    "sip.error.metal": "धातू निवडा",
+    "sip.error.amount": "{min} ते {max} दरम्यान रक्कम प्रविष्ट करा",
+    "sip.error.frequency": "वारंवारता निवडा",
+    "sip.error.date": "पहिला हप्ता मागील तारखेचा असू शकत नाही",
+
+    "otp.title": "तुमचा फोन सत्यापित करा",
+    "otp.intro": "{phone} वर SMS ने पाठवलेला {length} अंकी कोड टाका.",
+    "otp.code": "सत्यापन कोड *",
+    "otp.verify": "सत्यापित करा",
+    "otp.resend": "कोड पुन्हा पाठवा",
+    "otp.resendIn": "{time} नंतर पुन्हा पाठवा",
+    "otp.expiresIn": "कोड {time} मध्ये संपेल",
+    "otp.codeExpired": "कोड संपला, नवीन कोड मागवा",
+    "otp.verified": "फोन नंबर सत्यापित झाला",
+    "otp.required": "कृपया तुमचा फोन नंबर पुन्हा सत्यापित करा",
+    "otp.error.throttled": "खूप जास्त कोड मागवले. {time} नंतर पुन्हा प्रयत्न करा",
+    "otp.error.sendFailed": "कोड पाठवता आला नाही. कृपया पुन्हा प्रयत्न करा",
+    "otp.error.invalid": "चुकीचा कोड, {attempts} प्रयत्न शिल्लक",
+    "otp.error.expired": "हा कोड संपला आहे. नवीन कोड मागवा",
+    "otp.error.locked": "खूप जास्त चुकीचे प्रयत्न. नवीन कोड मागवा",
+    "otp.error.verifyFailed": "कोड सत्यापित करता आला नाही. कृपया पुन्हा प्रयत्न करा",
+    "otp.error.format": "{length} अंकी कोड टाका",
+
+    "footer.tagline": "2020 पासून मौल्यवान धातूंमधील तुमचा विश्वासू भागीदार",
+    "footer.contact": "संपर्क माहिती",
+    "footer.hours": "कामकाजाची वेळ",
+    "footer.weekdays": "सोमवार - शुक्रवार",
+    "footer.saturday": "शनिवार",
+    "footer.sunday": "रविवार",
+    "footer.closed": "बंद",
+    "footer.certifications": "प्रमाणपत्रे",
+    "footer.rights": "© 2024 PreciousMetals Pro. सर्व हक्क राखीव.",
+    "footer.privacy": "गोपनीयता धोरण",
+    "footer.terms": "सेवेच्या अटी",
+    "footer.refund": "परतावा धोरण",
+  },
+
+  gu: {
+    "loading.title": "લાઇવ ભાવ લોડ થઈ રહ્યા છે...",
+    "loading.subtitle": "કિંમતી ધાતુઓના તાજા ભાવ મેળવી રહ્યા છીએ",
+
+    "header.tagline": "ભારતના લાઇવ ભાવ",
+    "header.marketOpen": "બજાર ખુલ્લું છે",
+    "header.marketClosed": "બજાર બંધ છે",
+    "header.lastUpdated": "છેલ્લું અપડેટ:",
+    "header.myBookings": "મારી બુકિંગ",
+    "header.portfolio": "પોર્ટફોલિયો",
+    "header.sip": "SIP યોજનાઓ",
+    "header.data": "નિકાસ/આયાત",
+    "header.language": "ભાષા",
+
+    "market.opensIn": "{time}માં ખુલશે",
+    "market.closesIn": "{time}માં બંધ થશે",
+    "market.holiday": "{name} નિમિત્તે બંધ",
+    "market.specialOpen": "{name} ચાલુ",
+    "market.nextSessionNotice": "બજાર બંધ છે. આ બુકિંગ આગામી સત્ર ખૂલે ત્યારે ({time}) પૂર્ણ થશે.",
+    "market.bookingBlocked": "બજાર બંધ છે. બુકિંગ ફરી {time}એ શરૂ થશે.",
+
+    "summary.title": "આજનો બજાર સારાંશ",
+    "summary.trend": "વલણ: {metal}",
+    "summary.bullish": "↗ તેજી",
+    "summary.bearish": "↘ મંદી",
+    "summary.volatility": "દિવસની અસ્થિરતા",
+    "summary.ratio": "સોના/ચાંદી ગુણોત્તર",
+    "summary.ratioDetail": "એક ગ્રામ સોના માટે ચાંદી (ગ્રામ)",
+    "summary.neutral": "→ સ્થિર",
+    "summary.indicators": "RSI {rsi} · ગતિ {momentum}",
+    "summary.volatility.low": "ઓછી",
+    "summary.volatility.moderate": "મધ્યમ",
+    "summary.volatility.high": "ઊંચી",
+
+    "rates.title": "કિંમતી ધાતુઓના લાઇવ ભાવ",
+    "rates.subtitle": "દર 30 સેકન્ડે અપડેટ થતા રિયલ-ટાઇમ ભાવ",
+    "rates.showPer": "ભાવ બતાવો પ્રતિ",
+    "rates.currency": "ચલણ",
+    "rates.lastUpdated": "છેલ્લું અપડેટ:",
+    "rates.disclaimer": "*ભાવ સૂચક છે અને બજારની વધઘટને આધીન છે. અંતિમ ભાવ બુકિંગ સમયે નક્કી થશે.",
+
+    "metal.gold": "સોનું",
+    "metal.silver": "ચાંદી",
+    "metal.platinum": "પ્લેટિનમ",
+    "metal.palladium": "પેલેડિયમ",
+
+    "units.standard": "માનક (10 ગ્રામ / કિલો)",
+    "units.g": "ગ્રામ",
+    "units.10g": "10 ગ્રામ",
+    "units.kg": "કિલોગ્રામ",
+    "units.tola": "તોલા",
+    "units.ozt": "ટ્રોય ઔંસ",
+    "units.per.g": "પ્રતિ ગ્રામ",
+    "units.per.10g": "પ્રતિ 10 ગ્રામ",
+    "units.per.kg": "પ્રતિ કિલોગ્રામ",
+    "units.per.tola": "પ્રતિ તોલા",
+    "units.per.ozt": "પ્રતિ ટ્રોય ઔંસ",
+
+    "weight.g": "ગ્રામ",
+    "weight.kg": "કિલો",
+    "weight.tola": "તોલા",
+    "weight.ozt": "ટ્રોય ઔંસ",
+
+    "card.pure": "{percent}% શુદ્ધ",
+    "card.purity": "{metal}ની શુદ્ધતા",
+    "card.todaysLow": "આજનો નીચો",
+    "card.todaysHigh": "આજનો ઊંચો",
+    "card.setAlert": "ભાવ એલર્ટ સેટ કરો",
+    "card.bookRate": "આ ભાવ બુક કરો",
+    "card.buyPrice": "ખરીદી",
+    "card.sellPrice": "વેચાણ",
+    "card.sellToUs": "અમને વેચો",
+
+    "chart.show": "ચાર્ટ બતાવો",
+    "chart.hide": "ચાર્ટ છુપાવો",
+    "chart.line": "લાઇન",
+    "chart.candles": "કેન્ડલ",
+    "chart.collecting": "ભાવનો ઇતિહાસ એકત્ર થઈ રહ્યો છે…",
+
+    "booking.title": "વર્તમાન ભાવ બુક કરો",
+    "booking.sellTitle": "અમને વેચો",
+    "booking.side": "બુકિંગનો પ્રકાર",
+    "booking.sellNote": "પરત ખરીદીમાં ધાતુના પ્રમાણની ચુકવણી અમારા ખરીદ ભાવે થાય છે, કોઈ ચાર્જ કે કર વિના. તમારી ધાતુની અમારા સ્ટોર પર ચકાસણી પછી ચુકવણી નક્કી થાય છે.",
+    "side.buy": "ખરીદી",
+    "side.sell": "વેચાણ",
+    "form.fullName": "પૂરું નામ *",
+    "form.phone": "ફોન નંબર *",
+    "form.email": "ઇમેઇલ સરનામું *",
+    "form.pan": "PAN",
+    "form.panRequired": "{amount} અને તેથી વધુની બુકિંગ માટે PAN જરૂરી છે",
+    "form.panOptional": "PAN ફક્ત {amount} અને તેથી વધુની બુકિંગ માટે જરૂરી છે",
+    "form.aadhaarOptional": "KYC માટે આધાર ઉમેરો (વૈકલ્પિક)",
+    "form.aadhaar": "આધાર નંબર",
+    "form.aadhaarHelper": "તમારી બુકિંગ સાથે ફક્ત છેલ્લા 4 અંક રાખવામાં આવે છે",
+    "form.metalType": "ધાતુ *",
+    "form.selectMetal": "ધાતુ પસંદ કરો",
+    "form.quantity": "જથ્થો *",
+    "form.quantityUnit": "જથ્થાનો એકમ",
+    "form.enterQuantity": "જથ્થો દાખલ કરો",
+    "form.upTo": "મહત્તમ {amount} {unit}",
+    "form.sellRange": "{min} થી {max} {unit}",
+    "form.purity": "શુદ્ધતા *",
+    "form.selectMetalFirst": "પહેલા ધાતુ પસંદ કરો",
+
+    "bookingSummary.currentRate": "વર્તમાન ભાવ:",
+    "bookingSummary.quantity": "જથ્થો:",
+    "bookingSummary.metalValue": "ધાતુનું મૂલ્ય:",
+    "bookingSummary.estimatedTotal": "અંદાજિત કુલ:",
+    "bookingSummary.estimatedPayout": "અંદાજિત ચુકવણી:",
+    "bookingSummary.payableInInr": "INRમાં ચૂકવવાપાત્ર: {amount} · {rate}",
+
+    "charge.wastage": "ઘટ",
+    "charge.making": "ઘડામણ",
+    "charge.gst": "જીએસટી",
+    "charge.tcs": "ટીસીએસ",
+
+    "quote.id": "ક્વોટ {id}",
+    "quote.locked": "{time} માટે લૉક",
+    "quote.expired": "ક્વોટની મુદત પૂરી થઈ",
+    "quote.expiredIntro": "તમારા લૉક કરેલા ભાવની મુદત પૂરી થઈ ગઈ છે.",
+    "quote.movedIntro": "ભાવ લૉક થયા પછી બજાર બદલાયું છે.",
+    "quote.newRate": "{intro} નવો ભાવ: {price}/{unit} (પહેલાં {oldPrice}/{unit}).",
+
+    "action.cancel": "રદ કરો",
+    "action.close": "બંધ કરો",
+    "action.acceptNewRate": "નવો ભાવ સ્વીકારો",
+    "action.confirmBooking": "બુકિંગની પુષ્ટિ કરો",
+    "action.confirmSale": "વેચાણની પુષ્ટિ કરો",
+
+    "success.title": "બુકિંગની પુષ્ટિ થઈ!",
+    "success.message": "તમને ટૂંક સમયમાં પુષ્ટિનો ઇમેઇલ અને SMS મળશે. અમારી ટીમ 30 મિનિટમાં તમારો સંપર્ક કરશે.",
+
+    "details.bookingId": "બુકિંગ આઈડી:",
+    "details.type": "પ્રકાર:",
+    "details.name": "નામ:",
+    "details.kyc": "KYC:",
+    "kyc.status.none": "આપેલ નથી",
+    "kyc.status.pending": "ચકાસણી બાકી",
+    "kyc.status.verified": "ચકાસાયેલ",
+    "kyc.status.rejected": "નામંજૂર",
+    "details.metal": "ધાતુ:",
+    "details.quantity": "જથ્થો:",
+    "details.rate": "ભાવ:",
+    "details.metalValue": "ધાતુનું મૂલ્ય:",
+    "details.totalPayable": "કુલ ચૂકવવાપાત્ર:",
+    "details.totalPayout": "ચુકવણી:",
+    "details.shownIn": "{currency}માં બતાવેલ ભાવ:",
+    "details.booked": "બુકિંગનો સમય:",
+    "details.status": "સ્થિતિ:",
+    "details.session": "સત્ર:",
+    "details.nextSession": "આગામી સત્ર · {time}એ ખુલશે",
+
+    "status.confirmed": "પુષ્ટિ થયેલ",
+    "status.paid": "ચૂકવેલ",
+    "status.delivered": "સોંપેલ",
+    "status.cancelled": "રદ",
+
+    "receipt.print": "રસીદ પ્રિન્ટ કરો",
+    "receipt.download": "PDF ડાઉનલોડ કરો",
+    "receipt.unavailable": "આ બુકિંગની રસીદ ઉપલબ્ધ નથી",
+
+    "validation.required": "આ ફીલ્ડ જરૂરી છે",
+    "validation.name": "નામમાં ફક્ત અક્ષરો અને સ્પેસ હોઈ શકે",
+    "validation.phone": "ફોન નંબર 10 અંકનો હોવો જોઈએ",
+    "validation.email": "અમાન્ય ઇમેઇલ સરનામું",
+    "validation.quantity": "જથ્થો ધન સંખ્યા હોવો જોઈએ",
+    "validation.maxQuantity": "{metal} માટે મહત્તમ જથ્થો {amount} {unit} છે",
+    "validation.minBuyQuantity": "{metal} ની લઘુત્તમ ખરીદી {amount} {unit} છે",
+    "validation.minSellQuantity": "{metal} નું લઘુત્તમ વેચાણ {amount} {unit} છે",
+    "validation.pan.required": "{amount} અને તેથી વધુની બુકિંગ માટે PAN જરૂરી છે",
+    "validation.pan.format": "માન્ય PAN દાખલ કરો, દા.ત. ABCDE1234F",
+    "validation.pan.holderType": "PAN નો ચોથો અક્ષર માન્ય ધારક પ્રકાર હોવો જોઈએ",
+    "validation.aadhaar.format": "આધાર નંબર 12 અંકનો હોવો જોઈએ",
+    "validation.aadhaar.checksum": "આ આધાર નંબર માન્ય નથી",
+
+    "toast.pricesFailed": "ભાવ અપડેટ થઈ શક્યા નહીં",
+    "toast.bookingConfirmed": "બુકિંગ સફળતાપૂર્વક પુષ્ટિ થઈ!",
+    "toast.bookingFailed": "બુકિંગ પૂર્ણ થઈ શકી નહીં. કૃપા કરીને ફરી પ્રયાસ કરો.",
+
+    "alerts.title": "ભાવ એલર્ટ",
+    "alerts.metal": "ધાતુ *",
+    "alerts.condition": "શરત *",
+    "alerts.option.above": "ભાવ આનાથી ઉપર જાય",
+    "alerts.option.below": "ભાવ આનાથી નીચે જાય",
+    "alerts.option.changeUp": "શરૂઆતના ભાવથી % ઉપર",
+    "alerts.option.changeDown": "શરૂઆતના ભાવથી % નીચે",
+    "alerts.value": "મૂલ્ય *",
+    "alerts.valueHintPrice": "₹માં ભાવ પ્રતિ {unit}",
+    "alerts.valueHintPercent": "આજના શરૂઆતના ભાવથી ટકાવારી ફેરફાર",
+    "alerts.repeat": "પુનરાવર્તન",
+    "alerts.once": "એક વાર",
+    "alerts.everyTime": "દર વખતે",
+    "alerts.cooldown": "અંતરાલ (મિનિટ)",
+    "alerts.cooldownHint": "ફરીથી સૂચના આપવા વચ્ચેનો ઓછામાં ઓછો સમય",
+    "alerts.clear": "સાફ કરો",
+    "alerts.add": "એલર્ટ ઉમેરો",
+    "alerts.update": "એલર્ટ અપડેટ કરો",
+    "alerts.yourAlerts": "તમારા એલર્ટ",
+    "alerts.empty": "હજી સુધી કોઈ એલર્ટ નથી.",
+    "alerts.oneShot": "એક વાર",
+    "alerts.repeats": "પુનરાવર્તિત, {minutes} મિનિટ અંતરાલ",
+    "alerts.triggered": "ટ્રિગર થયું",
+    "alerts.edit": "ફેરફાર કરો",
+    "alerts.delete": "કાઢી નાખો",
+    "alerts.created": "એલર્ટ બનાવ્યું",
+    "alerts.updated": "એલર્ટ અપડેટ કર્યું",
+    "alerts.cond.above": "થી ઉપર",
+    "alerts.cond.below": "થી નીચે",
+    "alerts.cond.changeUp": "ઉપર",
+    "alerts.cond.changeDown": "નીચે",
+    "alerts.describePrice": "{metal} {price}/{unit}{condition}",
+    "alerts.describePercent": "{metal} શરૂઆતના ભાવથી {value}% {condition}",
+    "alerts.now": "{description} — હાલ {price}/{unit}",
+    "alerts.notificationTitle": "PreciousMetals Pro ભાવ એલર્ટ",
+    "alerts.error.metal": "ધાતુ પસંદ કરો",
+    "alerts.error.condition": "શરત પસંદ કરો",
+    "alerts.error.value": "ધન સંખ્યા દાખલ કરો",
+    "alerts.error.percent": "ટકાવારી 100થી ઓછી હોવી જોઈએ",
+    "alerts.error.cooldown": "અંતરાલ ઋણ ન હોઈ શકે",
+
+    "myBookings.title": "મારી બુકિંગ",
+    "myBookings.metal": "ધાતુ",
+    "myBookings.status": "સ્થિતિ",
+    "myBookings.from": "થી",
+    "myBookings.to": "સુધી",
+    "myBookings.all": "બધી",
+    "myBookings.empty": "આ ફિલ્ટર સાથે મેળ ખાતી કોઈ બુકિંગ નથી.",
+    "myBookings.details": "બુકિંગ વિગતો",
+    "myBookings.cancel": "બુકિંગ રદ કરો",
+    "myBookings.rebook": "વર્તમાન ભાવે ફરી બુક કરો",
+    "myBookings.cancelHint": "બુકિંગ ફક્ત {minutes} મિનિટની અંદર રદ કરી શકાય છે.",
+    "myBookings.periodEnded": "આ બુકિંગ રદ કરવાની મુદત પૂરી થઈ ગઈ છે",
+    "myBookings.confirmCancel": "બુકિંગ {id} રદ કરવી છે?",
+    "myBookings.cancelled": "બુકિંગ રદ કરી",
+    "myBookings.cancelFailed": "બુકિંગ રદ થઈ શકી નહીં. કૃપા કરીને ફરી પ્રયાસ કરો.",
+    "data.title": "નિકાસ અને આયાત",
+    "data.export": "નિકાસ",
+    "data.kind": "ડેટા",
+    "data.kind.bookings": "બુકિંગ",
+    "data.kind.priceHistory": "ભાવ ઇતિહાસ",
+    "data.format": "ફોર્મેટ",
+    "data.exportHint": "નિકાસ અંગ્રેજીમાં હોય છે, સમય IST માં.",
+    "data.download": "ડાઉનલોડ કરો",
+    "data.empty": "આ ફિલ્ટર માટે નિકાસ કરવા જેવું કંઈ નથી.",
+    "data.exported": "{count} પંક્તિઓ નિકાસ કરી",
+    "data.import": "બુકિંગ આયાત કરો",
+    "data.importHint": "બીજા ઉપકરણ પર બનાવેલા JSON નિકાસમાંથી બુકિંગ પાછી લાવો. અહીં પહેલેથી સાચવેલી બુકિંગ રહે છે.",
+    "data.chooseFile": "JSON ફાઇલ પસંદ કરો",
+    "data.imported": "{added} બુકિંગ ઉમેરી. {skipped} પહેલેથી સાચવેલી હતી અને {invalid} માન્ય ન હતી.",
+    "data.invalidRecord": "એન્ટ્રી {index}: {field} માન્ય નથી",
+    "data.importDone": "આયાત પૂર્ણ થઈ",
+    "data.error.range": "'થી' તારીખ 'સુધી' તારીખ પહેલાંની અથવા તે જ હોવી જોઈએ.",
+    "data.error.parse": "આ ફાઇલ માન્ય JSON નથી.",
+    "data.error.type": "આ ફાઇલ બુકિંગ નિકાસ નથી.",
+    "data.error.version": "આ ફાઇલ ઍપના નવા સંસ્કરણથી બનાવેલી છે.",
+    "data.error.tooLarge": "આ ફાઇલ આયાત કરવા માટે ખૂબ મોટી છે.",
+
+    "portfolio.title": "મારો પોર્ટફોલિયો",
+    "portfolio.value": "વર્તમાન મૂલ્ય",
+    "portfolio.invested": "રોકાણ",
+    "portfolio.pnl": "અપ્રાપ્ત નફો/નુકસાન",
+    "portfolio.valueOverTime": "સમય સાથે મૂલ્ય",
+    "portfolio.allocation": "ફાળવણી",
+    "portfolio.positions": "હોલ્ડિંગ વિગતો",
+    "portfolio.empty": "હજી કોઈ હોલ્ડિંગ નથી. પુષ્ટિ થયેલ બુકિંગ અને તમે ઉમેરેલ હોલ્ડિંગ અહીં દેખાશે.",
+    "portfolio.col.holding": "હોલ્ડિંગ",
+    "portfolio.col.quantity": "જથ્થો",
+    "portfolio.col.avgCost": "સરેરાશ ખર્ચ/g",
+    "portfolio.col.price": "ભાવ/g",
+    "portfolio.col.value": "મૂલ્ય",
+    "portfolio.col.pnl": "નફો/નુકસાન",
+    "portfolio.addHolding": "હોલ્ડિંગ ઉમેરો",
+    "portfolio.addHint": "બીજે ખરીદેલી ધાતુનું મૂલ્ય તમારી બુકિંગ સાથે ગણાય છે",
+    "portfolio.metal": "ધાતુ *",
+    "portfolio.purity": "શુદ્ધતા *",
+    "portfolio.quantity": "જથ્થો *",
+    "portfolio.unit": "એકમ",
+    "portfolio.cost": "ચૂકવેલ રકમ (₹) *",
+    "portfolio.date": "ખરીદીની તારીખ *",
+    "portfolio.add": "હોલ્ડિંગ ઉમેરો",
+    "portfolio.yourHoldings": "ઉમેરેલ હોલ્ડિંગ",
+    "portfolio.noHoldings": "કોઈ હોલ્ડિંગ ઉમેરાયેલ નથી.",
+    "portfolio.paid": "{date} ના રોજ {amount} ચૂકવ્યા",
+    "portfolio.delete": "કાઢી નાખો",
+    "portfolio.added": "હોલ્ડિંગ ઉમેરાયું",
+    "portfolio.error.metal": "ધાતુ પસંદ કરો",
+    "portfolio.error.quantity": "ધન જથ્થો દાખલ કરો",
+    "portfolio.error.cost": "ચૂકવેલ રકમ દાખલ કરો",
+    "portfolio.error.date": "ભવિષ્યની ન હોય તેવી ખરીદી તારીખ દાખલ કરો",
+
+    "sip.title": "વ્યવસ્થિત રોકાણ યોજનાઓ",
+    "sip.intro": "દર અઠવાડિયે કે મહિને નક્કી રકમ રોકો. દરેક હપ્તો બાકી થાય ત્યારે લાઇવ ભાવે બુક થાય છે; ચાર્જ અને કર કોઈપણ બુકિંગની જેમ ઉમેરાય છે.",
+    "sip.metal": "ધાતુ *",
+    "sip.purity": "શુદ્ધતા *",
+    "sip.amount": "હપ્તા દીઠ રકમ (₹) *",
+    "sip.frequency": "આવર્તન *",
+    "sip.weekly": "સાપ્તાહિક",
+    "sip.monthly": "માસિક",
+    "sip.startDate": "પ્રથમ હપ્તો *",
+    "sip.projection": "અંદાજ",
+    "sip.mode.history": "અગાઉના ભાવ",
+    "sip.mode.simulated": "સિમ્યુલેટેડ",
+    "sip.projectionEmpty": "યોજના કેવી રીતે વધશે તે જોવા રકમ દાખલ કરો.",
+    "sip.noHistory": "હજી પૂરતો ભાવ ઇતિહાસ નથી. સિમ્યુલેટેડ અંદાજ અજમાવો.",
+    "sip.hint.history": "જો આ યોજના છેલ્લા {count} હપ્તા સુધી ચાલી હોત, આજના ભાવે મૂલ્ય",
+    "sip.hint.simulated": "આગામી {count} હપ્તા, વાર્ષિક {growth}% વલણવાળા સિમ્યુલેટેડ ભાવે",
+    "sip.invested": "રોકાણ",
+    "sip.accumulated": "જમા ધાતુ",
+    "sip.averageCost": "સરેરાશ ખર્ચ/g",
+    "sip.value": "મૂલ્ય",
+    "sip.col.date": "તારીખ",
+    "sip.col.price": "ભાવ/g",
+    "sip.col.grams": "ખરીદી",
+    "sip.col.total": "કુલ",
+    "sip.start": "યોજના શરૂ કરો",
+    "sip.yourPlans": "તમારી યોજનાઓ",
+    "sip.empty": "હજી કોઈ યોજના નથી.",
+    "sip.describe": "{metal} ({purity}) · {amount} {frequency}",
+    "sip.next": "આગામી હપ્તો {date}",
+    "sip.progress": "{booked} બુક · {skipped} છોડ્યા",
+    "sip.status.active": "સક્રિય",
+    "sip.status.paused": "થોભાવેલ",
+    "sip.status.cancelled": "રદ",
+    "sip.pause": "થોભાવો",
+    "sip.resume": "ફરી શરૂ કરો",
+    "sip.skip": "આગામી છોડો",
+    "sip.cancel": "યોજના રદ કરો",
+    "sip.verifyPhone": "ફોન ચકાસો",
+    "sip.needsVerification": "ફોન ચકાસણીની રાહ",
+    "sip.confirmCancel": "આ યોજના રદ કરવી છે? પહેલેથી બુક થયેલા હપ્તા રહેશે.",
+    "sip.created": "યોજના શરૂ થઈ",
+    "sip.skippedToast": "આગામી હપ્તો છોડ્યો",
+    "sip.missedToast": "{count} ચૂકી ગયેલા હપ્તા છોડ્યા; ફક્ત તાજેતરનો બુક થાય છે",
+    "sip.verifyToast": "SIP યોજનાઓમાં {phone} ચકાસો; ત્યાં સુધી તેના હપ્તા અટકેલા છે",
+    "sip.booked": "SIP હપ્તો બુક થયો: {id}",
+    "sip.error.metal": "ધાતુ પસંદ કરો",
+    "sip.error.amount": "{min} થી {max} વચ્ચે રકમ દાખલ કરો",
+    "sip.error.frequency": "આવર્તન પસંદ કરો",
+    "sip.error.date": "પ્રથમ હપ્તો ભૂતકાળની તારીખનો ન હોઈ શકે",
+
+    "otp.title": "તમારો ફોન ચકાસો",
+    "otp.intro": "{phone} પર SMS થી મોકલેલો {length} અંકનો કોડ દાખલ કરો.",
+    "otp.code": "ચકાસણી કોડ *",
+    "otp.verify": "ચકાસો",
+    "otp.resend": "કોડ ફરી મોકલો",
+    "otp.resendIn": "{time} પછી ફરી મોકલો",
+    "otp.expiresIn": "કોડ {time} માં સમાપ્ત થશે",
+    "otp.codeExpired": "કોડ સમાપ્ત થયો, નવો કોડ મંગાવો",
+    "otp.verified": "ફોન નંબર ચકાસાયો",
+    "otp.required": "કૃપા કરીને તમારો ફોન નંબર ફરી ચકાસો",
+    "otp.error.throttled": "ઘણા બધા કોડ મંગાવ્યા. {time} પછી ફરી પ્રયાસ કરો",
+    "otp.error.sendFailed": "કોડ મોકલી શકાયો નહીં. કૃપા કરીને ફરી પ્રયાસ કરો",
+    "otp.error.invalid": "ખોટો કોડ, {attempts} પ્રયાસ બાકી",
+    "otp.error.expired": "આ કોડ સમાપ્ત થયો છે. નવો કોડ મંગાવો",
+    "otp.error.locked": "ઘણા બધા ખોટા પ્રયાસ. નવો કોડ મંગાવો",
+    "otp.error.verifyFailed": "કોડ ચકાસી શકાયો નહીં. કૃપા કરીને ફરી પ્રયાસ કરો",
+    "otp.error.format": "{length} અંકનો કોડ દાખલ કરો",
+
+    "footer.tagline": "2020થી કિંમતી ધાતુઓમાં તમારો વિશ્વસનીય સાથી",
+    "footer.contact": "સંપર્ક માહિતી",
+    "footer.hours": "કામકાજનો સમય",
+    "footer.weekdays": "સોમવાર - શુક્રવાર",
+    "footer.saturday": "શનિવાર",
+    "footer.sunday": "રવિવાર",
+    "footer.closed": "બંધ",
+    "footer.certifications": "પ્રમાણપત્રો",
+    "footer.rights": "© 2024 PreciousMetals Pro. સર્વ હક્ક સુરક્ષિત.",
+    "footer.privacy": "ગોપનીયતા નીતિ",
+    "footer.terms": "સેવાની શરતો",
+    "footer.refund": "રિફંડ નીતિ",
+  },
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MESSAGES }
+}
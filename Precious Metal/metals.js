@@ -0,0 +1,71 @@
+// Metal Catalogue
+
+// Every metal on offer is described once in CONFIG.metals, keyed by metal key ("gold"):
+//   name            - English name, also the metalType stored on bookings ("Gold")
+//   symbol          - Market symbol, e.g. XAU
+//   rateUnit        - DISPLAY_UNITS key the rate is quoted per ("10g", "kg", …)
+//   purities        - Purity variants, fine first (see purity.js)
+//   defaultUnit     - Weight unit the booking quantity starts in
+//   maxQuantity     - Largest booking, in grams
+//   minBuyQuantity  - Smallest purchase, in grams
+//   minSellQuantity - Smallest buy-back, in grams
+//   spreadPercent   - { ask, bid }, percent from the market rate to buy and sell at (spread.js)
+//   fluctuation     - Largest simulated move per update, in ₹
+//   colors          - { primary, accent } for the rate card
+//   initialRate     - { price, change, high, low } shown until the first update
+// Rate cards, summary stats, booking and alert options and quantity limits are all generated
+// from it, in the order listed, so a metal is added by adding an entry. Names are translated
+// from "metal.<key>" where the message catalogue has one.
+// The server reuses these helpers through the CommonJS export.
+
+/**
+ * Get the keys of the configured metals, in display order
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {Array<string>} Metal keys
+ */
+function getMetalKeys(metalsConfig) {
+  return Object.keys(metalsConfig)
+}
+
+/**
+ * Find the key of a metal from the metalType stored on bookings
+ * @param {string} metalType - Metal name, e.g. "Gold"
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {string|null} Metal key, or null if the metal is not configured
+ */
+function findMetalKey(metalType, metalsConfig) {
+  return getMetalKeys(metalsConfig).find((metal) => metalsConfig[metal].name === metalType) || null
+}
+
+/**
+ * Get the rates each metal starts from before the first update
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {object} Rates keyed by metal, with changePercent filled in
+ */
+function getInitialRates(metalsConfig) {
+  const rates = {}
+
+  getMetalKeys(metalsConfig).forEach((metal) => {
+    const rate = metalsConfig[metal].initialRate
+    const previousClose = rate.price - (rate.change || 0)
+
+    rates[metal] = {
+      change: 0,
+      high: rate.price,
+      low: rate.price,
+      ...rate,
+      changePercent: previousClose ? ((rate.change || 0) / previousClose) * 100 : 0,
+    }
+  })
+
+  return rates
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getMetalKeys,
+    findMetalKey,
+    getInitialRates,
+  }
+}
@@ -0,0 +1,277 @@
+// My Bookings
+
+// Lists the bookings saved by saveBooking() with filters, a detail drawer, cancellation
+// within CONFIG.bookings.cancellationGracePeriod and one-click rebooking at the current rate.
+// Staff move bookings on to paid and delivered on the server, so opening the panel fetches the
+// status of every booking still in progress whose phone has a saved verification token.
+
+const bookingFilters = { metal: "", status: "", from: "", to: "" }
+
+let selectedBookingId = null
+
+// Statuses a booking can still move on from
+const OPEN_BOOKING_STATUSES = ["confirmed", "paid"]
+
+// Bookings made before quantity units were selectable stored a label instead of a unit code
+const LEGACY_BOOKING_UNITS = { grams: "g" }
+
+/**
+ * Check whether a booking can still be cancelled
+ * @param {object} booking - Saved booking
+ * @param {number} gracePeriod - Grace period in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the booking is confirmed and inside the grace period
+ */
+function canCancelBooking(booking, gracePeriod, now = Date.now()) {
+  return booking.status === "confirmed" && now - new Date(booking.timestamp).getTime() <= gracePeriod
+}
+
+/**
+ * Filter bookings by metal, status and booking date (inclusive, IST calendar days)
+ * @param {Array<object>} bookings - Saved bookings
+ * @param {object} filters - { metal, status, from, to } with dates as YYYY-MM-DD
+ * @returns {Array<object>} Matching bookings, newest first
+ */
+function filterBookings(bookings, filters) {
+  const toDateKey = (timestamp) =>
+    new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Kolkata" }).format(new Date(timestamp))
+
+  return bookings
+    .filter((booking) => !filters.metal || booking.metalType === filters.metal)
+    .filter((booking) => !filters.status || booking.status === filters.status)
+    .filter((booking) => !filters.from || toDateKey(booking.timestamp) >= filters.from)
+    .filter((booking) => !filters.to || toDateKey(booking.timestamp) <= filters.to)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+}
+
+/**
+ * Open the My Bookings panel
+ */
+function openMyBookings() {
+  const modal = document.getElementById("myBookingsModal")
+  if (!modal) return
+
+  renderMyBookings()
+  modal.classList.add("active")
+  modal.style.display = "flex"
+  document.body.style.overflow = "hidden"
+  refreshBookingStatuses()
+}
+
+/**
+ * Fetch the server's status for bookings still in progress and re-render any that changed
+ * Bookings whose phone has no saved verification are left as saved rather than asking for a code.
+ */
+async function refreshBookingStatuses() {
+  const bookings = storage.get("bookings", []).filter((booking) => OPEN_BOOKING_STATUSES.includes(booking.status))
+
+  const changed = await Promise.all(
+    bookings.map(async (booking) => {
+      const token = getPhoneVerification(booking.phone)?.token
+      if (!token) return false
+
+      try {
+        const latest = await fetchBooking(booking.id, token, CONFIG)
+        if (latest.status === booking.status) return false
+        updateSavedBooking(booking.id, { status: latest.status })
+        return true
+      } catch (error) {
+        console.warn(`Booking ${booking.id} status refresh failed:`, error)
+        if (error.status === 403 && error.body?.verification) forgetPhoneVerification(booking.phone)
+        return false
+      }
+    }),
+  )
+
+  if (!changed.some(Boolean)) return
+  renderMyBookings()
+  if (selectedBookingId) openBookingDrawer(selectedBookingId)
+}
+
+/**
+ * Close the My Bookings panel and its drawer
+ */
+function closeMyBookings() {
+  const modal = document.getElementById("myBookingsModal")
+  if (!modal) return
+
+  closeBookingDrawer()
+  modal.classList.remove("active")
+  modal.style.display = "none"
+  document.body.style.overflow = "auto"
+}
+
+/**
+ * Read the filter controls and re-render the list
+ */
+function applyBookingFilters() {
+  bookingFilters.metal = document.getElementById("filterMetal")?.value || ""
+  bookingFilters.status = document.getElementById("filterStatus")?.value || ""
+  bookingFilters.from = document.getElementById("filterFrom")?.value || ""
+  bookingFilters.to = document.getElementById("filterTo")?.value || ""
+  renderMyBookings()
+}
+
+/**
+ * Render the filtered bookings list
+ */
+function renderMyBookings() {
+  const list = document.getElementById("myBookingsList")
+  if (!list) return
+
+  const bookings = filterBookings(storage.get("bookings", []), bookingFilters)
+  if (bookings.length === 0) {
+    list.innerHTML = `<p class="bookings-empty">${translate("myBookings.empty")}</p>`
+    return
+  }
+
+  list.innerHTML = bookings
+    .map(
+      (booking) => `
+      <button type="button" class="booking-list-item" data-booking-id="${escapeHtml(booking.id)}" onclick="openBookingDrawer(this.dataset.bookingId)">
+        <div class="booking-list-main">
+          <strong>${booking.side === "sell" ? `${translate("side.sell")} · ` : ""}${translateMetalType(booking.metalType)} · ${booking.quantity} ${translateWeightUnit(booking.unit)}</strong>
+          <span class="booking-list-meta">${escapeHtml(booking.id)} · ${formatDateTime(new Date(booking.timestamp))}</span>
+        </div>
+        <div class="booking-list-side">
+          <span>${formatCurrency(booking.grandTotal ?? booking.totalValue)}</span>
+          <span class="status-badge status-${booking.status}">${translate(`status.${booking.status}`)}</span>
+        </div>
+      </button>
+    `,
+    )
+    .join("")
+}
+
+/**
+ * Open the detail drawer for a booking
+ */
+function openBookingDrawer(id) {
+  const booking = storage.get("bookings", []).find((item) => item.id === id)
+  const drawer = document.getElementById("bookingDrawer")
+  const details = document.getElementById("drawerBookingDetails")
+  if (!booking || !drawer || !details) return
+
+  selectedBookingId = id
+  details.innerHTML = `
+    ${renderBookingDetails(booking)}
+    <div class="summary-row">
+      <span>${translate("details.booked")}</span>
+      <span>${formatDateTime(new Date(booking.timestamp))}</span>
+    </div>
+    <div class="summary-row">
+      <span>${translate("details.status")}</span>
+      <span class="status-badge status-${booking.status}">${translate(`status.${booking.status}`)}</span>
+    </div>
+  `
+
+  const receiptActions = document.getElementById("drawerReceiptActions")
+  if (receiptActions) receiptActions.innerHTML = renderReceiptActions(booking.id)
+
+  const cancelButton = document.getElementById("drawerCancelBooking")
+  const cancelHint = document.getElementById("drawerCancelHint")
+  const cancellable = canCancelBooking(booking, CONFIG.bookings.cancellationGracePeriod)
+  if (cancelButton) cancelButton.hidden = !cancellable
+  if (cancelHint) {
+    cancelHint.textContent =
+      booking.status === "confirmed" && !cancellable
+        ? translate("myBookings.cancelHint", { minutes: CONFIG.bookings.cancellationGracePeriod / 60000 })
+        : ""
+  }
+
+  drawer.classList.add("open")
+  drawer.setAttribute("aria-hidden", "false")
+}
+
+/**
+ * Close the detail drawer
+ */
+function closeBookingDrawer() {
+  const drawer = document.getElementById("bookingDrawer")
+  if (!drawer) return
+
+  selectedBookingId = null
+  drawer.classList.remove("open")
+  drawer.setAttribute("aria-hidden", "true")
+}
+
+/**
+ * Cancel the booking open in the drawer
+ */
+async function cancelSelectedBooking() {
+  const booking = storage.get("bookings", []).find((item) => item.id === selectedBookingId)
+  if (!booking) return
+
+  if (!canCancelBooking(booking, CONFIG.bookings.cancellationGracePeriod)) {
+    showToast(translate("myBookings.periodEnded"), "error")
+    openBookingDrawer(booking.id)
+    return
+  }
+
+  if (!window.confirm(translate("myBookings.confirmCancel", { id: booking.id }))) return
+
+  // The server only changes a booking for its verified phone
+  const phoneVerification = await verifyPhone(booking.phone)
+  if (!phoneVerification) return
+
+  try {
+    const updated = await updateBookingStatus(booking.id, "cancelled", phoneVerification, CONFIG)
+    updateSavedBooking(booking.id, { status: updated.status })
+    showToast(translate("myBookings.cancelled"), "success")
+  } catch (error) {
+    console.error("Booking cancellation error:", error)
+    if (error.status === 403 && error.body?.verification) {
+      forgetPhoneVerification(booking.phone)
+      showToast(translate("otp.required"), "error")
+    } else {
+      showToast(error.body?.error || translate("myBookings.cancelFailed"), "error")
+    }
+    return
+  }
+
+  renderMyBookings()
+  openBookingDrawer(booking.id)
+}
+
+/**
+ * Open the booking modal prefilled from the selected booking, at the current rate and on the same side
+ */
+function rebookSelectedBooking() {
+  const booking = storage.get("bookings", []).find((item) => item.id === selectedBookingId)
+  if (!booking) return
+
+  closeMyBookings()
+  openBookingModal(booking.metalType, booking.side)
+
+  const prefill = {
+    fullName: booking.fullName,
+    phone: booking.phone,
+    email: booking.email,
+    quantity: booking.quantity,
+  }
+  Object.keys(prefill).forEach((fieldName) => {
+    const field = document.getElementById(fieldName)
+    if (field) field.value = prefill[fieldName]
+  })
+
+  if (booking.purity) updatePurityOptions(booking.purity)
+  setQuantityUnit(booking.metalType, LEGACY_BOOKING_UNITS[booking.unit] || booking.unit)
+}
+
+/**
+ * Wire up the filter controls
+ */
+function initializeMyBookings() {
+  ;["filterMetal", "filterStatus", "filterFrom", "filterTo"].forEach((id) => {
+    const field = document.getElementById(id)
+    if (field) field.addEventListener("change", applyBookingFilters)
+  })
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    canCancelBooking,
+    filterBookings,
+  }
+}
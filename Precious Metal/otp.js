@@ -0,0 +1,248 @@
+// Phone Verification
+
+// The server only takes bookings for a phone number the customer has verified with a
+// one-time code (see server/otp.js). verifyPhone() asks for a code in #otpModal and resolves
+// with the verification token, or null if the customer gives up. Tokens are saved in storage
+// under "phoneVerifications", keyed by phone, until they expire:
+//   { token, expiresAt }
+// so a verified number is not asked for again on this device. The server decides how long a
+// token lasts; one it turns down is forgotten and the number verified again.
+
+const otpState = { phone: null, expiresAt: 0, resendAt: 0, resolve: null, timer: null }
+
+/**
+ * Get a saved, unexpired verification for a phone
+ * @returns {object|null} { token, expiresAt }
+ */
+function getPhoneVerification(phone, now = Date.now()) {
+  const saved = storage.get("phoneVerifications", {})[phone]
+  return saved && saved.expiresAt > now ? saved : null
+}
+
+/**
+ * Save a phone's verification, dropping expired ones
+ */
+function savePhoneVerification(phone, verification, now = Date.now()) {
+  const saved = storage.get("phoneVerifications", {})
+  Object.keys(saved).forEach((key) => {
+    if (saved[key].expiresAt <= now) delete saved[key]
+  })
+  saved[phone] = { token: verification.token, expiresAt: verification.expiresAt }
+  storage.set("phoneVerifications", saved)
+}
+
+/**
+ * Forget a phone's verification, e.g. after the server turned it down
+ */
+function forgetPhoneVerification(phone) {
+  const saved = storage.get("phoneVerifications", {})
+  delete saved[phone]
+  storage.set("phoneVerifications", saved)
+}
+
+/**
+ * Get a verification token for a phone, asking for a code unless one is saved
+ * @param {string} phone - 10-digit phone number
+ * @returns {Promise<string|null>} Token, or null if the dialog was closed
+ */
+function verifyPhone(phone) {
+  const saved = getPhoneVerification(phone)
+  if (saved) return Promise.resolve(saved.token)
+
+  // Only one number is verified at a time
+  settleOtp(null)
+
+  otpState.phone = phone
+  otpState.expiresAt = 0
+  otpState.resendAt = 0
+  openOtpModal()
+  sendOtpCode()
+
+  return new Promise((resolve) => {
+    otpState.resolve = resolve
+  })
+}
+
+/**
+ * Resolve the pending verifyPhone() call
+ */
+function settleOtp(token) {
+  const resolve = otpState.resolve
+  otpState.resolve = null
+  if (resolve) resolve(token)
+}
+
+/**
+ * Text a code to the phone being verified
+ */
+async function sendOtpCode() {
+  const phone = otpState.phone
+  if (!phone) return
+
+  showOtpError("")
+  try {
+    const sent = await requestOtp(phone, CONFIG)
+    if (otpState.phone !== phone) return
+
+    otpState.expiresAt = sent.expiresAt
+    otpState.resendAt = sent.resendAt
+  } catch (error) {
+    console.error("Verification code request failed:", error)
+    if (otpState.phone !== phone) return
+
+    // A code sent moments ago can still be entered while the resend waits
+    if (error.status === 429 && error.body?.retryAfter) {
+      otpState.resendAt = Date.now() + error.body.retryAfter
+      showOtpError(translate("otp.error.throttled", { time: formatCountdown(error.body.retryAfter) }))
+    } else {
+      showOtpError(translate("otp.error.sendFailed"))
+    }
+  }
+
+  renderOtpStatus()
+}
+
+/**
+ * Send another code once the resend wait is over
+ */
+function resendOtpCode() {
+  if (Date.now() < otpState.resendAt) return
+  sendOtpCode()
+}
+
+/**
+ * Check the entered code and finish verification
+ */
+async function handleOtpSubmission(e) {
+  e.preventDefault()
+
+  const phone = otpState.phone
+  const code = document.getElementById("otpCode")?.value.trim() || ""
+  if (!new RegExp(`^\\d{${CONFIG.otp.codeLength}}$`).test(code)) {
+    showOtpError(translate("otp.error.format", { length: CONFIG.otp.codeLength }))
+    return
+  }
+
+  const submitButton = document.getElementById("otpSubmit")
+  if (submitButton) submitButton.disabled = true
+
+  try {
+    const verification = await verifyOtp(phone, code, CONFIG)
+    savePhoneVerification(phone, verification)
+    settleOtp(verification.token)
+    closeOtpModal()
+    showToast(translate("otp.verified"), "success")
+  } catch (error) {
+    console.error("Verification failed:", error)
+
+    const reason = error.body?.reason
+    if (reason === "invalid") {
+      showOtpError(translate("otp.error.invalid", { attempts: error.body.attemptsLeft }))
+    } else if (reason === "expired" || reason === "locked") {
+      showOtpError(translate(`otp.error.${reason}`))
+    } else {
+      showOtpError(translate("otp.error.verifyFailed"))
+    }
+  } finally {
+    if (submitButton) submitButton.disabled = false
+  }
+}
+
+/**
+ * Show an error under the code field; empty text hides it
+ */
+function showOtpError(message) {
+  const errorElement = document.getElementById("otpCodeError")
+  if (!errorElement) return
+
+  errorElement.textContent = message
+  errorElement.style.display = message ? "block" : "none"
+}
+
+/**
+ * Show the phone being verified, the time left on the code and the resend wait
+ */
+function renderOtpStatus() {
+  const intro = document.getElementById("otpIntro")
+  const expiry = document.getElementById("otpExpiry")
+  const resend = document.getElementById("otpResend")
+  const now = Date.now()
+
+  // Only the last digits are shown, as on the SMS
+  if (intro && otpState.phone) {
+    intro.textContent = translate("otp.intro", { length: CONFIG.otp.codeLength, phone: `••••••${otpState.phone.slice(-4)}` })
+  }
+
+  if (expiry) {
+    const remaining = otpState.expiresAt - now
+    expiry.textContent = otpState.expiresAt
+      ? remaining > 0
+        ? translate("otp.expiresIn", { time: formatCountdown(remaining) })
+        : translate("otp.codeExpired")
+      : ""
+  }
+
+  if (resend) {
+    const wait = otpState.resendAt - now
+    resend.disabled = wait > 0
+    resend.textContent = wait > 0 ? translate("otp.resendIn", { time: formatCountdown(wait) }) : translate("otp.resend")
+  }
+}
+
+/**
+ * Open the verification dialog
+ */
+function openOtpModal() {
+  const modal = document.getElementById("otpModal")
+  if (!modal) return
+
+  const form = document.getElementById("otpForm")
+  if (form) form.reset()
+  showOtpError("")
+  renderOtpStatus()
+
+  clearInterval(otpState.timer)
+  otpState.timer = setInterval(renderOtpStatus, 1000)
+
+  modal.classList.add("active")
+  modal.style.display = "flex"
+
+  setTimeout(() => {
+    const codeField = document.getElementById("otpCode")
+    if (codeField) codeField.focus()
+  }, 100)
+}
+
+/**
+ * Close the verification dialog; an unfinished verification resolves to null
+ */
+function closeOtpModal() {
+  const modal = document.getElementById("otpModal")
+  if (!modal) return
+
+  clearInterval(otpState.timer)
+  otpState.timer = null
+  otpState.phone = null
+  settleOtp(null)
+
+  modal.classList.remove("active")
+  modal.style.display = "none"
+}
+
+/**
+ * Wire up the verification form
+ */
+function initializeOtp() {
+  const form = document.getElementById("otpForm")
+  if (form) form.addEventListener("submit", handleOtpSubmission)
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getPhoneVerification,
+    savePhoneVerification,
+    forgetPhoneVerification,
+    verifyPhone,
+  }
+}
@@ -0,0 +1,552 @@
+// Portfolio
+
+// Values what a customer holds at the rate we would buy it back at. Holdings are lots from two
+// sources:
+//   bookings in storage "bookings" that are confirmed, paid or delivered; cancelled ones are
+//     left out. Buy-backs are sell lots that take metal out of the position
+//   manual holdings in storage "portfolioHoldings", for metal bought elsewhere:
+//     { id, metal, purity, grams, cost, acquiredAt } where cost is the total paid in ₹
+// Lots are grouped into a position per metal and purity with the average cost per gram. Sells
+// are replayed in time order and take cost out at that average; selling more than the position
+// holds, as with old jewellery the portfolio never held, only empties it.
+// A booking's cost is its metal value: making charges and taxes are not recovered on resale,
+// so leaving them out keeps P&L a measure of the market. Positions are valued at the metal
+// content price of the bid (spread.js, purity.js) on every tick, which is what selling them
+// back would pay. The value-over-time chart replays priceHistory, so it reaches back as far
+// as the history is kept.
+
+const portfolioState = { range: "1W" }
+
+// Booking statuses whose metal the customer holds, or has sold back to us
+const PORTFOLIO_STATUSES = ["confirmed", "paid", "delivered"]
+
+/**
+ * Turn bookings into portfolio lots
+ * @param {Array<object>} bookings - Saved bookings
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {Array<object>} Lots as { source, id, side, metal, purity, grams, cost, acquiredAt }
+ */
+function getBookingLots(bookings, metalsConfig) {
+  return bookings
+    .filter((booking) => PORTFOLIO_STATUSES.includes(booking.status))
+    .map((booking) => {
+      const metal = findMetalKey(booking.metalType, metalsConfig)
+      if (!metal) return null
+
+      // Bookings made before quantity units were selectable have no grams and a "grams" label
+      const grams = booking.grams ?? toGrams(booking.quantity, WEIGHT_UNITS[booking.unit] ? booking.unit : "g")
+
+      return {
+        source: "booking",
+        id: booking.id,
+        side: normalizeSide(booking.side),
+        metal,
+        purity: findPurity(metal, booking.purity, metalsConfig).code,
+        grams,
+        cost: booking.totalValue,
+        acquiredAt: booking.timestamp,
+      }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Collect every lot the portfolio holds
+ * @param {Array<object>} bookings - Saved bookings
+ * @param {Array<object>} holdings - Manual holdings
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {Array<object>} Lots, bookings first
+ */
+function getPortfolioLots(bookings, holdings, metalsConfig) {
+  return [
+    ...getBookingLots(bookings, metalsConfig),
+    ...holdings
+      .filter((holding) => metalsConfig[holding.metal])
+      .map((holding) => ({ source: "manual", side: "buy", ...holding })),
+  ]
+}
+
+/**
+ * Group lots into positions per metal and purity
+ * Sells take grams out at the position's average cost, never below zero.
+ * @param {Array<object>} lots - Lots from getPortfolioLots()
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {Array<object>} Positions still holding metal, as
+ *   { metal, purity, grams, cost, averageCost, lots }, in catalogue order
+ */
+function buildPositions(lots, metalsConfig) {
+  const positions = {}
+  const acquired = (lot) => new Date(lot.acquiredAt).getTime()
+
+  ;[...lots]
+    .sort((a, b) => acquired(a) - acquired(b))
+    .forEach((lot) => {
+      const key = `${lot.metal}:${lot.purity}`
+      if (!positions[key]) positions[key] = { metal: lot.metal, purity: lot.purity, grams: 0, cost: 0, lots: 0 }
+
+      const position = positions[key]
+      if (lot.side === "sell") {
+        const sold = Math.min(lot.grams, position.grams)
+        position.cost -= position.grams ? (position.cost * sold) / position.grams : 0
+        position.grams -= sold
+      } else {
+        position.grams += lot.grams
+        position.cost += lot.cost
+      }
+      position.lots++
+    })
+
+  const metals = getMetalKeys(metalsConfig)
+  const purityIndex = (position) =>
+    getPurityOptions(position.metal, metalsConfig).findIndex((purity) => purity.code === position.purity)
+
+  return Object.values(positions)
+    .filter((position) => position.grams > 0)
+    .map((position) => ({ ...position, averageCost: position.grams ? position.cost / position.grams : 0 }))
+    .sort((a, b) => metals.indexOf(a.metal) - metals.indexOf(b.metal) || purityIndex(a) - purityIndex(b))
+}
+
+/**
+ * Get what selling back one gram of a purity pays, from the market fine-metal rate
+ */
+function getPositionPricePerGram(metal, purity, marketPrice, metalsConfig) {
+  const bid = getSidePrice(metal, "sell", marketPrice, metalsConfig)
+  return getPricePerGram(metal, getMetalContentPrice(metal, purity, bid, metalsConfig), metalsConfig)
+}
+
+/**
+ * Value positions at the given rates
+ * @param {Array<object>} positions - Positions from buildPositions()
+ * @param {object} rates - currentRates
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {object} { positions, allocation, totalValue, totalCost, pnl, pnlPercent } where each
+ *   position gains pricePerGram, value, pnl, pnlPercent and allocation (percent of value), and
+ *   allocation gives the percent of value held in each metal
+ */
+function valuePortfolio(positions, rates, metalsConfig) {
+  const valued = positions.map((position) => {
+    const marketPrice = rates[position.metal].price
+    const pricePerGram = getPositionPricePerGram(position.metal, position.purity, marketPrice, metalsConfig)
+    const value = position.grams * pricePerGram
+    const pnl = value - position.cost
+
+    return { ...position, pricePerGram, value, pnl, pnlPercent: position.cost ? (pnl / position.cost) * 100 : 0 }
+  })
+
+  const totalValue = valued.reduce((sum, position) => sum + position.value, 0)
+  const totalCost = valued.reduce((sum, position) => sum + position.cost, 0)
+  const share = (value) => (totalValue ? (value / totalValue) * 100 : 0)
+  const allocation = {}
+
+  valued.forEach((position) => {
+    position.allocation = share(position.value)
+    allocation[position.metal] = (allocation[position.metal] || 0) + position.allocation
+  })
+
+  return {
+    positions: valued,
+    allocation,
+    totalValue,
+    totalCost,
+    pnl: totalValue - totalCost,
+    pnlPercent: totalCost ? ((totalValue - totalCost) / totalCost) * 100 : 0,
+  }
+}
+
+/**
+ * Replay price candles into the portfolio's value over time
+ * A lot counts from the candle it was acquired in; a metal's price is carried forward between
+ * its candles and taken from its first candle before that.
+ * @param {Array<object>} lots - Lots from getPortfolioLots()
+ * @param {object} candlesByMetal - Candles from aggregateCandles(), keyed by metal
+ * @param {number} candleMs - Candle width in milliseconds
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {Array<object>} Points shaped as candles ({ time, open, high, low, close } all
+ *   holding the value) so drawPriceChart() can draw them
+ */
+function calculatePortfolioSeries(lots, candlesByMetal, candleMs, metalsConfig) {
+  const times = [...new Set(Object.values(candlesByMetal).flatMap((candles) => candles.map((candle) => candle.time)))]
+  const closes = {}
+  const cursors = {}
+
+  return times
+    .sort((a, b) => a - b)
+    .map((time) => {
+      Object.entries(candlesByMetal).forEach(([metal, candles]) => {
+        let index = cursors[metal] || 0
+        while (index < candles.length && candles[index].time <= time) {
+          closes[metal] = candles[index].close
+          index++
+        }
+        cursors[metal] = index
+      })
+
+      const held = lots.filter((lot) => new Date(lot.acquiredAt).getTime() < time + candleMs)
+      const value = buildPositions(held, metalsConfig).reduce((sum, position) => {
+        const price = closes[position.metal] ?? candlesByMetal[position.metal]?.[0]?.close
+        return price === undefined
+          ? sum
+          : sum + position.grams * getPositionPricePerGram(position.metal, position.purity, price, metalsConfig)
+      }, 0)
+
+      return { time, open: value, high: value, low: value, close: value }
+    })
+}
+
+/**
+ * Validate the holding form values
+ * @returns {object} Validation result with isValid and errors
+ */
+function validateHoldingForm(values, now = Date.now()) {
+  const errors = {}
+  const acquiredAt = values.date ? istTimeToDate(values.date, "00:00").getTime() : Number.NaN
+
+  if (!CONFIG.metals[values.metal]) {
+    errors.holdingMetal = translate("portfolio.error.metal")
+  }
+  if (!Number.isFinite(values.quantity) || values.quantity <= 0 || !WEIGHT_UNITS[values.unit]) {
+    errors.holdingQuantity = translate("portfolio.error.quantity")
+  }
+  if (!Number.isFinite(values.cost) || values.cost <= 0) {
+    errors.holdingCost = translate("portfolio.error.cost")
+  }
+  if (!Number.isFinite(acquiredAt) || acquiredAt > now) {
+    errors.holdingDate = translate("portfolio.error.date")
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Open the portfolio panel
+ */
+function openPortfolio() {
+  const modal = document.getElementById("portfolioModal")
+  if (!modal) return
+
+  resetHoldingForm()
+  modal.classList.add("active")
+  modal.style.display = "flex"
+  document.body.style.overflow = "hidden"
+  renderPortfolio()
+}
+
+/**
+ * Close the portfolio panel
+ */
+function closePortfolio() {
+  const modal = document.getElementById("portfolioModal")
+  if (!modal) return
+
+  modal.classList.remove("active")
+  modal.style.display = "none"
+  document.body.style.overflow = "auto"
+}
+
+/**
+ * Revalue the portfolio on a tick, if the panel is open
+ */
+function updatePortfolio() {
+  if (document.getElementById("portfolioModal")?.classList.contains("active")) renderPortfolio()
+}
+
+/**
+ * Get the lots held now, from saved bookings and manual holdings
+ */
+function loadPortfolioLots() {
+  return getPortfolioLots(storage.get("bookings", []), storage.get("portfolioHoldings", []), CONFIG.metals)
+}
+
+/**
+ * Render the totals, allocation, positions, chart and manual holdings
+ */
+function renderPortfolio() {
+  const lots = loadPortfolioLots()
+  const portfolio = valuePortfolio(buildPositions(lots, CONFIG.metals), currentRates, CONFIG.metals)
+  const formatPercent = (value) => `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`
+  const formatPnl = (value) => `${value >= 0 ? "+" : ""}${formatDisplayPrice(value)}`
+  const pnlClass = (value) => (value > 0 ? "trend-up" : value < 0 ? "trend-down" : "trend-neutral")
+
+  const setText = (id, text, className) => {
+    const element = document.getElementById(id)
+    if (!element) return
+    element.textContent = text
+    if (className) element.className = `stat-value ${className}`
+  }
+  setText("portfolioValue", formatDisplayPrice(portfolio.totalValue))
+  setText("portfolioCost", formatDisplayPrice(portfolio.totalCost))
+  setText(
+    "portfolioPnl",
+    `${formatPnl(portfolio.pnl)} (${formatPercent(portfolio.pnlPercent)})`,
+    pnlClass(portfolio.pnl),
+  )
+
+  const allocationBar = document.getElementById("portfolioAllocationBar")
+  const allocationLegend = document.getElementById("portfolioAllocation")
+  const allocated = Object.keys(portfolio.allocation).filter((metal) => portfolio.allocation[metal] > 0)
+  if (allocationBar) {
+    allocationBar.innerHTML = allocated
+      .map(
+        (metal) =>
+          `<span style="width: ${portfolio.allocation[metal]}%; background: ${CONFIG.metals[metal].colors.primary}"></span>`,
+      )
+      .join("")
+  }
+  if (allocationLegend) {
+    allocationLegend.innerHTML = allocated
+      .map(
+        (metal) => `
+        <span class="allocation-item">
+          <span class="allocation-swatch" style="background: ${CONFIG.metals[metal].colors.primary}"></span>
+          ${translateMetal(metal)} ${portfolio.allocation[metal].toFixed(1)}%
+        </span>
+      `,
+      )
+      .join("")
+  }
+
+  const positionList = document.getElementById("portfolioPositions")
+  if (positionList) {
+    positionList.innerHTML =
+      portfolio.positions.length === 0
+        ? `<p class="portfolio-empty">${translate("portfolio.empty")}</p>`
+        : `
+        <table class="position-table">
+          <thead>
+            <tr>
+              <th>${translate("portfolio.col.holding")}</th>
+              <th>${translate("portfolio.col.quantity")}</th>
+              <th>${translate("portfolio.col.avgCost")}</th>
+              <th>${translate("portfolio.col.price")}</th>
+              <th>${translate("portfolio.col.value")}</th>
+              <th>${translate("portfolio.col.pnl")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${portfolio.positions
+              .map(
+                (position) => `
+              <tr>
+                <td>${translateMetal(position.metal)} (${position.purity})</td>
+                <td>${Math.round(position.grams * 1000) / 1000} g</td>
+                <td>${formatDisplayPrice(position.averageCost)}</td>
+                <td>${formatDisplayPrice(position.pricePerGram)}</td>
+                <td>${formatDisplayPrice(position.value)}</td>
+                <td class="${pnlClass(position.pnl)}">${formatPnl(position.pnl)}<br><small>${formatPercent(position.pnlPercent)}</small></td>
+              </tr>
+            `,
+              )
+              .join("")}
+          </tbody>
+        </table>
+      `
+  }
+
+  renderPortfolioChart(lots)
+  renderHoldingList()
+}
+
+/**
+ * Draw the portfolio's value over the selected CHART_RANGES range
+ */
+function renderPortfolioChart(lots = loadPortfolioLots()) {
+  const canvas = document.getElementById("portfolioChart")
+  if (!canvas || !priceHistory) return
+
+  const range = CHART_RANGES[portfolioState.range]
+  const candlesByMetal = {}
+  new Set(lots.map((lot) => lot.metal)).forEach((metal) => {
+    candlesByMetal[metal] = aggregateCandles(priceHistory.getSamples(metal, range.duration), range.candle)
+  })
+
+  drawPriceChart(canvas, calculatePortfolioSeries(lots, candlesByMetal, range.candle, CONFIG.metals), "line")
+}
+
+/**
+ * Change the portfolio chart's range
+ */
+function setPortfolioRange(range) {
+  if (!CHART_RANGES[range]) return
+
+  portfolioState.range = range
+  document.querySelectorAll("#portfolioRanges [data-range]").forEach((button) => {
+    button.classList.toggle("active", button.dataset.range === range)
+  })
+  renderPortfolioChart()
+}
+
+/**
+ * Render the manually added holdings
+ */
+function renderHoldingList() {
+  const list = document.getElementById("holdingList")
+  if (!list) return
+
+  const holdings = storage.get("portfolioHoldings", [])
+  if (holdings.length === 0) {
+    list.innerHTML = `<p class="portfolio-empty">${translate("portfolio.noHoldings")}</p>`
+    return
+  }
+
+  list.innerHTML = holdings
+    .map(
+      (holding) => `
+      <div class="alert-item">
+        <div class="alert-info">
+          <span class="alert-description">${translateMetal(holding.metal)} (${holding.purity}) · ${Math.round(holding.grams * 1000) / 1000} g</span>
+          <span class="alert-meta">${translate("portfolio.paid", {
+            amount: formatCurrency(holding.cost),
+            date: formatHoldingDate(holding.acquiredAt),
+          })}</span>
+        </div>
+        <div class="alert-actions">
+          <button type="button" class="btn-link danger" onclick="deleteHolding('${holding.id}')">${translate("portfolio.delete")}</button>
+        </div>
+      </div>
+    `,
+    )
+    .join("")
+}
+
+/**
+ * Format the IST calendar day a holding was bought, e.g. "12 Oct 2026"
+ */
+function formatHoldingDate(time) {
+  return new Intl.DateTimeFormat(getLocale(), {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "Asia/Kolkata",
+  }).format(new Date(time))
+}
+
+/**
+ * Fill the holding form's purity and unit choices for the chosen metal
+ * The unit starts at the metal's default unless keepUnit is set.
+ */
+function updateHoldingFormOptions(keepUnit = false) {
+  const metal = document.getElementById("holdingMetal")?.value
+  const puritySelect = document.getElementById("holdingPurity")
+  const unitSelect = document.getElementById("holdingUnit")
+
+  if (puritySelect) {
+    const current = puritySelect.value
+    puritySelect.innerHTML = getPurityOptions(metal, CONFIG.metals)
+      .map((purity) => `<option value="${purity.code}">${purity.code}</option>`)
+      .join("")
+    if ([...puritySelect.options].some((option) => option.value === current)) puritySelect.value = current
+  }
+
+  if (unitSelect) {
+    const current = unitSelect.value
+    unitSelect.innerHTML = Object.keys(WEIGHT_UNITS)
+      .map((unit) => `<option value="${unit}">${translateWeightUnit(unit)}</option>`)
+      .join("")
+    unitSelect.value = keepUnit && WEIGHT_UNITS[current] ? current : CONFIG.metals[metal]?.defaultUnit || "g"
+  }
+}
+
+/**
+ * Clear the holding form
+ */
+function resetHoldingForm() {
+  const form = document.getElementById("holdingForm")
+  if (form) form.reset()
+
+  updateHoldingFormOptions()
+  document.querySelectorAll("#holdingForm .form-error").forEach((el) => {
+    el.textContent = ""
+    el.style.display = "none"
+  })
+}
+
+/**
+ * Save the holding form as a manual holding
+ */
+function handleHoldingSubmission(e) {
+  e.preventDefault()
+
+  const values = {
+    metal: document.getElementById("holdingMetal").value,
+    purity: document.getElementById("holdingPurity").value,
+    quantity: Number.parseFloat(document.getElementById("holdingQuantity").value),
+    unit: document.getElementById("holdingUnit").value,
+    cost: Number.parseFloat(document.getElementById("holdingCost").value),
+    date: document.getElementById("holdingDate").value,
+  }
+
+  document.querySelectorAll("#holdingForm .form-error").forEach((el) => {
+    el.textContent = ""
+    el.style.display = "none"
+  })
+
+  const validation = validateHoldingForm(values)
+  if (!validation.isValid) {
+    Object.keys(validation.errors).forEach((fieldName) => {
+      const errorElement = document.getElementById(`${fieldName}Error`)
+      if (errorElement) {
+        errorElement.textContent = validation.errors[fieldName]
+        errorElement.style.display = "block"
+      }
+    })
+    return
+  }
+
+  const holdings = storage.get("portfolioHoldings", [])
+  holdings.push({
+    id: `PH${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`.toUpperCase(),
+    metal: values.metal,
+    purity: findPurity(values.metal, values.purity, CONFIG.metals).code,
+    grams: Math.round(toGrams(values.quantity, values.unit) * 1000) / 1000,
+    cost: values.cost,
+    acquiredAt: istTimeToDate(values.date, "00:00").toISOString(),
+  })
+  storage.set("portfolioHoldings", holdings)
+
+  showToast(translate("portfolio.added"), "success")
+  resetHoldingForm()
+  renderPortfolio()
+}
+
+/**
+ * Delete a manual holding
+ */
+function deleteHolding(id) {
+  storage.set(
+    "portfolioHoldings",
+    storage.get("portfolioHoldings", []).filter((holding) => holding.id !== id),
+  )
+  renderPortfolio()
+}
+
+/**
+ * Build the chart range buttons and wire up the holding form
+ */
+function initializePortfolio() {
+  const ranges = document.getElementById("portfolioRanges")
+  if (ranges) {
+    ranges.innerHTML = Object.keys(CHART_RANGES)
+      .map(
+        (range) =>
+          `<button type="button" class="${range === portfolioState.range ? "active" : ""}" data-range="${range}" onclick="setPortfolioRange('${range}')">${range}</button>`,
+      )
+      .join("")
+  }
+
+  const form = document.getElementById("holdingForm")
+  if (form) form.addEventListener("submit", handleHoldingSubmission)
+
+  const metalField = document.getElementById("holdingMetal")
+  if (metalField) metalField.addEventListener("change", () => updateHoldingFormOptions())
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getBookingLots,
+    getPortfolioLots,
+    buildPositions,
+    valuePortfolio,
+    calculatePortfolioSeries,
+  }
+}
@@ -0,0 +1,92 @@
+// Pricing Rules
+
+// Turns a booking's metal value into invoice line items and a grand total.
+// CONFIG.pricing.rules are applied in order; each adds one line item:
+//   type "percent" - rate% of the rule's base ("metal" value or running "subtotal")
+//   type "perGram" - rate × weight in grams
+// A rule's rate is either one number or a lookup by metal and purity code; a purity entry
+// may be { type, value } to override the rule's type. Rules with a threshold only apply
+// once their base exceeds it. Rules that come to zero are left out.
+// The server reuses these helpers through the CommonJS export.
+
+/**
+ * Look up a rule's rate for a metal and purity
+ * @param {object} rule - Pricing rule
+ * @param {string} metal - Metal key
+ * @param {string} purity - Purity code
+ * @returns {object|null} { type, value }, or null if the rule does not apply
+ */
+function getRuleRate(rule, metal, purity) {
+  const rate = typeof rule.rate === "number" ? rule.rate : rule.rate?.[metal]?.[purity]
+  if (rate === undefined || rate === null) return null
+
+  return typeof rate === "number" ? { type: rule.type, value: rate } : rate
+}
+
+/**
+ * Calculate the line items and grand total for a booking
+ * @param {string} metal - Metal key
+ * @param {string} purity - Purity code
+ * @param {number} metalValue - Value of the metal at the variant rate
+ * @param {number} grams - Weight in grams
+ * @param {object} pricingConfig - CONFIG.pricing
+ * @returns {object} { lineItems: [{ code, label, amount, type?, rate? }], grandTotal }
+ */
+function calculatePriceBreakdown(metal, purity, metalValue, grams, pricingConfig) {
+  const roundAmount = (amount) => Math.round(amount * 100) / 100
+  const lineItems = [{ code: "metal", label: "Metal Value", amount: roundAmount(metalValue) }]
+  let subtotal = lineItems[0].amount
+
+  pricingConfig.rules.forEach((rule) => {
+    const rate = getRuleRate(rule, metal, purity)
+    if (!rate || !rate.value) return
+
+    const base = rule.base === "subtotal" ? subtotal : metalValue
+    if (rule.threshold && base <= rule.threshold) return
+
+    const amount = roundAmount(rate.type === "perGram" ? rate.value * grams : (base * rate.value) / 100)
+    if (!amount) return
+
+    lineItems.push({ code: rule.code, label: rule.label, amount, type: rate.type, rate: rate.value })
+    subtotal = roundAmount(subtotal + amount)
+  })
+
+  return { lineItems, grandTotal: subtotal }
+}
+
+/**
+ * Describe how a line item was charged, e.g. "3%" or "₹450.00/g"
+ */
+function describeLineItemRate(item, format = formatCurrency) {
+  if (!item.type) return ""
+  return item.type === "perGram" ? `${format(item.rate)}/g` : `${item.rate}%`
+}
+
+/**
+ * Render line items as summary rows, leaving out the metal value row
+ * Labels come from the message catalogue when it has the rule's code.
+ * @param {Array<object>} lineItems - Line items from calculatePriceBreakdown()
+ * @param {Function} format - Amount formatter, formatCurrency() unless showing another currency
+ * @returns {string} HTML
+ */
+function renderLineItems(lineItems, format = formatCurrency) {
+  return lineItems
+    .filter((item) => item.code !== "metal")
+    .map(
+      (item) => `
+      <div class="summary-row charge">
+        <span>${hasTranslation(`charge.${item.code}`) ? translate(`charge.${item.code}`) : escapeHtml(item.label)}${item.type ? ` (${describeLineItemRate(item, format)})` : ""}:</span>
+        <span>${format(item.amount)}</span>
+      </div>
+    `,
+    )
+    .join("")
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getRuleRate,
+    calculatePriceBreakdown,
+  }
+}
@@ -0,0 +1,166 @@
+// Rate Providers
+
+// Every provider exposes the same interface:
+//   name: string
+//   fetchRates(currentRates): Promise<{ gold: { price }, silver: { price }, …, timestamp }>
+// with one quote per metal in CONFIG.metals.
+// script.js picks one from CONFIG.priceUpdate.provider and applies the quotes to currentRates.
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Fetch a URL, aborting if it takes longer than the timeout
+ * @param {string} url - URL to fetch
+ * @param {object} options - fetch() options
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} Response
+ */
+async function fetchWithTimeout(url, options = {}, timeout) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal })
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Fetch JSON from the API, honouring the timeout and retry settings
+ * Retries use exponential backoff starting at apiConfig.retryDelay. Client errors (4xx)
+ * are not retried; the thrown error carries the response status and parsed body.
+ * @param {string} path - Path relative to apiConfig.baseUrl
+ * @param {object} options - fetch() options
+ * @param {object} apiConfig - CONFIG.api
+ * @returns {Promise<object>} Parsed JSON body
+ */
+async function fetchJsonWithRetry(path, options, apiConfig) {
+  const url = `${apiConfig.baseUrl}${path}`
+  let lastError
+
+  for (let attempt = 0; attempt <= apiConfig.retryAttempts; attempt++) {
+    if (attempt > 0) {
+      await wait(apiConfig.retryDelay * 2 ** (attempt - 1))
+    }
+
+    try {
+      const response = await fetchWithTimeout(url, options, apiConfig.timeout)
+      if (!response.ok) {
+        const error = new Error(`Request to ${path} failed with status ${response.status}`)
+        error.status = response.status
+        error.body = await response.json().catch(() => ({}))
+        throw error
+      }
+      return await response.json()
+    } catch (error) {
+      lastError = error
+      console.warn(`Attempt ${attempt + 1} for ${path} failed:`, error.message)
+
+      if (error.status >= 400 && error.status < 500) break
+    }
+  }
+
+  throw lastError
+}
+
+/**
+ * Read a price from an API quote, which may be a number or { price }
+ * @param {number|object} quote - Quote value
+ * @returns {number} Price
+ */
+function parseQuotePrice(quote) {
+  const price = typeof quote === "number" ? quote : Number(quote?.price)
+  if (!Number.isFinite(price) || price <= 0) {
+    throw new Error("Invalid price in rate response")
+  }
+  return price
+}
+
+/**
+ * Read the quote for every configured metal from a GET /rates response
+ * @param {object} data - Response body
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {object} Quotes keyed by metal, with timestamp
+ */
+function parseRateQuotes(data, metalsConfig) {
+  const quotes = { timestamp: data.timestamp || new Date().toISOString() }
+  getMetalKeys(metalsConfig).forEach((metal) => {
+    quotes[metal] = { price: parseQuotePrice(data[metal]) }
+  })
+  return quotes
+}
+
+/**
+ * Create the simulated provider, which applies random fluctuations to the last known rates
+ * @param {object} config - Application configuration
+ * @returns {object} Rate provider
+ */
+function createSimulatedProvider(config) {
+  return {
+    name: "simulated",
+    async fetchRates(currentRates) {
+      const quotes = { timestamp: new Date().toISOString() }
+      getMetalKeys(config.metals).forEach((metal) => {
+        quotes[metal] = { price: generatePriceFluctuation(currentRates[metal].price, config.metals[metal].fluctuation) }
+      })
+      return quotes
+    },
+  }
+}
+
+/**
+ * Create the HTTP provider, which reads quotes from GET {CONFIG.api.baseUrl}/rates
+ * @param {object} config - Application configuration
+ * @returns {object} Rate provider
+ */
+function createHttpProvider(config) {
+  return {
+    name: "http",
+    async fetchRates() {
+      const data = await fetchJsonWithRetry("/rates", { headers: { Accept: "application/json" } }, config.api)
+      return parseRateQuotes(data, config.metals)
+    },
+  }
+}
+
+const rateProviderFactories = {
+  simulated: createSimulatedProvider,
+  http: createHttpProvider,
+}
+
+/**
+ * Create the rate provider named in CONFIG.priceUpdate.provider
+ * @param {object} config - Application configuration
+ * @returns {object} Rate provider
+ */
+function createRateProvider(config) {
+  const name = config.priceUpdate.provider || "simulated"
+  const factory = rateProviderFactories[name]
+
+  if (!factory) {
+    throw new Error(`Unknown rate provider: ${name}`)
+  }
+
+  return factory(config)
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    fetchWithTimeout,
+    fetchJsonWithRetry,
+    parseQuotePrice,
+    parseRateQuotes,
+    createSimulatedProvider,
+    createHttpProvider,
+    createRateProvider,
+  }
+}
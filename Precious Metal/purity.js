@@ -0,0 +1,84 @@
+// Purity Variants
+
+// Rates are quoted for fine metal (24K gold, 999 silver). Each metal lists its purities in
+// CONFIG.metals; the others are derived as
+//   variant price = fine price × (purity factor / fine factor) × (1 + premium%)
+// Buy-backs pay for the metal content only, without the premium. The first purity listed
+// for a metal is the fine one. The server reuses these helpers through the CommonJS export
+// below, so both sides price a variant the same way.
+
+/**
+ * Get the purities configured for a metal
+ * @param {string} metal - Metal key
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {Array<object>} Purities, fine first
+ */
+function getPurityOptions(metal, metalsConfig) {
+  return metalsConfig[metal]?.purities || []
+}
+
+/**
+ * Find a purity by code, falling back to the fine purity
+ * @param {string} metal - Metal key
+ * @param {string} code - Purity code, e.g. "22K"
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {object|null} Purity
+ */
+function findPurity(metal, code, metalsConfig) {
+  const options = getPurityOptions(metal, metalsConfig)
+  return options.find((purity) => purity.code === code) || options[0] || null
+}
+
+/**
+ * Get the multiplier that turns a fine-metal price into a variant price
+ * @param {string} metal - Metal key
+ * @param {string} code - Purity code
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number} Price multiplier
+ */
+function getPurityMultiplier(metal, code, metalsConfig) {
+  const fine = getPurityOptions(metal, metalsConfig)[0]
+  const purity = findPurity(metal, code, metalsConfig)
+  if (!fine || !purity) return 1
+
+  return (purity.factor / fine.factor) * (1 + purity.premiumPercent / 100)
+}
+
+/**
+ * Derive a variant price from the fine-metal price
+ * @param {string} metal - Metal key
+ * @param {string} code - Purity code
+ * @param {number} finePrice - Fine-metal price
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number} Variant price, rounded to paise
+ */
+function getVariantPrice(metal, code, finePrice, metalsConfig) {
+  return Math.round(finePrice * getPurityMultiplier(metal, code, metalsConfig) * 100) / 100
+}
+
+/**
+ * Value a purity by its metal content alone, leaving out the premium; used for buy-backs
+ * @param {string} metal - Metal key
+ * @param {string} code - Purity code
+ * @param {number} finePrice - Fine-metal price
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number} Content price, rounded to paise
+ */
+function getMetalContentPrice(metal, code, finePrice, metalsConfig) {
+  const fine = getPurityOptions(metal, metalsConfig)[0]
+  const purity = findPurity(metal, code, metalsConfig)
+  const share = fine && purity ? purity.factor / fine.factor : 1
+
+  return Math.round(finePrice * share * 100) / 100
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getPurityOptions,
+    findPurity,
+    getPurityMultiplier,
+    getVariantPrice,
+    getMetalContentPrice,
+  }
+}
@@ -0,0 +1,315 @@
+// QR Codes
+
+// Minimal QR encoder for receipts: byte mode, error correction level M, versions 1-6
+// (up to 106 bytes of UTF-8), which comfortably fits a booking ID. The mask with the
+// lowest penalty score is chosen, as the specification recommends.
+
+// Per version: total codewords, error-correction codewords per block, block count and the
+// centre of the single alignment pattern (versions 2-6 have exactly one)
+const QR_VERSIONS = [
+  null,
+  { totalCodewords: 26, ecCodewordsPerBlock: 10, blocks: 1, alignment: null },
+  { totalCodewords: 44, ecCodewordsPerBlock: 16, blocks: 1, alignment: 18 },
+  { totalCodewords: 70, ecCodewordsPerBlock: 26, blocks: 1, alignment: 22 },
+  { totalCodewords: 100, ecCodewordsPerBlock: 18, blocks: 2, alignment: 26 },
+  { totalCodewords: 134, ecCodewordsPerBlock: 24, blocks: 2, alignment: 30 },
+  { totalCodewords: 172, ecCodewordsPerBlock: 16, blocks: 4, alignment: 34 },
+]
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+]
+
+/**
+ * Build GF(256) exponent and logarithm tables for the QR primitive polynomial
+ * @returns {object} { exp, log }
+ */
+function createGaloisTables() {
+  const exp = new Array(512)
+  const log = new Array(256)
+  let value = 1
+
+  for (let i = 0; i < 255; i++) {
+    exp[i] = value
+    log[value] = i
+    value <<= 1
+    if (value & 0x100) value ^= 0x11d
+  }
+  for (let i = 255; i < 512; i++) exp[i] = exp[i - 255]
+
+  return { exp, log }
+}
+
+/**
+ * Calculate Reed-Solomon error-correction codewords
+ * @param {Array<number>} data - Data codewords of one block
+ * @param {number} degree - Number of error-correction codewords
+ * @param {object} tables - Tables from createGaloisTables()
+ * @returns {Array<number>} Error-correction codewords
+ */
+function getReedSolomonCodewords(data, degree, tables) {
+  const multiply = (a, b) => (a && b ? tables.exp[tables.log[a] + tables.log[b]] : 0)
+
+  // Generator polynomial (x - α^0)(x - α^1)…, highest power first
+  let generator = [1]
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0)
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient
+      next[j + 1] ^= multiply(coefficient, tables.exp[i])
+    })
+    generator = next
+  }
+
+  const remainder = new Array(degree).fill(0)
+  data.forEach((codeword) => {
+    const factor = codeword ^ remainder.shift()
+    remainder.push(0)
+    for (let i = 0; i < degree; i++) remainder[i] ^= multiply(generator[i + 1], factor)
+  })
+
+  return remainder
+}
+
+/**
+ * Encode text into the final interleaved codeword sequence
+ * @param {string} text - Text to encode
+ * @returns {object} { version, codewords }
+ */
+function encodeQrCodewords(text) {
+  const bytes = Array.from(new TextEncoder().encode(text))
+  const version = QR_VERSIONS.findIndex(
+    (info) => info && (info.totalCodewords - info.ecCodewordsPerBlock * info.blocks) * 8 >= 12 + bytes.length * 8,
+  )
+  if (version === -1) throw new Error("Text is too long for a QR code")
+
+  const info = QR_VERSIONS[version]
+  const dataCapacity = info.totalCodewords - info.ecCodewordsPerBlock * info.blocks
+
+  // Byte mode indicator, 8-bit length, data, then up to four terminator bits
+  const bits = []
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+  }
+  appendBits(0b0100, 4)
+  appendBits(bytes.length, 8)
+  bytes.forEach((byte) => appendBits(byte, 8))
+  appendBits(0, Math.min(4, dataCapacity * 8 - bits.length))
+  appendBits(0, (8 - (bits.length % 8)) % 8)
+
+  const data = []
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+  }
+  for (let pad = 0xec; data.length < dataCapacity; pad ^= 0xec ^ 0x11) data.push(pad)
+
+  // Split into equal blocks, add error correction and interleave
+  const tables = createGaloisTables()
+  const blockSize = dataCapacity / info.blocks
+  const dataBlocks = []
+  for (let i = 0; i < info.blocks; i++) dataBlocks.push(data.slice(i * blockSize, (i + 1) * blockSize))
+  const ecBlocks = dataBlocks.map((block) => getReedSolomonCodewords(block, info.ecCodewordsPerBlock, tables))
+
+  const codewords = []
+  for (let i = 0; i < blockSize; i++) dataBlocks.forEach((block) => codewords.push(block[i]))
+  for (let i = 0; i < info.ecCodewordsPerBlock; i++) ecBlocks.forEach((block) => codewords.push(block[i]))
+
+  return { version, codewords }
+}
+
+/**
+ * Score a masked matrix with the four penalty rules from the QR specification
+ * @param {Array<Array<boolean>>} modules - Module matrix
+ * @returns {number} Penalty, lower is better
+ */
+function getQrPenalty(modules) {
+  const size = modules.length
+  const finderLike = [true, false, true, true, true, false, true]
+  let penalty = 0
+  let darkCount = 0
+
+  const scoreLine = (line) => {
+    let runLength = 1
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        runLength++
+      } else {
+        if (runLength >= 5) penalty += runLength - 2
+        runLength = 1
+      }
+    }
+
+    for (let i = 0; i + 7 <= line.length; i++) {
+      if (!finderLike.every((dark, j) => line[i + j] === dark)) continue
+      const lightBefore = line.slice(Math.max(0, i - 4), i).every((dark) => !dark) && i >= 4
+      const lightAfter = line.slice(i + 7, i + 11).every((dark) => !dark) && i + 11 <= line.length
+      if (lightBefore || lightAfter) penalty += 40
+    }
+  }
+
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y])
+    scoreLine(modules.map((row) => row[y]))
+
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) darkCount++
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3
+      }
+    }
+  }
+
+  return penalty + Math.floor(Math.abs((darkCount * 100) / (size * size) - 50) / 5) * 10
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode
+ * @returns {Array<Array<boolean>>} Square module matrix, true for dark modules, without quiet zone
+ */
+function createQrMatrix(text) {
+  const { version, codewords } = encodeQrCodewords(text)
+  const size = version * 4 + 17
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false))
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false))
+
+  const setFunctionModule = (x, y, dark) => {
+    modules[y][x] = dark
+    isFunction[y][x] = true
+  }
+
+  // Finder patterns with their separators
+  ;[
+    [0, 0],
+    [size - 7, 0],
+    [0, size - 7],
+  ].forEach(([left, top]) => {
+    for (let dy = -1; dy <= 7; dy++) {
+      for (let dx = -1; dx <= 7; dx++) {
+        const x = left + dx
+        const y = top + dy
+        if (x < 0 || y < 0 || x >= size || y >= size) continue
+        const distance = Math.max(Math.abs(dx - 3), Math.abs(dy - 3))
+        setFunctionModule(x, y, distance !== 2 && distance !== 4)
+      }
+    }
+  })
+
+  // Timing patterns
+  for (let i = 8; i < size - 8; i++) {
+    setFunctionModule(6, i, i % 2 === 0)
+    setFunctionModule(i, 6, i % 2 === 0)
+  }
+
+  // Alignment pattern
+  const centre = QR_VERSIONS[version].alignment
+  if (centre) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunctionModule(centre + dx, centre + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+      }
+    }
+  }
+
+  // Format information (level M is 00); reserved now, written once the mask is chosen
+  const drawFormatBits = (mask) => {
+    const data = mask
+    let remainder = data
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    const bits = ((data << 10) | remainder) ^ 0x5412
+    const bit = (i) => ((bits >>> i) & 1) === 1
+
+    for (let i = 0; i <= 5; i++) setFunctionModule(8, i, bit(i))
+    setFunctionModule(8, 7, bit(6))
+    setFunctionModule(8, 8, bit(7))
+    setFunctionModule(7, 8, bit(8))
+    for (let i = 9; i < 15; i++) setFunctionModule(14 - i, 8, bit(i))
+    for (let i = 0; i < 8; i++) setFunctionModule(size - 1 - i, 8, bit(i))
+    for (let i = 8; i < 15; i++) setFunctionModule(8, size - 15 + i, bit(i))
+    setFunctionModule(8, size - 8, true)
+  }
+  drawFormatBits(0)
+
+  // Data modules in the two-column zigzag, skipping the vertical timing column
+  let bitIndex = 0
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j
+        const upward = ((right + 1) & 2) === 0
+        const y = upward ? size - 1 - vertical : vertical
+        if (isFunction[y][x]) continue
+
+        const codeword = codewords[bitIndex >>> 3]
+        modules[y][x] = codeword !== undefined && ((codeword >>> (7 - (bitIndex & 7))) & 1) === 1
+        bitIndex++
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x]
+      }
+    }
+  }
+
+  // Try every mask and keep the one with the lowest penalty (masking twice undoes it)
+  let bestMask = 0
+  let bestPenalty = Infinity
+  QR_MASKS.forEach((_, mask) => {
+    applyMask(mask)
+    drawFormatBits(mask)
+    const penalty = getQrPenalty(modules)
+    if (penalty < bestPenalty) {
+      bestMask = mask
+      bestPenalty = penalty
+    }
+    applyMask(mask)
+  })
+
+  applyMask(bestMask)
+  drawFormatBits(bestMask)
+  return modules
+}
+
+/**
+ * Render a QR matrix as an SVG with a four-module quiet zone
+ * @param {Array<Array<boolean>>} modules - Matrix from createQrMatrix()
+ * @param {number} size - Rendered width and height in pixels
+ * @returns {string} SVG markup
+ */
+function renderQrSvg(modules, size = 120) {
+  const viewBoxSize = modules.length + 8
+  let path = ""
+  modules.forEach((row, y) =>
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`
+    }),
+  )
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${viewBoxSize} ${viewBoxSize}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createQrMatrix,
+    renderQrSvg,
+  }
+}
@@ -0,0 +1,50 @@
+// Rate-Lock Quotes
+
+// Opening the booking modal asks the server for a quote (requestQuote() in api.js), which locks
+// the server's rate for a minute:
+//   { id, metalType, price, issuedAt, expiresAt }
+// A booking names its quote and is made at the locked price as long as the quote is still
+// live and the server's rate has not moved past its tolerance (see server/quotes.js). The
+// browser's own rates may come from another feed, so it only checks the expiry; the server
+// answers a lapsed or moved quote with a fresh one the customer has to accept first.
+
+/**
+ * Get the milliseconds left on a quote
+ * @returns {number} Remaining time, never below zero
+ */
+function getQuoteTimeRemaining(quote, now = Date.now()) {
+  return Math.max(0, quote.expiresAt - now)
+}
+
+/**
+ * Decide whether a quote can still be sent with a booking
+ * @param {object} quote - Locked quote
+ * @param {number} now - Current time in milliseconds
+ * @returns {object} { isValid, reason } where reason is "expired"
+ */
+function checkQuote(quote, now = Date.now()) {
+  if (getQuoteTimeRemaining(quote, now) === 0) {
+    return { isValid: false, reason: "expired" }
+  }
+
+  return { isValid: true, reason: null }
+}
+
+/**
+ * Format a countdown as m:ss
+ */
+function formatCountdown(ms) {
+  const totalSeconds = Math.ceil(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getQuoteTimeRemaining,
+    checkQuote,
+    formatCountdown,
+  }
+}
@@ -0,0 +1,325 @@
+// Booking Receipts
+
+// Receipts are built entirely in the browser from a saved booking record: a print view
+// (#receiptView, shown by the print stylesheet) and a PDF download written by hand so no
+// library is needed. Both carry a QR code of the booking ID.
+// Customers' states are not collected, so GST is always split into CGST and SGST.
+// Buy-backs carry no GST and get a purchase voucher for the amount paid out instead.
+// Receipts are always in English with en-IN formatting, whatever the interface language.
+// The customer's PAN is printed when the booking carries one.
+
+const PDF_PAGE = { width: 595, height: 842, margin: 50 } // A4 in points
+
+/**
+ * Format an amount for the print view, e.g. "₹1,23,456.00"
+ */
+function formatReceiptAmount(amount) {
+  return formatCurrency(amount, true, "en-IN")
+}
+
+/**
+ * Split the GST line item into equal CGST and SGST rows
+ * @param {Array<object>} lineItems - Line items from calculatePriceBreakdown()
+ * @returns {Array<object>} Line items with GST replaced by CGST and SGST
+ */
+function splitGstLineItems(lineItems) {
+  return lineItems.flatMap((item) => {
+    if (item.code !== "gst") return [item]
+
+    const central = Math.round((item.amount / 2) * 100) / 100
+    return [
+      { ...item, code: "cgst", label: "CGST", rate: item.rate / 2, amount: central },
+      { ...item, code: "sgst", label: "SGST", rate: item.rate / 2, amount: Math.round((item.amount - central) * 100) / 100 },
+    ]
+  })
+}
+
+/**
+ * Build the receipt contents for a booking
+ * Bookings made before line items were stored show the metal value only.
+ * @param {object} booking - Saved booking
+ * @param {object} business - CONFIG.business
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {object} Receipt
+ */
+function buildReceipt(booking, business, metalsConfig) {
+  const lineItems = booking.lineItems || [{ code: "metal", label: "Metal Value", amount: booking.totalValue }]
+  const sell = booking.side === "sell"
+
+  return {
+    business,
+    booking,
+    title: sell ? "Purchase Voucher" : "Tax Invoice",
+    totalLabel: sell ? "Amount Paid to Customer" : "Total Payable",
+    rateUnit: getRateUnitLabel(findMetalKey(booking.metalType, metalsConfig), metalsConfig),
+    lineItems: splitGstLineItems(lineItems),
+    grandTotal: booking.grandTotal ?? booking.totalValue,
+  }
+}
+
+/**
+ * Render a receipt as HTML for the print view
+ */
+function renderReceiptHtml(receipt) {
+  const { business, booking } = receipt
+
+  return `
+    <div class="receipt">
+      <div class="receipt-header">
+        <div>
+          <h2>${escapeHtml(business.name)}</h2>
+          <p>${escapeHtml(business.address)}</p>
+          <p>${escapeHtml(business.phone)} · ${escapeHtml(business.email)}</p>
+          <p>GSTIN: ${escapeHtml(business.gstin)}</p>
+        </div>
+        <div class="receipt-qr">${renderQrSvg(createQrMatrix(booking.id))}</div>
+      </div>
+      <h3>${receipt.title}</h3>
+      <div class="receipt-meta">
+        <p><span>Booking ID:</span> <strong>${escapeHtml(booking.id)}</strong></p>
+        <p><span>Date:</span> ${formatDateTime(new Date(booking.timestamp), "en-IN")}</p>
+        <p><span>Customer:</span> ${escapeHtml(booking.fullName)}</p>
+        <p><span>Contact:</span> ${escapeHtml(booking.phone)} · ${escapeHtml(booking.email)}</p>
+        ${booking.kyc?.pan ? `<p><span>PAN:</span> ${escapeHtml(booking.kyc.pan)}</p>` : ""}
+        <p><span>Status:</span> ${escapeHtml(booking.status)}</p>
+      </div>
+      <table class="receipt-table">
+        <thead>
+          <tr><th>Description</th><th>Amount</th></tr>
+        </thead>
+        <tbody>
+          <tr class="receipt-item-detail">
+            <td colspan="2">
+              ${booking.metalType}${booking.purity ? ` (${booking.purity})` : ""} ·
+              ${formatBookingQuantity(booking.quantity, booking.unit, booking.grams, getUnitLabel)} @
+              ${formatReceiptAmount(booking.currentPrice)}/${receipt.rateUnit}
+            </td>
+          </tr>
+          ${receipt.lineItems
+            .map(
+              (item) => `
+          <tr>
+            <td>${escapeHtml(item.label)}${item.type ? ` (${describeLineItemRate(item, formatReceiptAmount)})` : ""}</td>
+            <td>${formatReceiptAmount(item.amount)}</td>
+          </tr>`,
+            )
+            .join("")}
+        </tbody>
+        <tfoot>
+          <tr><th>${receipt.totalLabel}</th><th>${formatReceiptAmount(receipt.grandTotal)}</th></tr>
+        </tfoot>
+      </table>
+      <p class="receipt-note">This is a computer-generated ${receipt.title.toLowerCase()} and does not need a signature.</p>
+    </div>
+  `
+}
+
+/**
+ * Escape text for a PDF string literal; the standard fonts only cover ASCII
+ */
+function toPdfText(value) {
+  return String(value ?? "")
+    .replace(/₹/g, "Rs. ")
+    .replace(/[\u00a0\u202f]/g, " ")
+    .replace(/[^\x20-\x7e]/g, "?")
+    .replace(/[\\()]/g, "\\$&")
+}
+
+/**
+ * Format an amount for the PDF, e.g. "Rs. 1,23,456.00"
+ */
+function formatPdfAmount(amount) {
+  return `Rs. ${new Intl.NumberFormat("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount)}`
+}
+
+/**
+ * Write a single-page PDF around a content stream
+ * Fonts: F1 Helvetica, F2 Helvetica-Bold, F3 Courier (used for right-aligned amounts).
+ * @param {string} content - Page content stream
+ * @returns {string} PDF file contents (ASCII)
+ */
+function createPdfDocument(content) {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      "/Resources << /Font << /F1 4 0 R /F2 5 0 R /F3 6 0 R >> >> /Contents 7 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ]
+
+  let pdf = "%PDF-1.4\n"
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+
+  const xrefOffset = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  offsets.forEach((offset) => {
+    pdf += `${offset.toString().padStart(10, "0")} 00000 n \n`
+  })
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return pdf
+}
+
+/**
+ * Lay out a receipt as a PDF
+ * @param {object} receipt - Receipt from buildReceipt()
+ * @param {string} bookedAt - Booking time, already formatted
+ * @returns {string} PDF file contents
+ */
+function createReceiptPdf(receipt, bookedAt) {
+  const { business, booking } = receipt
+  const left = PDF_PAGE.margin
+  const right = PDF_PAGE.width - PDF_PAGE.margin
+  const commands = []
+  let y = PDF_PAGE.height - PDF_PAGE.margin
+
+  const text = (value, x, size, font = "F1") => {
+    commands.push(`BT /${font} ${size} Tf ${x} ${y} Td (${toPdfText(value)}) Tj ET`)
+  }
+  // Courier glyphs are 0.6 em wide, so amounts can be right-aligned exactly
+  const amount = (value, size, font = "F3") => {
+    const label = formatPdfAmount(value)
+    text(label, right - label.length * size * 0.6, size, font)
+  }
+  const rule = () => commands.push(`${left} ${y} m ${right} ${y} l 0.5 w S`)
+
+  // Business details, with the QR code in the top-right corner
+  text(business.name, left, 18, "F2")
+  y -= 18
+  ;[business.address, `${business.phone}  |  ${business.email}`, `GSTIN: ${business.gstin}`].forEach((line) => {
+    text(line, left, 10)
+    y -= 14
+  })
+
+  const modules = createQrMatrix(booking.id)
+  const moduleSize = 96 / modules.length
+  const qrTop = PDF_PAGE.height - PDF_PAGE.margin + 8
+  modules.forEach((row, rowIndex) =>
+    row.forEach((dark, columnIndex) => {
+      if (!dark) return
+      const x = right - 96 + columnIndex * moduleSize
+      commands.push(`${x.toFixed(2)} ${(qrTop - (rowIndex + 1) * moduleSize).toFixed(2)} ${moduleSize.toFixed(2)} ${moduleSize.toFixed(2)} re`)
+    }),
+  )
+  commands.push("f")
+
+  y -= 40
+  text(receipt.title.toUpperCase(), left, 14, "F2")
+  y -= 24
+  ;[
+    ["Booking ID", booking.id],
+    ["Date", bookedAt],
+    ["Customer", booking.fullName],
+    ["Contact", `${booking.phone}  |  ${booking.email}`],
+    ...(booking.kyc?.pan ? [["PAN", booking.kyc.pan]] : []),
+    ["Status", booking.status],
+  ].forEach(([label, value]) => {
+    text(`${label}:`, left, 10, "F2")
+    text(value, left + 80, 10)
+    y -= 15
+  })
+
+  y -= 10
+  text("Description", left, 10, "F2")
+  text("Amount", right - 40, 10, "F2")
+  y -= 6
+  rule()
+  y -= 16
+  text(
+    `${booking.metalType}${booking.purity ? ` (${booking.purity})` : ""} - ` +
+      `${formatBookingQuantity(booking.quantity, booking.unit, booking.grams, getUnitLabel)} @ ` +
+      `${formatPdfAmount(booking.currentPrice)}/${receipt.rateUnit}`,
+    left,
+    10,
+  )
+  y -= 18
+
+  receipt.lineItems.forEach((item) => {
+    const rate = item.type ? ` (${item.type === "perGram" ? `${formatPdfAmount(item.rate)}/g` : `${item.rate}%`})` : ""
+    text(`${item.label}${rate}`, left, 10)
+    amount(item.amount, 10)
+    y -= 16
+  })
+
+  y -= 2
+  rule()
+  y -= 18
+  text(receipt.totalLabel, left, 12, "F2")
+  amount(receipt.grandTotal, 12, "F3")
+  y -= 40
+  text(`This is a computer-generated ${receipt.title.toLowerCase()} and does not need a signature.`, left, 8)
+
+  return createPdfDocument(commands.join("\n"))
+}
+
+/**
+ * Find a saved booking by ID
+ */
+function findSavedBooking(id) {
+  return storage.get("bookings", []).find((booking) => booking.id === id) || null
+}
+
+/**
+ * Show the print view for a booking and open the print dialog
+ */
+function printReceipt(id) {
+  const booking = findSavedBooking(id)
+  const view = document.getElementById("receiptView")
+  if (!booking || !view) {
+    showToast(translate("receipt.unavailable"), "error")
+    return
+  }
+
+  view.innerHTML = renderReceiptHtml(buildReceipt(booking, CONFIG.business, CONFIG.metals))
+  document.body.classList.add("printing-receipt")
+  window.addEventListener("afterprint", () => document.body.classList.remove("printing-receipt"), { once: true })
+  window.print()
+}
+
+/**
+ * Download a booking's receipt as a PDF
+ */
+function downloadReceiptPdf(id) {
+  const booking = findSavedBooking(id)
+  if (!booking) {
+    showToast(translate("receipt.unavailable"), "error")
+    return
+  }
+
+  const pdf = createReceiptPdf(buildReceipt(booking, CONFIG.business, CONFIG.metals), formatDateTime(new Date(booking.timestamp), "en-IN"))
+  const url = URL.createObjectURL(new Blob([pdf], { type: "application/pdf" }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = `receipt-${booking.id}.pdf`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Render the print and download buttons for a booking
+ */
+function renderReceiptActions(id) {
+  return `
+    <button type="button" class="btn-secondary" data-booking-id="${escapeHtml(id)}" onclick="printReceipt(this.dataset.bookingId)">${translate("receipt.print")}</button>
+    <button type="button" class="btn-secondary" data-booking-id="${escapeHtml(id)}" onclick="downloadReceiptPdf(this.dataset.bookingId)">${translate("receipt.download")}</button>
+  `
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    splitGstLineItems,
+    buildReceipt,
+    createPdfDocument,
+    createReceiptPdf,
+  }
+}
@@ -5,61 +5,234 @@
 
 // Global state
 const CONFIG = {
-  initialRates: {
+  // The metal catalogue; see metals.js. Cards, options and limits follow this order.
+  metals: {
     gold: {
-      price: 99320, // Updated to today's live rate ₹99,320 per 10g
-      change: 1250, // Simulated daily change
-      changePercent: 1.28, // Calculated percentage
-      high: 99580,
-      low: 98950,
+      name: "Gold",
+      symbol: "XAU",
+      rateUnit: "10g",
+      // The first entry is the fine metal the rates are quoted for
+      purities: [
+        { code: "24K", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "22K", purityPercent: 91.6, factor: 0.916, premiumPercent: 1.5 },
+        { code: "18K", purityPercent: 75.0, factor: 0.75, premiumPercent: 2 },
+        { code: "14K", purityPercent: 58.5, factor: 0.585, premiumPercent: 2.5 },
+      ],
+      defaultUnit: "g",
+      maxQuantity: 500, // grams
+      minBuyQuantity: 0.01, // grams; small enough for the smallest SIP instalment
+      minSellQuantity: 1, // grams; smaller buy-backs are not worth testing
+      spreadPercent: { ask: 0.25, bid: 1.5 }, // Customers buy above and sell below the market rate
+      fluctuation: 50, // Reduced fluctuation for more realistic movement
+      colors: { primary: "#d4af37", accent: "#b8860b" },
+      initialRate: { price: 99320, change: 1250, high: 99580, low: 98950 }, // ₹99,320 per 10g
     },
     silver: {
-      price: 106780, // Updated to today's live rate ₹106,780 per kg
-      change: -890, // Simulated daily change
-      changePercent: -0.83, // Calculated percentage
-      high: 107450,
-      low: 106320,
+      name: "Silver",
+      symbol: "XAG",
+      rateUnit: "kg",
+      purities: [
+        { code: "999", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "925", purityPercent: 92.5, factor: 0.925, premiumPercent: 3 },
+      ],
+      defaultUnit: "kg",
+      maxQuantity: 50000, // grams (50 kg)
+      minBuyQuantity: 1, // grams
+      minSellQuantity: 100, // grams
+      spreadPercent: { ask: 0.5, bid: 2.5 },
+      fluctuation: 80,
+      colors: { primary: "#c0c0c0", accent: "#a8a8a8" },
+      initialRate: { price: 106780, change: -890, high: 107450, low: 106320 }, // ₹106,780 per kg
+    },
+    platinum: {
+      name: "Platinum",
+      symbol: "XPT",
+      rateUnit: "10g",
+      purities: [
+        { code: "999", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "950", purityPercent: 95.0, factor: 0.95, premiumPercent: 4 },
+      ],
+      defaultUnit: "g",
+      maxQuantity: 500, // grams
+      minBuyQuantity: 0.01, // grams
+      minSellQuantity: 1, // grams
+      spreadPercent: { ask: 0.5, bid: 2 },
+      fluctuation: 40,
+      colors: { primary: "#b4b9be", accent: "#6e7a86" },
+      initialRate: { price: 45210, change: 320, high: 45390, low: 44870 }, // ₹45,210 per 10g
+    },
+    palladium: {
+      name: "Palladium",
+      symbol: "XPD",
+      rateUnit: "10g",
+      purities: [
+        { code: "999", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "950", purityPercent: 95.0, factor: 0.95, premiumPercent: 3 },
+      ],
+      defaultUnit: "g",
+      maxQuantity: 500, // grams
+      minBuyQuantity: 0.01, // grams
+      minSellQuantity: 1, // grams
+      spreadPercent: { ask: 0.5, bid: 2.5 },
+      fluctuation: 60,
+      colors: { primary: "#cfc6b8", accent: "#8c8172" },
+      initialRate: { price: 38940, change: -410, high: 39420, low: 38810 }, // ₹38,940 per 10g
     },
   },
+  api: {
+    baseUrl: "https://api.preciousmetalspro.in",
+    timeout: 10000,
+    retryAttempts: 3,
+    retryDelay: 1000,
+  },
   ui: {
     loadingDuration: 1500,
   },
   priceUpdate: {
+    provider: "simulated", // "simulated" or "http"
     interval: 5000,
-    maxFluctuation: {
-      gold: 50, // Reduced fluctuation for more realistic movement
-      silver: 80,
+  },
+  stream: {
+    enabled: false,
+    websocketUrl: "wss://api.preciousmetalspro.in/stream",
+    sseUrl: "https://api.preciousmetalspro.in/stream/sse",
+    reconnect: {
+      baseDelay: 1000,
+      maxDelay: 30000,
+      maxAttempts: 6,
     },
   },
-  validation: {
-    quantity: {
-      max: {
-        gold: 500,
-        silver: 50,
+  business: {
+    name: "PreciousMetals Pro",
+    email: "support@preciousmetalspro.in",
+    phone: "+91 12345 67890",
+    address: "Mumbai, Maharashtra, India",
+    gstin: "27AABCP1234M1Z5",
+    // Regular sessions in IST, 24-hour times; null when closed all day
+    workingHours: {
+      weekdays: { open: "09:00", close: "18:00" },
+      saturday: { open: "10:00", close: "16:00" },
+      sunday: null,
+    },
+  },
+  market: {
+    // IST calendar days; see market-calendar.js. Update each year from the exchange holiday list.
+    holidays: [
+      { date: "2026-01-26", name: "Republic Day" },
+      { date: "2026-03-04", name: "Holi" },
+      { date: "2026-08-15", name: "Independence Day" },
+      { date: "2026-10-02", name: "Gandhi Jayanti" },
+      { date: "2026-12-25", name: "Christmas" },
+    ],
+    // Replace the regular hours on their day
+    specialSessions: [{ date: "2026-11-08", name: "Diwali Muhurat Trading", open: "18:00", close: "19:15" }],
+    closedBookings: "nextSession", // "nextSession" takes bookings for the next session; "block" refuses them
+  },
+  fx: {
+    provider: "static", // "static" or "http"
+    refreshInterval: 15 * 60 * 1000,
+    // Units of each currency per rupee; used by the static provider and when others fail
+    fallbackRates: {
+      USD: 0.01136,
+      AED: 0.04172,
+    },
+    currencies: {
+      INR: { locale: "en-IN" },
+      USD: { locale: "en-US" },
+      AED: { locale: "en-AE" },
+    },
+  },
+  pricing: {
+    // Applied in order to the metal value; see pricing.js
+    rules: [
+      // Wastage on ornaments, as a percent of the metal value
+      { code: "wastage", label: "Wastage", type: "percent", base: "metal", rate: { gold: { "22K": 2, "18K": 2.5, "14K": 3 } } },
+      // Making charges; 24K and 999 coins and bars carry none
+      {
+        code: "making",
+        label: "Making Charges",
+        type: "percent",
+        base: "metal",
+        rate: { gold: { "22K": 8, "18K": 10, "14K": 12 }, silver: { "925": { type: "perGram", value: 12 } } },
       },
+      { code: "gst", label: "GST", type: "percent", base: "subtotal", rate: 3 },
+      // TCS is collected on the whole invoice once it exceeds the threshold
+      { code: "tcs", label: "TCS", type: "percent", base: "subtotal", rate: 1, threshold: 200000 },
+    ],
+  },
+  bookings: {
+    cancellationGracePeriod: 15 * 60 * 1000, // Customers may cancel within 15 minutes of booking
+  },
+  otp: {
+    codeLength: 6, // Must match otp.codeLength in server/config.js
+  },
+  kyc: {
+    panThreshold: 200000, // ₹; bookings from this total up need a PAN. Must match server/config.js
+  },
+  sip: {
+    // Rupees per instalment, before charges and taxes
+    minAmount: 500,
+    maxAmount: 100000,
+    checkInterval: 60000, // Due instalments are booked within a minute
+    projection: {
+      instalments: 12,
+      growthPercent: 8, // Yearly trend of simulated prices
+      volatilityPercent: 15, // Yearly volatility of simulated prices
+    },
+  },
+  history: {
+    sampleInterval: 60000, // Ticks are folded into 1-minute samples
+    capacity: 10080, // One week of samples per metal
+  },
+  sessions: {
+    archiveDays: 365, // Daily open/high/low/close records kept per metal
+  },
+  indicators: {
+    lookback: 24 * 60 * 60 * 1000, // History the market summary is computed from
+    candleInterval: 5 * 60 * 1000, // Samples are merged into 5-minute candles
+    trend: {
+      type: "ema", // "ema" or "sma" crossover
+      fast: 9,
+      slow: 21,
+      neutralBand: 0.02, // Percent spread between the averages treated as flat
+    },
+    rsiPeriod: 14,
+    momentumPeriod: 12, // Candles, i.e. one hour
+    volatility: {
+      moderate: 0.1, // Percent standard deviation of candle returns
+      high: 0.25,
     },
   },
 }
 
-let currentRates = {
-  gold: { ...CONFIG.initialRates.gold },
-  silver: { ...CONFIG.initialRates.silver },
-}
+let currentRates = getInitialRates(CONFIG.metals)
 
 let priceUpdateInterval
 let isMarketOpen = true
-
-// DOM Elements
+let marketStatus = null
+let marketStatusInterval
+let rateProvider
+let isFetchingRates = false
+let rateStream
+let isStreamFallback = false
+let priceHistory
+let dailySessions
+let activeQuote = null
+let quoteCountdownInterval
+let quoteRequest = 0 // Counts quote requests so a late answer to an earlier one is dropped
+let pendingRequote = null // Fresh quote offered in the re-quote prompt
+let selectedPurities = {} // Metals without a choice show their fine purity
+let displayUnit = "standard"
+let fxProvider
+let fxRates
+let fxRefreshInterval
+let sipCheckInterval
+let displayCurrency = "INR"
+
+// DOM Elements; elements.metals holds each rate card's elements by metal key
 const elements = {
   loadingScreen: null,
-  goldPrice: null,
-  silverPrice: null,
-  goldChange: null,
-  silverChange: null,
-  goldLow: null,
-  goldHigh: null,
-  silverLow: null,
-  silverHigh: null,
+  metals: {},
   lastUpdateTime: null,
   headerLastUpdate: null,
   bookingModal: null,
@@ -69,7 +242,9 @@ const elements = {
 
 // Initialize application
 document.addEventListener("DOMContentLoaded", () => {
+  renderMetalCards()
   initializeElements()
+  initializeLanguage()
   showLoadingScreen()
 
   setTimeout(() => {
@@ -83,14 +258,22 @@ document.addEventListener("DOMContentLoaded", () => {
  */
 function initializeElements() {
   elements.loadingScreen = document.getElementById("loadingScreen")
-  elements.goldPrice = document.getElementById("goldPrice")
-  elements.silverPrice = document.getElementById("silverPrice")
-  elements.goldChange = document.getElementById("goldChange")
-  elements.silverChange = document.getElementById("silverChange")
-  elements.goldLow = document.getElementById("goldLow")
-  elements.goldHigh = document.getElementById("goldHigh")
-  elements.silverLow = document.getElementById("silverLow")
-  elements.silverHigh = document.getElementById("silverHigh")
+  getMetalKeys(CONFIG.metals).forEach((metal) => {
+    elements.metals[metal] = {
+      price: document.getElementById(`${metal}Price`),
+      change: document.getElementById(`${metal}Change`),
+      low: document.getElementById(`${metal}Low`),
+      high: document.getElementById(`${metal}High`),
+      ask: document.getElementById(`${metal}Ask`),
+      bid: document.getElementById(`${metal}Bid`),
+      trendLabel: document.getElementById(`${metal}TrendLabel`),
+      trend: document.getElementById(`${metal}Trend`),
+      indicators: document.getElementById(`${metal}Indicators`),
+    }
+  })
+  elements.marketVolatility = document.getElementById("marketVolatility")
+  elements.volatilityDetail = document.getElementById("volatilityDetail")
+  elements.goldSilverRatio = document.getElementById("goldSilverRatio")
   elements.lastUpdateTime = document.getElementById("lastUpdateTime")
   elements.headerLastUpdate = document.getElementById("headerLastUpdate")
   elements.bookingModal = document.getElementById("bookingModal")
@@ -98,6 +281,186 @@ function initializeElements() {
   elements.bookingForm = document.getElementById("bookingForm")
 }
 
+/**
+ * Build a rate card and a summary trend stat for each metal in CONFIG.metals
+ */
+function renderMetalCards() {
+  const container = document.getElementById("ratesContainer")
+  const summaryStats = document.getElementById("summaryStats")
+  if (!container) return
+
+  const metals = getMetalKeys(CONFIG.metals)
+
+  container.innerHTML = metals
+    .map((metal) => {
+      const { name, colors } = CONFIG.metals[metal]
+
+      return `
+      <div class="metal-card" id="${metal}Card" style="--metal-primary: ${colors.primary}; --metal-accent: ${colors.accent}">
+        <div class="card-header">
+          <div class="metal-info">
+            <div class="metal-icon">
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M12 2L15.09 8.26L22 9L17 14L18.18 21L12 17.77L5.82 21L7 14L2 9L8.91 8.26L12 2Z"/>
+              </svg>
+            </div>
+            <div class="metal-details">
+              <h3><span data-i18n="metal.${metal}">${escapeHtml(name)}</span> (<span id="${metal}PurityLabel"></span>)</h3>
+              <span class="metal-unit" id="${metal}UnitLabel"></span>
+            </div>
+          </div>
+          <div class="purity-badge" id="${metal}PurityBadge"></div>
+        </div>
+
+        <div class="purity-selector" id="${metal}Purities" role="group"></div>
+
+        <div class="price-section">
+          <div class="current-price">
+            <span class="currency">₹</span>
+            <span class="price-value" id="${metal}Price">--</span>
+          </div>
+          <div class="price-change" id="${metal}Change">
+            <span class="change-value">--</span>
+            <span class="change-percent"></span>
+          </div>
+        </div>
+
+        <div class="side-prices">
+          <div class="side-price">
+            <span class="range-label" data-i18n="card.buyPrice">Buy</span>
+            <span class="range-value" id="${metal}Ask">--</span>
+          </div>
+          <div class="side-price">
+            <span class="range-label" data-i18n="card.sellPrice">Sell</span>
+            <span class="range-value" id="${metal}Bid">--</span>
+          </div>
+        </div>
+
+        <div class="price-range">
+          <div class="range-item">
+            <span class="range-label" data-i18n="card.todaysLow">Today's Low</span>
+            <span class="range-value" id="${metal}Low">--</span>
+          </div>
+          <div class="range-item">
+            <span class="range-label" data-i18n="card.todaysHigh">Today's High</span>
+            <span class="range-value" id="${metal}High">--</span>
+          </div>
+        </div>
+
+        <div class="price-chart">
+          <div class="sparkline-row">
+            <canvas class="sparkline" id="${metal}Sparkline" aria-label="${escapeHtml(name)} price today" role="img"></canvas>
+            <button type="button" class="chart-toggle" id="${metal}ChartToggle" aria-expanded="false" aria-controls="${metal}ChartPanel" onclick="toggleChart('${metal}')" data-i18n="chart.show">Show chart</button>
+          </div>
+          <div class="chart-panel" id="${metal}ChartPanel" hidden>
+            <div class="chart-controls">
+              <div class="chart-options">
+                ${Object.keys(CHART_RANGES)
+                  .map(
+                    (range) =>
+                      `<button type="button" class="${range === "1D" ? "active" : ""}" data-range="${range}" onclick="setChartOption('${metal}', 'range', '${range}')">${range}</button>`,
+                  )
+                  .join("")}
+              </div>
+              <div class="chart-options">
+                <button type="button" class="active" data-mode="line" onclick="setChartOption('${metal}', 'mode', 'line')" data-i18n="chart.line">Line</button>
+                <button type="button" data-mode="candles" onclick="setChartOption('${metal}', 'mode', 'candles')" data-i18n="chart.candles">Candles</button>
+              </div>
+            </div>
+            <div class="chart-canvas-wrap">
+              <canvas class="price-chart-canvas" id="${metal}Chart"></canvas>
+              <div class="chart-tooltip" id="${metal}ChartTooltip" hidden></div>
+            </div>
+          </div>
+        </div>
+
+        <button type="button" class="set-alert-btn" onclick="openAlertsModal('${metal}')">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 8A6 6 0 0 0 6 8C6 15 3 17 3 17H21S18 15 18 8ZM13.73 21A2 2 0 0 1 10.27 21"/>
+          </svg>
+          <span data-i18n="card.setAlert">Set Price Alert</span>
+        </button>
+
+        <button type="button" class="sell-rate-btn" onclick="openBookingModal('${escapeHtml(name)}', 'sell')">
+          <span data-i18n="card.sellToUs">Sell to Us</span>
+        </button>
+
+        <button class="book-rate-btn" onclick="openBookingModal('${escapeHtml(name)}')">
+          <span data-i18n="card.bookRate">Book This Rate</span>
+          <svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M4 12L20 12M20 12L14 6M20 12L14 18"/>
+          </svg>
+        </button>
+      </div>
+    `
+    })
+    .join("")
+
+  if (summaryStats) {
+    summaryStats.insertAdjacentHTML(
+      "afterbegin",
+      metals
+        .map(
+          (metal) => `
+        <div class="stat">
+          <span class="stat-label" id="${metal}TrendLabel"></span>
+          <span class="stat-value trend-neutral" id="${metal}Trend">--</span>
+          <span class="stat-detail" id="${metal}Indicators">--</span>
+        </div>
+      `,
+        )
+        .join(""),
+    )
+  }
+}
+
+/**
+ * Fill the metal choices in the booking, alert, booking-filter, holding, SIP and export selects
+ * Keeps each select's current choice.
+ */
+function renderMetalOptions() {
+  const metals = getMetalKeys(CONFIG.metals)
+  const fill = (select, firstOption, option) => {
+    if (!select) return
+    const value = select.value
+    select.innerHTML = firstOption + metals.map(option).join("")
+    if ([...select.options].some((item) => item.value === value)) select.value = value
+  }
+
+  fill(
+    document.getElementById("metalType"),
+    `<option value="">${translate("form.selectMetal")}</option>`,
+    (metal) => `<option value="${escapeHtml(CONFIG.metals[metal].name)}"></option>`,
+  )
+  fill(document.getElementById("alertMetal"), "", (metal) => {
+    const fine = getPurityOptions(metal, CONFIG.metals)[0]
+    return `<option value="${metal}">${translateMetal(metal)}${fine ? ` (${fine.code})` : ""}</option>`
+  })
+  fill(
+    document.getElementById("filterMetal"),
+    `<option value="">${translate("myBookings.all")}</option>`,
+    (metal) => `<option value="${escapeHtml(CONFIG.metals[metal].name)}">${translateMetal(metal)}</option>`,
+  )
+  fill(document.getElementById("holdingMetal"), "", (metal) => `<option value="${metal}">${translateMetal(metal)}</option>`)
+  fill(document.getElementById("sipMetal"), "", (metal) => `<option value="${metal}">${translateMetal(metal)}</option>`)
+  fill(
+    document.getElementById("dataMetal"),
+    `<option value="">${translate("myBookings.all")}</option>`,
+    (metal) => `<option value="${metal}">${translateMetal(metal)}</option>`,
+  )
+
+  updateBookingFormOptions()
+  updateHoldingFormOptions(true)
+  updateSipFormOptions()
+}
+
+/**
+ * Get the metal key for a booking's metalType, e.g. "gold" for "Gold"
+ */
+function getMetalKey(metalType) {
+  return findMetalKey(metalType, CONFIG.metals)
+}
+
 /**
  * Show loading screen
  */
@@ -123,10 +486,31 @@ function hideLoadingScreen() {
  * Initialize main application
  */
 function initializeApp() {
+  rateProvider = createRateProvider(CONFIG)
+  fxProvider = createFxProvider(CONFIG)
+  fxRates = { rates: parseFxRates(CONFIG.fx.fallbackRates, CONFIG.fx), timestamp: null, source: "static" }
+  dailySessions = createDailySessions(CONFIG.sessions, getInitialRates(CONFIG.metals))
+  dailySessions.rollOver()
+  syncSessionRates()
+  priceHistory = createPriceHistory(CONFIG.history, getMetalKeys(CONFIG.metals))
+  initializeCharts(getMetalKeys(CONFIG.metals))
+  initializeAlerts()
+  initializeMyBookings()
+  initializePortfolio()
+  initializeSip()
+  initializeDataExport()
+  initializeOtp()
+  renderMetalOptions()
+  renderPuritySelectors()
+  renderUnitLabels()
   updatePriceDisplay()
+  updateMarketSummary()
   startPriceUpdates()
+  startFxUpdates()
+  startSipSchedule()
   initializeEventListeners()
-  updateMarketStatus()
+  renderWorkingHours()
+  startMarketStatusUpdates()
 
   // Load saved user preferences
   loadUserPreferences()
@@ -141,6 +525,19 @@ function startPriceUpdates() {
   // Update immediately
   updatePrices()
 
+  if (CONFIG.stream.enabled && !isStreamFallback) {
+    startRateStream()
+  } else {
+    startPolling()
+  }
+}
+
+/**
+ * Poll the rate provider at CONFIG.priceUpdate.interval
+ */
+function startPolling() {
+  clearInterval(priceUpdateInterval)
+
   // Set up interval for regular updates
   priceUpdateInterval = setInterval(() => {
     if (isMarketOpen) {
@@ -150,72 +547,347 @@ function startPriceUpdates() {
 }
 
 /**
- * Update prices with simulated fluctuations
+ * Receive rate ticks over the push stream, falling back to polling if it is unavailable
  */
-function updatePrices() {
-  try {
-    // Generate new prices
-    const oldGoldPrice = currentRates.gold.price
-    const oldSilverPrice = currentRates.silver.price
+function startRateStream() {
+  if (!rateStream) {
+    rateStream = createRateStream(CONFIG, {
+      onTick: (tick) => applyRates({ [tick.metal]: { price: tick.price }, timestamp: tick.timestamp }),
+      onSnapshot: (quotes) => applyRates(quotes),
+      onFallback: () => {
+        isStreamFallback = true
+        startPolling()
+      },
+    })
+  }
 
-    currentRates.gold.price = generatePriceFluctuation(currentRates.gold.price, CONFIG.priceUpdate.maxFluctuation.gold)
+  rateStream.start()
+}
 
-    currentRates.silver.price = generatePriceFluctuation(
-      currentRates.silver.price,
-      CONFIG.priceUpdate.maxFluctuation.silver,
-    )
+/**
+ * Stop polling and close the rate stream
+ */
+function stopPriceUpdates() {
+  if (priceUpdateInterval) {
+    clearInterval(priceUpdateInterval)
+  }
 
-    // Calculate changes
-    currentRates.gold.change = currentRates.gold.price - CONFIG.initialRates.gold.price
-    currentRates.silver.change = currentRates.silver.price - CONFIG.initialRates.silver.price
+  if (rateStream) {
+    rateStream.stop()
+  }
+}
 
-    currentRates.gold.changePercent = calculatePercentageChange(CONFIG.initialRates.gold.price, currentRates.gold.price)
+/**
+ * Fetch the latest quotes from the configured rate provider
+ */
+async function updatePrices() {
+  if (isFetchingRates) return
+  isFetchingRates = true
 
-    currentRates.silver.changePercent = calculatePercentageChange(
-      CONFIG.initialRates.silver.price,
-      currentRates.silver.price,
-    )
+  try {
+    const quotes = await rateProvider.fetchRates(currentRates)
+    applyRates(quotes)
+  } catch (error) {
+    console.error("Error updating prices:", error)
+    showToast(translate("toast.pricesFailed"), "error")
+  } finally {
+    isFetchingRates = false
+  }
+}
+
+/**
+ * Apply provider quotes to currentRates and refresh the display
+ * Quotes may cover only some metals, as with a single stream tick.
+ */
+function applyRates(quotes) {
+  const tickTime = quotes.timestamp ? new Date(quotes.timestamp).getTime() : Date.now()
+  let startedSample = false
 
-    // Update high/low values
-    currentRates.gold.high = Math.max(currentRates.gold.high, currentRates.gold.price)
-    currentRates.gold.low = Math.min(currentRates.gold.low, currentRates.gold.price)
-    currentRates.silver.high = Math.max(currentRates.silver.high, currentRates.silver.price)
-    currentRates.silver.low = Math.min(currentRates.silver.low, currentRates.silver.price)
+  getMetalKeys(CONFIG.metals).forEach((metal) => {
+    if (!quotes[metal]) return
 
-    // Update display
-    updatePriceDisplay()
-    updateLastUpdateTime()
+    // Change is measured against the previous session's close
+    currentRates[metal] = getSessionRate(dailySessions.record(metal, quotes[metal].price, tickTime))
 
-    // Save to localStorage
-    storage.set("currentRates", currentRates)
-  } catch (error) {
-    console.error("Error updating prices:", error)
-    showToast("Failed to update prices", "error")
+    startedSample = priceHistory.record(metal, quotes[metal].price, tickTime) || startedSample
+  })
+
+  // Persist history and sessions once per sample rather than on every tick
+  if (startedSample) {
+    priceHistory.save()
+    dailySessions.save()
   }
+
+  // Update display
+  updatePriceDisplay()
+  updateLastUpdateTime()
+  updateCharts()
+  updateMarketSummary()
+  updatePortfolio()
+  checkPriceAlerts(currentRates)
+}
+
+/**
+ * Set currentRates from each metal's daily session
+ */
+function syncSessionRates() {
+  getMetalKeys(CONFIG.metals).forEach((metal) => {
+    currentRates[metal] = getSessionRate(dailySessions.get(metal))
+  })
 }
 
 /**
  * Update price display in UI
  */
 function updatePriceDisplay() {
-  if (!elements.goldPrice || !elements.silverPrice) return
+  Object.entries(elements.metals).forEach(([metal, card]) => {
+    if (!card.price) return
+
+    // Cards show the purity selected on each card
+    const rate = getDisplayRate(metal)
+
+    card.price.textContent = formatDisplayPrice(rate.price, false)
+    updateChangeDisplay(card.change, rate)
+    if (card.high) card.high.textContent = formatDisplayPrice(rate.high)
+    if (card.low) card.low.textContent = formatDisplayPrice(rate.low)
+    if (card.ask) card.ask.textContent = formatDisplayPrice(getDisplaySidePrice(metal, "buy"))
+    if (card.bid) card.bid.textContent = formatDisplayPrice(getDisplaySidePrice(metal, "sell"))
+  })
 
-  // Update prices
-  elements.goldPrice.textContent = formatCurrency(currentRates.gold.price, false)
-  elements.silverPrice.textContent = formatCurrency(currentRates.silver.price, false)
+  // Update metal type options in booking form
+  updateBookingFormOptions()
+}
 
-  // Update changes
-  updateChangeDisplay(elements.goldChange, currentRates.gold)
-  updateChangeDisplay(elements.silverChange, currentRates.silver)
+/**
+ * Get a metal's rate scaled to the purity selected on its card and the display unit
+ * Both are fixed multiples of the fine basis price, so the percent change is unchanged.
+ */
+function getDisplayRate(metal) {
+  const rate = currentRates[metal]
+  const multiplier =
+    getPurityMultiplier(metal, selectedPurities[metal], CONFIG.metals) *
+    getDisplayUnitMultiplier(metal, displayUnit, CONFIG.metals)
 
-  // Update high/low values
-  if (elements.goldHigh) elements.goldHigh.textContent = formatCurrency(currentRates.gold.high)
-  if (elements.goldLow) elements.goldLow.textContent = formatCurrency(currentRates.gold.low)
-  if (elements.silverHigh) elements.silverHigh.textContent = formatCurrency(currentRates.silver.high)
-  if (elements.silverLow) elements.silverLow.textContent = formatCurrency(currentRates.silver.low)
+  return {
+    price: rate.price * multiplier,
+    change: rate.change * multiplier,
+    changePercent: rate.changePercent,
+    high: rate.high * multiplier,
+    low: rate.low * multiplier,
+  }
+}
 
-  // Update metal type options in booking form
-  updateBookingFormOptions()
+/**
+ * Get the price a side trades a purity at, on the metal's rate basis
+ * Buys pay the purity's variant price of the ask; buy-backs its metal content at the bid.
+ */
+function getSideVariantPrice(metal, purity, side, marketPrice) {
+  const sidePrice = getSidePrice(metal, side, marketPrice, CONFIG.metals)
+  return side === "sell"
+    ? getMetalContentPrice(metal, purity, sidePrice, CONFIG.metals)
+    : getVariantPrice(metal, purity, sidePrice, CONFIG.metals)
+}
+
+/**
+ * Get a metal's buy or sell price for the purity selected on its card, in the display unit
+ */
+function getDisplaySidePrice(metal, side) {
+  const price = getSideVariantPrice(metal, selectedPurities[metal], side, currentRates[metal].price)
+  return price * getDisplayUnitMultiplier(metal, displayUnit, CONFIG.metals)
+}
+
+/**
+ * Render the purity choices on each metal card
+ */
+function renderPuritySelectors() {
+  getMetalKeys(CONFIG.metals).forEach((metal) => {
+    const container = document.getElementById(`${metal}Purities`)
+    const label = document.getElementById(`${metal}PurityLabel`)
+    const badge = document.getElementById(`${metal}PurityBadge`)
+    const purity = findPurity(metal, selectedPurities[metal], CONFIG.metals)
+
+    if (container) {
+      container.setAttribute("aria-label", translate("card.purity", { metal: translateMetal(metal) }))
+      container.innerHTML = getPurityOptions(metal, CONFIG.metals)
+        .map(
+          (option) => `
+          <button type="button" class="purity-option ${option.code === purity.code ? "active" : ""}"
+            aria-pressed="${option.code === purity.code}" onclick="selectPurity('${metal}', '${option.code}')">${option.code}</button>
+        `,
+        )
+        .join("")
+    }
+
+    if (label) label.textContent = purity.code
+    if (badge) badge.textContent = translate("card.pure", { percent: purity.purityPercent })
+  })
+}
+
+/**
+ * Switch the purity shown on a metal card
+ */
+function selectPurity(metal, code) {
+  selectedPurities[metal] = findPurity(metal, code, CONFIG.metals).code
+  storage.set("selectedPurities", selectedPurities)
+
+  renderPuritySelectors()
+  updatePriceDisplay()
+}
+
+/**
+ * Show the weight each card's price is quoted per
+ */
+function renderUnitLabels() {
+  getMetalKeys(CONFIG.metals).forEach((metal) => {
+    const label = document.getElementById(`${metal}UnitLabel`)
+    const unit = DISPLAY_UNITS[displayUnit]?.cardLabel ? displayUnit : CONFIG.metals[metal].rateUnit
+    if (label) label.textContent = translate(`units.per.${unit}`)
+  })
+
+  const select = document.getElementById("displayUnit")
+  if (select) select.value = displayUnit
+}
+
+/**
+ * Change the unit the rate cards are shown per
+ */
+function setDisplayUnit(unit) {
+  displayUnit = DISPLAY_UNITS[unit] ? unit : "standard"
+  storage.set("displayUnit", displayUnit)
+
+  renderUnitLabels()
+  updatePriceDisplay()
+}
+
+/**
+ * Format a rupee amount in the currency chosen for display
+ * Bookings settle in INR; use formatCurrency() for amounts that are charged.
+ */
+function formatDisplayPrice(amount, showSymbol = true) {
+  if (displayCurrency === "INR" || !fxRates) return formatCurrency(amount, showSymbol)
+  return formatMoney(convertFromInr(amount, displayCurrency, fxRates.rates), displayCurrency, CONFIG.fx, showSymbol)
+}
+
+/**
+ * Show the display currency's symbol on the rate cards
+ */
+function renderCurrencySymbols() {
+  const symbol = getCurrencySymbol(displayCurrency, CONFIG.fx)
+  document.querySelectorAll(".current-price .currency").forEach((element) => {
+    element.textContent = symbol
+  })
+
+  const select = document.getElementById("displayCurrency")
+  if (select) select.value = displayCurrency
+}
+
+/**
+ * Change the currency prices are shown in
+ */
+function setDisplayCurrency(currency) {
+  displayCurrency = CONFIG.fx.currencies[currency] ? currency : "INR"
+  storage.set("displayCurrency", displayCurrency)
+
+  refreshCurrencyDisplay()
+}
+
+/**
+ * Redraw every converted price after the currency or FX rates change
+ */
+function refreshCurrencyDisplay() {
+  renderCurrencySymbols()
+  updatePriceDisplay()
+  updateCharts()
+  updateBookingSummary()
+  updatePortfolio()
+  renderSipProjection()
+}
+
+/**
+ * Restore the saved language before anything is shown
+ */
+function initializeLanguage() {
+  const saved = storage.get("language")
+  currentLanguage = LANGUAGES[saved] ? saved : "en"
+  document.documentElement.lang = currentLanguage
+  applyTranslations()
+
+  // Each language is listed under its own name
+  const select = document.getElementById("language")
+  if (select) {
+    select.innerHTML = Object.keys(LANGUAGES)
+      .map((code) => `<option value="${code}">${LANGUAGES[code].name}</option>`)
+      .join("")
+    select.value = currentLanguage
+  }
+}
+
+/**
+ * Change the interface language
+ */
+function setLanguage(language) {
+  currentLanguage = LANGUAGES[language] ? language : "en"
+  storage.set("language", currentLanguage)
+
+  document.documentElement.lang = currentLanguage
+  refreshLanguageDisplay()
+}
+
+/**
+ * Redraw text and numbers built in scripts after the language changes
+ */
+function refreshLanguageDisplay() {
+  applyTranslations()
+  renderMetalOptions()
+  updateMarketStatus()
+  updateMarketNotice()
+  renderWorkingHours()
+  renderPuritySelectors()
+  renderUnitLabels()
+  updatePriceDisplay()
+  updateCharts()
+  updateMarketSummary()
+  renderQuoteStatus()
+
+  const metalType = document.getElementById("metalType")?.value
+  setQuantityUnit(metalType, document.getElementById("quantityUnit")?.value)
+
+  updateAlertValueHint()
+  renderAlertList()
+  renderMyBookings()
+  if (selectedBookingId) openBookingDrawer(selectedBookingId)
+  updatePortfolio()
+  renderSipPlans()
+}
+
+/**
+ * Load FX rates now and again every CONFIG.fx.refreshInterval
+ */
+function startFxUpdates() {
+  const refresh = async () => {
+    fxRates = await loadFxRates(fxProvider, CONFIG)
+    if (displayCurrency !== "INR") refreshCurrencyDisplay()
+  }
+
+  refresh()
+  clearInterval(fxRefreshInterval)
+  fxRefreshInterval = setInterval(refresh, CONFIG.fx.refreshInterval)
+}
+
+/**
+ * Book due SIP instalments every CONFIG.sip.checkInterval; see sip.js
+ * The first check waits a full interval so instalments are priced from live rates.
+ */
+function startSipSchedule() {
+  clearInterval(sipCheckInterval)
+  sipCheckInterval = setInterval(() => processDueInstalments(), CONFIG.sip.checkInterval)
+}
+
+/**
+ * Describe the FX rate a price was shown at, e.g. "1 USD = ₹88.03"
+ */
+function describeFxRate(fx) {
+  return `1 ${fx.currency} = ${formatCurrency(1 / fx.rate)}`
 }
 
 /**
@@ -229,7 +901,7 @@ function updateChangeDisplay(element, rateData) {
 
   if (changeValue && changePercent) {
     const sign = rateData.change >= 0 ? "+" : ""
-    changeValue.textContent = `${sign}${formatCurrency(rateData.change)}`
+    changeValue.textContent = `${sign}${formatDisplayPrice(rateData.change)}`
     changePercent.textContent = `(${sign}${rateData.changePercent.toFixed(2)}%)`
 
     // Update classes
@@ -237,6 +909,65 @@ function updateChangeDisplay(element, rateData) {
   }
 }
 
+/**
+ * Update the market summary from the price history; see indicators.js
+ */
+function updateMarketSummary() {
+  if (!priceHistory) return
+
+  const formatPercent = (value) => (value === null ? "--" : `${value >= 0 ? "+" : ""}${value.toFixed(2)}%`)
+  const summaries = {}
+
+  Object.entries(elements.metals).forEach(([metal, card]) => {
+    if (!card.trend) return
+
+    const candles = aggregateCandles(
+      priceHistory.getSamples(metal, CONFIG.indicators.lookback),
+      CONFIG.indicators.candleInterval,
+    )
+    const summary = calculateIndicators(
+      candles.map((candle) => candle.close),
+      CONFIG.indicators,
+      currentRates[metal].changePercent,
+    )
+    summaries[metal] = summary
+
+    const trendClass = { bullish: "trend-up", bearish: "trend-down", neutral: "trend-neutral" }[summary.trend]
+    if (card.trendLabel) card.trendLabel.textContent = translate("summary.trend", { metal: translateMetal(metal) })
+    card.trend.textContent = translate(`summary.${summary.trend}`)
+    card.trend.className = `stat-value ${trendClass}`
+
+    if (card.indicators) {
+      card.indicators.textContent = translate("summary.indicators", {
+        rsi: summary.rsi === null ? "--" : summary.rsi.toFixed(0),
+        momentum: formatPercent(summary.momentum),
+      })
+    }
+  })
+
+  // The busiest metal sets the overall level
+  const level = ["high", "moderate", "low"].find((candidate) =>
+    Object.values(summaries).some((summary) => summary.volatilityLevel === candidate),
+  )
+  if (elements.marketVolatility) {
+    elements.marketVolatility.textContent = level ? translate(`summary.volatility.${level}`) : "--"
+  }
+  if (elements.volatilityDetail) {
+    const formatVolatility = (value) => (value === null ? "--" : `${value.toFixed(2)}%`)
+    elements.volatilityDetail.textContent = Object.entries(summaries)
+      .map(([metal, summary]) => `${translateMetal(metal)} ${formatVolatility(summary.volatility)}`)
+      .join(" · ")
+  }
+
+  if (elements.goldSilverRatio) {
+    const ratio =
+      currentRates.gold && currentRates.silver
+        ? calculateGoldSilverRatio(currentRates.gold.price, currentRates.silver.price, CONFIG.metals)
+        : null
+    elements.goldSilverRatio.textContent = ratio === null ? "--" : ratio.toFixed(2)
+  }
+}
+
 /**
  * Update last update time
  */
@@ -249,30 +980,108 @@ function updateLastUpdateTime() {
   }
 
   if (elements.headerLastUpdate) {
-    elements.headerLastUpdate.textContent = now.toLocaleTimeString("en-IN")
+    elements.headerLastUpdate.textContent = now.toLocaleTimeString(getLocale())
   }
 }
 
 /**
- * Update market status
+ * Check the market calendar every second so the status and countdown stay current
+ */
+function startMarketStatusUpdates() {
+  updateMarketStatus()
+  clearInterval(marketStatusInterval)
+  marketStatusInterval = setInterval(updateMarketStatus, 1000)
+}
+
+/**
+ * Update market status from the IST market calendar
  */
 function updateMarketStatus() {
   const now = new Date()
-  const hour = now.getHours()
-  const day = now.getDay()
+  const wasOpen = isMarketOpen
+
+  // A new IST day starts new sessions even if no tick arrives at midnight
+  if (dailySessions?.rollOver(now.getTime())) {
+    syncSessionRates()
+    updatePriceDisplay()
+    updateCharts()
+    updateMarketSummary()
+  }
 
-  // Market is open Monday-Friday 9 AM to 6 PM, Saturday 10 AM to 4 PM
-  isMarketOpen = (day >= 1 && day <= 5 && hour >= 9 && hour < 18) || (day === 6 && hour >= 10 && hour < 16)
+  marketStatus = getMarketStatus(now, CONFIG.business.workingHours, CONFIG.market)
+  isMarketOpen = marketStatus.isOpen
 
   const statusElements = document.querySelectorAll(".status-indicator")
-  const statusTexts = document.querySelectorAll(".market-status span:last-child")
+  const statusText = document.getElementById("marketStatusText")
+  const countdown = document.getElementById("marketCountdown")
 
   statusElements.forEach((el) => {
     el.className = `status-indicator ${isMarketOpen ? "active" : ""}`
   })
 
-  statusTexts.forEach((el) => {
-    el.textContent = isMarketOpen ? "Market Open" : "Market Closed"
+  if (statusText) {
+    if (marketStatus.session?.special) {
+      statusText.textContent = translate("market.specialOpen", { name: marketStatus.session.name })
+    } else if (isMarketOpen) {
+      statusText.textContent = translate("header.marketOpen")
+    } else if (marketStatus.holiday) {
+      statusText.textContent = translate("market.holiday", { name: marketStatus.holiday.name })
+    } else {
+      statusText.textContent = translate("header.marketClosed")
+    }
+  }
+
+  if (countdown) {
+    if (isMarketOpen) {
+      countdown.textContent = translate("market.closesIn", {
+        time: formatMarketCountdown(marketStatus.session.closesAt - now),
+      })
+    } else {
+      countdown.textContent = marketStatus.nextSession
+        ? translate("market.opensIn", { time: formatMarketCountdown(marketStatus.nextSession.opensAt - now) })
+        : ""
+    }
+  }
+
+  // Fetch straight away when a session opens rather than waiting for the next poll
+  if (isMarketOpen !== wasOpen) {
+    if (isMarketOpen) updatePrices()
+    updateMarketNotice()
+  }
+}
+
+/**
+ * Describe when the next session opens, e.g. "Mon, 9:00 am"
+ */
+function describeNextSession() {
+  return marketStatus?.nextSession ? formatMarketTime(marketStatus.nextSession.opensAt, getLocale()) : "—"
+}
+
+/**
+ * Flag in the booking modal that bookings made now are for the next session
+ */
+function updateMarketNotice() {
+  const notice = document.getElementById("marketNotice")
+  if (!notice) return
+
+  notice.hidden = isMarketOpen
+  notice.textContent = isMarketOpen ? "" : translate("market.nextSessionNotice", { time: describeNextSession() })
+}
+
+/**
+ * Show the regular IST trading hours in the footer
+ */
+function renderWorkingHours() {
+  const { dateKey } = getIstDay(new Date())
+  const describeHours = (hours) =>
+    hours
+      ? `${formatMarketTime(istTimeToDate(dateKey, hours.open), getLocale(), false)} - ${formatMarketTime(istTimeToDate(dateKey, hours.close), getLocale(), false)}`
+      : translate("footer.closed")
+
+  const elementIds = { weekdays: "hoursWeekdays", saturday: "hoursSaturday", sunday: "hoursSunday" }
+  Object.keys(elementIds).forEach((key) => {
+    const element = document.getElementById(elementIds[key])
+    if (element) element.textContent = describeHours(CONFIG.business.workingHours[key])
   })
 }
 
@@ -288,8 +1097,14 @@ function initializeEventListeners() {
   // Modal close events
   document.addEventListener("keydown", (e) => {
     if (e.key === "Escape") {
+      closeOtpModal()
       closeBookingModal()
       closeSuccessModal()
+      closeAlertsModal()
+      closeMyBookings()
+      closePortfolio()
+      closeSipModal()
+      closeDataModal()
     }
   })
 
@@ -309,21 +1124,49 @@ function initializeEventListeners() {
   // Quantity change for booking calculation
   const quantityField = document.getElementById("quantity")
   const metalTypeField = document.getElementById("metalType")
+  const quantityUnitField = document.getElementById("quantityUnit")
 
-  if (quantityField && metalTypeField) {
-    ;[quantityField, metalTypeField].forEach((field) => {
+  if (quantityField && metalTypeField && quantityUnitField) {
+    ;[quantityField, metalTypeField, quantityUnitField].forEach((field) => {
       field.addEventListener("change", updateBookingSummary)
       field.addEventListener("input", debounce(updateBookingSummary, 300))
     })
+
+    // A different metal needs its own purities and locked quote
+    metalTypeField.addEventListener("change", () => {
+      setQuantityUnit(metalTypeField.value)
+      updatePurityOptions()
+      lockQuote(metalTypeField.value)
+    })
+
+    quantityUnitField.addEventListener("change", () => setQuantityUnit(metalTypeField.value, quantityUnitField.value))
+  }
+
+  const displayUnitField = document.getElementById("displayUnit")
+  if (displayUnitField) {
+    displayUnitField.addEventListener("change", () => setDisplayUnit(displayUnitField.value))
+  }
+
+  const displayCurrencyField = document.getElementById("displayCurrency")
+  if (displayCurrencyField) {
+    displayCurrencyField.addEventListener("change", () => setDisplayCurrency(displayCurrencyField.value))
+  }
+
+  const languageField = document.getElementById("language")
+  if (languageField) {
+    languageField.addEventListener("change", () => setLanguage(languageField.value))
+  }
+
+  const purityField = document.getElementById("purity")
+  if (purityField) {
+    purityField.addEventListener("change", updateBookingSummary)
   }
 
   // Window visibility change
   document.addEventListener("visibilitychange", () => {
     if (document.hidden) {
       // Pause updates when tab is not visible
-      if (priceUpdateInterval) {
-        clearInterval(priceUpdateInterval)
-      }
+      stopPriceUpdates()
     } else {
       // Resume updates when tab becomes visible
       startPriceUpdates()
@@ -333,10 +1176,17 @@ function initializeEventListeners() {
 
 /**
  * Open booking modal
+ * @param {string} metalType - Metal to book
+ * @param {string} side - "buy", or "sell" for a buy-back
  */
-function openBookingModal(metalType) {
+function openBookingModal(metalType, side = "buy") {
   if (!elements.bookingModal) return
 
+  if (!isMarketOpen && CONFIG.market.closedBookings === "block") {
+    showToast(translate("market.bookingBlocked", { time: describeNextSession() }), "error")
+    return
+  }
+
   elements.bookingModal.classList.add("active")
   elements.bookingModal.style.display = "flex"
   document.body.style.overflow = "hidden"
@@ -345,9 +1195,17 @@ function openBookingModal(metalType) {
   const metalTypeField = document.getElementById("metalType")
   if (metalTypeField) {
     metalTypeField.value = metalType
-    updateBookingSummary()
   }
 
+  // Start from the purity selected on the card and the metal's usual quantity unit
+  setBookingSide(side)
+  updatePurityOptions(selectedPurities[getMetalKey(metalType)])
+  setQuantityUnit(metalType)
+
+  // Lock the rate the customer is looking at
+  lockQuote(metalType)
+  updateMarketNotice()
+
   // Focus first field
   setTimeout(() => {
     const firstField = document.getElementById("fullName")
@@ -368,15 +1226,168 @@ function closeBookingModal() {
   elements.bookingModal.style.display = "none"
   document.body.style.overflow = "auto"
 
+  // Release the locked quote, and any still being requested
+  stopQuoteCountdown()
+  activeQuote = null
+  quoteRequest++
+  hideRequotePrompt()
+
   // Reset form
   if (elements.bookingForm) {
     elements.bookingForm.reset()
     clearFormErrors()
+    updatePanField(0)
   }
 
   console.log("Booking modal closed")
 }
 
+/**
+ * Get whether the booking form is for a buy or a buy-back
+ */
+function getBookingSide() {
+  return normalizeSide(document.getElementById("bookingSide")?.value)
+}
+
+/**
+ * Switch the booking form between buying and selling
+ * Titles, limits, prices and the summary all follow the side.
+ */
+function setBookingSide(side) {
+  side = normalizeSide(side)
+
+  const field = document.getElementById("bookingSide")
+  if (field) field.value = side
+
+  document.querySelectorAll("#bookingSides [data-side]").forEach((button) => {
+    button.classList.toggle("active", button.dataset.side === side)
+    button.setAttribute("aria-pressed", button.dataset.side === side)
+  })
+
+  // Swapping the message keys keeps the right text when the language changes
+  const sell = side === "sell"
+  ;[
+    ["bookingTitle", "booking.title", "booking.sellTitle"],
+    ["summaryTotalLabel", "bookingSummary.estimatedTotal", "bookingSummary.estimatedPayout"],
+    ["submitBookingText", "action.confirmBooking", "action.confirmSale"],
+  ].forEach(([id, buyKey, sellKey]) => {
+    const element = document.getElementById(id)
+    if (!element) return
+    element.dataset.i18n = sell ? sellKey : buyKey
+    element.textContent = translate(element.dataset.i18n)
+  })
+
+  const sellNote = document.getElementById("sellNote")
+  if (sellNote) sellNote.hidden = !sell
+
+  const metalType = document.getElementById("metalType")?.value
+  updateBookingFormOptions()
+  setQuantityUnit(metalType, document.getElementById("quantityUnit")?.value)
+}
+
+/**
+ * Lock a quote for the given metal: the one given, or a new one from the server
+ * @returns {Promise<void>} Resolves once locked; activeQuote stays null if the server cannot quote
+ */
+async function lockQuote(metalType, quote = null) {
+  hideRequotePrompt()
+  stopQuoteCountdown()
+  activeQuote = null
+  renderQuoteStatus()
+  if (!metalType) return
+
+  // The metal may change, or the modal close, while the server is quoting
+  const request = ++quoteRequest
+  try {
+    quote = quote || (await requestQuote(metalType, CONFIG))
+  } catch (error) {
+    console.error("Quote request failed:", error)
+    return
+  }
+  if (request !== quoteRequest) return
+
+  activeQuote = quote
+  renderQuoteStatus()
+  quoteCountdownInterval = setInterval(renderQuoteStatus, 1000)
+  updateBookingSummary()
+}
+
+/**
+ * Stop the quote countdown
+ */
+function stopQuoteCountdown() {
+  if (quoteCountdownInterval) {
+    clearInterval(quoteCountdownInterval)
+    quoteCountdownInterval = null
+  }
+}
+
+/**
+ * Show the quote ID and the time left on the lock
+ */
+function renderQuoteStatus() {
+  const countdown = document.getElementById("quoteCountdown")
+  const quoteId = document.getElementById("quoteId")
+  if (!countdown || !quoteId) return
+
+  if (!activeQuote) {
+    countdown.textContent = "--"
+    quoteId.textContent = ""
+    return
+  }
+
+  const remaining = getQuoteTimeRemaining(activeQuote)
+  quoteId.textContent = translate("quote.id", { id: activeQuote.id })
+  countdown.textContent =
+    remaining > 0 ? translate("quote.locked", { time: formatCountdown(remaining) }) : translate("quote.expired")
+  countdown.className = `quote-countdown ${remaining > 0 ? "" : "expired"}`
+
+  if (remaining === 0) stopQuoteCountdown()
+}
+
+/**
+ * Ask the customer to accept a new rate
+ */
+function showRequotePrompt(reason, quote) {
+  const panel = document.getElementById("requotePanel")
+  const message = document.getElementById("requoteMessage")
+  if (!panel || !message || !activeQuote) return
+
+  const metal = getMetalKey(activeQuote.metalType)
+  const unit = getRateUnitLabel(metal, CONFIG.metals)
+  const intro = translate(reason === "expired" ? "quote.expiredIntro" : "quote.movedIntro")
+
+  // Quotes lock the market rate; show the rate the customer's side trades at
+  const side = getBookingSide()
+  pendingRequote = quote
+  message.textContent = translate("quote.newRate", {
+    intro,
+    price: formatCurrency(getSidePrice(metal, side, quote.price, CONFIG.metals)),
+    oldPrice: formatCurrency(getSidePrice(metal, side, activeQuote.price, CONFIG.metals)),
+    unit,
+  })
+  panel.hidden = false
+}
+
+/**
+ * Hide the re-quote prompt
+ */
+function hideRequotePrompt() {
+  const panel = document.getElementById("requotePanel")
+  if (panel) panel.hidden = true
+  pendingRequote = null
+}
+
+/**
+ * Lock the re-quoted price and submit the booking at it
+ */
+async function acceptRequote() {
+  if (!activeQuote || !pendingRequote) return
+
+  await lockQuote(activeQuote.metalType, pendingRequote)
+  elements.bookingForm.requestSubmit()
+}
+
 /**
  * Handle booking form submission
  */
@@ -393,6 +1404,12 @@ async function handleBookingSubmission(e) {
     buttonText.style.display = "none"
     buttonLoader.style.display = "block"
 
+    // The market may have closed while the form was open
+    if (!isMarketOpen && CONFIG.market.closedBookings === "block") {
+      showToast(translate("market.bookingBlocked", { time: describeNextSession() }), "error")
+      return
+    }
+
     // Validate form
     const formData = new FormData(elements.bookingForm)
     const validationResult = validateBookingForm(formData)
@@ -402,11 +1419,26 @@ async function handleBookingSubmission(e) {
       return
     }
 
-    // Simulate API call
-    await new Promise((resolve) => setTimeout(resolve, 2000))
+    // The server only takes bookings for a verified phone
+    const phone = formData.get("phone").trim()
+    const phoneVerification = await verifyPhone(phone)
+    if (!phoneVerification) return
 
-    // Process booking
-    const bookingData = processBooking(formData)
+    // Book at the locked quote; one that has expired is offered again at the server's rate
+    const metalType = formData.get("metalType")
+    if (!activeQuote || activeQuote.metalType !== metalType) {
+      await lockQuote(metalType)
+    }
+    if (!activeQuote) throw new Error(`No quote could be locked for ${metalType}`)
+
+    const quoteCheck = checkQuote(activeQuote)
+    if (!quoteCheck.isValid) {
+      showRequotePrompt(quoteCheck.reason, await requestQuote(metalType, CONFIG))
+      return
+    }
+
+    // Process booking and confirm it with the server, which checks the quote against its own rate
+    const bookingData = await submitBooking({ ...processBooking(formData, activeQuote), phoneVerification }, CONFIG)
 
     // Show success
     showBookingSuccess(bookingData)
@@ -415,10 +1447,25 @@ async function handleBookingSubmission(e) {
     // Save booking to localStorage
     saveBooking(bookingData)
 
-    showToast("Booking confirmed successfully!", "success")
+    showToast(translate("toast.bookingConfirmed"), "success")
   } catch (error) {
     console.error("Booking submission error:", error)
-    showToast("Failed to process booking. Please try again.", "error")
+
+    if (error.status === 409 && error.body?.quote) {
+      showRequotePrompt(error.body.reason, error.body.quote)
+    } else if (error.status === 409 && "nextOpen" in (error.body || {})) {
+      showToast(translate("market.bookingBlocked", { time: describeNextSession() }), "error")
+    } else if (error.status === 400 && error.body?.errors) {
+      // The server's rate may have taken the total over the PAN threshold
+      if (error.body.errors.pan) updatePanField(Infinity)
+      showFormErrors(error.body.errors)
+    } else if (error.status === 403 && error.body?.verification) {
+      // The server no longer accepts the saved verification
+      forgetPhoneVerification(document.getElementById("phone").value.trim())
+      showToast(translate("otp.required"), "error")
+    } else {
+      showToast(translate("toast.bookingFailed"), "error")
+    }
   } finally {
     // Reset button state
     submitButton.disabled = false
@@ -435,13 +1482,13 @@ function validateBookingForm(formData) {
   let isValid = true
 
   // Validate each field
-  const fields = ["fullName", "phone", "email", "metalType", "quantity"]
+  const fields = ["fullName", "phone", "email", "metalType", "purity", "quantity"]
 
   fields.forEach((fieldName) => {
     const value = formData.get(fieldName)?.toString().trim() || ""
 
     if (!value) {
-      errors[fieldName] = "This field is required"
+      errors[fieldName] = translate("validation.required")
       isValid = false
       return
     }
@@ -453,18 +1500,53 @@ function validateBookingForm(formData) {
     }
   })
 
-  // Additional quantity validation based on metal type
+  // Additional quantity validation based on metal type; limits are in grams
   const metalType = formData.get("metalType")
   const quantity = Number.parseFloat(formData.get("quantity"))
+  const quantityUnit = formData.get("quantityUnit") || "g"
 
   if (metalType && quantity) {
-    const maxQuantity = CONFIG.validation.quantity.max[metalType.toLowerCase()]
-    if (quantity > maxQuantity) {
-      errors.quantity = `Maximum quantity for ${metalType} is ${maxQuantity} ${metalType === "Gold" ? "grams" : "kg"}`
+    const { maxQuantity: maxGrams, minBuyQuantity, minSellQuantity } = CONFIG.metals[getMetalKey(metalType)] || {}
+    const isSale = normalizeSide(formData.get("side")) === "sell"
+    const minGrams = isSale ? minSellQuantity : minBuyQuantity
+    if (toGrams(quantity, quantityUnit) < minGrams) {
+      errors.quantity = translate(isSale ? "validation.minSellQuantity" : "validation.minBuyQuantity", {
+        metal: translateMetalType(metalType),
+        amount: Math.ceil(convertWeight(minGrams, "g", quantityUnit) * 1000) / 1000,
+        unit: translateWeightUnit(quantityUnit),
+      })
+      isValid = false
+    } else if (toGrams(quantity, quantityUnit) > maxGrams) {
+      const maxInUnit = Math.floor(convertWeight(maxGrams, "g", quantityUnit) * 1000) / 1000
+      errors.quantity = translate("validation.maxQuantity", {
+        metal: translateMetalType(metalType),
+        amount: maxInUnit,
+        unit: translateWeightUnit(quantityUnit),
+      })
       isValid = false
     }
   }
 
+  // A PAN is needed from the KYC threshold up, priced as the summary shows it
+  const purity = formData.get("purity")
+  if (metalType && quantity > 0 && purity) {
+    const quotedPrice = activeQuote?.metalType === metalType ? activeQuote.price : currentRates[getMetalKey(metalType)].price
+    const side = normalizeSide(formData.get("side"))
+    const { breakdown } = priceBooking(metalType, purity, quantity, quantityUnit, side, quotedPrice)
+    const panError = checkBookingPan(normalizePan(formData.get("pan")), breakdown.grandTotal, CONFIG.kyc)
+    if (panError) {
+      errors.pan = translate(`validation.pan.${panError}`, { amount: formatCurrency(CONFIG.kyc.panThreshold) })
+      isValid = false
+    }
+  }
+
+  const aadhaar = normalizeAadhaar(formData.get("aadhaar"))
+  const aadhaarError = aadhaar ? checkAadhaar(aadhaar) : null
+  if (aadhaarError) {
+    errors.aadhaar = translate(`validation.aadhaar.${aadhaarError}`)
+    isValid = false
+  }
+
   return { isValid, errors }
 }
 
@@ -535,58 +1617,236 @@ function updateBookingSummary() {
   const summaryRate = document.getElementById("summaryRate")
   const summaryQuantity = document.getElementById("summaryQuantity")
   const summaryTotal = document.getElementById("summaryTotal")
+  const summaryMetalValue = document.getElementById("summaryMetalValue")
+  const summaryCharges = document.getElementById("summaryCharges")
+  const summarySettlement = document.getElementById("summarySettlement")
 
   if (!metalType || !quantity || !summaryRate || !summaryQuantity || !summaryTotal) {
     return
   }
 
-  const currentPrice = metalType === "Gold" ? currentRates.gold.price : currentRates.silver.price
-  const calculation = calculateBookingValue(metalType, quantity, currentPrice)
+  // Show the locked price while the quote is for this metal
+  const metal = getMetalKey(metalType)
+  const marketPrice = activeQuote?.metalType === metalType ? activeQuote.price : currentRates[metal].price
+  const purity = document.getElementById("purity")?.value
+  const quantityUnit = document.getElementById("quantityUnit")?.value || "g"
+  const { currentPrice, calculation, breakdown } = priceBooking(
+    metalType,
+    purity,
+    quantity,
+    quantityUnit,
+    getBookingSide(),
+    marketPrice,
+  )
+
+  summaryRate.textContent = `${formatDisplayPrice(currentPrice)}/${getRateUnitLabel(metal, CONFIG.metals)} (${purity})`
+  summaryQuantity.textContent = formatBookingQuantity(quantity, quantityUnit, calculation.grams)
+  if (summaryMetalValue) summaryMetalValue.textContent = formatDisplayPrice(calculation.totalValue)
+  if (summaryCharges) summaryCharges.innerHTML = renderLineItems(breakdown.lineItems, formatDisplayPrice)
+  summaryTotal.textContent = formatDisplayPrice(breakdown.grandTotal)
+
+  // Bookings settle in rupees, so show the INR amount alongside a converted total
+  if (summarySettlement) {
+    summarySettlement.hidden = displayCurrency === "INR"
+    summarySettlement.textContent = translate("bookingSummary.payableInInr", {
+      amount: formatCurrency(breakdown.grandTotal),
+      rate: describeFxRate({ currency: displayCurrency, rate: fxRates.rates[displayCurrency] }),
+    })
+  }
+
+  updatePanField(breakdown.grandTotal)
+}
+
+/**
+ * Show the PAN field once a booking total needs it, or while it holds a PAN
+ */
+function updatePanField(grandTotal) {
+  const group = document.getElementById("panGroup")
+  const field = document.getElementById("pan")
+  const helper = document.getElementById("panHelper")
+  if (!group || !field) return
+
+  const required = isPanRequired(grandTotal, CONFIG.kyc)
+  group.hidden = !required && !field.value.trim()
+  field.required = required
+  if (helper) {
+    helper.textContent = translate(required ? "form.panRequired" : "form.panOptional", {
+      amount: formatCurrency(CONFIG.kyc.panThreshold),
+    })
+  }
+}
+
+/**
+ * Format a booking quantity, adding the weight in grams for other units
+ * Unit names are translated unless another labeller is given, as on English receipts.
+ */
+function formatBookingQuantity(quantity, unit, grams, labelUnit = translateWeightUnit) {
+  const text = `${quantity} ${labelUnit(unit)}`
+  return grams && unit !== "g" && WEIGHT_UNITS[unit] ? `${text} (${grams} g)` : text
+}
 
-  summaryRate.textContent = `${formatCurrency(currentPrice)}/${metalType === "Gold" ? "10g" : "kg"}`
-  summaryQuantity.textContent = `${quantity} ${calculation.unit}`
-  summaryTotal.textContent = formatCurrency(calculation.totalValue)
+/**
+ * Set the quantity unit, defaulting to the metal's usual unit, and update the field hint
+ */
+function setQuantityUnit(metalType, unit) {
+  const quantityUnitField = document.getElementById("quantityUnit")
+  const helper = document.getElementById("quantityHelper")
+  if (!quantityUnitField) return
+
+  const metal = CONFIG.metals[getMetalKey(metalType)]
+  quantityUnitField.value = WEIGHT_UNITS[unit] ? unit : metal?.defaultUnit || "g"
+
+  if (helper) {
+    const maxGrams = metal?.maxQuantity
+    const unitLimit = (grams, round) => round(convertWeight(grams, "g", quantityUnitField.value) * 1000) / 1000
+    if (!maxGrams) {
+      helper.textContent = translate("form.enterQuantity")
+    } else if (getBookingSide() === "sell") {
+      helper.textContent = translate("form.sellRange", {
+        min: unitLimit(metal.minSellQuantity || 0, Math.ceil),
+        max: unitLimit(maxGrams, Math.floor),
+        unit: translateWeightUnit(quantityUnitField.value),
+      })
+    } else {
+      helper.textContent = translate("form.upTo", {
+        amount: unitLimit(maxGrams, Math.floor),
+        unit: translateWeightUnit(quantityUnitField.value),
+      })
+    }
+  }
+
+  updateBookingSummary()
 }
 
 /**
- * Update booking form options with current prices
+ * Update booking form options with current prices for the form's side
  */
 function updateBookingFormOptions() {
   const metalTypeSelect = document.getElementById("metalType")
   if (!metalTypeSelect) return
 
-  const goldOption = metalTypeSelect.querySelector('option[value="Gold"]')
-  const silverOption = metalTypeSelect.querySelector('option[value="Silver"]')
+  const side = getBookingSide()
+  ;[...metalTypeSelect.options].forEach((option) => {
+    const metal = getMetalKey(option.value)
+    if (!metal) return
+
+    const fine = getPurityOptions(metal, CONFIG.metals)[0]
+    const price = getSidePrice(metal, side, currentRates[metal].price, CONFIG.metals)
+    option.textContent =
+      `${translateMetal(metal)}${fine ? ` (${fine.code})` : ""} - ` +
+      `${formatDisplayPrice(price)}/${getRateUnitLabel(metal, CONFIG.metals)}`
+  })
+
+  updatePurityOptions()
+}
+
+/**
+ * Fill the purity select for the chosen metal with current variant prices
+ * Keeps the current choice unless another purity is given.
+ */
+function updatePurityOptions(selectedCode) {
+  const metalType = document.getElementById("metalType")?.value
+  const puritySelect = document.getElementById("purity")
+  if (!puritySelect) return
 
-  if (goldOption) {
-    goldOption.textContent = `Gold (24K) - ${formatCurrency(currentRates.gold.price)}/10g`
+  if (!metalType) {
+    puritySelect.innerHTML = `<option value="">${translate("form.selectMetalFirst")}</option>`
+    return
   }
 
-  if (silverOption) {
-    silverOption.textContent = `Silver (999) - ${formatCurrency(currentRates.silver.price)}/kg`
+  const metal = getMetalKey(metalType)
+  const unit = getRateUnitLabel(metal, CONFIG.metals)
+  const current = findPurity(metal, selectedCode || puritySelect.value, CONFIG.metals).code
+
+  const side = getBookingSide()
+  const options = getPurityOptions(metal, CONFIG.metals)
+  const optionText = (option) =>
+    `${option.code} - ${formatDisplayPrice(getSideVariantPrice(metal, option.code, side, currentRates[metal].price))}/${unit}`
+
+  // On a price tick only the labels change; rebuilding the options would close an open select
+  const existingCodes = [...puritySelect.options].map((option) => option.value)
+  if (existingCodes.join() === options.map((option) => option.code).join()) {
+    options.forEach((option, index) => {
+      puritySelect.options[index].textContent = optionText(option)
+    })
+  } else {
+    puritySelect.innerHTML = options
+      .map((option) => `<option value="${option.code}">${optionText(option)}</option>`)
+      .join("")
   }
+
+  puritySelect.value = current
+}
+
+/**
+ * Get the pricing rules for a side: charges and taxes apply to purchases only; buy-backs are
+ * paid the metal content with nothing added or deducted
+ */
+function getSidePricing(side) {
+  return side === "sell" ? { rules: [] } : CONFIG.pricing
+}
+
+/**
+ * Price a booking for its side at a market rate
+ * @returns {object} { currentPrice, calculation, breakdown }
+ */
+function priceBooking(metalType, purity, quantity, quantityUnit, side, marketPrice) {
+  const metal = getMetalKey(metalType)
+  const currentPrice = getSideVariantPrice(metal, purity, side, marketPrice)
+  const calculation = calculateBookingValue(metalType, quantity, currentPrice, quantityUnit)
+  const breakdown = calculatePriceBreakdown(
+    metal,
+    purity,
+    calculation.totalValue,
+    calculation.grams,
+    getSidePricing(side),
+  )
+  return { currentPrice, calculation, breakdown }
 }
 
 /**
- * Process booking data
+ * Process booking data at the locked quote's price
+ * finePrice is the locked market rate; currentPrice is the rate the booking's side pays.
  */
-function processBooking(formData) {
+function processBooking(formData, quote) {
   const metalType = formData.get("metalType")
+  const purity = formData.get("purity")
   const quantity = Number.parseFloat(formData.get("quantity"))
-  const currentPrice = metalType === "Gold" ? currentRates.gold.price : currentRates.silver.price
-  const calculation = calculateBookingValue(metalType, quantity, currentPrice)
+  const quantityUnit = formData.get("quantityUnit")
+  const side = normalizeSide(formData.get("side"))
+  const { currentPrice, calculation, breakdown } = priceBooking(metalType, purity, quantity, quantityUnit, side, quote.price)
+  const aadhaar = normalizeAadhaar(formData.get("aadhaar"))
 
   return {
     id: generateBookingId(),
+    side,
     fullName: formData.get("fullName"),
     phone: formData.get("phone"),
     email: formData.get("email"),
     metalType,
+    purity,
     quantity,
     unit: calculation.unit,
+    grams: calculation.grams,
     currentPrice,
+    finePrice: quote.price,
+    quoteId: quote.id,
     pricePerGram: calculation.pricePerGram,
     totalValue: calculation.totalValue,
+    lineItems: breakdown.lineItems,
+    grandTotal: breakdown.grandTotal,
+    // Only the masked Aadhaar number leaves the browser
+    kyc: buildKyc({ pan: formData.get("pan"), aadhaar: aadhaar ? maskAadhaar(aadhaar) : null }, breakdown.grandTotal, CONFIG.kyc),
+    // The rate prices were shown at; the booking itself settles in INR
+    fx: {
+      currency: displayCurrency,
+      rate: fxRates.rates[displayCurrency],
+      source: fxRates.source,
+      timestamp: fxRates.timestamp,
+    },
+    // Bookings made while the market is closed are settled when the next session opens
+    session: isMarketOpen ? "current" : "next",
+    sessionOpensAt: isMarketOpen ? null : marketStatus?.nextSession?.opensAt.toISOString() || null,
     timestamp: new Date().toISOString(),
     status: "confirmed",
   }
@@ -600,36 +1860,85 @@ function showBookingSuccess(bookingData) {
 
   const bookingDetails = document.getElementById("bookingDetails")
   if (bookingDetails) {
-    bookingDetails.innerHTML = `
+    bookingDetails.innerHTML = renderBookingDetails(bookingData)
+  }
+
+  const receiptActions = document.getElementById("successReceiptActions")
+  if (receiptActions) {
+    receiptActions.innerHTML = renderReceiptActions(bookingData.id)
+  }
+
+  elements.successModal.classList.add("active")
+  elements.successModal.style.display = "flex"
+}
+
+/**
+ * Render the booking summary rows shared by the success modal and the My Bookings drawer
+ */
+function renderBookingDetails(bookingData) {
+  return `
+      <div class="summary-row">
+        <span>${translate("details.bookingId")}</span>
+        <span><strong>${escapeHtml(bookingData.id)}</strong></span>
+      </div>
+      <div class="summary-row">
+        <span>${translate("details.type")}</span>
+        <span>${translate(`side.${normalizeSide(bookingData.side)}`)}</span>
+      </div>
       <div class="summary-row">
-        <span>Booking ID:</span>
-        <span><strong>${bookingData.id}</strong></span>
+        <span>${translate("details.name")}</span>
+        <span>${escapeHtml(bookingData.fullName)}</span>
       </div>
+      ${
+        bookingData.kyc && bookingData.kyc.status !== "none"
+          ? `<div class="summary-row">
+        <span>${translate("details.kyc")}</span>
+        <span>${[bookingData.kyc.pan, bookingData.kyc.aadhaar].filter(Boolean).map(escapeHtml).join(" · ")} (${translate(
+          `kyc.status.${bookingData.kyc.status}`,
+        )})</span>
+      </div>`
+          : ""
+      }
       <div class="summary-row">
-        <span>Name:</span>
-        <span>${bookingData.fullName}</span>
+        <span>${translate("details.metal")}</span>
+        <span>${translateMetalType(bookingData.metalType)}${bookingData.purity ? ` (${bookingData.purity})` : ""}</span>
       </div>
       <div class="summary-row">
-        <span>Metal:</span>
-        <span>${bookingData.metalType}</span>
+        <span>${translate("details.quantity")}</span>
+        <span>${formatBookingQuantity(bookingData.quantity, bookingData.unit, bookingData.grams)}</span>
       </div>
       <div class="summary-row">
-        <span>Quantity:</span>
-        <span>${bookingData.quantity} ${bookingData.unit}</span>
+        <span>${translate("details.rate")}</span>
+        <span>${formatCurrency(bookingData.currentPrice)}/${getRateUnitLabel(getMetalKey(bookingData.metalType), CONFIG.metals)}</span>
       </div>
       <div class="summary-row">
-        <span>Rate:</span>
-        <span>${formatCurrency(bookingData.currentPrice)}/${bookingData.metalType === "Gold" ? "10g" : "kg"}</span>
+        <span>${translate("details.metalValue")}</span>
+        <span>${formatCurrency(bookingData.totalValue)}</span>
       </div>
+      ${renderLineItems(bookingData.lineItems || [])}
+      ${
+        bookingData.session === "next"
+          ? `<div class="summary-row">
+        <span>${translate("details.session")}</span>
+        <span>${translate("details.nextSession", {
+          time: bookingData.sessionOpensAt ? formatMarketTime(new Date(bookingData.sessionOpensAt), getLocale()) : "—",
+        })}</span>
+      </div>`
+          : ""
+      }
       <div class="summary-row total">
-        <span>Total Value:</span>
-        <span><strong>${formatCurrency(bookingData.totalValue)}</strong></span>
+        <span>${translate(bookingData.side === "sell" ? "details.totalPayout" : "details.totalPayable")}</span>
+        <span><strong>${formatCurrency(bookingData.grandTotal ?? bookingData.totalValue)}</strong></span>
       </div>
+      ${
+        bookingData.fx && bookingData.fx.currency !== "INR"
+          ? `<div class="summary-row charge">
+        <span>${translate("details.shownIn", { currency: escapeHtml(bookingData.fx.currency) })}</span>
+        <span>${describeFxRate(bookingData.fx)}</span>
+      </div>`
+          : ""
+      }
     `
-  }
-
-  elements.successModal.classList.add("active")
-  elements.successModal.style.display = "flex"
 }
 
 /**
@@ -651,22 +1960,47 @@ function saveBooking(bookingData) {
   storage.set("bookings", bookings)
 }
 
+/**
+ * Update a saved booking in localStorage
+ */
+function updateSavedBooking(id, changes) {
+  const bookings = storage.get("bookings", [])
+  const booking = bookings.find((item) => item.id === id)
+  if (!booking) return null
+
+  Object.assign(booking, changes)
+  storage.set("bookings", bookings)
+  return booking
+}
+
 /**
  * Load user preferences
  */
 function loadUserPreferences() {
-  const savedRates = storage.get("currentRates")
-  if (savedRates) {
-    currentRates = { ...currentRates, ...savedRates }
-  }
+  selectedPurities = { ...selectedPurities, ...storage.get("selectedPurities", {}) }
+  displayUnit = DISPLAY_UNITS[storage.get("displayUnit")] ? storage.get("displayUnit") : "standard"
+  displayCurrency = CONFIG.fx.currencies[storage.get("displayCurrency")] ? storage.get("displayCurrency") : "INR"
+  renderPuritySelectors()
+  renderCurrencySymbols()
+  renderUnitLabels()
+  updatePriceDisplay()
 }
 
 /**
  * Cleanup function
  */
 function cleanup() {
-  if (priceUpdateInterval) {
-    clearInterval(priceUpdateInterval)
+  stopPriceUpdates()
+  clearInterval(fxRefreshInterval)
+  clearInterval(marketStatusInterval)
+  clearInterval(sipCheckInterval)
+
+  if (priceHistory) {
+    priceHistory.save()
+  }
+
+  if (dailySessions) {
+    dailySessions.save()
   }
 }
 
@@ -676,7 +2010,41 @@ window.addEventListener("beforeunload", cleanup)
 // Global functions for HTML onclick handlers
 window.openBookingModal = openBookingModal
 window.closeBookingModal = closeBookingModal
+window.setBookingSide = setBookingSide
 window.closeSuccessModal = closeSuccessModal
+window.acceptRequote = acceptRequote
+window.selectPurity = selectPurity
+window.openMyBookings = openMyBookings
+window.closeMyBookings = closeMyBookings
+window.openBookingDrawer = openBookingDrawer
+window.closeBookingDrawer = closeBookingDrawer
+window.cancelSelectedBooking = cancelSelectedBooking
+window.rebookSelectedBooking = rebookSelectedBooking
+window.openPortfolio = openPortfolio
+window.closePortfolio = closePortfolio
+window.setPortfolioRange = setPortfolioRange
+window.deleteHolding = deleteHolding
+window.openSipModal = openSipModal
+window.closeSipModal = closeSipModal
+window.setSipProjectionMode = setSipProjectionMode
+window.toggleSipPlan = toggleSipPlan
+window.skipSipInstalment = skipSipInstalment
+window.cancelSipPlan = cancelSipPlan
+window.verifySipPhone = verifySipPhone
+window.closeOtpModal = closeOtpModal
+window.resendOtpCode = resendOtpCode
+window.toggleChart = toggleChart
+window.setChartOption = setChartOption
+window.openAlertsModal = openAlertsModal
+window.closeAlertsModal = closeAlertsModal
+window.resetAlertForm = resetAlertForm
+window.editAlert = editAlert
+window.deleteAlert = deleteAlert
+window.printReceipt = printReceipt
+window.downloadReceiptPdf = downloadReceiptPdf
+window.openDataModal = openDataModal
+window.closeDataModal = closeDataModal
+window.chooseImportFile = chooseImportFile
 
 // Helper functions (These would ideally be in separate files)
 function generatePriceFluctuation(basePrice, maxFluctuation) {
@@ -727,8 +2095,8 @@ function showToast(message, type = "info") {
   }, 3000)
 }
 
-function formatCurrency(amount, showSymbol = true) {
-  const formattedAmount = new Intl.NumberFormat("en-IN", {
+function formatCurrency(amount, showSymbol = true, locale = getLocale()) {
+  const formattedAmount = new Intl.NumberFormat(locale, {
     style: "currency",
     currency: "INR",
     minimumFractionDigits: 2,
@@ -737,7 +2105,7 @@ function formatCurrency(amount, showSymbol = true) {
   return showSymbol ? formattedAmount : formattedAmount.replace("₹", "")
 }
 
-function formatDateTime(date) {
+function formatDateTime(date, locale = getLocale()) {
   const options = {
     year: "numeric",
     month: "long",
@@ -746,7 +2114,7 @@ function formatDateTime(date) {
     minute: "2-digit",
     second: "2-digit",
   }
-  return date.toLocaleDateString("en-IN", options)
+  return date.toLocaleDateString(locale, options)
 }
 
 function debounce(func, delay) {
@@ -761,28 +2129,28 @@ function debounce(func, delay) {
 
 function validateField(fieldName, value) {
   if (!value) {
-    return { isValid: false, error: "This field is required" }
+    return { isValid: false, error: translate("validation.required") }
   }
 
   switch (fieldName) {
     case "name":
       if (!/^[a-zA-Z\s]+$/.test(value)) {
-        return { isValid: false, error: "Name must contain only letters and spaces" }
+        return { isValid: false, error: translate("validation.name") }
       }
       break
     case "phone":
       if (!/^\d{10}$/.test(value)) {
-        return { isValid: false, error: "Phone number must be 10 digits" }
+        return { isValid: false, error: translate("validation.phone") }
       }
       break
     case "email":
       if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
-        return { isValid: false, error: "Invalid email address" }
+        return { isValid: false, error: translate("validation.email") }
       }
       break
     case "quantity":
       if (isNaN(value) || Number(value) <= 0) {
-        return { isValid: false, error: "Quantity must be a positive number" }
+        return { isValid: false, error: translate("validation.quantity") }
       }
       break
     default:
@@ -792,12 +2160,18 @@ function validateField(fieldName, value) {
   return { isValid: true, error: null }
 }
 
-function calculateBookingValue(metalType, quantity, currentPrice) {
-  const unit = metalType === "Gold" ? "grams" : "kg"
-  const pricePerGram = metalType === "Gold" ? currentPrice / 10 : currentPrice / 1000
-  const totalValue = metalType === "Gold" ? pricePerGram * quantity : currentPrice * quantity
+function calculateBookingValue(metalType, quantity, currentPrice, quantityUnit = "g") {
+  const calculation = calculateWeightValue(getMetalKey(metalType), quantity, quantityUnit, currentPrice, CONFIG.metals)
+  return { unit: quantityUnit, ...calculation }
+}
 
-  return { unit, pricePerGram, totalValue }
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
 }
 
 function generateBookingId() {
@@ -809,6 +2183,7 @@ if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     currentRates,
     updatePrices,
+    applyRates,
     validateBookingForm,
     processBooking,
     calculateBookingValue,
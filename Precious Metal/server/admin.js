@@ -0,0 +1,182 @@
+// Back Office
+
+// Booking queries, daily totals and staff updates behind the /admin routes. Dates are IST
+// calendar days, as on the customer's My Bookings list.
+// Staff changes are noted in the booking's history:
+//   history: [{ at, by, status, kycStatus, note }]
+// where by is the staff username, or "customer" for a customer's own cancellation, and
+// status and kycStatus are null when unchanged.
+
+const { BOOKING_STATUSES, canTransition } = require("./bookings")
+const { KYC_STATUSES } = require("../kyc")
+const { getIstDay } = require("../market-calendar")
+const { findMetalKey, getMetalKeys } = require("../metals")
+
+const SORT_FIELDS = {
+  timestamp: (booking) => new Date(booking.timestamp).getTime(),
+  total: (booking) => booking.grandTotal ?? booking.totalValue,
+  name: (booking) => booking.fullName.toLowerCase(),
+  status: (booking) => BOOKING_STATUSES.indexOf(booking.status),
+}
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+const MAX_NOTE_LENGTH = 500
+const REVIEW_STATUSES = KYC_STATUSES.filter((status) => status !== "none")
+
+const getDateKey = (timestamp) => getIstDay(new Date(timestamp)).dateKey
+
+/**
+ * Search, filter and sort the stored bookings
+ * @param {Array<object>} bookings - All stored bookings
+ * @param {object} query - { q, status, metal, side, from, to, sort, order }, as strings from
+ *   the query string; dates are YYYY-MM-DD
+ * @param {object} metalsConfig - config.metals
+ * @returns {Array<object>} Matching bookings
+ */
+function selectBookings(bookings, query, metalsConfig) {
+  const search = (query.q || "").trim().toLowerCase()
+  const sortValue = SORT_FIELDS[query.sort] || SORT_FIELDS.timestamp
+  const direction = query.order === "asc" ? 1 : -1
+
+  // Searches match the booking ID, customer details and the PAN's last four characters
+  const matchesSearch = (booking) =>
+    [booking.id, booking.fullName, booking.phone, booking.email, booking.kyc?.pan]
+      .filter(Boolean)
+      .some((value) => value.toLowerCase().includes(search))
+
+  return bookings
+    .filter((booking) => !search || matchesSearch(booking))
+    .filter((booking) => !query.status || booking.status === query.status)
+    .filter((booking) => !query.metal || findMetalKey(booking.metalType, metalsConfig) === query.metal)
+    .filter((booking) => !query.side || booking.side === query.side)
+    .filter((booking) => !query.from || getDateKey(booking.timestamp) >= query.from)
+    .filter((booking) => !query.to || getDateKey(booking.timestamp) <= query.to)
+    .sort((a, b) => {
+      const valueA = sortValue(a)
+      const valueB = sortValue(b)
+      return (valueA < valueB ? -1 : valueA > valueB ? 1 : 0) * direction
+    })
+}
+
+/**
+ * Search, filter, sort and page the stored bookings
+ * @param {Array<object>} bookings - All stored bookings
+ * @param {object} query - As for selectBookings(), with page and pageSize
+ * @param {object} metalsConfig - config.metals
+ * @returns {object} { bookings, total, page, pageSize }
+ */
+function queryBookings(bookings, query, metalsConfig) {
+  const pageSize = Math.min(Math.max(Number.parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1)
+  const matches = selectBookings(bookings, query, metalsConfig)
+
+  return {
+    bookings: matches.slice((page - 1) * pageSize, page * pageSize),
+    total: matches.length,
+    page,
+    pageSize,
+  }
+}
+
+/**
+ * Total one IST day's bookings per metal and side; cancelled bookings are only counted
+ * @param {Array<object>} bookings - All stored bookings
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {object} metalsConfig - config.metals
+ * @returns {object} { date, metals: [{ metal, name, buy, sell, cancelled }] } with
+ *   buy and sell as { count, grams, amount }, for every configured metal
+ */
+function getDailyTotals(bookings, dateKey, metalsConfig) {
+  const emptyTotal = () => ({ count: 0, grams: 0, amount: 0 })
+  const totals = Object.fromEntries(
+    getMetalKeys(metalsConfig).map((metal) => [
+      metal,
+      { metal, name: metalsConfig[metal].name, buy: emptyTotal(), sell: emptyTotal(), cancelled: 0 },
+    ]),
+  )
+
+  bookings
+    .filter((booking) => getDateKey(booking.timestamp) === dateKey)
+    .forEach((booking) => {
+      const entry = totals[findMetalKey(booking.metalType, metalsConfig)]
+      if (!entry) return
+      if (booking.status === "cancelled") {
+        entry.cancelled++
+        return
+      }
+
+      const total = entry[booking.side === "sell" ? "sell" : "buy"]
+      total.count++
+      total.grams = Math.round((total.grams + booking.grams) * 1000) / 1000
+      total.amount = Math.round((total.amount + (booking.grandTotal ?? booking.totalValue)) * 100) / 100
+    })
+
+  return { date: dateKey, metals: Object.values(totals) }
+}
+
+/**
+ * Add an entry to a booking's history
+ * @param {object} booking - Stored booking
+ * @param {object} entry - { by, status, kycStatus, note }
+ * @returns {Array<object>} The new history
+ */
+function appendHistory(booking, entry, now = new Date()) {
+  return [
+    ...(booking.history || []),
+    {
+      at: now.toISOString(),
+      by: entry.by,
+      status: entry.status || null,
+      kycStatus: entry.kycStatus || null,
+      note: entry.note || null,
+    },
+  ]
+}
+
+/**
+ * Validate a staff update to a booking: a new status, a KYC status, a note, or any of these
+ * @param {object} booking - Stored booking
+ * @param {object} body - Parsed request body { status, kycStatus, note }
+ * @param {string} username - Staff member making the change
+ * @returns {object} { isValid, errors, changes } with changes ready for store.update()
+ */
+function buildStaffUpdate(booking, body, username) {
+  const errors = {}
+  const status = body.status && body.status !== booking.status ? body.status : null
+  const kycStatus = body.kycStatus && body.kycStatus !== booking.kyc?.status ? body.kycStatus : null
+  const note = typeof body.note === "string" ? body.note.trim() || null : null
+
+  if (status && !BOOKING_STATUSES.includes(status)) {
+    errors.status = `Status must be one of: ${BOOKING_STATUSES.join(", ")}`
+  } else if (status && !canTransition(booking.status, status)) {
+    errors.status = `Cannot change a ${booking.status} booking to ${status}`
+  }
+
+  // Only details the customer gave can be checked
+  if (kycStatus && !REVIEW_STATUSES.includes(kycStatus)) {
+    errors.kycStatus = `KYC status must be one of: ${REVIEW_STATUSES.join(", ")}`
+  } else if (kycStatus && (!booking.kyc || booking.kyc.status === "none")) {
+    errors.kycStatus = "This booking has no KYC details"
+  }
+
+  if (body.note != null && typeof body.note !== "string") {
+    errors.note = "Note must be text"
+  } else if (note && note.length > MAX_NOTE_LENGTH) {
+    errors.note = `Notes may be at most ${MAX_NOTE_LENGTH} characters`
+  }
+
+  if (!status && !kycStatus && !note && !Object.keys(errors).length) {
+    errors.status = "Nothing to change"
+  }
+
+  if (Object.keys(errors).length) return { isValid: false, errors, changes: null }
+
+  const changes = { history: appendHistory(booking, { by: username, status, kycStatus, note }) }
+  if (status) changes.status = status
+  if (kycStatus) changes.kyc = { ...booking.kyc, status: kycStatus }
+
+  return { isValid: true, errors, changes }
+}
+
+module.exports = { selectBookings, queryBookings, getDailyTotals, appendHistory, buildStaffUpdate }
@@ -0,0 +1,180 @@
+// Staff Accounts
+
+// The back office (admin.html) is for staff accounts only. Accounts are kept in
+// <dataDir>/users.json as { username, role, passwordHash } and managed with users.js; the file
+// is read again whenever it changes, so accounts added or removed there take effect without a
+// restart. Passwords are stored as "scrypt:<salt>:<hash>".
+// Each role grants the permissions listed in ROLE_PERMISSIONS: viewers can look through
+// bookings, staff can also move them on.
+// POST /admin/login exchanges a username and password for a session token,
+// "<username>.<expiresAt>.<signature>", an HMAC of the username, expiry and password hash. A
+// token lasts admin.sessionTtl and ends early if its account is removed or its password
+// changed. The role is looked up on each request, never taken from the token. Tokens are
+// signed with admin.secret; without one a key is made per process and sessions end with it.
+// Failed logins are limited to admin.maxLoginAttempts per username per admin.loginWindow.
+
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const { promisify } = require("util")
+
+const scrypt = promisify(crypto.scrypt)
+
+const ROLE_PERMISSIONS = {
+  viewer: ["bookings:read"],
+  staff: ["bookings:read", "bookings:update"],
+}
+
+const KEY_LENGTH = 64
+
+/**
+ * Hash a password for users.json
+ * @returns {Promise<string>} "scrypt:<salt>:<hash>"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const hash = await scrypt(password, salt, KEY_LENGTH)
+  return `scrypt:${salt}:${hash.toString("hex")}`
+}
+
+/**
+ * Check a password against a stored hash
+ */
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split(":")
+  if (scheme !== "scrypt" || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, "hex")
+  const given = await scrypt(password, salt, expected.length)
+  return crypto.timingSafeEqual(given, expected)
+}
+
+/**
+ * Read the staff accounts; a missing file means there are none
+ */
+function loadUsers(dataDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, "users.json"), "utf8"))
+  } catch (error) {
+    if (error.code === "ENOENT") return []
+    throw error
+  }
+}
+
+/**
+ * Write the staff accounts, through a temporary file like the booking store
+ */
+async function saveUsers(dataDir, users) {
+  const filePath = path.join(dataDir, "users.json")
+  await fs.promises.mkdir(dataDir, { recursive: true })
+  await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(users, null, 2), { mode: 0o600 })
+  await fs.promises.rename(`${filePath}.tmp`, filePath)
+}
+
+/**
+ * Create the staff sign-in service
+ * @param {object} adminConfig - config.admin
+ * @param {string} dataDir - config.dataDir, holding users.json
+ * @returns {object} Service with login(), authenticate(), can() and hasUsers()
+ */
+function createAuth(adminConfig, dataDir) {
+  const secret = adminConfig.secret || crypto.randomBytes(32).toString("hex")
+  const filePath = path.join(dataDir, "users.json")
+  const failures = new Map()
+  // Unknown usernames are checked against this so they take as long as known ones
+  const dummyHash = `scrypt:${crypto.randomBytes(16).toString("hex")}:${crypto.randomBytes(KEY_LENGTH).toString("hex")}`
+  let users = []
+  let loadedAt = null
+
+  const sign = (user, expiresAt) =>
+    crypto.createHmac("sha256", secret).update(`${user.username}.${expiresAt}.${user.passwordHash}`).digest("base64url")
+
+  function getUsers() {
+    let modifiedAt = 0
+    try {
+      modifiedAt = fs.statSync(filePath).mtimeMs
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error
+    }
+
+    if (modifiedAt !== loadedAt) {
+      users = loadUsers(dataDir)
+      loadedAt = modifiedAt
+    }
+    return users
+  }
+
+  const findUser = (username) => getUsers().find((user) => user.username === username) || null
+
+  /**
+   * Forget usernames with no failed sign-ins left in the throttle window
+   */
+  function prune(now) {
+    failures.forEach((failedAts, username) => {
+      if (failedAts.every((failedAt) => now - failedAt >= adminConfig.loginWindow)) failures.delete(username)
+    })
+  }
+
+  /**
+   * Check a username and password and start a session
+   * @returns {Promise<object>} { isValid: true, token, expiresAt, user }, or
+   *   { isValid: false, reason } where reason is "invalid", or "throttled" with retryAfter in milliseconds
+   */
+  async function login(username, password, now = Date.now()) {
+    prune(now)
+
+    const recent = (failures.get(username) || []).filter((failedAt) => now - failedAt < adminConfig.loginWindow)
+    if (recent.length >= adminConfig.maxLoginAttempts) {
+      return { isValid: false, reason: "throttled", retryAfter: recent[0] + adminConfig.loginWindow - now }
+    }
+
+    const user = findUser(username)
+    const matches = await verifyPassword(String(password), user?.passwordHash || dummyHash)
+    if (!user || !matches || !ROLE_PERMISSIONS[user.role]) {
+      failures.set(username, [...recent, now])
+      return { isValid: false, reason: "invalid" }
+    }
+
+    failures.delete(username)
+    const expiresAt = now + adminConfig.sessionTtl
+    return {
+      isValid: true,
+      token: `${user.username}.${expiresAt}.${sign(user, expiresAt)}`,
+      expiresAt,
+      user: { username: user.username, role: user.role },
+    }
+  }
+
+  /**
+   * Get the account a session token belongs to
+   * @returns {object|null} { username, role }, or null if the token is not valid
+   */
+  function authenticate(token, now = Date.now()) {
+    const [username, expiresAt, signature] = String(token || "").split(".")
+    if (!(Number(expiresAt) > now) || !signature) return null
+
+    const user = findUser(username)
+    if (!user || !ROLE_PERMISSIONS[user.role]) return null
+
+    const expected = Buffer.from(sign(user, expiresAt))
+    const given = Buffer.from(signature)
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null
+
+    return { username: user.username, role: user.role }
+  }
+
+  /**
+   * Check whether an account's role grants a permission
+   */
+  function can(user, permission) {
+    return (ROLE_PERMISSIONS[user?.role] || []).includes(permission)
+  }
+
+  function hasUsers() {
+    return getUsers().length > 0
+  }
+
+  return { login, authenticate, can, hasUsers }
+}
+
+module.exports = { ROLE_PERMISSIONS, hashPassword, verifyPassword, loadUsers, saveUsers, createAuth }
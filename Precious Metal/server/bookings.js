@@ -0,0 +1,246 @@
+// Booking Rules
+
+// Server-side counterpart of validateBookingForm() and processBooking() in script.js.
+// The client's figures are never trusted: totals are recomputed from the quote the server
+// issued for the booking, once it has checked that quote against its current rate.
+
+const crypto = require("crypto")
+
+const { getPurityOptions, getVariantPrice, getMetalContentPrice } = require("../purity")
+const { BOOKING_SIDES, normalizeSide, getSidePrice } = require("../spread")
+const { calculatePriceBreakdown } = require("../pricing")
+const { WEIGHT_UNITS, toGrams, convertWeight, getUnitLabel, calculateWeightValue } = require("../units")
+const { getMetalKeys, findMetalKey } = require("../metals")
+const { normalizePan, checkBookingPan, isMaskedAadhaar, maskPan, buildKyc } = require("../kyc")
+
+const BOOKING_STATUSES = ["confirmed", "paid", "delivered", "cancelled"]
+
+// Statuses a booking may move to from its current status. Staff move bookings on as they are
+// paid for and handed over (see admin.js); customers may only cancel confirmed ones.
+const STATUS_TRANSITIONS = {
+  confirmed: ["paid", "cancelled"],
+  paid: ["delivered", "cancelled"],
+  delivered: [],
+  cancelled: [],
+}
+
+const validators = {
+  fullName: (value) => /^[a-zA-Z\s]{2,50}$/.test(value) || "Name must contain only letters and spaces",
+  phone: (value) => /^\d{10}$/.test(value) || "Phone number must be 10 digits",
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || "Invalid email address",
+  metalType: (value, metalsConfig) =>
+    Boolean(findMetalKey(value, metalsConfig)) ||
+    `Metal type must be one of: ${getMetalKeys(metalsConfig)
+      .map((metal) => metalsConfig[metal].name)
+      .join(", ")}`,
+  quantity: (value) => (Number.isFinite(Number(value)) && Number(value) > 0) || "Quantity must be a positive number",
+  quoteId: (value) => /^[A-Za-z0-9]{1,40}$/.test(value) || "Quote ID is not valid",
+}
+
+/**
+ * Validate a booking request body
+ * @param {object} body - Parsed request body
+ * @param {object} metalsConfig - config.metals
+ * @returns {object} Validation result with isValid and errors
+ */
+function validateBookingRequest(body, metalsConfig) {
+  const errors = {}
+
+  Object.keys(validators).forEach((field) => {
+    const value = body[field]?.toString().trim() || ""
+    if (!value) {
+      errors[field] = "This field is required"
+      return
+    }
+
+    const result = validators[field](value, metalsConfig)
+    if (result !== true) errors[field] = result
+  })
+
+  const metalKey = findMetalKey(body.metalType, metalsConfig)
+  const metal = metalsConfig[metalKey]
+  if (metal && body.purity !== undefined) {
+    const codes = getPurityOptions(metalKey, metalsConfig).map((purity) => purity.code)
+    if (!codes.includes(body.purity)) {
+      errors.purity = `Purity must be one of: ${codes.join(", ")}`
+    }
+  }
+
+  // Client IDs make retries idempotent and appear in /bookings/:id URLs
+  if (body.id !== undefined && !(typeof body.id === "string" && /^[A-Za-z0-9_-]{1,40}$/.test(body.id))) {
+    errors.id = "Booking ID must be 1 to 40 letters, digits, dashes or underscores"
+  }
+
+  if (body.side !== undefined && !BOOKING_SIDES.includes(body.side)) {
+    errors.side = `Side must be one of: ${BOOKING_SIDES.join(", ")}`
+  }
+
+  const unit = body.unit || metal?.defaultUnit
+  if (!WEIGHT_UNITS[unit]) {
+    errors.unit = `Unit must be one of: ${Object.keys(WEIGHT_UNITS).join(", ")}`
+  } else if (metal && !errors.quantity) {
+    const maxGrams = metal.maxQuantity
+    const grams = toGrams(Number(body.quantity), unit)
+    const minGrams = body.side === "sell" ? metal.minSellQuantity : metal.minBuyQuantity
+    if (grams < minGrams) {
+      const minInUnit = Math.ceil(convertWeight(minGrams, "g", unit) * 1000) / 1000
+      const kind = body.side === "sell" ? "sale" : "purchase"
+      errors.quantity = `Minimum ${kind} of ${body.metalType} is ${minInUnit} ${getUnitLabel(unit)}`
+    } else if (grams > maxGrams) {
+      const maxInUnit = Math.floor(convertWeight(maxGrams, "g", unit) * 1000) / 1000
+      errors.quantity = `Maximum quantity for ${body.metalType} is ${maxInUnit} ${getUnitLabel(unit)}`
+    }
+  }
+
+  // The FX rate prices were shown at is recorded for reference; bookings settle in INR
+  if (body.fx !== undefined && body.fx !== null) {
+    const rate = Number(body.fx.rate)
+    if (!/^[A-Z]{3}$/.test(body.fx.currency) || !Number.isFinite(rate) || rate <= 0) {
+      errors.fx = "FX rate must have a currency code and a positive rate"
+    }
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Check a quoted price against the server rate
+ * @param {number} quotedPrice - Price the quote locked
+ * @param {number} serverPrice - Current server price
+ * @param {number} tolerancePercent - Allowed difference in percent
+ * @returns {boolean} True if the quote is within tolerance
+ */
+function isQuoteWithinTolerance(quotedPrice, serverPrice, tolerancePercent) {
+  return (Math.abs(quotedPrice - serverPrice) / serverPrice) * 100 <= tolerancePercent
+}
+
+const PAN_ERRORS = {
+  required: "PAN is required for bookings of this value",
+  format: "PAN must look like ABCDE1234F",
+  holderType: "PAN holder type is not valid",
+}
+
+/**
+ * Validate a booking's KYC details against its server-computed total
+ * @param {object} body - Parsed request body; details are in body.kyc
+ * @param {number} grandTotal - Total from buildBooking()
+ * @param {object} kycConfig - config.kyc
+ * @returns {object} Validation result with isValid and errors
+ */
+function validateKycRequest(body, grandTotal, kycConfig) {
+  const errors = {}
+
+  const panError = checkBookingPan(normalizePan(body.kyc?.pan), grandTotal, kycConfig)
+  if (panError) errors.pan = PAN_ERRORS[panError]
+
+  // Full Aadhaar numbers are never accepted, only masked ones
+  if (body.kyc?.aadhaar && !isMaskedAadhaar(body.kyc.aadhaar)) {
+    errors.aadhaar = "Aadhaar number must be masked to its last 4 digits"
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Build the stored booking record from a validated request and the price it is made at
+ * Buys pay the variant price of the ask with charges and taxes; buy-backs are paid the
+ * metal content at the bid.
+ * @param {object} body - Validated request body
+ * @param {number} finePrice - Market fine-metal price: the quoted price, once within tolerance of the server rate
+ * @param {object} metalsConfig - config.metals
+ * @param {object} pricingConfig - config.pricing
+ * @param {object} marketStatus - From getMarketStatus(); bookings made while closed are for the next session
+ * @param {object} kycConfig - config.kyc
+ * @returns {object} Booking record
+ */
+function buildBooking(body, finePrice, metalsConfig, pricingConfig, marketStatus, kycConfig) {
+  const metal = findMetalKey(body.metalType, metalsConfig)
+  const purity = body.purity || getPurityOptions(metal, metalsConfig)[0].code
+  const side = normalizeSide(body.side)
+  const sidePrice = getSidePrice(metal, side, finePrice, metalsConfig)
+  const variantPrice =
+    side === "sell"
+      ? getMetalContentPrice(metal, purity, sidePrice, metalsConfig)
+      : getVariantPrice(metal, purity, sidePrice, metalsConfig)
+  const quantity = Number(body.quantity)
+  const unit = body.unit || metalsConfig[metal].defaultUnit
+  const calculation = calculateWeightValue(metal, quantity, unit, variantPrice, metalsConfig)
+  const breakdown = calculatePriceBreakdown(
+    metal,
+    purity,
+    calculation.totalValue,
+    calculation.grams,
+    side === "sell" ? { rules: [] } : pricingConfig,
+  )
+  const kyc = buildKyc(body.kyc, breakdown.grandTotal, kycConfig)
+  const now = new Date().toISOString()
+
+  return {
+    id: body.id || `PM${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+    side,
+    fullName: String(body.fullName).trim(),
+    phone: String(body.phone).trim(),
+    email: String(body.email).trim(),
+    metalType: body.metalType,
+    purity,
+    quantity,
+    unit,
+    grams: calculation.grams,
+    currentPrice: variantPrice,
+    finePrice,
+    quoteId: body.quoteId?.toString() || null,
+    pricePerGram: calculation.pricePerGram,
+    totalValue: calculation.totalValue,
+    lineItems: breakdown.lineItems,
+    grandTotal: breakdown.grandTotal,
+    // Only the PAN's last four characters are kept
+    kyc: { ...kyc, pan: kyc.pan && maskPan(kyc.pan) },
+    fx: body.fx
+      ? {
+          currency: body.fx.currency,
+          rate: Number(body.fx.rate),
+          source: body.fx.source?.toString() || null,
+          timestamp: body.fx.timestamp?.toString() || null,
+        }
+      : null,
+    session: marketStatus.isOpen ? "current" : "next",
+    sessionOpensAt: marketStatus.isOpen ? null : marketStatus.nextSession?.opensAt.toISOString() || null,
+    // Instalments of a systematic investment plan name their plan and due date
+    sip: body.sip ? { planId: body.sip.planId?.toString() || null, dueDate: body.sip.dueDate?.toString() || null } : null,
+    timestamp: now,
+    updatedAt: now,
+    status: "confirmed",
+  }
+}
+
+/**
+ * Check whether a booking may move to the requested status
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Check whether a booking is still inside its cancellation grace period
+ * @param {object} booking - Stored booking
+ * @param {number} gracePeriod - Grace period in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the booking may still be cancelled
+ */
+function isWithinGracePeriod(booking, gracePeriod, now = Date.now()) {
+  return now - new Date(booking.timestamp).getTime() <= gracePeriod
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  STATUS_TRANSITIONS,
+  validateBookingRequest,
+  validateKycRequest,
+  isQuoteWithinTolerance,
+  buildBooking,
+  canTransition,
+  isWithinGracePeriod,
+}
@@ -0,0 +1,35 @@
+// Booking Rules tests
+//
+// Usage:
+//   node --test server/
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const config = require("./config")
+const { validateKycRequest, buildBooking } = require("./bookings")
+const { buildKyc } = require("../kyc")
+
+// KYC details as processBooking() in script.js sends them, for a booking over the PAN threshold
+const grandTotal = config.kyc.panThreshold + 50000
+const request = {
+  fullName: "Asha Rao",
+  phone: "9876543210",
+  email: "asha@example.in",
+  metalType: "Gold",
+  purity: "24K",
+  quantity: 30,
+  unit: "g",
+  kyc: buildKyc({ pan: "abcpe1234f", aadhaar: "XXXX XXXX 1234" }, grandTotal, config.kyc),
+}
+
+test("a PAN sent from the booking form passes the server's KYC check", () => {
+  const validation = validateKycRequest(request, grandTotal, config.kyc)
+  assert.equal(validation.isValid, true, JSON.stringify(validation.errors))
+})
+
+test("a stored booking keeps only the PAN's last four characters", () => {
+  const booking = buildBooking(request, 99320, config.metals, config.pricing, { isOpen: true }, config.kyc)
+  assert.equal(booking.kyc.pan, "XXXXXX234F")
+  assert.equal(booking.kyc.aadhaar, "XXXX XXXX 1234")
+})
@@ -0,0 +1,199 @@
+// Server Configuration
+
+const path = require("path")
+
+module.exports = {
+  port: Number(process.env.PORT) || 8080,
+
+  // Bookings are kept in <dataDir>/bookings.json
+  dataDir: process.env.DATA_DIR || path.join(__dirname, "data"),
+
+  // The front end is served from the same origin so CONFIG.api.baseUrl can be "http://localhost:8080"
+  staticDir: path.join(__dirname, ".."),
+
+  rates: {
+    tickInterval: 5000,
+  },
+
+  // Must match CONFIG.metals in script.js; GET /rates quotes every metal listed here
+  metals: {
+    gold: {
+      name: "Gold",
+      rateUnit: "10g",
+      // The first entry is the fine metal the rates are quoted for
+      purities: [
+        { code: "24K", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "22K", purityPercent: 91.6, factor: 0.916, premiumPercent: 1.5 },
+        { code: "18K", purityPercent: 75.0, factor: 0.75, premiumPercent: 2 },
+        { code: "14K", purityPercent: 58.5, factor: 0.585, premiumPercent: 2.5 },
+      ],
+      defaultUnit: "g",
+      maxQuantity: 500, // grams
+      minBuyQuantity: 0.01, // grams; small enough for the smallest SIP instalment
+      minSellQuantity: 1, // grams; smaller buy-backs are not worth testing
+      spreadPercent: { ask: 0.25, bid: 1.5 }, // Customers buy above and sell below the market rate
+      fluctuation: 50,
+      initialRate: { price: 99320 }, // ₹ per 10g
+    },
+    silver: {
+      name: "Silver",
+      rateUnit: "kg",
+      purities: [
+        { code: "999", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "925", purityPercent: 92.5, factor: 0.925, premiumPercent: 3 },
+      ],
+      defaultUnit: "kg",
+      maxQuantity: 50000, // grams (50 kg)
+      minBuyQuantity: 1, // grams
+      minSellQuantity: 100, // grams
+      spreadPercent: { ask: 0.5, bid: 2.5 },
+      fluctuation: 80,
+      initialRate: { price: 106780 }, // ₹ per kg
+    },
+    platinum: {
+      name: "Platinum",
+      rateUnit: "10g",
+      purities: [
+        { code: "999", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "950", purityPercent: 95.0, factor: 0.95, premiumPercent: 4 },
+      ],
+      defaultUnit: "g",
+      maxQuantity: 500, // grams
+      minBuyQuantity: 0.01, // grams
+      minSellQuantity: 1, // grams
+      spreadPercent: { ask: 0.5, bid: 2 },
+      fluctuation: 40,
+      initialRate: { price: 45210 }, // ₹ per 10g
+    },
+    palladium: {
+      name: "Palladium",
+      rateUnit: "10g",
+      purities: [
+        { code: "999", purityPercent: 99.9, factor: 0.999, premiumPercent: 0 },
+        { code: "950", purityPercent: 95.0, factor: 0.95, premiumPercent: 3 },
+      ],
+      defaultUnit: "g",
+      maxQuantity: 500, // grams
+      minBuyQuantity: 0.01, // grams
+      minSellQuantity: 1, // grams
+      spreadPercent: { ask: 0.5, bid: 2.5 },
+      fluctuation: 60,
+      initialRate: { price: 38940 }, // ₹ per 10g
+    },
+  },
+
+  // Served by GET /fx for CONFIG.fx.provider "http"; units of each currency per rupee
+  fx: {
+    rates: {
+      USD: 0.01136,
+      AED: 0.04172,
+    },
+  },
+
+  // Must match CONFIG.pricing in script.js
+  pricing: {
+    rules: [
+      // Wastage on ornaments, as a percent of the metal value
+      { code: "wastage", label: "Wastage", type: "percent", base: "metal", rate: { gold: { "22K": 2, "18K": 2.5, "14K": 3 } } },
+      // Making charges; 24K and 999 coins and bars carry none
+      {
+        code: "making",
+        label: "Making Charges",
+        type: "percent",
+        base: "metal",
+        rate: { gold: { "22K": 8, "18K": 10, "14K": 12 }, silver: { "925": { type: "perGram", value: 12 } } },
+      },
+      { code: "gst", label: "GST", type: "percent", base: "subtotal", rate: 3 },
+      // TCS is collected on the whole invoice once it exceeds the threshold
+      { code: "tcs", label: "TCS", type: "percent", base: "subtotal", rate: 1, threshold: 200000 },
+    ],
+  },
+  // Must match CONFIG.business and CONFIG.market in script.js
+  business: {
+    name: "PreciousMetals Pro",
+    email: "support@preciousmetalspro.in",
+    phone: "+91 12345 67890",
+    address: "Mumbai, Maharashtra, India",
+    gstin: "27AABCP1234M1Z5",
+    workingHours: {
+      weekdays: { open: "09:00", close: "18:00" },
+      saturday: { open: "10:00", close: "16:00" },
+      sunday: null,
+    },
+  },
+  market: {
+    holidays: [
+      { date: "2026-01-26", name: "Republic Day" },
+      { date: "2026-03-04", name: "Holi" },
+      { date: "2026-08-15", name: "Independence Day" },
+      { date: "2026-10-02", name: "Gandhi Jayanti" },
+      { date: "2026-12-25", name: "Christmas" },
+    ],
+    specialSessions: [{ date: "2026-11-08", name: "Diwali Muhurat Trading", open: "18:00", close: "19:15" }],
+    closedBookings: "nextSession",
+  },
+
+  // Must match CONFIG.kyc in script.js; see kyc.js
+  kyc: {
+    panThreshold: 200000, // Bookings totalling ₹2 lakh or more need a PAN
+  },
+
+  // Rate locks for the booking modal; see quotes.js
+  quotes: {
+    lockDuration: 60000, // A quote holds its rate for 60 seconds
+    tolerancePercent: 0.25, // Re-quote if the market moves further than this from the locked rate
+  },
+
+  bookings: {
+    // Customers may cancel within this long of booking
+    cancellationGracePeriod: 15 * 60 * 1000,
+  },
+
+  // Phone verification before booking; see otp.js
+  otp: {
+    codeLength: 6,
+    codeTtl: 5 * 60 * 1000,
+    maxAttempts: 5, // Wrong guesses allowed per code
+    resendInterval: 30 * 1000,
+    maxSends: 5, // Codes per phone per sendWindow
+    sendWindow: 60 * 60 * 1000,
+    verificationTtl: 30 * 24 * 60 * 60 * 1000, // A verified number is remembered for 30 days
+    // Signs verification tokens; set OTP_SECRET so tokens outlive a restart
+    secret: process.env.OTP_SECRET || null,
+  },
+
+  // Staff sign-in for the back office; see auth.js. Accounts are managed with users.js
+  admin: {
+    // Signs session tokens; set ADMIN_SECRET so sessions outlive a restart
+    secret: process.env.ADMIN_SECRET || null,
+    sessionTtl: 8 * 60 * 60 * 1000, // One working day
+    maxLoginAttempts: 5, // Failed logins per username per loginWindow
+    loginWindow: 15 * 60 * 1000,
+  },
+
+  // See sms.js; "console" and "file" are stand-ins for local development
+  sms: {
+    transport: process.env.SMS_TRANSPORT || "console", // "console", "file" or "http"
+    url: process.env.SMS_URL || null,
+    apiKey: process.env.SMS_API_KEY || null,
+    sender: "PMPRO",
+    timeout: 10000,
+  },
+
+  // See mail.js; "console" and "file" are stand-ins for local development
+  email: {
+    transport: process.env.EMAIL_TRANSPORT || "console", // "console", "file" or "smtp"
+    from: process.env.EMAIL_FROM || "PreciousMetals Pro <support@preciousmetalspro.in>",
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 1025, // Mailpit and MailHog listen on 1025
+    timeout: 10000,
+  },
+
+  // Booking confirmations, cancellations and reminders; see notifications.js
+  notifications: {
+    maxAttempts: 5, // Attempts per message before it is marked failed
+    retryDelay: 60 * 1000, // Doubled after each failed attempt
+    checkInterval: 30 * 1000, // How often reminders and retries are sent
+    reminderLead: 30 * 60 * 1000, // Bookings for the next session are reminded this long before it opens
+  },
+}
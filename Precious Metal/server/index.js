@@ -0,0 +1,455 @@
+// PreciousMetals Pro API Server
+//
+// Routes:
+//   GET   /rates          Current server rates
+//   GET   /fx             Display-currency FX rates (units per rupee)
+//   POST  /otp            Text a verification code to a phone
+//   POST  /otp/verify     Exchange a code for a phone verification token
+//   POST  /quotes         Lock the rate of a metal for a booking
+//   POST  /bookings       Create a booking at its locked quote, for a verified phone
+//   GET   /bookings/:id   Fetch a booking, for its verified phone
+//   PATCH /bookings/:id   Cancel a booking, for its verified phone
+//   POST  /admin/login           Staff sign-in, for a session token
+//   GET   /admin/me              The signed-in account and the status changes bookings allow
+//   GET   /admin/bookings        Search, filter and sort all bookings
+//   GET   /admin/summary?date=   Totals per metal for an IST day
+//   GET   /admin/export?format=  Download the bookings matching the /admin/bookings filters,
+//                                as csv, json or xlsx
+//   PATCH /admin/bookings/:id    Change a booking's status or KYC status, or add a note
+// /bookings/:id needs "X-Phone-Verification: <token>" from /otp/verify for the booking's phone.
+// The /admin routes other than login need "Authorization: Bearer <token>"; the back office
+// itself is admin.html.
+// Any other GET serves the front end from config.staticDir.
+//
+// Usage:
+//   node server/index.js
+//   PORT=9000 DATA_DIR=/var/lib/preciousmetals node server/index.js
+//   SMS_TRANSPORT=file OTP_SECRET=… node server/index.js
+//   EMAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 node server/index.js
+//   ADMIN_SECRET=… node server/index.js
+// Then set CONFIG.api.baseUrl in script.js to "http://localhost:8080".
+
+const http = require("http")
+const fs = require("fs")
+const path = require("path")
+
+const config = require("./config")
+const { createRateFeed } = require("./rates")
+const { createBookingStore } = require("./store")
+const { createSmsTransport } = require("./sms")
+const { createOtpService } = require("./otp")
+const { createQuoteService } = require("./quotes")
+const { createEmailTransport } = require("./mail")
+const { createNotifier } = require("./notifications")
+const { createAuth } = require("./auth")
+const { selectBookings, queryBookings, getDailyTotals, appendHistory, buildStaffUpdate } = require("./admin")
+const {
+  validateBookingRequest,
+  validateKycRequest,
+  isQuoteWithinTolerance,
+  buildBooking,
+  canTransition,
+  isWithinGracePeriod,
+  STATUS_TRANSITIONS,
+} = require("./bookings")
+const { getMarketStatus, getIstDay } = require("../market-calendar")
+const { findMetalKey } = require("../metals")
+const { EXPORT_FORMATS, createExportFile } = require("../spreadsheet")
+
+const MAX_BODY_BYTES = 100 * 1024
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+}
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, OPTIONS",
+  "Access-Control-Allow-Headers": "Accept, Authorization, Content-Type, X-Phone-Verification",
+}
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message)
+    this.status = status
+    this.details = details
+  }
+}
+
+// Same rule as booking phone numbers
+function isValidPhone(phone) {
+  return /^\d{10}$/.test(phone?.toString() || "")
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Send an export file as a download
+ * @param {object} file - From createExportFile()
+ */
+function sendFile(res, baseName, file) {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    "Content-Type": file.type,
+    "Content-Disposition": `attachment; filename="${baseName}.${file.extension}"`,
+  })
+  res.end(typeof file.content === "string" ? file.content : Buffer.from(file.content))
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0
+    const chunks = []
+
+    req.on("data", (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+
+    req.on("end", () => {
+      let body
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {}
+      } catch (error) {
+        reject(new HttpError(400, "Request body must be valid JSON"))
+        return
+      }
+
+      // Handlers read fields off the body, so it has to be an object
+      if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        reject(new HttpError(400, "Request body must be a JSON object"))
+        return
+      }
+      resolve(body)
+    })
+
+    req.on("error", reject)
+  })
+}
+
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost")
+  const relativePath = pathname === "/" ? "index.html" : decodeURIComponent(pathname).replace(/^\/+/, "")
+  const filePath = path.resolve(config.staticDir, relativePath)
+
+  // Never serve anything outside the front end, or the server itself
+  const serverDir = path.resolve(__dirname)
+  if (!filePath.startsWith(config.staticDir + path.sep) || filePath.startsWith(serverDir + path.sep)) {
+    throw new HttpError(404, "Not found")
+  }
+
+  try {
+    const content = await fs.promises.readFile(filePath)
+    res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream" })
+    res.end(content)
+  } catch (error) {
+    throw new HttpError(404, "Not found")
+  }
+}
+
+function createHandler({ rateFeed, store, otp, quotes, notifier, auth }) {
+  // Quotes lock the server's current rate for the metal
+  const issueQuote = (metal) => quotes.issue(config.metals[metal].name, rateFeed.getRates()[metal].price)
+
+  async function createQuote(req, res) {
+    const metal = findMetalKey((await readJsonBody(req)).metalType, config.metals)
+    if (!metal) throw new HttpError(400, "Unknown metal type")
+
+    sendJson(res, 201, issueQuote(metal))
+  }
+
+  // Codes and tokens are keyed by the phone as a string, however the client sent it
+  async function sendOtp(req, res) {
+    const phone = String((await readJsonBody(req)).phone).trim()
+    if (!isValidPhone(phone)) {
+      throw new HttpError(400, "Invalid phone number", { errors: { phone: "Phone number must be 10 digits" } })
+    }
+
+    let result
+    try {
+      result = await otp.send(phone)
+    } catch (error) {
+      console.error(`Sending a verification code to ${phone} failed:`, error)
+      throw new HttpError(502, "The verification code could not be sent")
+    }
+    if (!result.sent) {
+      throw new HttpError(429, "Too many codes requested", { retryAfter: result.retryAfter })
+    }
+
+    sendJson(res, 202, { expiresAt: result.expiresAt, resendAt: result.resendAt })
+  }
+
+  async function verifyOtp(req, res) {
+    const body = await readJsonBody(req)
+    const phone = String(body.phone).trim()
+    const code = body.code
+    if (!isValidPhone(phone) || !/^\d+$/.test(code?.toString() || "")) {
+      throw new HttpError(400, "A phone number and code are required")
+    }
+
+    const result = otp.verify(phone, code)
+    if (result.reason === "invalid") {
+      throw new HttpError(400, "Incorrect code", { reason: result.reason, attemptsLeft: result.attemptsLeft })
+    } else if (result.reason === "expired") {
+      throw new HttpError(410, "The code has expired", { reason: result.reason })
+    } else if (result.reason === "locked") {
+      throw new HttpError(429, "Too many incorrect attempts", { reason: result.reason })
+    }
+
+    sendJson(res, 200, { token: result.token, expiresAt: result.expiresAt })
+  }
+
+  async function createBooking(req, res) {
+    const body = await readJsonBody(req)
+
+    const validation = validateBookingRequest(body, config.metals)
+    if (!validation.isValid) {
+      throw new HttpError(400, "Invalid booking", { errors: validation.errors })
+    }
+
+    const phone = String(body.phone).trim()
+    if (!otp.checkToken(body.phoneVerification, phone)) {
+      throw new HttpError(403, "The phone number has not been verified", { verification: "required" })
+    }
+
+    // Retried requests reuse the client's booking ID, so return the booking already made,
+    // but only to the phone it was made for
+    const existing = body.id && store.get(body.id)
+    if (existing) {
+      if (existing.phone !== phone) throw new HttpError(409, "This booking ID is already in use")
+      sendJson(res, 200, existing)
+      return
+    }
+
+    // Outside trading hours bookings are either refused or taken for the next session
+    const marketStatus = getMarketStatus(new Date(), config.business.workingHours, config.market)
+    if (!marketStatus.isOpen && config.market.closedBookings === "block") {
+      throw new HttpError(409, "The market is closed", { nextOpen: marketStatus.nextSession?.opensAt || null })
+    }
+
+    // Only quotes this server issued are honoured; a lapsed or moved one is answered with a fresh
+    // quote for the customer to accept
+    const metal = findMetalKey(body.metalType, config.metals)
+    const quote = quotes.get(body.quoteId)
+    if (!quote || quote.metalType !== body.metalType) {
+      throw new HttpError(409, "The quote has expired", { reason: "expired", quote: issueQuote(metal) })
+    }
+    const serverPrice = rateFeed.getRates()[metal].price
+    if (!isQuoteWithinTolerance(quote.price, serverPrice, config.quotes.tolerancePercent)) {
+      throw new HttpError(409, "The rate has changed since it was quoted", { reason: "moved", quote: issueQuote(metal) })
+    }
+
+    // A quote within tolerance is honoured, so the booking and its PAN threshold use the locked price
+    const record = buildBooking(body, quote.price, config.metals, config.pricing, marketStatus, config.kyc)
+    const kycValidation = validateKycRequest(body, record.grandTotal, config.kyc)
+    if (!kycValidation.isValid) {
+      throw new HttpError(400, "Invalid booking", { errors: kycValidation.errors })
+    }
+
+    const booking = await store.create(record)
+    if (!booking) throw new HttpError(409, "This booking ID is already in use")
+    console.log(
+      `Booking ${booking.id} created to ${booking.side} ${booking.quantity} ${booking.unit} ${booking.purity} ${booking.metalType}`,
+    )
+    sendJson(res, 201, booking)
+
+    // Sent after responding; delivery is recorded on the booking
+    notifier.notify(booking.id, "confirmation")
+  }
+
+  /**
+   * Get a booking for its customer, who must have verified the booking's phone
+   */
+  function requireCustomerBooking(req, id) {
+    const booking = store.get(id)
+    if (!booking) throw new HttpError(404, "Booking not found")
+    if (!otp.checkToken(req.headers["x-phone-verification"], booking.phone)) {
+      throw new HttpError(403, "The phone number has not been verified", { verification: "required" })
+    }
+    return booking
+  }
+
+  async function updateBooking(req, res, id) {
+    const booking = requireCustomerBooking(req, id)
+
+    // Customers may only cancel; payment and delivery are recorded by staff
+    const body = await readJsonBody(req)
+    if (body.status !== "cancelled") {
+      throw new HttpError(400, "Bookings can only be cancelled")
+    }
+    if (booking.status !== "confirmed" || !canTransition(booking.status, body.status)) {
+      throw new HttpError(409, `Cannot change a ${booking.status} booking to ${body.status}`)
+    }
+    if (!isWithinGracePeriod(booking, config.bookings.cancellationGracePeriod)) {
+      throw new HttpError(409, "The cancellation period for this booking has ended")
+    }
+
+    const history = appendHistory(booking, { by: "customer", status: body.status })
+    sendJson(res, 200, await store.update(id, { status: body.status, history }))
+
+    notifier.notify(id, "cancellation")
+  }
+
+  /**
+   * Get the signed-in staff account, checking it may do what is asked
+   */
+  function requireStaff(req, permission) {
+    const [scheme, token] = (req.headers.authorization || "").split(" ")
+    const user = scheme === "Bearer" ? auth.authenticate(token) : null
+    if (!user) throw new HttpError(401, "Sign in to continue")
+    if (!auth.can(user, permission)) throw new HttpError(403, "Your account cannot do this")
+    return user
+  }
+
+  async function login(req, res) {
+    const { username, password } = await readJsonBody(req)
+    if (!username || !password) {
+      throw new HttpError(400, "A username and password are required")
+    }
+
+    const result = await auth.login(username.toString(), password.toString())
+    if (result.reason === "throttled") {
+      throw new HttpError(429, "Too many failed sign-ins", { retryAfter: result.retryAfter })
+    } else if (!result.isValid) {
+      console.warn(`Failed back office sign-in for "${username}"`)
+      throw new HttpError(401, "Incorrect username or password")
+    }
+
+    sendJson(res, 200, { token: result.token, expiresAt: result.expiresAt, user: result.user })
+  }
+
+  async function updateBookingAsStaff(req, res, id) {
+    const user = requireStaff(req, "bookings:update")
+    const booking = store.get(id)
+    if (!booking) throw new HttpError(404, "Booking not found")
+
+    const update = buildStaffUpdate(booking, await readJsonBody(req), user.username)
+    if (!update.isValid) {
+      throw new HttpError(400, "Invalid update", { errors: update.errors })
+    }
+
+    const updated = await store.update(id, update.changes)
+    console.log(`Booking ${id} updated by ${user.username}${update.changes.status ? ` to ${update.changes.status}` : ""}`)
+    sendJson(res, 200, updated)
+
+    if (update.changes.status === "cancelled") notifier.notify(id, "cancellation")
+  }
+
+  async function handleAdminRequest(req, res, pathname, searchParams) {
+    const bookingMatch = pathname.match(/^\/admin\/bookings\/([A-Za-z0-9_-]+)$/)
+
+    if (req.method === "POST" && pathname === "/admin/login") {
+      await login(req, res)
+    } else if (req.method === "GET" && pathname === "/admin/me") {
+      sendJson(res, 200, { ...requireStaff(req, "bookings:read"), statusTransitions: STATUS_TRANSITIONS })
+    } else if (req.method === "GET" && pathname === "/admin/bookings") {
+      requireStaff(req, "bookings:read")
+      sendJson(res, 200, queryBookings(store.list(), Object.fromEntries(searchParams), config.metals))
+    } else if (req.method === "GET" && pathname === "/admin/summary") {
+      requireStaff(req, "bookings:read")
+      const date = searchParams.get("date") || getIstDay(new Date()).dateKey
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new HttpError(400, "Date must be YYYY-MM-DD")
+      sendJson(res, 200, getDailyTotals(store.list(), date, config.metals))
+    } else if (req.method === "GET" && pathname === "/admin/export") {
+      const user = requireStaff(req, "bookings:read")
+      const format = searchParams.get("format") || "csv"
+      if (!EXPORT_FORMATS[format]) throw new HttpError(400, "Format must be csv, json or xlsx")
+      const bookings = selectBookings(store.list(), Object.fromEntries(searchParams), config.metals)
+      console.log(`${bookings.length} bookings exported as ${format} by ${user.username}`)
+      sendFile(res, `preciousmetals-bookings-${getIstDay(new Date()).dateKey}`, createExportFile("bookings", format, bookings))
+    } else if (req.method === "PATCH" && bookingMatch) {
+      await updateBookingAsStaff(req, res, bookingMatch[1])
+    } else {
+      throw new HttpError(404, "Not found")
+    }
+  }
+
+  return async function handleRequest(req, res) {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost")
+    const bookingMatch = pathname.match(/^\/bookings\/([A-Za-z0-9_-]+)$/)
+
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, CORS_HEADERS)
+        res.end()
+      } else if (req.method === "GET" && pathname === "/rates") {
+        sendJson(res, 200, rateFeed.getRates())
+      } else if (req.method === "GET" && pathname === "/fx") {
+        sendJson(res, 200, { base: "INR", rates: config.fx.rates, timestamp: new Date().toISOString() })
+      } else if (req.method === "POST" && pathname === "/otp") {
+        await sendOtp(req, res)
+      } else if (req.method === "POST" && pathname === "/otp/verify") {
+        await verifyOtp(req, res)
+      } else if (req.method === "POST" && pathname === "/quotes") {
+        await createQuote(req, res)
+      } else if (req.method === "POST" && pathname === "/bookings") {
+        await createBooking(req, res)
+      } else if (req.method === "GET" && bookingMatch) {
+        sendJson(res, 200, requireCustomerBooking(req, bookingMatch[1]))
+      } else if (req.method === "PATCH" && bookingMatch) {
+        await updateBooking(req, res, bookingMatch[1])
+      } else if (pathname.startsWith("/admin/")) {
+        await handleAdminRequest(req, res, pathname, searchParams)
+      } else if (req.method === "GET") {
+        await serveStatic(req, res)
+      } else {
+        throw new HttpError(405, "Method not allowed")
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error(`${req.method} ${pathname} failed:`, error)
+      }
+      const status = error.status || 500
+      sendJson(res, status, { error: status === 500 ? "Internal server error" : error.message, ...error.details })
+    }
+  }
+}
+
+async function startServer() {
+  const rateFeed = createRateFeed(config.rates, config.metals)
+  const store = await createBookingStore(config.dataDir)
+  const smsTransport = createSmsTransport(config.sms, config.dataDir)
+  const otp = createOtpService(config.otp, smsTransport)
+  const quotes = createQuoteService(config.quotes)
+  const auth = createAuth(config.admin, config.dataDir)
+  const notifier = createNotifier({
+    store,
+    config,
+    transports: { email: createEmailTransport(config.email, config.dataDir), sms: smsTransport },
+  })
+
+  rateFeed.start()
+  notifier.start()
+
+  const server = http.createServer(createHandler({ rateFeed, store, otp, quotes, notifier, auth }))
+  server.listen(config.port, () => {
+    console.log(`PreciousMetals Pro server listening on http://localhost:${config.port}`)
+    if (!auth.hasUsers()) {
+      console.warn("No back office accounts yet; add one with: node server/users.js add <username> staff")
+    }
+  })
+
+  return server
+}
+
+if (require.main === module) {
+  startServer().catch((error) => {
+    console.error("Failed to start server:", error)
+    process.exit(1)
+  })
+}
+
+module.exports = { createHandler, startServer }
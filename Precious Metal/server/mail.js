@@ -0,0 +1,173 @@
+// Email Transport
+
+// Email goes out through the transport named in config.email.transport:
+//   "console" - logs each message; the stand-in for local development
+//   "file"    - writes each message as an .eml file to <dataDir>/mail, to open in a mail client
+//   "smtp"    - delivers over plain SMTP to config.email.host and port, e.g. a local sink such
+//               as Mailpit or MailHog, or a relay on a trusted network. It does not
+//               authenticate or use TLS.
+// Messages are plain text: { to, subject, text }, sent from config.email.from. Another service
+// is plugged in by adding an entry to EMAIL_TRANSPORTS: a factory returning an object whose
+// send(message) resolves once the message has been accepted.
+
+const fs = require("fs")
+const net = require("net")
+const os = require("os")
+const path = require("path")
+const crypto = require("crypto")
+
+/**
+ * Get the bare address from "Name <address>"
+ */
+function getAddress(mailbox) {
+  const match = mailbox.match(/<([^>]+)>/)
+  return (match ? match[1] : mailbox).trim()
+}
+
+/**
+ * Encode a header value that is not plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`
+}
+
+/**
+ * Build an RFC 5322 message with CRLF line endings
+ * @param {object} message - { to, subject, text }
+ * @param {string} from - Sender mailbox
+ * @returns {string} Message source
+ */
+function buildMessage(message, from) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${message.to}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${getAddress(from).split("@")[1] || os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: 8bit",
+  ]
+  return `${headers.join("\r\n")}\r\n\r\n${message.text.replace(/\r?\n/g, "\r\n")}\r\n`
+}
+
+/**
+ * Deliver one message over SMTP
+ * @param {object} emailConfig - config.email
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<void>} Resolves once the server has queued the message
+ */
+function sendSmtp(emailConfig, message) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: emailConfig.host, port: emailConfig.port })
+    const replies = []
+    const waiting = []
+    let buffer = ""
+    let lines = []
+    let failure = null
+    let done = false
+
+    const fail = (error) => {
+      if (failure || done) return
+      failure = error
+      waiting.splice(0).forEach((waiter) => waiter.reject(error))
+      socket.destroy()
+      reject(error)
+    }
+
+    socket.setEncoding("utf8")
+    socket.setTimeout(emailConfig.timeout, () => {
+      fail(new Error("SMTP server timed out"))
+      socket.destroy()
+    })
+    socket.on("error", fail)
+    socket.on("close", () => fail(new Error("SMTP connection closed")))
+
+    // Replies may span several lines; "250-" continues one and "250 " ends it
+    socket.on("data", (chunk) => {
+      buffer += chunk
+      let end
+      while ((end = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, end)
+        buffer = buffer.slice(end + 2)
+        lines.push(line)
+        if (line[3] === "-") continue
+
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join(" ") }
+        lines = []
+        if (waiting.length) waiting.shift().resolve(reply)
+        else replies.push(reply)
+      }
+    })
+
+    const readReply = () =>
+      failure
+        ? Promise.reject(failure)
+        : replies.length
+          ? Promise.resolve(replies.shift())
+          : new Promise((resolveReply, rejectReply) => waiting.push({ resolve: resolveReply, reject: rejectReply }))
+
+    const expect = async (command, code) => {
+      if (command !== null) socket.write(`${command}\r\n`)
+      const reply = await readReply()
+      if (Math.floor(reply.code / 100) !== code) throw new Error(`SMTP server rejected ${command || "the connection"}: ${reply.text}`)
+    }
+
+    // Lines starting with a dot are doubled so they are not read as the end of the data
+    const data = buildMessage(message, emailConfig.from).replace(/^\./gm, "..")
+
+    ;(async () => {
+      await expect(null, 2)
+      await expect(`EHLO ${os.hostname()}`, 2)
+      await expect(`MAIL FROM:<${getAddress(emailConfig.from)}>`, 2)
+      await expect(`RCPT TO:<${getAddress(message.to)}>`, 2)
+      await expect("DATA", 3)
+      await expect(`${data}.`, 2)
+      done = true
+      socket.end("QUIT\r\n")
+      resolve()
+    })().catch(fail)
+  })
+}
+
+const EMAIL_TRANSPORTS = {
+  console: () => ({
+    async send(message) {
+      console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`)
+    },
+  }),
+
+  file: (emailConfig, dataDir) => {
+    const mailDir = path.join(dataDir, "mail")
+
+    return {
+      async send(message) {
+        await fs.promises.mkdir(mailDir, { recursive: true })
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`
+        await fs.promises.writeFile(path.join(mailDir, fileName), buildMessage(message, emailConfig.from))
+      },
+    }
+  },
+
+  smtp: (emailConfig) => ({
+    send(message) {
+      return sendSmtp(emailConfig, message)
+    },
+  }),
+}
+
+/**
+ * Create the configured email transport
+ * @param {object} emailConfig - config.email
+ * @param {string} dataDir - config.dataDir, used by the "file" transport
+ * @returns {object} Transport with send(message)
+ */
+function createEmailTransport(emailConfig, dataDir) {
+  const create = EMAIL_TRANSPORTS[emailConfig.transport]
+  if (!create) {
+    throw new Error(`Unknown email transport "${emailConfig.transport}"; use one of: ${Object.keys(EMAIL_TRANSPORTS).join(", ")}`)
+  }
+  return create(emailConfig, dataDir)
+}
+
+module.exports = { EMAIL_TRANSPORTS, createEmailTransport }
@@ -0,0 +1,169 @@
+// Booking Notifications
+
+// Customers are sent an email and an SMS when a booking is confirmed or cancelled, and a
+// reminder notifications.reminderLead before the session a booking made while the market was
+// closed is processed in. Messages are rendered by templates.js and sent through the email
+// (mail.js) and SMS (sms.js) transports.
+// Each message is recorded on its booking, under notifications:
+//   { type, channel, to, status, attempts, lastAttemptAt, nextAttemptAt, sentAt, error }
+// status stays "pending" until the message is "sent", or "failed" after
+// notifications.maxAttempts. A failed attempt is retried notifications.retryDelay later,
+// doubling each time. Due retries and reminders are sent by a check every
+// notifications.checkInterval, which also picks up messages left pending by a restart.
+// Sends run one at a time, so changes to a booking's notifications never overwrite each other.
+
+const { renderNotification } = require("./templates")
+
+const NOTIFICATION_CHANNELS = ["email", "sms"]
+
+/**
+ * Create the booking notifier
+ * @param {object} options - { store, config, transports: { email, sms } }
+ * @returns {object} Notifier with notify(), check(), start() and stop()
+ */
+function createNotifier({ store, config, transports }) {
+  const settings = config.notifications
+  let queue = Promise.resolve()
+  let timer = null
+
+  // A failed task must not block the ones queued after it
+  function enqueue(task) {
+    const run = queue.then(task)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  function updateDelivery(bookingId, delivery, changes) {
+    const notifications = store
+      .get(bookingId)
+      .notifications.map((item) => (item.type === delivery.type && item.channel === delivery.channel ? { ...item, ...changes } : item))
+    return store.update(bookingId, { notifications })
+  }
+
+  /**
+   * Make one attempt at a message and record the outcome
+   */
+  async function deliver(bookingId, delivery, now) {
+    const message = renderNotification(delivery.type, store.get(bookingId), config)
+    const attempts = delivery.attempts + 1
+    const attemptedAt = new Date(now).toISOString()
+
+    let failure = null
+    try {
+      if (delivery.channel === "email") {
+        await transports.email.send({ to: delivery.to, subject: message.subject, text: message.text })
+      } else {
+        await transports.sms.send(delivery.to, message.sms)
+      }
+    } catch (error) {
+      failure = error
+    }
+
+    if (!failure) {
+      await updateDelivery(bookingId, delivery, {
+        status: "sent",
+        attempts,
+        lastAttemptAt: attemptedAt,
+        nextAttemptAt: null,
+        sentAt: attemptedAt,
+        error: null,
+      })
+      return
+    }
+
+    const givenUp = attempts >= settings.maxAttempts
+    console.error(`Booking ${bookingId} ${delivery.type} ${delivery.channel} attempt ${attempts} failed:`, failure.message)
+    await updateDelivery(bookingId, delivery, {
+      status: givenUp ? "failed" : "pending",
+      attempts,
+      lastAttemptAt: attemptedAt,
+      nextAttemptAt: givenUp ? null : new Date(now + settings.retryDelay * 2 ** (attempts - 1)).toISOString(),
+      error: failure.message,
+    })
+  }
+
+  /**
+   * Record a message on each channel for a booking and send them
+   */
+  async function send(bookingId, type, now) {
+    const booking = store.get(bookingId)
+    if (!booking || (booking.notifications || []).some((item) => item.type === type)) return
+
+    const deliveries = NOTIFICATION_CHANNELS.map((channel) => ({
+      type,
+      channel,
+      to: channel === "email" ? booking.email : booking.phone,
+      status: "pending",
+      attempts: 0,
+      lastAttemptAt: null,
+      nextAttemptAt: new Date(now).toISOString(),
+      sentAt: null,
+      error: null,
+    }))
+    await store.update(bookingId, { notifications: [...(booking.notifications || []), ...deliveries] })
+
+    for (const delivery of deliveries) {
+      await deliver(bookingId, delivery, now)
+    }
+  }
+
+  /**
+   * Send a booking's confirmation or cancellation
+   * Never rejects: a booking stands whether or not its messages go out.
+   */
+  function notify(bookingId, type, now) {
+    return enqueue(() => send(bookingId, type, now ?? Date.now())).catch((error) => {
+      console.error(`Booking ${bookingId} ${type} could not be sent:`, error)
+    })
+  }
+
+  /**
+   * Send due reminders and retry pending messages
+   */
+  async function sendDue(now) {
+    for (const booking of store.list()) {
+      const opensAt = booking.sessionOpensAt ? new Date(booking.sessionOpensAt).getTime() : null
+      const remindAt = opensAt - settings.reminderLead
+
+      // Bookings made inside the lead time need no reminder on top of their confirmation
+      if (
+        booking.status === "confirmed" &&
+        opensAt &&
+        now >= remindAt &&
+        now < opensAt &&
+        new Date(booking.timestamp).getTime() < remindAt
+      ) {
+        await send(booking.id, "reminder", now)
+      }
+
+      const due = (store.get(booking.id).notifications || []).filter(
+        (item) => item.status === "pending" && new Date(item.nextAttemptAt).getTime() <= now,
+      )
+      for (const delivery of due) {
+        await deliver(booking.id, delivery, now)
+      }
+    }
+  }
+
+  /**
+   * Run sendDue() after any sends in progress
+   */
+  function check(now) {
+    return enqueue(() => sendDue(now ?? Date.now())).catch((error) => {
+      console.error("Notification check failed:", error)
+    })
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(() => check(), settings.checkInterval)
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { notify, check, start, stop }
+}
+
+module.exports = { NOTIFICATION_CHANNELS, createNotifier }
@@ -0,0 +1,110 @@
+// Phone Verification
+
+// Bookings are only taken for a phone number the customer has shown they hold. POST /otp
+// texts a one-time code through the SMS transport (sms.js); POST /otp/verify exchanges the
+// code for a verification token that bookings carry as phoneVerification.
+// Codes expire after otp.codeTtl and are kept only as hashes, in memory: a restart drops the
+// codes in flight and customers request new ones. Each code allows otp.maxAttempts guesses.
+// Sends are throttled per phone to one every otp.resendInterval and otp.maxSends per
+// otp.sendWindow.
+// Tokens are "<expiresAt>.<signature>", an HMAC of the phone and expiry, so they need no
+// storage. They last otp.verificationTtl and are signed with otp.secret; without one a key is
+// made per process and tokens end with it.
+
+const crypto = require("crypto")
+
+/**
+ * Create the phone verification service
+ * @param {object} otpConfig - config.otp
+ * @param {object} transport - SMS transport from createSmsTransport()
+ * @returns {object} Service with send(), verify() and checkToken()
+ */
+function createOtpService(otpConfig, transport) {
+  const secret = otpConfig.secret || crypto.randomBytes(32).toString("hex")
+  const phones = new Map()
+
+  const hashCode = (phone, code) => crypto.createHash("sha256").update(`${phone}:${code}`).digest()
+  const sign = (phone, expiresAt) =>
+    crypto.createHmac("sha256", secret).update(`${phone}.${expiresAt}`).digest("base64url")
+
+  /**
+   * Forget phones with no live code and no sends left in the throttle window
+   */
+  function prune(now) {
+    phones.forEach((record, phone) => {
+      const codeLive = record.code && record.code.expiresAt > now
+      if (!codeLive && record.sends.every((sentAt) => now - sentAt >= otpConfig.sendWindow)) phones.delete(phone)
+    })
+  }
+
+  /**
+   * Text a new code to a phone, replacing any earlier one
+   * @returns {Promise<object>} { sent: true, expiresAt, resendAt }, or
+   *   { sent: false, reason: "throttled", retryAfter } with retryAfter in milliseconds
+   */
+  async function send(phone, now = Date.now()) {
+    prune(now)
+
+    const record = phones.get(phone) || { sends: [], code: null }
+    record.sends = record.sends.filter((sentAt) => now - sentAt < otpConfig.sendWindow)
+
+    const lastSent = record.sends[record.sends.length - 1]
+    const waits = [
+      lastSent !== undefined ? lastSent + otpConfig.resendInterval - now : 0,
+      record.sends.length >= otpConfig.maxSends ? record.sends[0] + otpConfig.sendWindow - now : 0,
+    ]
+    const retryAfter = Math.max(...waits)
+    if (retryAfter > 0) return { sent: false, reason: "throttled", retryAfter }
+
+    const code = crypto.randomInt(10 ** otpConfig.codeLength).toString().padStart(otpConfig.codeLength, "0")
+    const expiresAt = now + otpConfig.codeTtl
+    const minutes = Math.round(otpConfig.codeTtl / 60000)
+
+    await transport.send(phone, `${code} is your PreciousMetals Pro verification code. It expires in ${minutes} minutes.`)
+
+    record.sends.push(now)
+    record.code = { hash: hashCode(phone, code), expiresAt, attempts: 0 }
+    phones.set(phone, record)
+
+    return { sent: true, expiresAt, resendAt: now + otpConfig.resendInterval }
+  }
+
+  /**
+   * Check a code and issue a verification token
+   * @returns {object} { isValid: true, token, expiresAt }, or { isValid: false, reason } where
+   *   reason is "expired" (no live code), "locked" (out of attempts) or "invalid" with attemptsLeft
+   */
+  function verify(phone, code, now = Date.now()) {
+    const record = phones.get(phone)
+    if (!record?.code || record.code.expiresAt <= now) return { isValid: false, reason: "expired" }
+    if (record.code.attempts >= otpConfig.maxAttempts) return { isValid: false, reason: "locked" }
+
+    record.code.attempts++
+    if (!crypto.timingSafeEqual(record.code.hash, hashCode(phone, String(code)))) {
+      const attemptsLeft = otpConfig.maxAttempts - record.code.attempts
+      return attemptsLeft > 0 ? { isValid: false, reason: "invalid", attemptsLeft } : { isValid: false, reason: "locked" }
+    }
+
+    // A code is good for one verification
+    record.code = null
+
+    const expiresAt = now + otpConfig.verificationTtl
+    return { isValid: true, token: `${expiresAt}.${sign(phone, expiresAt)}`, expiresAt }
+  }
+
+  /**
+   * Check that a verification token was issued for a phone and has not expired
+   */
+  function checkToken(token, phone, now = Date.now()) {
+    const [expiresAt, signature] = String(token || "").split(".")
+    if (!(Number(expiresAt) > now) || !signature) return false
+
+    const expected = Buffer.from(sign(phone, expiresAt))
+    const given = Buffer.from(signature)
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  }
+
+  return { send, verify, checkToken }
+}
+
+module.exports = { createOtpService }
@@ -0,0 +1,59 @@
+// Rate-Lock Quotes
+
+// Server side of quotes.js. POST /quotes locks the server rate for a metal for
+// config.quotes.lockDuration, and a booking names its quote to be priced at that rate, so the
+// price is never taken from the client. Quotes are kept in memory until they expire; a restart
+// drops them and customers are simply quoted again.
+
+const crypto = require("crypto")
+
+/**
+ * Create the quote service
+ * @param {object} quotesConfig - config.quotes
+ * @returns {object} Service with issue() and get()
+ */
+function createQuoteService(quotesConfig) {
+  const quotes = new Map()
+
+  /**
+   * Forget expired quotes
+   */
+  function prune(now) {
+    quotes.forEach((quote, id) => {
+      if (quote.expiresAt <= now) quotes.delete(id)
+    })
+  }
+
+  /**
+   * Lock a metal's rate
+   * @param {string} metalType - Metal name, as in config.metals
+   * @param {number} price - Server fine-metal rate
+   * @returns {object} { id, metalType, price, issuedAt, expiresAt }
+   */
+  function issue(metalType, price, now = Date.now()) {
+    prune(now)
+
+    const quote = {
+      id: `Q${crypto.randomBytes(6).toString("hex").toUpperCase()}`,
+      metalType,
+      price,
+      issuedAt: now,
+      expiresAt: now + quotesConfig.lockDuration,
+    }
+    quotes.set(quote.id, quote)
+    return quote
+  }
+
+  /**
+   * Get a quote that has not expired
+   * @returns {object|null} The quote, or null if it is unknown or expired
+   */
+  function get(id, now = Date.now()) {
+    const quote = quotes.get(String(id))
+    return quote && quote.expiresAt > now ? quote : null
+  }
+
+  return { issue, get }
+}
+
+module.exports = { createQuoteService }
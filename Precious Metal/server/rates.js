@@ -0,0 +1,50 @@
+// Server Rate Feed
+
+// The server's own view of the current rate. Bookings are checked against it, so a client
+// cannot book at a price the server never quoted.
+
+const { getMetalKeys } = require("../metals")
+
+/**
+ * Create a simulated rate feed for every configured metal
+ * @param {object} ratesConfig - config.rates
+ * @param {object} metalsConfig - config.metals
+ * @returns {object} Feed with getRates(), start() and stop()
+ */
+function createRateFeed(ratesConfig, metalsConfig) {
+  const prices = {}
+  getMetalKeys(metalsConfig).forEach((metal) => {
+    prices[metal] = metalsConfig[metal].initialRate.price
+  })
+  let updatedAt = new Date().toISOString()
+  let timer = null
+
+  function tick() {
+    Object.keys(prices).forEach((metal) => {
+      const fluctuation = (Math.random() - 0.5) * metalsConfig[metal].fluctuation
+      prices[metal] = Math.max(0, prices[metal] + fluctuation)
+    })
+    updatedAt = new Date().toISOString()
+  }
+
+  function getRates() {
+    const rates = { timestamp: updatedAt }
+    Object.keys(prices).forEach((metal) => {
+      rates[metal] = { price: Math.round(prices[metal] * 100) / 100 }
+    })
+    return rates
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, ratesConfig.tickInterval)
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { getRates, start, stop }
+}
+
+module.exports = { createRateFeed }
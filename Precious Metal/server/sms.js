@@ -0,0 +1,62 @@
+// SMS Transport
+
+// Text messages go out through the transport named in config.sms.transport:
+//   "console" - logs each message; the stand-in for local development
+//   "file"    - appends each message as a JSON line to <dataDir>/sms.log
+//   "http"    - POSTs { to, from, message } as JSON to config.sms.url, with config.sms.apiKey
+//               as a bearer token
+// Another gateway is plugged in by adding an entry to SMS_TRANSPORTS: a factory returning
+// an object whose send(to, message) resolves once the gateway has accepted the message.
+
+const fs = require("fs")
+const path = require("path")
+
+const SMS_TRANSPORTS = {
+  console: () => ({
+    async send(to, message) {
+      console.log(`SMS to ${to}: ${message}`)
+    },
+  }),
+
+  file: (smsConfig, dataDir) => {
+    const filePath = path.join(dataDir, "sms.log")
+
+    return {
+      async send(to, message) {
+        await fs.promises.mkdir(dataDir, { recursive: true })
+        await fs.promises.appendFile(filePath, `${JSON.stringify({ to, message, sentAt: new Date().toISOString() })}\n`)
+      },
+    }
+  },
+
+  http: (smsConfig) => ({
+    async send(to, message) {
+      const response = await fetch(smsConfig.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(smsConfig.apiKey ? { Authorization: `Bearer ${smsConfig.apiKey}` } : {}),
+        },
+        body: JSON.stringify({ to, from: smsConfig.sender, message }),
+        signal: AbortSignal.timeout(smsConfig.timeout),
+      })
+      if (!response.ok) throw new Error(`SMS gateway responded with status ${response.status}`)
+    },
+  }),
+}
+
+/**
+ * Create the configured SMS transport
+ * @param {object} smsConfig - config.sms
+ * @param {string} dataDir - config.dataDir, used by the "file" transport
+ * @returns {object} Transport with send(to, message)
+ */
+function createSmsTransport(smsConfig, dataDir) {
+  const create = SMS_TRANSPORTS[smsConfig.transport]
+  if (!create) {
+    throw new Error(`Unknown SMS transport "${smsConfig.transport}"; use one of: ${Object.keys(SMS_TRANSPORTS).join(", ")}`)
+  }
+  return create(smsConfig, dataDir)
+}
+
+module.exports = { SMS_TRANSPORTS, createSmsTransport }
@@ -0,0 +1,76 @@
+// Booking Store
+
+// Bookings are kept in memory and written to a JSON file after every change. A booking is
+// never created over another with the same ID.
+// Writes go to a temporary file that is renamed over the old one, so a crash mid-write
+// never leaves a truncated store behind. Writes are queued so they never interleave.
+
+const fs = require("fs")
+const path = require("path")
+
+/**
+ * Create a file-backed booking store
+ * @param {string} dataDir - Directory holding bookings.json
+ * @returns {Promise<object>} Store with list(), get(), create() and update()
+ */
+async function createBookingStore(dataDir) {
+  const filePath = path.join(dataDir, "bookings.json")
+  const bookings = new Map()
+  let writeQueue = Promise.resolve()
+
+  await fs.promises.mkdir(dataDir, { recursive: true })
+
+  try {
+    const saved = JSON.parse(await fs.promises.readFile(filePath, "utf8"))
+    saved.forEach((booking) => bookings.set(booking.id, booking))
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+
+  function persist() {
+    const data = JSON.stringify([...bookings.values()], null, 2)
+    const tempPath = `${filePath}.tmp`
+
+    // A failed write must not block the ones queued after it
+    writeQueue = writeQueue.catch(() => {}).then(async () => {
+      await fs.promises.writeFile(tempPath, data)
+      await fs.promises.rename(tempPath, filePath)
+    })
+
+    return writeQueue
+  }
+
+  function list() {
+    return [...bookings.values()]
+  }
+
+  function get(id) {
+    return bookings.get(id) || null
+  }
+
+  /**
+   * Save a new booking
+   * @returns {Promise<object|null>} The booking, or null if its ID is already taken
+   */
+  async function create(booking) {
+    if (bookings.has(booking.id)) return null
+
+    bookings.set(booking.id, booking)
+    await persist()
+    return booking
+  }
+
+  async function update(id, changes) {
+    const booking = bookings.get(id)
+    if (!booking) return null
+
+    const updated = { ...booking, ...changes, updatedAt: new Date().toISOString() }
+    bookings.set(id, updated)
+    await persist()
+    return updated
+  }
+
+  return { list, get, create, update }
+}
+
+module.exports = { createBookingStore }
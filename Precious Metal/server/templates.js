@@ -0,0 +1,127 @@
+// Notification Templates
+
+// Booking confirmation, cancellation and reminder messages, rendered from the booking record
+// and config.business. Each template gives an email subject and body and a one-line SMS.
+// Like receipts, messages are always in English with en-IN formatting and IST times.
+
+const { getUnitLabel, getRateUnitLabel } = require("../units")
+const { findMetalKey } = require("../metals")
+
+const amountFormat = new Intl.NumberFormat("en-IN", { style: "currency", currency: "INR", minimumFractionDigits: 2 })
+const timeFormat = new Intl.DateTimeFormat("en-IN", { timeZone: "Asia/Kolkata", dateStyle: "medium", timeStyle: "short" })
+
+const formatAmount = (amount) => amountFormat.format(amount)
+const formatTime = (time) => `${timeFormat.format(new Date(time))} IST`
+
+/**
+ * Describe what was booked, e.g. "10 grams of 22K Gold"
+ */
+function describeBooking(booking) {
+  return `${booking.quantity} ${getUnitLabel(booking.unit)} of ${booking.purity} ${booking.metalType}`
+}
+
+/**
+ * Get the closing lines every email ends with
+ */
+function getSignature(business) {
+  return [business.name, business.address, `${business.phone} · ${business.email}`, `GSTIN: ${business.gstin}`].join("\n")
+}
+
+/**
+ * Lay out label/value rows with the values lined up
+ */
+function formatRows(rows) {
+  const width = Math.max(...rows.map(([label]) => label.length)) + 2
+  return rows.map(([label, value]) => `${`${label}:`.padEnd(width)}${value}`).join("\n")
+}
+
+const NOTIFICATION_TEMPLATES = {
+  confirmation: (booking, config) => {
+    const { business } = config
+    const sell = booking.side === "sell"
+    const total = booking.grandTotal ?? booking.totalValue
+    const rateUnit = getRateUnitLabel(findMetalKey(booking.metalType, config.metals), config.metals)
+    const lineItems = booking.lineItems || []
+
+    const rows = [
+      ["Booking ID", booking.id],
+      ["Booked", formatTime(booking.timestamp)],
+      ["Type", sell ? "Buy-back" : "Purchase"],
+      ["Metal", `${booking.purity} ${booking.metalType}`],
+      ["Quantity", `${booking.quantity} ${getUnitLabel(booking.unit)}`],
+      ["Rate", `${formatAmount(booking.currentPrice)}/${rateUnit}`],
+      ...lineItems.map((item) => [item.label, formatAmount(item.amount)]),
+      [sell ? "Estimated payout" : "Total payable", formatAmount(total)],
+    ]
+
+    const nextSession = booking.session === "next" && booking.sessionOpensAt
+    const notes = [
+      nextSession
+        ? `The market was closed when you booked, so your booking will be processed when it opens at ${formatTime(booking.sessionOpensAt)}.`
+        : null,
+      sell ? "Please bring your metal to our store for testing. The payout is confirmed once it has been tested." : null,
+      !sell && !nextSession ? "Our team will contact you within 30 minutes." : null,
+    ].filter(Boolean)
+
+    return {
+      subject: `Booking ${booking.id} confirmed - ${business.name}`,
+      text: [
+        `Dear ${booking.fullName},`,
+        `Thank you for booking with ${business.name}. Your ${sell ? "buy-back" : "purchase"} is confirmed.`,
+        formatRows(rows),
+        ...notes,
+        getSignature(business),
+      ].join("\n\n"),
+      sms: `${business.name}: booking ${booking.id} confirmed, ${describeBooking(booking)}, ${
+        sell ? "estimated payout" : "total"
+      } ${formatAmount(total)}. Queries: ${business.phone}`,
+    }
+  },
+
+  cancellation: (booking, config) => {
+    const { business } = config
+
+    return {
+      subject: `Booking ${booking.id} cancelled - ${business.name}`,
+      text: [
+        `Dear ${booking.fullName},`,
+        `Your booking ${booking.id} for ${describeBooking(booking)} has been cancelled.`,
+        `If you did not ask for this, please call us on ${business.phone}.`,
+        getSignature(business),
+      ].join("\n\n"),
+      sms: `${business.name}: booking ${booking.id} for ${describeBooking(booking)} has been cancelled. Queries: ${business.phone}`,
+    }
+  },
+
+  // Sent ahead of the session a booking made while the market was closed is processed in
+  reminder: (booking, config) => {
+    const { business } = config
+    const opensAt = formatTime(booking.sessionOpensAt)
+
+    return {
+      subject: `Reminder: booking ${booking.id} is processed at ${opensAt} - ${business.name}`,
+      text: [
+        `Dear ${booking.fullName},`,
+        `Your booking ${booking.id} for ${describeBooking(booking)} was made while the market was closed and will be processed when it opens at ${opensAt}.`,
+        `If you no longer want it, please call us on ${business.phone} before then.`,
+        getSignature(business),
+      ].join("\n\n"),
+      sms: `${business.name}: booking ${booking.id} for ${describeBooking(booking)} is processed when the market opens at ${opensAt}. Queries: ${business.phone}`,
+    }
+  },
+}
+
+/**
+ * Render a notification for a booking
+ * @param {string} type - "confirmation", "cancellation" or "reminder"
+ * @param {object} booking - Stored booking
+ * @param {object} config - Server config; business and metals are used
+ * @returns {object} { subject, text, sms }
+ */
+function renderNotification(type, booking, config) {
+  const template = NOTIFICATION_TEMPLATES[type]
+  if (!template) throw new Error(`Unknown notification template "${type}"`)
+  return template(booking, config)
+}
+
+module.exports = { NOTIFICATION_TEMPLATES, renderNotification }
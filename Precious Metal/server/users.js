@@ -0,0 +1,73 @@
+// Staff Account Management
+//
+// Usage:
+//   node server/users.js list
+//   node server/users.js add <username> <role>      Reads the password from standard input
+//   node server/users.js remove <username>
+//   DATA_DIR=/var/lib/preciousmetals node server/users.js list
+// Adding an existing username replaces its role and password. Roles are the keys of
+// ROLE_PERMISSIONS in auth.js.
+
+const readline = require("readline")
+
+const config = require("./config")
+const { ROLE_PERMISSIONS, hashPassword, loadUsers, saveUsers } = require("./auth")
+
+const MIN_PASSWORD_LENGTH = 10
+
+/**
+ * Read one line from standard input, prompting when it is a terminal
+ */
+function readPassword() {
+  return new Promise((resolve) => {
+    const input = readline.createInterface({ input: process.stdin, output: process.stdin.isTTY ? process.stdout : null })
+    if (process.stdin.isTTY) process.stdout.write("Password: ")
+    input.once("line", (line) => {
+      resolve(line)
+      input.close()
+    })
+    input.once("close", () => resolve(""))
+  })
+}
+
+async function main([command, username, role]) {
+  const users = loadUsers(config.dataDir)
+
+  if (command === "list") {
+    users.forEach((user) => console.log(`${user.username}\t${user.role}`))
+    return
+  }
+
+  if (command === "add") {
+    if (!/^[a-z0-9_-]{3,32}$/.test(username || "")) {
+      throw new Error("Username must be 3-32 lower-case letters, digits, hyphens or underscores")
+    }
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error(`Role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(", ")}`)
+    }
+
+    const password = await readPassword()
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+    }
+
+    const user = { username, role, passwordHash: await hashPassword(password) }
+    await saveUsers(config.dataDir, [...users.filter((existing) => existing.username !== username), user])
+    console.log(`Saved ${username} (${role})`)
+    return
+  }
+
+  if (command === "remove") {
+    if (!users.some((user) => user.username === username)) throw new Error(`No account named "${username}"`)
+    await saveUsers(config.dataDir, users.filter((user) => user.username !== username))
+    console.log(`Removed ${username}`)
+    return
+  }
+
+  throw new Error("Usage: node server/users.js list | add <username> <role> | remove <username>")
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,121 @@
+// Daily Sessions
+
+// Each metal has one session record per IST calendar day:
+//   { date: "YYYY-MM-DD", open, high, low, close, previousClose }
+// The day's change is measured against previousClose, the last close of the day before.
+// At midnight IST the session is archived and a new one starts from the last close; the
+// archive is a ring buffer (see history.js) of CONFIG.sessions.archiveDays days per metal.
+// Everything is saved in storage under "dailySessions".
+
+/**
+ * Start a session for a day
+ * @param {string} date - IST day as YYYY-MM-DD
+ * @param {number} price - Opening price
+ * @param {number} previousClose - Close of the previous session
+ * @returns {object} Session
+ */
+function createSession(date, price, previousClose) {
+  return { date, open: price, high: price, low: price, close: price, previousClose }
+}
+
+/**
+ * Describe a session as the rate shape used by currentRates
+ * @param {object} session - Session
+ * @returns {object} { price, open, previousClose, high, low, change, changePercent }
+ */
+function getSessionRate(session) {
+  const change = session.close - session.previousClose
+
+  return {
+    price: session.close,
+    open: session.open,
+    previousClose: session.previousClose,
+    high: session.high,
+    low: session.low,
+    change,
+    changePercent: session.previousClose ? (change / session.previousClose) * 100 : 0,
+  }
+}
+
+/**
+ * Create the per-metal daily sessions, restoring saved ones
+ * @param {object} sessionsConfig - CONFIG.sessions
+ * @param {object} seedRates - getInitialRates(CONFIG.metals), used when nothing is saved
+ * @returns {object} Daily sessions
+ */
+function createDailySessions(sessionsConfig, seedRates) {
+  const saved = storage.get("dailySessions", {})
+  const metals = Object.keys(seedRates)
+  const current = {}
+  const archives = {}
+
+  metals.forEach((metal) => {
+    const seed = seedRates[metal]
+    current[metal] = saved.current?.[metal] || {
+      ...createSession(getIstDay(new Date()).dateKey, seed.price, seed.price - seed.change),
+      high: seed.high,
+      low: seed.low,
+    }
+    archives[metal] = createRingBuffer(sessionsConfig.archiveDays, saved.archive?.[metal] || [])
+  })
+
+  function save() {
+    const archive = {}
+    metals.forEach((metal) => {
+      archive[metal] = archives[metal].toArray()
+    })
+    storage.set("dailySessions", { current, archive })
+  }
+
+  /**
+   * Archive sessions from before the given day and start new ones from their close
+   * @returns {boolean} True if any session rolled over
+   */
+  function rollOver(time = Date.now()) {
+    const { dateKey } = getIstDay(new Date(time))
+    let rolled = false
+
+    metals.forEach((metal) => {
+      const session = current[metal]
+      if (session.date >= dateKey) return
+
+      archives[metal].push(session)
+      current[metal] = createSession(dateKey, session.close, session.close)
+      rolled = true
+    })
+
+    if (rolled) save()
+    return rolled
+  }
+
+  /**
+   * Record a tick in the day's session, rolling over first if the day has changed
+   * @returns {object} The metal's current session
+   */
+  function record(metal, price, time = Date.now()) {
+    rollOver(time)
+
+    const session = current[metal]
+    session.close = price
+    session.high = Math.max(session.high, price)
+    session.low = Math.min(session.low, price)
+    return session
+  }
+
+  return {
+    record,
+    rollOver,
+    save,
+    get: (metal) => current[metal],
+    getArchive: (metal) => archives[metal]?.toArray() || [],
+  }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createSession,
+    getSessionRate,
+    createDailySessions,
+  }
+}
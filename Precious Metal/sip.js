@@ -0,0 +1,705 @@
+// Systematic Investment Plans
+
+// A plan invests a fixed rupee amount in one metal and purity every week or month from a
+// start date (an IST calendar day). Plans are saved in storage under "sipPlans":
+//   { id, metal, purity, amount, frequency, startDate, fullName, phone, email, status,
+//     nextInstalment, bookings, skipped, needsVerification, createdAt }
+// Instalment n falls due on the start date plus n weeks or months; monthly plans keep the
+// start day, moved back to the month's last day where it is shorter. nextInstalment is the
+// first instalment not yet booked or skipped. Every CONFIG.sip.checkInterval, each active
+// plan's due instalments are booked through processBooking() at the live buying rate, buying
+// as many grams as the amount covers; charges and taxes are added as for any booking. A failed
+// instalment stays due and is retried on the next check. Instalments are only booked while the
+// page is open, so after a gap only the latest due instalment is booked and the ones before it
+// are recorded as skipped, rather than buying them all at today's rate. Resuming a paused plan
+// likewise passes over the instalments that fell due while it was paused.
+// Instalments carry the saved verification of the plan's phone (otp.js), which is verified
+// when the plan is made. Once that lapses, or the server turns it down, the plan is marked
+// needsVerification and the customer is told once; its instalments are not tried again until
+// the phone is verified, from the plan list or anywhere else.
+// The planner projects a plan rupee-cost-averaging style, over past daily closes (sessions.js)
+// or over prices simulated from CONFIG.sip.projection.
+
+const SIP_FREQUENCIES = ["weekly", "monthly"]
+
+const sipState = { mode: "history" }
+
+let isProcessingSip = false
+
+/**
+ * Get the IST calendar day an instalment falls due
+ * @param {string} startDate - First instalment, as YYYY-MM-DD
+ * @param {string} frequency - "weekly" or "monthly"
+ * @param {number} index - Instalment number from 0; negative counts back from the start
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function getInstalmentDate(startDate, frequency, index) {
+  const [year, month, day] = startDate.split("-").map(Number)
+
+  if (frequency === "weekly") {
+    return new Date(Date.UTC(year, month - 1, day + index * 7)).toISOString().slice(0, 10)
+  }
+
+  const lastDay = new Date(Date.UTC(year, month + index, 0)).getUTCDate()
+  return new Date(Date.UTC(year, month - 1 + index, Math.min(day, lastDay))).toISOString().slice(0, 10)
+}
+
+/**
+ * Get the instalments of a plan that are due and not yet booked or skipped
+ * @param {object} plan - SIP plan
+ * @param {string} today - IST calendar day as YYYY-MM-DD
+ * @returns {Array<number>} Instalment numbers, oldest first
+ */
+function getDueInstalments(plan, today) {
+  const due = []
+  for (let index = plan.nextInstalment; getInstalmentDate(plan.startDate, plan.frequency, index) <= today; index++) {
+    due.push(index)
+  }
+  return due
+}
+
+/**
+ * Find the first instalment of a plan falling on or after a day
+ */
+function findInstalmentFrom(plan, date) {
+  let index = plan.nextInstalment
+  while (getInstalmentDate(plan.startDate, plan.frequency, index) < date) index++
+  return index
+}
+
+/**
+ * Project rupee-cost averaging: each instalment buys amount ÷ price grams
+ * @param {number} amount - Rupees per instalment
+ * @param {Array<object>} prices - { date, pricePerGram } per instalment
+ * @param {number} finalPricePerGram - Price the holding is valued at; the last instalment's if omitted
+ * @returns {object} { instalments, totalInvested, totalGrams, averageCost, value, pnl } where each
+ *   instalment has date, pricePerGram, grams, totalGrams and totalInvested
+ */
+function calculateSipProjection(amount, prices, finalPricePerGram) {
+  let totalGrams = 0
+  let totalInvested = 0
+
+  const instalments = prices.map(({ date, pricePerGram }) => {
+    // Grams are booked to the milligram, so slightly less than the amount is spent
+    const grams = Math.floor((amount / pricePerGram) * 1000) / 1000
+    totalGrams += grams
+    totalInvested += grams * pricePerGram
+    return { date, pricePerGram, grams, totalGrams, totalInvested }
+  })
+
+  const valuePrice = finalPricePerGram ?? prices[prices.length - 1]?.pricePerGram ?? 0
+  const value = totalGrams * valuePrice
+
+  return {
+    instalments,
+    totalInvested,
+    totalGrams,
+    averageCost: totalGrams ? totalInvested / totalGrams : 0,
+    value,
+    pnl: value - totalInvested,
+  }
+}
+
+/**
+ * Get the fine rate each of the last instalments would have paid, from daily session closes
+ * Instalments before the oldest saved session are left out.
+ * @param {string} frequency - "weekly" or "monthly"
+ * @param {number} count - Instalments, the last falling today
+ * @param {Array<object>} sessions - Daily sessions, oldest first
+ * @param {string} today - IST calendar day as YYYY-MM-DD
+ * @returns {Array<object>} { date, price }
+ */
+function getHistoricalSipPrices(frequency, count, sessions, today) {
+  const firstDate = getInstalmentDate(today, frequency, 1 - count)
+  const prices = []
+
+  for (let index = 0; index < count; index++) {
+    const date = getInstalmentDate(firstDate, frequency, index)
+    const session = sessions.filter((item) => item.date <= date).pop()
+    if (session) prices.push({ date, price: session.close })
+  }
+
+  return prices
+}
+
+/**
+ * Create a seeded generator of uniform numbers in [0, 1) (mulberry32)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Simulate the fine rate on each upcoming instalment as a geometric random walk
+ * The walk is seeded from the start date, so the same plan always gets the same path.
+ * @param {string} startDate - First instalment, as YYYY-MM-DD
+ * @param {string} frequency - "weekly" or "monthly"
+ * @param {number} count - Instalments
+ * @param {number} price - Fine rate today
+ * @param {string} today - IST calendar day as YYYY-MM-DD
+ * @param {object} projectionConfig - CONFIG.sip.projection
+ * @returns {Array<object>} { date, price }
+ */
+function simulateSipPrices(startDate, frequency, count, price, today, projectionConfig) {
+  const random = createSeededRandom([...startDate].reduce((hash, char) => hash * 31 + char.charCodeAt(0), 7))
+  const drift = projectionConfig.growthPercent / 100
+  const volatility = projectionConfig.volatilityPercent / 100
+  const prices = []
+  let previousDate = today
+  let current = price
+
+  for (let index = 0; index < count; index++) {
+    const date = getInstalmentDate(startDate, frequency, index)
+    const years = Math.max(0, Date.parse(date) - Date.parse(previousDate)) / (365 * 86400000)
+    // Box-Muller turns two uniform draws into a standard normal one
+    const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+
+    current *= Math.exp((drift - (volatility * volatility) / 2) * years + volatility * Math.sqrt(years) * normal)
+    prices.push({ date, price: current })
+    previousDate = date
+  }
+
+  return prices
+}
+
+/**
+ * Validate the plan form values
+ * @returns {object} Validation result with isValid and errors
+ */
+function validateSipForm(values, today) {
+  const errors = {}
+
+  ;[
+    ["sipFullName", "name", values.fullName],
+    ["sipPhone", "phone", values.phone],
+    ["sipEmail", "email", values.email],
+  ].forEach(([fieldId, fieldName, value]) => {
+    const result = validateField(fieldName, value)
+    if (!result.isValid) errors[fieldId] = result.error
+  })
+
+  if (!CONFIG.metals[values.metal]) {
+    errors.sipMetal = translate("sip.error.metal")
+  }
+  if (!Number.isFinite(values.amount) || values.amount < CONFIG.sip.minAmount || values.amount > CONFIG.sip.maxAmount) {
+    errors.sipAmount = translate("sip.error.amount", {
+      min: formatCurrency(CONFIG.sip.minAmount),
+      max: formatCurrency(CONFIG.sip.maxAmount),
+    })
+  }
+  if (!SIP_FREQUENCIES.includes(values.frequency)) {
+    errors.sipFrequency = translate("sip.error.frequency")
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.startDate) || values.startDate < today) {
+    errors.sipStartDate = translate("sip.error.date")
+  }
+
+  return { isValid: Object.keys(errors).length === 0, errors }
+}
+
+/**
+ * Get the price of one gram of a purity bought at a fine-metal rate
+ */
+function getSipPricePerGram(metal, purity, finePrice, metalsConfig) {
+  return getPricePerGram(metal, getVariantPrice(metal, purity, finePrice, metalsConfig), metalsConfig)
+}
+
+/**
+ * Book one instalment of a plan at the live rate and record it on the plan
+ * @returns {Promise<object|null>} The booking, or null if the plan is no longer active
+ */
+async function bookSipInstalment(planId, index) {
+  const plan = storage.get("sipPlans", []).find((item) => item.id === planId)
+  if (!plan || plan.status !== "active" || plan.nextInstalment > index) return null
+
+  const verification = getPhoneVerification(plan.phone)
+  if (!verification) throw new Error(`Phone for SIP plan ${planId} is not verified`)
+
+  const { metal, purity } = plan
+  const metalType = CONFIG.metals[metal].name
+  const quote = await requestQuote(metalType, CONFIG)
+  const askPrice = getSidePrice(metal, "buy", quote.price, CONFIG.metals)
+  const pricePerGram = getSipPricePerGram(metal, purity, askPrice, CONFIG.metals)
+
+  const formData = new FormData()
+  formData.set("side", "buy")
+  formData.set("fullName", plan.fullName)
+  formData.set("phone", plan.phone)
+  formData.set("email", plan.email)
+  formData.set("metalType", metalType)
+  formData.set("purity", purity)
+  formData.set("quantity", String(Math.floor((plan.amount / pricePerGram) * 1000) / 1000))
+  formData.set("quantityUnit", "g")
+
+  const booking = await submitBooking(
+    {
+      ...processBooking(formData, quote),
+      sip: { planId, dueDate: getInstalmentDate(plan.startDate, plan.frequency, index) },
+      phoneVerification: verification.token,
+    },
+    CONFIG,
+  )
+  saveBooking(booking)
+
+  // The plan may have been changed while the booking was in flight
+  updateSipPlan(planId, (saved) => {
+    saved.bookings.push(booking.id)
+    saved.nextInstalment = Math.max(saved.nextInstalment, index + 1)
+    saved.needsVerification = false
+  })
+  return booking
+}
+
+/**
+ * Hold a plan's instalments until its phone is verified again, telling the customer the first time
+ */
+function requestSipVerification(plan) {
+  if (plan.needsVerification) return
+
+  updateSipPlan(plan.id, (saved) => {
+    saved.needsVerification = true
+  })
+  showToast(translate("sip.verifyToast", { phone: plan.phone }), "error")
+}
+
+/**
+ * Book every due instalment of the active plans
+ */
+async function processDueInstalments(now = Date.now()) {
+  if (isProcessingSip) return
+  isProcessingSip = true
+
+  try {
+    const today = getIstDay(new Date(now)).dateKey
+    const plans = storage.get("sipPlans", []).filter((plan) => plan.status === "active")
+
+    for (const plan of plans) {
+      const due = getDueInstalments(plan, today)
+      const missed = due.slice(0, -1)
+      if (missed.length > 0) {
+        updateSipPlan(plan.id, (saved) => {
+          saved.skipped.push(...missed.map((index) => getInstalmentDate(saved.startDate, saved.frequency, index)))
+          saved.nextInstalment = Math.max(saved.nextInstalment, due[due.length - 1])
+        })
+        showToast(translate("sip.missedToast", { count: missed.length }), "info")
+      }
+
+      // A lapsed verification would only be refused, so it is not retried on every check
+      if (due.length > 0 && !getPhoneVerification(plan.phone)) {
+        requestSipVerification(plan)
+        continue
+      }
+
+      for (const index of due.slice(-1)) {
+        // Instalments wait for the market to open when closed-market bookings are refused
+        if (!isMarketOpen && CONFIG.market.closedBookings === "block") return
+
+        try {
+          const booking = await bookSipInstalment(plan.id, index)
+          if (booking) showToast(translate("sip.booked", { id: booking.id }), "success")
+        } catch (error) {
+          if (error.status === 403 && error.body?.verification) {
+            forgetPhoneVerification(plan.phone)
+            requestSipVerification(plan)
+          } else {
+            console.error(`SIP instalment ${plan.id}/${index} failed, retrying on the next check:`, error)
+          }
+          break
+        }
+      }
+    }
+  } finally {
+    isProcessingSip = false
+    renderSipPlans()
+  }
+}
+
+/**
+ * Change a saved plan
+ * @param {string} id - Plan ID
+ * @param {Function} change - Called with the plan to modify it in place
+ */
+function updateSipPlan(id, change) {
+  const plans = storage.get("sipPlans", [])
+  const plan = plans.find((item) => item.id === id)
+  if (!plan) return
+
+  change(plan)
+  storage.set("sipPlans", plans)
+}
+
+/**
+ * Pause an active plan or resume a paused one
+ */
+function toggleSipPlan(id) {
+  const today = getIstDay(new Date()).dateKey
+
+  updateSipPlan(id, (plan) => {
+    if (plan.status === "active") {
+      plan.status = "paused"
+    } else if (plan.status === "paused") {
+      plan.status = "active"
+      plan.nextInstalment = findInstalmentFrom(plan, today)
+    }
+  })
+  renderSipPlans()
+}
+
+/**
+ * Skip a plan's next instalment
+ */
+function skipSipInstalment(id) {
+  updateSipPlan(id, (plan) => {
+    plan.skipped.push(getInstalmentDate(plan.startDate, plan.frequency, plan.nextInstalment))
+    plan.nextInstalment++
+  })
+
+  showToast(translate("sip.skippedToast"), "info")
+  renderSipPlans()
+}
+
+/**
+ * Cancel a plan; instalments already booked are kept
+ */
+function cancelSipPlan(id) {
+  if (!window.confirm(translate("sip.confirmCancel"))) return
+
+  updateSipPlan(id, (plan) => {
+    plan.status = "cancelled"
+  })
+  renderSipPlans()
+}
+
+/**
+ * Open the SIP planner
+ */
+function openSipModal() {
+  const modal = document.getElementById("sipModal")
+  if (!modal) return
+
+  resetSipForm()
+  renderSipPlans()
+
+  modal.classList.add("active")
+  modal.style.display = "flex"
+  document.body.style.overflow = "hidden"
+}
+
+/**
+ * Close the SIP planner
+ */
+function closeSipModal() {
+  const modal = document.getElementById("sipModal")
+  if (!modal) return
+
+  modal.classList.remove("active")
+  modal.style.display = "none"
+  document.body.style.overflow = "auto"
+}
+
+/**
+ * Read the plan form
+ */
+function getSipFormValues() {
+  const value = (id) => document.getElementById(id)?.value || ""
+
+  return {
+    metal: value("sipMetal"),
+    purity: value("sipPurity"),
+    amount: Number.parseFloat(value("sipAmount")),
+    frequency: value("sipFrequency"),
+    startDate: value("sipStartDate"),
+    fullName: value("sipFullName").trim(),
+    phone: value("sipPhone").trim(),
+    email: value("sipEmail").trim(),
+  }
+}
+
+/**
+ * Clear the plan form, starting the plan today
+ */
+function resetSipForm() {
+  const form = document.getElementById("sipForm")
+  if (form) form.reset()
+
+  const startDate = document.getElementById("sipStartDate")
+  if (startDate) startDate.value = getIstDay(new Date()).dateKey
+
+  clearSipFormErrors()
+  updateSipFormOptions()
+}
+
+/**
+ * Clear plan form errors
+ */
+function clearSipFormErrors() {
+  document.querySelectorAll("#sipForm .form-error").forEach((el) => {
+    el.textContent = ""
+    el.style.display = "none"
+  })
+}
+
+/**
+ * Fill the purity choices for the chosen metal and refresh the projection
+ */
+function updateSipFormOptions() {
+  const metal = document.getElementById("sipMetal")?.value
+  const puritySelect = document.getElementById("sipPurity")
+
+  if (puritySelect) {
+    const current = puritySelect.value
+    puritySelect.innerHTML = getPurityOptions(metal, CONFIG.metals)
+      .map((purity) => `<option value="${purity.code}">${purity.code}</option>`)
+      .join("")
+    if ([...puritySelect.options].some((option) => option.value === current)) puritySelect.value = current
+  }
+
+  renderSipProjection()
+}
+
+/**
+ * Switch the projection between past and simulated prices
+ */
+function setSipProjectionMode(mode) {
+  sipState.mode = mode
+  document.querySelectorAll("#sipProjectionModes [data-mode]").forEach((button) => {
+    button.classList.toggle("active", button.dataset.mode === mode)
+  })
+  renderSipProjection()
+}
+
+/**
+ * Project the plan in the form
+ */
+function renderSipProjection() {
+  const container = document.getElementById("sipProjection")
+  if (!container) return
+
+  const values = getSipFormValues()
+  if (!CONFIG.metals[values.metal] || !SIP_FREQUENCIES.includes(values.frequency) || !(values.amount > 0)) {
+    container.innerHTML = `<p class="portfolio-empty">${translate("sip.projectionEmpty")}</p>`
+    return
+  }
+
+  const { metal, purity, frequency } = values
+  const count = CONFIG.sip.projection.instalments
+  const today = getIstDay(new Date()).dateKey
+  const finePrice = currentRates[metal].price
+
+  const sessions = dailySessions ? [...dailySessions.getArchive(metal), dailySessions.get(metal)] : []
+  const prices =
+    sipState.mode === "history"
+      ? getHistoricalSipPrices(frequency, count, sessions, today)
+      : simulateSipPrices(values.startDate || today, frequency, count, finePrice, today, CONFIG.sip.projection)
+
+  if (prices.length === 0) {
+    container.innerHTML = `<p class="portfolio-empty">${translate("sip.noHistory")}</p>`
+    return
+  }
+
+  const pricePerGram = (price) => getSipPricePerGram(metal, purity, price, CONFIG.metals)
+  const projection = calculateSipProjection(
+    values.amount,
+    prices.map(({ date, price }) => ({ date, pricePerGram: pricePerGram(price) })),
+    // Past instalments are valued at today's rate, simulated ones at the last simulated price
+    sipState.mode === "history" ? pricePerGram(finePrice) : undefined,
+  )
+  const formatGrams = (grams) => `${(Math.round(grams * 1000) / 1000).toLocaleString(getLocale())} g`
+
+  container.innerHTML = `
+    <p class="form-helper">${translate(sipState.mode === "history" ? "sip.hint.history" : "sip.hint.simulated", {
+      count: prices.length,
+      growth: CONFIG.sip.projection.growthPercent,
+    })}</p>
+    <div class="summary-row">
+      <span>${translate("sip.invested")}</span>
+      <span>${formatDisplayPrice(projection.totalInvested)}</span>
+    </div>
+    <div class="summary-row">
+      <span>${translate("sip.accumulated")}</span>
+      <span>${formatGrams(projection.totalGrams)}</span>
+    </div>
+    <div class="summary-row">
+      <span>${translate("sip.averageCost")}</span>
+      <span>${formatDisplayPrice(projection.averageCost)}</span>
+    </div>
+    <div class="summary-row total">
+      <span>${translate("sip.value")}</span>
+      <span class="${projection.pnl >= 0 ? "trend-up" : "trend-down"}">${formatDisplayPrice(projection.value)}</span>
+    </div>
+    <table class="position-table">
+      <thead>
+        <tr>
+          <th>${translate("sip.col.date")}</th>
+          <th>${translate("sip.col.price")}</th>
+          <th>${translate("sip.col.grams")}</th>
+          <th>${translate("sip.col.total")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${projection.instalments
+          .map(
+            (instalment) => `
+          <tr>
+            <td>${formatHoldingDate(istTimeToDate(instalment.date, "12:00"))}</td>
+            <td>${formatDisplayPrice(instalment.pricePerGram)}</td>
+            <td>${formatGrams(instalment.grams)}</td>
+            <td>${formatGrams(instalment.totalGrams)}</td>
+          </tr>
+        `,
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `
+}
+
+/**
+ * Save the plan form as a new plan
+ */
+async function handleSipSubmission(e) {
+  e.preventDefault()
+
+  const values = getSipFormValues()
+  clearSipFormErrors()
+
+  const validation = validateSipForm(values, getIstDay(new Date()).dateKey)
+  if (!validation.isValid) {
+    Object.keys(validation.errors).forEach((fieldName) => {
+      const errorElement = document.getElementById(`${fieldName}Error`)
+      if (errorElement) {
+        errorElement.textContent = validation.errors[fieldName]
+        errorElement.style.display = "block"
+      }
+    })
+    return
+  }
+
+  // Instalments are booked with the phone's verification
+  if (!(await verifyPhone(values.phone))) return
+
+  const plans = storage.get("sipPlans", [])
+  plans.push({
+    id: `SIP${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`.toUpperCase(),
+    ...values,
+    purity: findPurity(values.metal, values.purity, CONFIG.metals).code,
+    status: "active",
+    nextInstalment: 0,
+    bookings: [],
+    skipped: [],
+    needsVerification: false,
+    createdAt: new Date().toISOString(),
+  })
+  storage.set("sipPlans", plans)
+
+  showToast(translate("sip.created"), "success")
+  resetSipForm()
+  renderSipPlans()
+}
+
+/**
+ * Render the saved plans with their actions
+ */
+function renderSipPlans() {
+  const list = document.getElementById("sipPlanList")
+  if (!list) return
+
+  const plans = storage.get("sipPlans", [])
+  if (plans.length === 0) {
+    list.innerHTML = `<p class="alert-empty">${translate("sip.empty")}</p>`
+    return
+  }
+
+  list.innerHTML = plans
+    .map((plan) => {
+      const nextDate = getInstalmentDate(plan.startDate, plan.frequency, plan.nextInstalment)
+      const open = plan.status !== "cancelled"
+
+      return `
+      <div class="alert-item ${open ? "" : "inactive"}">
+        <div class="alert-info">
+          <span class="alert-description">${translate("sip.describe", {
+            metal: translateMetal(plan.metal),
+            purity: plan.purity,
+            amount: formatCurrency(plan.amount),
+            frequency: translate(`sip.${plan.frequency}`),
+          })}</span>
+          <span class="alert-meta">
+            ${open ? `${translate("sip.next", { date: formatHoldingDate(istTimeToDate(nextDate, "12:00")) })} · ` : ""}
+            ${translate("sip.progress", { booked: plan.bookings.length, skipped: plan.skipped.length })}
+            ${open && plan.needsVerification && !getPhoneVerification(plan.phone) ? ` · ${translate("sip.needsVerification")}` : ""}
+          </span>
+        </div>
+        <div class="alert-actions">
+          <span class="status-badge status-${plan.status}">${translate(`sip.status.${plan.status}`)}</span>
+          ${
+            open
+              ? `<button type="button" class="btn-link" onclick="toggleSipPlan('${plan.id}')">${translate(plan.status === "active" ? "sip.pause" : "sip.resume")}</button>
+          <button type="button" class="btn-link" onclick="skipSipInstalment('${plan.id}')">${translate("sip.skip")}</button>
+          <button type="button" class="btn-link danger" onclick="cancelSipPlan('${plan.id}')">${translate("sip.cancel")}</button>`
+              : ""
+          }
+          ${
+            open && !getPhoneVerification(plan.phone)
+              ? `<button type="button" class="btn-link" onclick="verifySipPhone('${plan.id}')">${translate("sip.verifyPhone")}</button>`
+              : ""
+          }
+        </div>
+      </div>
+    `
+    })
+    .join("")
+}
+
+/**
+ * Verify a plan's phone again so its instalments can be booked
+ */
+async function verifySipPhone(id) {
+  const plan = storage.get("sipPlans", []).find((item) => item.id === id)
+  if (!plan) return
+
+  if (await verifyPhone(plan.phone)) {
+    updateSipPlan(id, (saved) => {
+      saved.needsVerification = false
+    })
+    processDueInstalments()
+  }
+  renderSipPlans()
+}
+
+/**
+ * Wire up the plan form and projection controls
+ */
+function initializeSip() {
+  const form = document.getElementById("sipForm")
+  if (form) form.addEventListener("submit", handleSipSubmission)
+
+  const metalField = document.getElementById("sipMetal")
+  if (metalField) metalField.addEventListener("change", updateSipFormOptions)
+
+  ;["sipPurity", "sipAmount", "sipFrequency", "sipStartDate"].forEach((id) => {
+    const field = document.getElementById(id)
+    if (!field) return
+    field.addEventListener("input", debounce(renderSipProjection, 300))
+    field.addEventListener("change", renderSipProjection)
+  })
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SIP_FREQUENCIES,
+    getInstalmentDate,
+    getDueInstalments,
+    calculateSipProjection,
+    getHistoricalSipPrices,
+    simulateSipPrices,
+  }
+}
@@ -0,0 +1,54 @@
+// Bid/Ask Spread
+
+// currentRates carry the market rate. Customers buy from us at the ask, above it, and sell
+// back to us at the bid, below it, each set per metal in CONFIG.metals as
+//   spreadPercent: { ask, bid }
+// Quotes lock the market rate and a booking's side picks its rate from that, so quote and
+// server tolerance checks still compare market rates. Buy-backs pay for the metal content
+// alone (see getMetalContentPrice() in purity.js): no ornament premium, charges or taxes.
+// Bookings record side "buy" or "sell"; ones saved before buy-backs have no side and are buys.
+// The server reuses these helpers through the CommonJS export.
+
+const BOOKING_SIDES = ["buy", "sell"]
+
+/**
+ * Get the side of a booking or form value, treating anything but "sell" as a buy
+ */
+function normalizeSide(side) {
+  return side === "sell" ? "sell" : "buy"
+}
+
+/**
+ * Get the fine-metal rate a side trades at
+ * @param {string} metal - Metal key
+ * @param {string} side - "buy" (the ask) or "sell" (the bid)
+ * @param {number} marketPrice - Market fine-metal rate
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number} Rate, rounded to paise
+ */
+function getSidePrice(metal, side, marketPrice, metalsConfig) {
+  const spread = metalsConfig[metal]?.spreadPercent || {}
+  const percent = side === "sell" ? -(spread.bid || 0) : spread.ask || 0
+  return Math.round(marketPrice * (1 + percent / 100) * 100) / 100
+}
+
+/**
+ * Get both side rates for a metal
+ * @returns {object} { ask, bid }
+ */
+function getSidePrices(metal, marketPrice, metalsConfig) {
+  return {
+    ask: getSidePrice(metal, "buy", marketPrice, metalsConfig),
+    bid: getSidePrice(metal, "sell", marketPrice, metalsConfig),
+  }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    BOOKING_SIDES,
+    normalizeSide,
+    getSidePrice,
+    getSidePrices,
+  }
+}
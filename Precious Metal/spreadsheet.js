@@ -0,0 +1,293 @@
+// Spreadsheet Export
+
+// Bookings and price history are exported as CSV, JSON or XLSX, from the browser (see
+// data-export.js) and from the back office (server/admin.js). Like receipts, exports are in
+// English with times in IST, so the accounts team gets the same columns from either.
+// CSV starts with a byte-order mark so spreadsheet programs read it as UTF-8, and text that
+// could be taken for a formula is prefixed with an apostrophe.
+// XLSX workbooks are written by hand, like receipt PDFs, so no library is needed: a single
+// sheet of inline strings and numbers in an uncompressed zip.
+// JSON keeps whole records, { type, version, exportedAt, records }, so an exported bookings
+// file can be imported again on another device.
+
+const EXPORT_FORMATS = {
+  csv: { type: "text/csv;charset=utf-8", extension: "csv" },
+  json: { type: "application/json", extension: "json" },
+  xlsx: { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+}
+
+const EXPORT_VERSION = 1
+
+const exportTimeFormat = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "Asia/Kolkata",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+})
+
+/**
+ * Format a time as "YYYY-MM-DD HH:mm" in IST, which sorts as text
+ */
+function formatExportTime(time) {
+  return exportTimeFormat.format(new Date(time)).replace(", ", " ")
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+// Each column reads its value from a record; "number" columns are written as numbers
+const BOOKING_COLUMNS = [
+  { label: "Booking ID", value: (booking) => booking.id },
+  { label: "Booked (IST)", value: (booking) => formatExportTime(booking.timestamp) },
+  { label: "Type", value: (booking) => (booking.side === "sell" ? "Buy-back" : "Purchase") },
+  { label: "Status", value: (booking) => booking.status },
+  { label: "Name", value: (booking) => booking.fullName },
+  { label: "Phone", value: (booking) => booking.phone },
+  { label: "Email", value: (booking) => booking.email },
+  { label: "Metal", value: (booking) => booking.metalType },
+  { label: "Purity", value: (booking) => booking.purity },
+  { label: "Quantity", type: "number", value: (booking) => booking.quantity },
+  { label: "Unit", value: (booking) => booking.unit },
+  { label: "Grams", type: "number", value: (booking) => booking.grams ?? null },
+  { label: "Rate (INR)", type: "number", value: (booking) => booking.currentPrice },
+  { label: "Metal Value (INR)", type: "number", value: (booking) => booking.totalValue },
+  {
+    label: "Charges and Taxes (INR)",
+    type: "number",
+    value: (booking) => roundAmount((booking.grandTotal ?? booking.totalValue) - booking.totalValue),
+  },
+  { label: "Total (INR)", type: "number", value: (booking) => booking.grandTotal ?? booking.totalValue },
+  { label: "PAN", value: (booking) => booking.kyc?.pan || "" },
+]
+
+// Price rows are { time, metal, rateUnit, open, high, low, close }; see data-export.js
+const PRICE_COLUMNS = [
+  { label: "Time (IST)", value: (row) => formatExportTime(row.time) },
+  { label: "Metal", value: (row) => row.metal },
+  { label: "Rate Unit", value: (row) => row.rateUnit },
+  { label: "Open (INR)", type: "number", value: (row) => row.open },
+  { label: "High (INR)", type: "number", value: (row) => row.high },
+  { label: "Low (INR)", type: "number", value: (row) => row.low },
+  { label: "Close (INR)", type: "number", value: (row) => row.close },
+]
+
+const EXPORT_KINDS = {
+  bookings: { sheet: "Bookings", columns: BOOKING_COLUMNS },
+  priceHistory: { sheet: "Price History", columns: PRICE_COLUMNS },
+}
+
+/**
+ * Write records as CSV
+ * @param {Array<object>} columns - Column definitions
+ * @param {Array<object>} records - One row each
+ * @returns {string} CSV text with CRLF line endings
+ */
+function toCsv(columns, records) {
+  const cell = (value, column) => {
+    if (value === null || value === undefined) return ""
+    let text = String(value)
+    if (column.type !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  const lines = [
+    columns.map((column) => cell(column.label, column)).join(","),
+    ...records.map((record) => columns.map((column) => cell(column.value(record), column)).join(",")),
+  ]
+  return `\uFEFF${lines.join("\r\n")}\r\n`
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Pack files into a zip archive without compression
+ * @param {Array<object>} files - { name, content } with content as text
+ * @returns {Uint8Array} Archive
+ */
+function createZip(files) {
+  const encoder = new TextEncoder()
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  const header = (size, fields) => {
+    const bytes = new Uint8Array(size)
+    const view = new DataView(bytes.buffer)
+    fields.forEach(([position, value, width]) =>
+      width === 4 ? view.setUint32(position, value, true) : view.setUint16(position, value, true),
+    )
+    return bytes
+  }
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name)
+    const data = encoder.encode(file.content)
+    const crc = crc32(data)
+    // Version 2.0, UTF-8 names, stored, 1 Jan 1980
+    const common = [
+      [4, 20, 2],
+      [6, 0x0800, 2],
+      [8, 0, 2],
+      [10, 0, 2],
+      [12, 0x21, 2],
+      [14, crc, 4],
+      [18, data.length, 4],
+      [22, data.length, 4],
+      [26, name.length, 2],
+    ]
+
+    localParts.push(header(30, [[0, 0x04034b50, 4], ...common]), name, data)
+    centralParts.push(
+      header(46, [
+        [0, 0x02014b50, 4],
+        ...common.map(([position, value, width]) => [position + 2, value, width]),
+        [42, offset, 4],
+      ]),
+      name,
+    )
+    offset += 30 + name.length + data.length
+  })
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = header(22, [
+    [0, 0x06054b50, 4],
+    [8, files.length, 2],
+    [10, files.length, 2],
+    [12, centralSize, 4],
+    [16, offset, 4],
+  ])
+
+  const parts = [...localParts, ...centralParts, end]
+  const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  parts.forEach((part) => {
+    archive.set(part, position)
+    position += part.length
+  })
+  return archive
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters other than tab and newlines are not allowed in XML
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, "")
+
+/**
+ * Get a spreadsheet column letter: 0 is A, 26 is AA
+ */
+function getColumnName(index) {
+  let name = ""
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+/**
+ * Write records as a one-sheet XLSX workbook
+ * @param {string} sheetName - Sheet name, at most 31 characters
+ * @param {Array<object>} columns - Column definitions
+ * @param {Array<object>} records - One row each
+ * @returns {Uint8Array} Workbook
+ */
+function createXlsx(sheetName, columns, records) {
+  const textCell = (ref, value) => `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+  const cell = (ref, value, column) => {
+    if (value === null || value === undefined || value === "") return ""
+    if (column.type === "number" && Number.isFinite(Number(value))) return `<c r="${ref}"><v>${Number(value)}</v></c>`
+    return textCell(ref, value)
+  }
+
+  const rows = [
+    `<row r="1">${columns.map((column, index) => textCell(`${getColumnName(index)}1`, column.label)).join("")}</row>`,
+    ...records.map((record, index) => {
+      const rowNumber = index + 2
+      const cells = columns.map((column, columnIndex) =>
+        cell(`${getColumnName(columnIndex)}${rowNumber}`, column.value(record), column),
+      )
+      return `<row r="${rowNumber}">${cells.join("")}</row>`
+    }),
+  ]
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  const main = "http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+  const relationships = "http://schemas.openxmlformats.org/officeDocument/2006/relationships"
+  const packageRelationships = "http://schemas.openxmlformats.org/package/2006/relationships"
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      content: `${xml}<Relationships xmlns="${packageRelationships}"><Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      content: `${xml}<workbook xmlns="${main}" xmlns:r="${relationships}"><sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: `${xml}<Relationships xmlns="${packageRelationships}"><Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      content: `${xml}<worksheet xmlns="${main}"><sheetData>${rows.join("")}</sheetData></worksheet>`,
+    },
+  ])
+}
+
+/**
+ * Build an export file
+ * @param {string} kind - "bookings" or "priceHistory"
+ * @param {string} format - "csv", "json" or "xlsx"
+ * @param {Array<object>} records - Bookings, or price rows
+ * @param {Date} exportedAt - Export time, recorded in JSON files
+ * @returns {object} { content, type, extension } with content as text or bytes
+ */
+function createExportFile(kind, format, records, exportedAt = new Date()) {
+  const { sheet, columns } = EXPORT_KINDS[kind]
+  const { type, extension } = EXPORT_FORMATS[format]
+
+  const content =
+    format === "csv"
+      ? toCsv(columns, records)
+      : format === "xlsx"
+        ? createXlsx(sheet, columns, records)
+        : JSON.stringify({ type: kind, version: EXPORT_VERSION, exportedAt: exportedAt.toISOString(), records }, null, 2)
+
+  return { content, type, extension }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_KINDS,
+    EXPORT_VERSION,
+    BOOKING_COLUMNS,
+    PRICE_COLUMNS,
+    formatExportTime,
+    toCsv,
+    createZip,
+    createXlsx,
+    createExportFile,
+  }
+}
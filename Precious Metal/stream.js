@@ -0,0 +1,194 @@
+// Streaming Rate Updates
+
+// Push transport for rate ticks. Tries a WebSocket first and Server-Sent Events second.
+// Messages on either transport are JSON:
+//   { type: "tick", metal: "gold", price: 99400.5, timestamp: "..." }
+// After a reconnect the client resyncs from the GET /rates snapshot before applying ticks again.
+// When neither transport can be reached within reconnect.maxAttempts, onFallback() is called
+// so the caller can return to polling.
+
+/**
+ * Compute a reconnect delay using exponential backoff with full jitter
+ * @param {number} attempt - Number of failed attempts so far (starting at 1)
+ * @param {object} reconnectConfig - CONFIG.stream.reconnect
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectDelay(attempt, reconnectConfig) {
+  const ceiling = Math.min(reconnectConfig.maxDelay, reconnectConfig.baseDelay * 2 ** (attempt - 1))
+  return Math.round(Math.random() * ceiling)
+}
+
+/**
+ * Parse a stream message, returning null if it is not a usable tick
+ * @param {string} data - Raw message data
+ * @returns {object|null} Tick with metal, price and timestamp
+ */
+function parseStreamMessage(data) {
+  try {
+    const message = JSON.parse(data)
+    const price = Number(message.price)
+
+    if (message.type !== "tick" || !message.metal || !Number.isFinite(price) || price <= 0) {
+      return null
+    }
+
+    return {
+      metal: message.metal,
+      price,
+      timestamp: message.timestamp || new Date().toISOString(),
+    }
+  } catch (error) {
+    console.warn("Ignoring malformed stream message:", error)
+    return null
+  }
+}
+
+/**
+ * Create a rate stream
+ * @param {object} config - Application configuration
+ * @param {object} handlers - Callbacks: onTick(tick), onSnapshot(quotes), onStatusChange(status), onFallback()
+ * @returns {object} Stream with start() and stop()
+ */
+function createRateStream(config, handlers) {
+  const streamConfig = config.stream
+  let connection = null
+  let reconnectTimer = null
+  let failedAttempts = 0
+  let hasConnected = false
+  let snapshotTimestamp = null
+  let stopped = true
+
+  const setStatus = (status) => {
+    if (handlers.onStatusChange) handlers.onStatusChange(status)
+  }
+
+  const handleMessage = (data) => {
+    const tick = parseStreamMessage(data)
+    if (!tick) return
+
+    // Ticks that were sent before the resync snapshot are already reflected in it
+    if (snapshotTimestamp && new Date(tick.timestamp) < new Date(snapshotTimestamp)) return
+
+    handlers.onTick(tick)
+  }
+
+  const resync = async () => {
+    try {
+      const data = await fetchJsonWithRetry("/rates", { headers: { Accept: "application/json" } }, config.api)
+      const quotes = parseRateQuotes(data, config.metals)
+      snapshotTimestamp = quotes.timestamp
+      handlers.onSnapshot(quotes)
+    } catch (error) {
+      console.warn("Failed to resync rates after reconnect:", error)
+    }
+  }
+
+  const handleOpen = () => {
+    const isReconnect = hasConnected
+    hasConnected = true
+    failedAttempts = 0
+    setStatus("live")
+
+    if (isReconnect) resync()
+  }
+
+  const scheduleReconnect = () => {
+    if (stopped) return
+
+    failedAttempts++
+    if (failedAttempts > streamConfig.reconnect.maxAttempts) {
+      console.warn("Rate stream unavailable, falling back to polling")
+      stop()
+      setStatus("polling")
+      handlers.onFallback()
+      return
+    }
+
+    const delay = getReconnectDelay(failedAttempts, streamConfig.reconnect)
+    setStatus("reconnecting")
+    reconnectTimer = setTimeout(connectWebSocket, delay)
+  }
+
+  const connectEventSource = () => {
+    if (stopped) return
+    if (typeof EventSource === "undefined" || !streamConfig.sseUrl) {
+      scheduleReconnect()
+      return
+    }
+
+    const source = new EventSource(streamConfig.sseUrl)
+    connection = source
+
+    source.onopen = handleOpen
+    source.onmessage = (event) => handleMessage(event.data)
+    source.onerror = () => {
+      // EventSource retries on its own; close it so reconnects follow our backoff instead
+      source.close()
+      if (connection === source) {
+        connection = null
+        scheduleReconnect()
+      }
+    }
+  }
+
+  const connectWebSocket = () => {
+    if (stopped) return
+    if (typeof WebSocket === "undefined" || !streamConfig.websocketUrl) {
+      connectEventSource()
+      return
+    }
+
+    const socket = new WebSocket(streamConfig.websocketUrl)
+    let opened = false
+    connection = socket
+
+    socket.onopen = () => {
+      opened = true
+      handleOpen()
+    }
+    socket.onmessage = (event) => handleMessage(event.data)
+
+    // Some implementations report a failed handshake with only an error event, so handle both
+    socket.onerror = socket.onclose = () => {
+      if (connection !== socket) return
+      connection = null
+
+      // A socket that never opened means WebSockets are unavailable; try SSE before backing off
+      if (opened) {
+        scheduleReconnect()
+      } else {
+        connectEventSource()
+      }
+    }
+  }
+
+  function start() {
+    if (!stopped) return
+    stopped = false
+    failedAttempts = 0
+    setStatus("connecting")
+    connectWebSocket()
+  }
+
+  function stop() {
+    stopped = true
+    clearTimeout(reconnectTimer)
+
+    if (connection) {
+      const closing = connection
+      connection = null
+      closing.close()
+    }
+  }
+
+  return { start, stop }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getReconnectDelay,
+    parseStreamMessage,
+    createRateStream,
+  }
+}
@@ -0,0 +1,132 @@
+// Weight Units
+
+// Every weight conversion and booking total goes through this file. Rates keep their
+// market basis, the CONFIG.metals rateUnit (gold per 10g, silver per kg); quantities may be
+// entered in any unit below.
+// The server reuses these helpers through the CommonJS export.
+
+const WEIGHT_UNITS = {
+  g: { grams: 1, label: "grams", shortLabel: "g" },
+  kg: { grams: 1000, label: "kg", shortLabel: "kg" },
+  tola: { grams: 11.6638, label: "tola", shortLabel: "tola" },
+  ozt: { grams: 31.1034768, label: "troy oz", shortLabel: "oz t" },
+}
+
+// Units a rate card can be shown per; "standard" keeps each metal's market basis
+const DISPLAY_UNITS = {
+  standard: { label: "Standard" },
+  g: { grams: 1, label: "Gram", cardLabel: "Per Gram", shortLabel: "g" },
+  "10g": { grams: 10, label: "10 Grams", cardLabel: "Per 10 Grams", shortLabel: "10g" },
+  kg: { grams: 1000, label: "Kilogram", cardLabel: "Per Kilogram", shortLabel: "kg" },
+  tola: { grams: 11.6638, label: "Tola", cardLabel: "Per Tola", shortLabel: "tola" },
+  ozt: { grams: 31.1034768, label: "Troy Ounce", cardLabel: "Per Troy Ounce", shortLabel: "oz t" },
+}
+
+/**
+ * Convert a weight to grams
+ * @param {number} value - Weight
+ * @param {string} unit - Unit code (g, kg, tola, ozt)
+ * @returns {number} Weight in grams
+ */
+function toGrams(value, unit) {
+  const definition = WEIGHT_UNITS[unit]
+  if (!definition) throw new Error(`Unknown weight unit: ${unit}`)
+  return value * definition.grams
+}
+
+/**
+ * Convert a weight between units
+ * @param {number} value - Weight
+ * @param {string} from - Unit code to convert from
+ * @param {string} to - Unit code to convert to
+ * @returns {number} Converted weight
+ */
+function convertWeight(value, from, to) {
+  return toGrams(value, from) / WEIGHT_UNITS[to].grams
+}
+
+/**
+ * Get a readable label for a unit code; older bookings stored labels such as "grams"
+ */
+function getUnitLabel(unit) {
+  return WEIGHT_UNITS[unit]?.label || unit
+}
+
+/**
+ * Get the weight in grams a metal's rate is quoted for
+ * @param {string} metal - Metal key
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number} Grams
+ */
+function getRateBasisGrams(metal, metalsConfig) {
+  const definition = metalsConfig[metal]
+  if (!definition) throw new Error(`Unknown metal: ${metal}`)
+  return DISPLAY_UNITS[definition.rateUnit].grams
+}
+
+/**
+ * Get the short label of the weight a metal's rate is quoted for, e.g. "10g" in "₹99,320/10g"
+ */
+function getRateUnitLabel(metal, metalsConfig) {
+  return DISPLAY_UNITS[metalsConfig[metal]?.rateUnit]?.shortLabel || ""
+}
+
+/**
+ * Get the price of one gram from a rate quoted on the metal's basis
+ * @param {string} metal - Metal key
+ * @param {number} price - Rate on the metal's basis
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number} Price per gram
+ */
+function getPricePerGram(metal, price, metalsConfig) {
+  return price / getRateBasisGrams(metal, metalsConfig)
+}
+
+/**
+ * Get the factor that turns a basis rate into a rate per display unit
+ * @param {string} metal - Metal key
+ * @param {string} displayUnit - Key of DISPLAY_UNITS
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {number} Multiplier
+ */
+function getDisplayUnitMultiplier(metal, displayUnit, metalsConfig) {
+  const unit = DISPLAY_UNITS[displayUnit]
+  if (!unit || !unit.grams) return 1
+  return unit.grams / getRateBasisGrams(metal, metalsConfig)
+}
+
+/**
+ * Calculate a booking total from a basis rate and a quantity in any unit
+ * @param {string} metal - Metal key
+ * @param {number} quantity - Quantity in quantityUnit
+ * @param {string} quantityUnit - Unit code
+ * @param {number} price - Rate on the metal's basis
+ * @param {object} metalsConfig - CONFIG.metals
+ * @returns {object} { grams, pricePerGram, totalValue }
+ */
+function calculateWeightValue(metal, quantity, quantityUnit, price, metalsConfig) {
+  const grams = toGrams(quantity, quantityUnit)
+  const pricePerGram = getPricePerGram(metal, price, metalsConfig)
+
+  return {
+    grams: Math.round(grams * 1000) / 1000,
+    pricePerGram: Math.round(pricePerGram * 100) / 100,
+    totalValue: Math.round(pricePerGram * grams),
+  }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WEIGHT_UNITS,
+    DISPLAY_UNITS,
+    toGrams,
+    convertWeight,
+    getUnitLabel,
+    getRateBasisGrams,
+    getRateUnitLabel,
+    getPricePerGram,
+    getDisplayUnitMultiplier,
+    calculateWeightValue,
+  }
+}
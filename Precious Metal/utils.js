@@ -4,10 +4,11 @@
  * Format currency in Indian Rupees
  * @param {number} amount - Amount to format
  * @param {boolean} showSymbol - Whether to show currency symbol
+ * @param {string} locale - Locale for digits and grouping
  * @returns {string} Formatted currency string
  */
-function formatCurrency(amount, showSymbol = true) {
-  const formatter = new Intl.NumberFormat("en-IN", {
+function formatCurrency(amount, showSymbol = true, locale = "en-IN") {
+  const formatter = new Intl.NumberFormat(locale, {
     style: showSymbol ? "currency" : "decimal",
     currency: "INR",
     minimumFractionDigits: 0,
@@ -21,9 +22,10 @@ function formatCurrency(amount, showSymbol = true) {
  * Format date and time in Indian format
  * @param {Date} date - Date to format
  * @param {boolean} includeTime - Whether to include time
+ * @param {string} locale - Locale for month names and digits
  * @returns {string} Formatted date string
  */
-function formatDateTime(date, includeTime = true) {
+function formatDateTime(date, includeTime = true, locale = "en-IN") {
   const options = {
     year: "numeric",
     month: "short",
@@ -38,7 +40,7 @@ function formatDateTime(date, includeTime = true) {
     options.hour12 = true
   }
 
-  return new Intl.DateTimeFormat("en-IN", options).format(date)
+  return new Intl.DateTimeFormat(locale, options).format(date)
 }
 
 /**
@@ -215,30 +217,22 @@ function generateBookingId() {
 
 /**
  * Calculate total booking value
+ * Delegates to calculateWeightValue() in units.js so every total uses the same conversions.
  * @param {string} metalType - Type of metal (Gold/Silver)
  * @param {number} quantity - Quantity to book
- * @param {number} currentPrice - Current price per unit
+ * @param {number} currentPrice - Current price on the metal's rate basis (gold per 10g, silver per kg)
+ * @param {string} quantityUnit - Unit of the quantity (g, kg, tola, ozt)
+ * @param {object} metalsConfig - Metal catalogue (CONFIG.metals)
  * @returns {object} Calculation details
  */
-function calculateBookingValue(metalType, quantity, currentPrice) {
-  let pricePerGram, totalValue, unit
-
-  if (metalType === "Gold") {
-    // Gold price is per 10 grams, convert to per gram
-    pricePerGram = currentPrice / 10
-    totalValue = pricePerGram * quantity
-    unit = "grams"
-  } else {
-    // Silver price is per kg, convert to per gram
-    pricePerGram = currentPrice / 1000
-    totalValue = pricePerGram * quantity
-    unit = "grams"
-  }
+function calculateBookingValue(metalType, quantity, currentPrice, quantityUnit, metalsConfig) {
+  const metal = findMetalKey(metalType, metalsConfig)
+  const calculation = calculateWeightValue(metal, quantity, quantityUnit, currentPrice, metalsConfig)
 
   return {
-    pricePerGram: Math.round(pricePerGram * 100) / 100,
-    totalValue: Math.round(totalValue),
-    unit,
+    pricePerGram: calculation.pricePerGram,
+    totalValue: calculation.totalValue,
+    unit: quantityUnit,
     quantity,
   }
 }